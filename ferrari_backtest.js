@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Ferrari Backtest - replay historical OHLCV through the signal pipeline
+ *
+ * Usage:
+ *   node ferrari_backtest.js <file-or-directory>... [options]
+ *
+ * Options:
+ *   --out <path>           Write the full JSON report (including every trade)
+ *   --min-strength <n>     Override qualityGates.minimumStrength
+ *   --min-rr <n>           Override qualityGates.minimumRiskReward
+ *   --verbose              Show engine logs while replaying
+ *
+ * Files are CSV (timestamp,open,high,low,close,volume) or JSON bars.
+ * See src/backtest/historicalDataLoader.js for the accepted formats.
+ */
+
+import fs from 'fs';
+import historicalDataLoader from './src/backtest/historicalDataLoader.js';
+import { BacktestRunner } from './src/backtest/backtestRunner.js';
+
+function parseArgs(argv) {
+  const args = { inputs: [], out: null, verbose: false, qualityGates: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--min-strength') args.qualityGates.minimumStrength = parseFloat(argv[++i]);
+    else if (arg === '--min-rr') args.qualityGates.minimumRiskReward = parseFloat(argv[++i]);
+    else args.inputs.push(arg);
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.inputs.length === 0) {
+    console.error('Usage: node ferrari_backtest.js <file-or-directory>... [--out report.json] [--min-strength 4.0] [--min-rr 2.5] [--verbose]');
+    process.exit(1);
+  }
+
+  const datasets = args.inputs.flatMap(input =>
+    fs.statSync(input).isDirectory()
+      ? historicalDataLoader.loadDirectory(input)
+      : historicalDataLoader.loadFile(input)
+  );
+
+  console.log('🏎️ Ferrari Backtest');
+  console.log('===================');
+  console.log(`📂 Loaded ${datasets.length} symbol(s): ${datasets.map(d => `${d.symbol} (${d.bars.length} bars)`).join(', ')}`);
+
+  const runner = new BacktestRunner(datasets, {
+    quiet: !args.verbose,
+    config: { qualityGates: args.qualityGates }
+  });
+
+  const startedAt = Date.now();
+  const report = await runner.run();
+
+  console.log(`\n📅 Period: ${report.period.start} → ${report.period.end}`);
+  console.log(`⚙️  Gates: strength ≥${report.qualityGates.minimumStrength}, R/R ≥${report.qualityGates.minimumRiskReward}`);
+  console.log(`📐 Exit model: ${report.exitModel}`);
+  console.log('\n📊 Summary');
+  console.table(report.summary);
+  console.log('🎯 Outcomes');
+  console.table(report.outcomes);
+
+  if (Object.keys(report.bySymbol).length > 0) {
+    console.log('🔎 Per symbol');
+    console.table(report.bySymbol);
+  }
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    console.log(`💾 Full report written to ${args.out}`);
+  }
+
+  console.log(`\n🏁 Backtest completed in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+}
+
+main().catch(error => {
+  console.error('💥 Backtest failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Ferrari Mock Exchange - offline stand-in for Alpaca, Finnhub and Binance
+ *
+ * Usage:
+ *   node ferrari_mock_exchange.js [options]
+ *
+ * Options:
+ *   --port <n>             Listen port (default 8090)
+ *   --fixtures <path>      CSV / JSON bars to replay (file or directory) instead of a random walk
+ *   --tick-interval <ms>   Delay between streamed ticks (default 1000)
+ *   --seed <n>             Random walk seed (default 42)
+ *
+ * Then start the system against it:
+ *   MOCK_EXCHANGE_URL=http://localhost:8090 ALPACA_API_KEY=mock ALPACA_SECRET_KEY=mock FINNHUB_API_KEY=mock npm start
+ */
+
+import fs from 'fs';
+import historicalDataLoader from './src/backtest/historicalDataLoader.js';
+import { MockExchangeServer } from './src/mock/mockExchangeServer.js';
+
+function parseArgs(argv) {
+  const args = { port: 8090, fixtures: null, tickInterval: 1000, seed: 42 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') args.port = parseInt(argv[++i]);
+    else if (arg === '--fixtures') args.fixtures = argv[++i];
+    else if (arg === '--tick-interval') args.tickInterval = parseInt(argv[++i]);
+    else if (arg === '--seed') args.seed = parseInt(argv[++i]);
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  let fixtures = [];
+  if (args.fixtures) {
+    fixtures = fs.statSync(args.fixtures).isDirectory()
+      ? historicalDataLoader.loadDirectory(args.fixtures)
+      : historicalDataLoader.loadFile(args.fixtures);
+    console.log(`📂 Replaying fixtures: ${fixtures.map(d => `${d.symbol} (${d.bars.length} bars)`).join(', ')}`);
+  } else {
+    console.log(`🎲 Random walk market (seed ${args.seed})`);
+  }
+
+  const server = new MockExchangeServer({
+    port: args.port,
+    host: '0.0.0.0',
+    fixtures,
+    tickInterval: args.tickInterval,
+    seed: args.seed
+  });
+  await server.start();
+
+  console.log(`🔗 Set MOCK_EXCHANGE_URL=http://localhost:${server.port} to route all feeds here`);
+
+  const stop = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+main().catch(error => {
+  console.error('💥 Mock exchange failed:', error);
+  process.exit(1);
+});
@@ -1,5 +1,8 @@
 import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
 import firebaseConfig from './src/config/firebase.js';
+import { createTradingTipsRouter } from './src/routes/tradingTips.js';
+import { createAdminConfigRouter } from './src/routes/adminConfig.js';
+import { TradingViewWebhookService, webhookConfigFromEnv } from './src/services/tradingViewWebhookService.js';
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
@@ -194,9 +197,13 @@ class FerrariSystemManager {
   async startHttpServer() {
     const port = process.env.PORT || 3000;
     
+    // Behind Railway's proxy: req.ip is the client address (per-IP webhook rate limits)
+    this.app.set('trust proxy', 1);
+
     // Configure CORS
     this.app.use(cors());
-    this.app.use(express.json());
+    // Keep the raw body for webhook signature checks
+    this.app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer; } }));
     
     // Log all incoming requests for debugging
     this.app.use((req, res, next) => {
@@ -314,7 +321,9 @@ class FerrariSystemManager {
           health: '/health',
           detailed: '/healthz', 
           ready: '/ready',
-          status: '/status'
+          status: '/status',
+          tradingTips: '/api/trading-tips',
+          tradingViewWebhook: '/api/webhooks/tradingview-webhook'
         }
       });
     });
@@ -364,6 +373,27 @@ class FerrariSystemManager {
       }
     });
 
+    // Tip history API (503 until the Ferrari system is up)
+    this.app.use('/api/trading-tips', createTradingTipsRouter(() => this.ferrariSystem?.tipHistory || null, {
+      getQualityGates: () => this.ferrariSystem?.config.qualityGates || null
+    }));
+
+    // TradingView alerts (503 until the Ferrari system is up, refused without TRADINGVIEW_WEBHOOK_SECRET)
+    const tradingViewWebhooks = new TradingViewWebhookService({
+      getEngine: () => this.ferrariSystem,
+      config: webhookConfigFromEnv()
+    });
+    this.app.use('/api/webhooks', tradingViewWebhooks.getRouter());
+
+    // Runtime settings (503 until the Ferrari system is up, refused without ADMIN_API_TOKEN)
+    this.app.use('/api/admin', createAdminConfigRouter({
+      getConfigManager: () => this.ferrariSystem?.configManager || null,
+      token: process.env.ADMIN_API_TOKEN || null
+    }));
+
+    // Company logos for Telegram / Discord / Slack / email (PUBLIC_BASE_URL + /logos/...)
+    this.app.use('/logos', express.static('public/logos', { maxAge: '7d' }));
+
     // Start server
     return new Promise((resolve, reject) => {
       this.httpServer = this.app.listen(port, '0.0.0.0', (error) => {
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Test Runner (npm test)
+ * Runs every test_*.js suite in its own process, one after another.
+ * Scripts that need a running server or the legacy CommonJS build are left
+ * out (run them directly): test_health.js, test_railway_health.js, test_ferrari.js
+ *
+ *   node run_tests.js                  - all suites
+ *   node run_tests.js liquidity regime - suites whose file name contains a filter
+ */
+
+import fs from 'fs';
+import { spawnSync } from 'child_process';
+
+const EXCLUDED = ['test_harness.js', 'test_health.js', 'test_railway_health.js', 'test_ferrari.js'];
+const SUITE_TIMEOUT_MS = 5 * 60 * 1000;
+
+const filters = process.argv.slice(2);
+const suites = fs.readdirSync(process.cwd())
+  .filter(file => /^test_.*\.js$/.test(file) && !EXCLUDED.includes(file))
+  .filter(file => filters.length === 0 || filters.some(filter => file.includes(filter)))
+  .sort();
+
+const failed = [];
+for (const suite of suites) {
+  console.log(`\n▶️ ${suite}`);
+  const result = spawnSync(process.execPath, [suite], { stdio: 'inherit', timeout: SUITE_TIMEOUT_MS });
+  if (result.status !== 0) {
+    failed.push(result.error ? `${suite} (${result.error.code})` : suite);
+  }
+}
+
+if (failed.length > 0) {
+  console.error(`\n❌ ${failed.length}/${suites.length} suites failed: ${failed.join(', ')}`);
+  process.exit(1);
+}
+
+console.log(`\n🏁 All ${suites.length} suites passed`);
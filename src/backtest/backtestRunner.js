@@ -0,0 +1,343 @@
+/**
+ * FERRARI BACKTEST RUNNER
+ * =======================
+ *
+ * Replays historical OHLCV bars through the live Ferrari pipeline
+ * (updatePrice → checkTradingOpportunity → generateSignal) on a simulated
+ * clock, records every tip the engine would have emitted and resolves each
+ * one against the bars that follow it.
+ *
+ * Runs fully offline:
+ * ✓ Firebase disabled (FerrariTradingSystem test mode)
+ * ✓ No websockets - initialize() is never called, ticks are injected
+ * ✓ fetchHistoricalOHLCV served from the loaded history (no lookahead)
+ * ✓ Candles only at resolutions at least as coarse as the data
+ * ✓ Institutional analysis in offline mode (no news/insider/fundamental APIs)
+ *
+ * Tips are resolved with the live outcome tracker's exit model (exitModel.js):
+ * 50% off at TP1 with the stop moved to breakeven, the rest at TP2. They are
+ * walked on the same intrabar ticks the engine was fed, from the tick after
+ * emission, so the rest of the emission bar counts.
+ */
+
+import { FerrariTradingSystem } from '../services/ferrariTradingSystem.js';
+import { TechnicalAnalysisService, TIMEFRAME_MS } from '../services/technicalAnalysisService.js';
+import { InstitutionalAnalysisService } from '../services/institutionalAnalysisService.js';
+import { CandleAggregator, RESOLUTIONS } from '../services/candleAggregator.js';
+import { SimulatedClock } from './simulatedClock.js';
+import { EXIT_MODEL, nextExit, resultR } from '../services/exitModel.js';
+
+export class BacktestRunner {
+  /**
+   * @param {Array<{symbol: string, bars: Array}>} datasets - From historicalDataLoader
+   * @param {Object} options
+   * @param {boolean} options.quiet - Silence engine console.log/warn output (default true)
+   * @param {Object} options.config - Per-section overrides for FerrariTradingSystem.config
+   */
+  constructor(datasets, options = {}) {
+    this.datasets = datasets
+      .filter(d => d && d.symbol && Array.isArray(d.bars) && d.bars.length > 1)
+      .map(d => ({
+        symbol: d.symbol,
+        bars: [...d.bars].sort((a, b) => a.timestamp - b.timestamp),
+        intervalMs: this.detectInterval(d.bars)
+      }));
+    this.options = {
+      quiet: true,
+      config: {},
+      ...options
+    };
+    this.emitted = [];
+    this.system = null;
+  }
+
+  async run() {
+    if (this.datasets.length === 0) {
+      throw new Error('No historical data to backtest');
+    }
+
+    const ticks = this.getTicks();
+    const clock = new SimulatedClock(ticks[0].timestamp);
+    this.system = this.createSystem(clock);
+
+    this.system.on('signal', tip => {
+      this.emitted.push({ tip, emittedAt: clock.now() });
+    });
+
+    const restoreConsole = this.options.quiet ? this.silenceConsole() : null;
+    let tradingDay = null;
+
+    try {
+      for (const tick of ticks) {
+        clock.set(tick.timestamp);
+
+        // Daily limits roll over with the New York trading day
+        const day = new Date(tick.timestamp).toLocaleDateString('en-US', { timeZone: 'America/New_York' });
+        if (tradingDay !== null && day !== tradingDay) {
+          await this.system.resetDailyLimits();
+        }
+        tradingDay = day;
+
+        await this.system.updatePrice(tick);
+      }
+    } finally {
+      if (restoreConsole) restoreConsole();
+    }
+
+    const trades = this.emitted.map(({ tip, emittedAt }) => this.resolveTip(tip, emittedAt));
+    return this.buildReport(trades);
+  }
+
+  createSystem(clock) {
+    // Finer candles would be built from only a few intrabar ticks
+    const dataInterval = Math.max(...this.datasets.map(d => d.intervalMs));
+    const resolutions = Object.keys(RESOLUTIONS).filter(resolution => RESOLUTIONS[resolution] >= dataInterval);
+
+    const system = new FerrariTradingSystem(null, {
+      clock,
+      technicalAnalysisService: new TechnicalAnalysisService({ now: () => clock.now() }),
+      institutionalAnalysisService: new InstitutionalAnalysisService({ offline: true }),
+      candleAggregator: new CandleAggregator({ resolutions })
+    });
+
+    for (const [section, overrides] of Object.entries(this.options.config || {})) {
+      if (system.config[section] && typeof overrides === 'object') {
+        Object.assign(system.config[section], overrides);
+      }
+    }
+
+    // Serve REST backfills from the loaded history instead of the network
+    system.fetchHistoricalOHLCV = async (symbol, type, limit = 20, timeframe = '1hour') => {
+      return this.getHistory(symbol, timeframe, limit, clock.now());
+    };
+
+    return system;
+  }
+
+  getTicks() {
+    if (!this.ticks) {
+      this.ticks = this.buildTickStream();
+    }
+    return this.ticks;
+  }
+
+  /**
+   * Expand bars into intrabar ticks (open, high/low, low/high, close) merged across symbols
+   */
+  buildTickStream() {
+    const ticks = [];
+
+    for (const { symbol, bars, intervalMs } of this.datasets) {
+      for (const bar of bars) {
+        const path = bar.close >= bar.open
+          ? [bar.open, bar.low, bar.high, bar.close]
+          : [bar.open, bar.high, bar.low, bar.close];
+
+        path.forEach((price, i) => {
+          ticks.push({
+            symbol,
+            price,
+            volume: bar.volume / path.length,
+            timestamp: bar.timestamp + Math.floor((intervalMs * i) / path.length),
+            source: 'backtest'
+          });
+        });
+      }
+    }
+
+    return ticks.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Completed bars up to `now`, resampled to the requested timeframe
+   */
+  getHistory(symbol, timeframe, limit, now) {
+    const dataset = this.datasets.find(d => d.symbol === symbol);
+    if (!dataset) return [];
+
+    const targetMs = TIMEFRAME_MS[timeframe] || TIMEFRAME_MS['1hour'];
+    if (targetMs < dataset.intervalMs) return [];
+
+    const completed = dataset.bars.slice(0, this.countCompletedBars(dataset, now));
+    if (targetMs === dataset.intervalMs) {
+      return completed.slice(-limit);
+    }
+
+    const resampled = [];
+    for (const bar of completed) {
+      const bucket = Math.floor(bar.timestamp / targetMs) * targetMs;
+      const last = resampled[resampled.length - 1];
+      if (last && last.timestamp === bucket) {
+        last.high = Math.max(last.high, bar.high);
+        last.low = Math.min(last.low, bar.low);
+        last.close = bar.close;
+        last.volume += bar.volume;
+      } else {
+        resampled.push({ ...bar, timestamp: bucket });
+      }
+    }
+    return resampled.slice(-limit);
+  }
+
+  countCompletedBars(dataset, now) {
+    // Binary search for the first bar that has not closed yet
+    let low = 0;
+    let high = dataset.bars.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (dataset.bars[mid].timestamp + dataset.intervalMs <= now) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  detectInterval(bars) {
+    const diffs = [];
+    for (let i = 1; i < Math.min(bars.length, 50); i++) {
+      const diff = bars[i].timestamp - bars[i - 1].timestamp;
+      if (diff > 0) diffs.push(diff);
+    }
+    diffs.sort((a, b) => a - b);
+    return diffs[Math.floor(diffs.length / 2)] || TIMEFRAME_MS['1hour'];
+  }
+
+  /**
+   * Walk the ticks after a tip was emitted until stop, TP2 or expiry
+   */
+  resolveTip(tip, emittedAt) {
+    const isLong = tip.takeProfit > tip.entryPrice;
+    const expiresAt = new Date(tip.expiresAt).getTime();
+
+    const trade = {
+      trackingId: tip.trackingId,
+      symbol: tip.symbol,
+      direction: isLong ? 'long' : 'short',
+      strength: tip.strength,
+      riskRewardRatio: tip.riskRewardRatio,
+      entryPrice: tip.entryPrice,
+      stopLoss: tip.stopLoss,
+      takeProfit: tip.takeProfit,
+      takeProfit2: tip.takeProfit2,
+      emittedAt: new Date(emittedAt).toISOString(),
+      outcome: 'open',
+      resultR: 0,
+      exitAt: null
+    };
+    const position = { ...trade, tp1HitAt: null };
+    let lastPrice = tip.entryPrice;
+
+    for (const tick of this.getTicks()) {
+      if (tick.symbol !== tip.symbol || tick.timestamp <= emittedAt) continue;
+
+      if (tick.timestamp >= expiresAt) {
+        // Marked to market; a tip that banked TP1 counts as tp1
+        return this.closeTrade(trade, position, position.tp1HitAt ? 'tp1' : 'expired', lastPrice, expiresAt);
+      }
+
+      const exit = nextExit(position, tick.price);
+      if (exit.event === 'stop') {
+        return this.closeTrade(trade, position, 'stop', exit.price, tick.timestamp);
+      }
+      if (exit.event === 'breakeven') {
+        return this.closeTrade(trade, position, 'tp1', exit.price, tick.timestamp);
+      }
+      if (exit.event === 'tp2') {
+        if (!position.tp1HitAt) position.tp1HitAt = tick.timestamp;
+        return this.closeTrade(trade, position, 'tp2', exit.price, tick.timestamp);
+      }
+      if (exit.event === 'tp1') {
+        position.tp1HitAt = tick.timestamp;
+      }
+
+      lastPrice = tick.price;
+    }
+
+    // Ran out of data before expiry - leave it open (excluded from stats)
+    trade.tp1Hit = Boolean(position.tp1HitAt);
+    return trade;
+  }
+
+  closeTrade(trade, position, outcome, price, exitAt) {
+    trade.outcome = outcome;
+    trade.resultR = resultR(position, price);
+    trade.exitAt = new Date(exitAt).toISOString();
+    return trade;
+  }
+
+  buildReport(trades) {
+    const resolved = trades.filter(t => t.outcome !== 'open');
+    const allBars = this.datasets.flatMap(d => d.bars);
+
+    const outcomes = { stop: 0, tp1: 0, tp2: 0, expired: 0, open: 0 };
+    for (const trade of trades) {
+      outcomes[trade.outcome] = (outcomes[trade.outcome] || 0) + 1;
+    }
+
+    const bySymbol = {};
+    for (const trade of resolved) {
+      if (!bySymbol[trade.symbol]) bySymbol[trade.symbol] = [];
+      bySymbol[trade.symbol].push(trade);
+    }
+
+    return {
+      period: {
+        start: new Date(Math.min(...allBars.map(b => b.timestamp))).toISOString(),
+        end: new Date(Math.max(...allBars.map(b => b.timestamp))).toISOString()
+      },
+      symbols: this.datasets.map(d => d.symbol),
+      exitModel: EXIT_MODEL.description,
+      qualityGates: { ...this.system.config.qualityGates },
+      summary: {
+        totalSignals: trades.length,
+        openTrades: outcomes.open,
+        ...this.summarize(resolved)
+      },
+      outcomes,
+      bySymbol: Object.fromEntries(
+        Object.entries(bySymbol).map(([symbol, symbolTrades]) => [symbol, this.summarize(symbolTrades)])
+      ),
+      trades
+    };
+  }
+
+  summarize(trades) {
+    const ordered = [...trades].sort((a, b) => new Date(a.exitAt) - new Date(b.exitAt));
+    const wins = ordered.filter(t => t.resultR > 0);
+    const losses = ordered.filter(t => t.resultR <= 0);
+    const totalR = ordered.reduce((sum, t) => sum + t.resultR, 0);
+    const grossWin = wins.reduce((sum, t) => sum + t.resultR, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.resultR, 0));
+
+    // Max drawdown of the cumulative R equity curve
+    let equity = 0;
+    let peak = 0;
+    let maxDrawdownR = 0;
+    for (const trade of ordered) {
+      equity += trade.resultR;
+      peak = Math.max(peak, equity);
+      maxDrawdownR = Math.max(maxDrawdownR, peak - equity);
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+    return {
+      trades: ordered.length,
+      wins: wins.length,
+      losses: losses.length,
+      winRate: ordered.length > 0 ? round((wins.length / ordered.length) * 100) : 0,
+      expectancyR: ordered.length > 0 ? round(totalR / ordered.length) : 0,
+      totalR: round(totalR),
+      avgWinR: wins.length > 0 ? round(grossWin / wins.length) : 0,
+      avgLossR: losses.length > 0 ? round(-grossLoss / losses.length) : 0,
+      profitFactor: grossLoss > 0 ? round(grossWin / grossLoss) : (grossWin > 0 ? Infinity : 0),
+      maxDrawdownR: round(maxDrawdownR)
+    };
+  }
+
+  silenceConsole() {
+    const original = { log: console.log, info: console.info, warn: console.warn };
+    console.log = () => {};
+    console.info = () => {};
+    console.warn = () => {};
+    return () => Object.assign(console, original);
+  }
+}
@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Historical Data Loader
+ * Reads OHLCV history from CSV or JSON files for the backtester.
+ *
+ * CSV:  header row with timestamp,open,high,low,close,volume (optional symbol column)
+ * JSON: an array of bars, or { symbol, bars: [...] }
+ *
+ * Timestamps may be ISO strings, epoch seconds or epoch milliseconds.
+ * When a file has no symbol, it is taken from the filename
+ * (AAPL.csv -> AAPL, BTC-USD.json / BTC_USD.json -> BTC/USD).
+ */
+class HistoricalDataLoader {
+  /**
+   * Load every .csv / .json file in a directory
+   * @returns {Array<{symbol: string, bars: Array}>}
+   */
+  loadDirectory(directory) {
+    const files = fs.readdirSync(directory)
+      .filter(file => /\.(csv|json)$/i.test(file))
+      .sort();
+
+    return files.flatMap(file => this.loadFile(path.join(directory, file)));
+  }
+
+  /**
+   * Load a single CSV or JSON file
+   * @returns {Array<{symbol: string, bars: Array}>}
+   */
+  loadFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf-8');
+    const fallbackSymbol = this.symbolFromFilename(filePath);
+
+    if (/\.json$/i.test(filePath)) {
+      return this.parseJSON(JSON.parse(content), fallbackSymbol);
+    }
+    return this.parseCSV(content, fallbackSymbol);
+  }
+
+  parseCSV(text, fallbackSymbol) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length < 2) return [];
+
+    const header = lines[0].split(',').map(h => h.trim().toLowerCase());
+    const column = name => header.findIndex(h => h === name || (name === 'timestamp' && ['time', 'date', 'datetime'].includes(h)));
+    const indexes = {
+      symbol: column('symbol'),
+      timestamp: column('timestamp'),
+      open: column('open'),
+      high: column('high'),
+      low: column('low'),
+      close: column('close'),
+      volume: column('volume')
+    };
+
+    if ([indexes.timestamp, indexes.open, indexes.high, indexes.low, indexes.close].some(i => i === -1)) {
+      throw new Error(`CSV is missing OHLC columns (header: ${lines[0]})`);
+    }
+
+    const bySymbol = new Map();
+    for (const line of lines.slice(1)) {
+      const cells = line.split(',').map(c => c.trim());
+      const symbol = (indexes.symbol !== -1 && cells[indexes.symbol]) || fallbackSymbol;
+      const bar = this.normalizeBar({
+        timestamp: cells[indexes.timestamp],
+        open: cells[indexes.open],
+        high: cells[indexes.high],
+        low: cells[indexes.low],
+        close: cells[indexes.close],
+        volume: indexes.volume !== -1 ? cells[indexes.volume] : 0
+      });
+
+      if (!bar) continue;
+      if (!bySymbol.has(symbol)) bySymbol.set(symbol, []);
+      bySymbol.get(symbol).push(bar);
+    }
+
+    return this.toDatasets(bySymbol);
+  }
+
+  parseJSON(data, fallbackSymbol) {
+    const datasets = Array.isArray(data) && data.length > 0 && Array.isArray(data[0]?.bars)
+      ? data
+      : [Array.isArray(data) ? { symbol: fallbackSymbol, bars: data } : data];
+
+    const bySymbol = new Map();
+    for (const dataset of datasets) {
+      const symbol = dataset.symbol || fallbackSymbol;
+      const bars = (dataset.bars || []).map(bar => this.normalizeBar(bar)).filter(Boolean);
+      bySymbol.set(symbol, [...(bySymbol.get(symbol) || []), ...bars]);
+    }
+
+    return this.toDatasets(bySymbol);
+  }
+
+  toDatasets(bySymbol) {
+    return Array.from(bySymbol.entries()).map(([symbol, bars]) => ({
+      symbol,
+      bars: bars.sort((a, b) => a.timestamp - b.timestamp)
+    }));
+  }
+
+  /**
+   * Normalize a raw bar; accepts long (open) or short (o) field names
+   * @returns {Object|null} {timestamp, open, high, low, close, volume} or null if invalid
+   */
+  normalizeBar(raw) {
+    const bar = {
+      timestamp: this.parseTimestamp(raw.timestamp ?? raw.time ?? raw.t),
+      open: parseFloat(raw.open ?? raw.o),
+      high: parseFloat(raw.high ?? raw.h),
+      low: parseFloat(raw.low ?? raw.l),
+      close: parseFloat(raw.close ?? raw.c),
+      volume: parseFloat(raw.volume ?? raw.v ?? 0) || 0
+    };
+
+    const valid = [bar.timestamp, bar.open, bar.high, bar.low, bar.close].every(v => typeof v === 'number' && isFinite(v));
+    return valid ? bar : null;
+  }
+
+  parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return NaN;
+
+    const numeric = Number(value);
+    if (!isNaN(numeric)) {
+      // Epoch seconds are < 1e11 until the year 5138
+      return numeric < 1e11 ? numeric * 1000 : numeric;
+    }
+    return new Date(value).getTime();
+  }
+
+  symbolFromFilename(filePath) {
+    const base = path.basename(filePath).replace(/\.(csv|json)$/i, '').toUpperCase();
+    const cryptoMatch = base.match(/^([A-Z0-9]+)[-_](USD|USDT)$/);
+    return cryptoMatch ? `${cryptoMatch[1]}/USD` : base;
+  }
+}
+
+export default new HistoricalDataLoader();
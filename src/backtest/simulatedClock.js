@@ -0,0 +1,23 @@
+/**
+ * Simulated clock for replaying history.
+ * Drop-in for Date.now() via FerrariTradingSystem's `clock` option.
+ */
+export class SimulatedClock {
+  constructor(startTime = 0) {
+    this.currentTime = startTime;
+  }
+
+  now() {
+    return this.currentTime;
+  }
+
+  /**
+   * Move the clock to a timestamp (never backwards)
+   */
+  set(timestamp) {
+    if (timestamp > this.currentTime) {
+      this.currentTime = timestamp;
+    }
+    return this.currentTime;
+  }
+}
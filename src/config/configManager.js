@@ -0,0 +1,653 @@
+/**
+ * RUNTIME CONFIGURATION
+ * =====================
+ *
+ * Engine settings that used to be constructor literals, validated against one schema:
+ * ✓ watchlist, qualityGates, rateLimiting, signalSelection, marketTiming, circuitBreaker, factorWeights
+ * ✓ Layers, later wins: built-in defaults < config file (JSON or YAML) < environment < runtime overrides
+ * ✓ Runtime overrides from the admin API (/api/admin/config) persist across restarts
+ * ✓ Every change is audited (config_audit) and emitted as 'change' so the engine applies it live
+ * ✓ Hot reload: the config file is watched and re-read when it changes
+ *
+ * Config file (config/ferrari.yaml, or FERRARI_CONFIG_FILE):
+ *   watchlist:
+ *     stocks: [AAPL, MSFT]
+ *   qualityGates:
+ *     minimumStrength: 4.5
+ *
+ * Environment overrides name the setting path in upper snake case, segments joined by "__":
+ *   FERRARI__QUALITY_GATES__MINIMUM_STRENGTH=4.5
+ *   FERRARI__WATCHLIST__CRYPTO=BTC/USD,ETH/USD
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+export const DEFAULT_CONFIG_FILE = fileURLToPath(new URL('../../config/ferrari.yaml', import.meta.url));
+
+export const ENV_PREFIX = 'FERRARI__';
+
+// Used for anything the file, environment and overrides leave out
+export const DEFAULT_RUNTIME_CONFIG = {
+  // Symbol universe (71 stocks, 10 crypto)
+  watchlist: {
+    stocks: [
+      // Tech Giants & AI
+      'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'TSLA', 'NVDA', 'AMD', 'INTC', 'IBM',
+      // Software & Cloud
+      'ADBE', 'CRM', 'ORCL', 'NOW', 'WDAY', 'TEAM', 'MDB', 'NET', 'DDOG',
+      // Fintech & Payments
+      'SQ', 'PYPL', 'V', 'MA', 'JPM', 'BAC', 'GS', 'MS',
+      // Entertainment & Streaming
+      'NFLX', 'DIS', 'SPOT', 'ROKU',
+      // E-commerce & Retail
+      'SHOP', 'EBAY', 'ETSY', 'BABA', 'JD', 'PDD',
+      // Healthcare & Biotech
+      'JNJ', 'PFE', 'UNH', 'ABBV', 'TMO', 'DHR',
+      // Consumer & Retail
+      'WMT', 'COST', 'TGT', 'HD', 'LOW', 'MCD', 'SBUX', 'NKE',
+      // Energy & Industrial
+      'XOM', 'CVX', 'GE', 'CAT', 'BA',
+      // Communication & Collaboration
+      'ZOOM', 'DOCU', 'TWLO', 'OKTA', 'SNOW', 'PLTR', 'ZM',
+      // Additional Tech & Networking
+      'CSCO', 'GOOG',
+      // Automotive & Transportation
+      'F', 'GM', 'UBER',
+      // Consumer Staples
+      'KO', 'PEP', 'PG'
+    ],
+    crypto: ['BTC/USD', 'ETH/USD', 'ADA/USD', 'XRP/USD', 'DOT/USD', 'LINK/USD', 'LTC/USD', 'BCH/USD', 'XLM/USD', 'ALGO/USD']
+  },
+
+  // Quality filters
+  qualityGates: {
+    minimumStrength: 4.0,        // Only premium signals
+    minimumRiskReward: 2.5,      // Minimum 1:2.5 R/R
+    minimumVolume: 1000000,      // $1M+ daily volume
+    maximumSpread: 0.02,         // Max 2% bid-ask spread
+    cooldownPeriod: 7200000      // 2 hours between same symbol
+  },
+
+  // Rate limiting per user
+  rateLimiting: {
+    maxDailyTips: 5,             // Maximum 5 tips per user per day
+    maxHourlyTips: 2,            // Maximum 2 tips per hour
+    vipMaxDailyTips: 10,         // VIP users (vipUsers or profile.vip) get more tips
+    vipMaxHourlyTips: 4,
+    priorityThreshold: 4.5,      // Signals above 4.5 bypass the hourly limit
+    vipUsers: []                 // Premium users get more tips
+  },
+
+  // Gated setups are pooled and the best one emitted (see signalCandidatePool.js)
+  signalSelection: {
+    windowMinutes: 15,           // Setups collect this long before the best is emitted
+    maxCandidateAgeMinutes: 30,  // Older setups are dropped unselected
+    maxEntryDrift: 0.25,         // Drop a waiting setup once price moved this share of its risk from entry
+    paceDailyBudget: true,       // Spread maxDailyTips across the regular session
+    burst: 1,                    // Tips allowed ahead of the pace
+    rankWeights: {               // Must sum to 1
+      score: 0.5,
+      riskReward: 0.2,
+      liquidity: 0.15,
+      diversification: 0.15
+    }
+  },
+
+  // Market hours and timing (ET; holidays and early closes come from marketCalendar.js)
+  marketTiming: {
+    preMarketStart: '04:00',     // 4:00 AM ET
+    marketOpen: '09:30',         // 9:30 AM ET
+    marketClose: '16:00',        // 4:00 PM ET (1:00 PM on early-close days)
+    afterHoursEnd: '20:00',      // 8:00 PM ET
+    cryptoAlwaysOn: true         // Crypto trades 24/7
+  },
+
+  // Circuit breaker settings (failure counts and open / closed state live on the engine)
+  circuitBreaker: {
+    finnhub: { timeout: 300000 }, // 5 min timeout
+    alpaca: { timeout: 300000 },
+    binance: { timeout: 180000 }, // 3 min timeout
+    maxFailures: 5,
+    resetTime: 600000            // 10 minutes
+  },
+
+  // Institutional factor weights based on hedge fund research (sum to 1)
+  factorWeights: {
+    momentum: 0.25,              // Price momentum
+    sentiment: 0.20,             // Market sentiment + news
+    insider: 0.15,               // Insider trading patterns
+    technical: 0.15,             // Technical indicators
+    fundamental: 0.15,           // Fundamental analysis
+    flow: 0.10                   // Order flow analysis
+  }
+};
+
+const number = (min = -Infinity, max = Infinity) => ({ type: 'number', min, max });
+const integer = (min = 0, max = Infinity) => ({ type: 'integer', min, max });
+const BOOLEAN = { type: 'boolean' };
+const TIME = { type: 'time' };
+const SYMBOLS = { type: 'symbols' };
+const STRINGS = { type: 'strings' };
+const WEIGHT = number(0, 1);
+
+/**
+ * Every setting that can be configured; anything else is rejected
+ */
+export const CONFIG_SCHEMA = {
+  watchlist: { stocks: SYMBOLS, crypto: SYMBOLS },
+  qualityGates: {
+    minimumStrength: number(0, 5),
+    minimumRiskReward: number(0, 20),
+    minimumVolume: number(0),
+    maximumSpread: number(0, 1),
+    cooldownPeriod: integer()
+  },
+  rateLimiting: {
+    maxDailyTips: integer(),
+    maxHourlyTips: integer(),
+    vipMaxDailyTips: integer(),
+    vipMaxHourlyTips: integer(),
+    priorityThreshold: number(0, 5),
+    vipUsers: STRINGS
+  },
+  signalSelection: {
+    windowMinutes: integer(),
+    maxCandidateAgeMinutes: integer(1),
+    maxEntryDrift: number(0, 1),
+    paceDailyBudget: BOOLEAN,
+    burst: integer(),
+    rankWeights: {
+      score: WEIGHT,
+      riskReward: WEIGHT,
+      liquidity: WEIGHT,
+      diversification: WEIGHT
+    }
+  },
+  marketTiming: {
+    preMarketStart: TIME,
+    marketOpen: TIME,
+    marketClose: TIME,
+    afterHoursEnd: TIME,
+    cryptoAlwaysOn: BOOLEAN
+  },
+  circuitBreaker: {
+    finnhub: { timeout: integer() },
+    alpaca: { timeout: integer() },
+    binance: { timeout: integer() },
+    maxFailures: integer(1),
+    resetTime: integer()
+  },
+  factorWeights: {
+    momentum: WEIGHT,
+    sentiment: WEIGHT,
+    insider: WEIGHT,
+    technical: WEIGHT,
+    fundamental: WEIGHT,
+    flow: WEIGHT
+  }
+};
+
+export const CONFIG_SECTIONS = Object.keys(CONFIG_SCHEMA);
+
+const SYMBOL_PATTERN = /^[A-Z0-9.-]{1,10}(\/[A-Z]{2,5})?$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Config manager options from the environment
+ */
+export function configOptionsFromEnv(env = process.env) {
+  return {
+    file: env.FERRARI_CONFIG_FILE || DEFAULT_CONFIG_FILE,
+    env
+  };
+}
+
+/**
+ * Parse a JSON or YAML config file (by extension; anything but .json is read as YAML)
+ */
+export function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const parsed = path.extname(file).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+  if (parsed === null || parsed === undefined) return {};
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('config file must hold an object of settings');
+  }
+  return parsed;
+}
+
+/**
+ * Normalize and check a partial or full settings object against CONFIG_SCHEMA
+ * @returns {{ value: Object, errors: Array<string> }} Normalized settings (symbols upper-cased, de-duplicated)
+ */
+export function validateSettings(settings, schema = CONFIG_SCHEMA, prefix = '') {
+  const errors = [];
+  const value = {};
+
+  if (!isPlainObject(settings)) {
+    return { value, errors: [`${prefix || 'settings'} must be an object`] };
+  }
+
+  for (const [key, input] of Object.entries(settings)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    const rule = schema[key];
+
+    if (!rule) {
+      errors.push(`${name} is not a known setting`);
+    } else if (!rule.type) {
+      const nested = validateSettings(input, rule, name);
+      errors.push(...nested.errors);
+      value[key] = nested.value;
+    } else {
+      const checked = checkValue(rule, input, name);
+      if (checked.error) errors.push(checked.error);
+      else value[key] = checked.value;
+    }
+  }
+
+  return { value, errors };
+}
+
+/**
+ * Checks across fields of a complete config
+ */
+export function checkConsistency(settings) {
+  const errors = [];
+  const { marketTiming, factorWeights, signalSelection } = settings;
+
+  const sessions = ['preMarketStart', 'marketOpen', 'marketClose', 'afterHoursEnd'];
+  for (let i = 1; i < sessions.length; i++) {
+    if (marketTiming[sessions[i]] < marketTiming[sessions[i - 1]]) {
+      errors.push(`marketTiming.${sessions[i]} (${marketTiming[sessions[i]]}) is before ${sessions[i - 1]} (${marketTiming[sessions[i - 1]]})`);
+    }
+  }
+
+  const totalWeight = Object.values(factorWeights).reduce((sum, weight) => sum + weight, 0);
+  if (Math.abs(totalWeight - 1) > 0.01) {
+    errors.push(`factorWeights must sum to 1 (got ${Math.round(totalWeight * 1000) / 1000})`);
+  }
+
+  const totalRankWeight = Object.values(signalSelection.rankWeights).reduce((sum, weight) => sum + weight, 0);
+  if (Math.abs(totalRankWeight - 1) > 0.01) {
+    errors.push(`signalSelection.rankWeights must sum to 1 (got ${Math.round(totalRankWeight * 1000) / 1000})`);
+  }
+  if (signalSelection.maxCandidateAgeMinutes < signalSelection.windowMinutes) {
+    errors.push(`signalSelection.maxCandidateAgeMinutes (${signalSelection.maxCandidateAgeMinutes}) is shorter than windowMinutes (${signalSelection.windowMinutes})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Overrides from FERRARI__SECTION__SETTING variables
+ * @returns {{ value: Object, errors: Array<string> }}
+ */
+export function envOverrides(env = process.env, schema = CONFIG_SCHEMA, segments = []) {
+  const value = {};
+  const errors = [];
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const pathSegments = [...segments, key];
+    if (!rule.type) {
+      const nested = envOverrides(env, rule, pathSegments);
+      errors.push(...nested.errors);
+      if (Object.keys(nested.value).length > 0) value[key] = nested.value;
+      continue;
+    }
+
+    const name = envName(pathSegments);
+    if (env[name] === undefined || env[name] === '') continue;
+
+    const checked = checkValue(rule, parseEnvValue(rule, env[name]), pathSegments.join('.'));
+    if (checked.error) errors.push(`${name}: ${checked.error}`);
+    else value[key] = checked.value;
+  }
+
+  return { value, errors };
+}
+
+/**
+ * ['qualityGates', 'minimumStrength'] -> FERRARI__QUALITY_GATES__MINIMUM_STRENGTH
+ */
+export function envName(segments) {
+  return ENV_PREFIX + segments.map(segment => segment.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()).join('__');
+}
+
+/**
+ * Layer overrides onto a base config; objects merge, everything else (lists included) replaces
+ */
+export function mergeSettings(base, ...layers) {
+  const result = clone(base);
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      result[key] = isPlainObject(value) && isPlainObject(result[key]) ? mergeSettings(result[key], value) : clone(value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Every leaf that differs between two configs
+ * @returns {Array<{ path: string, from: *, to: * }>}
+ */
+export function diffSettings(before, after, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    const from = before?.[key];
+    const to = after?.[key];
+    if (isPlainObject(from) && isPlainObject(to)) {
+      changes.push(...diffSettings(from, to, name));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path: name, from: from === undefined ? null : clone(from), to: to === undefined ? null : clone(to) });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Copy configured values into a live object in place, leaving keys the source
+ * does not have (e.g. circuit breaker state) untouched
+ */
+export function assignSettings(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      assignSettings(target[key], value);
+    } else {
+      target[key] = clone(value);
+    }
+  }
+  return target;
+}
+
+export class ConfigManager extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.file - JSON / YAML config file (missing file = defaults)
+   * @param {Object} options.env - Environment for FERRARI__* overrides
+   * @param {Object} options.defaults - Base settings (defaults to DEFAULT_RUNTIME_CONFIG)
+   * @param {Object} options.repository - ConfigRepository for runtime overrides and the audit log
+   * @param {number} options.watchInterval - File polling interval in ms for hot reload
+   * @param {Function} options.now - Clock
+   */
+  constructor({ file = null, env = {}, defaults = DEFAULT_RUNTIME_CONFIG, repository = null, watchInterval = 2000, now = () => Date.now() } = {}) {
+    super();
+    this.file = file;
+    this.env = env;
+    this.defaults = defaults;
+    this.repository = repository;
+    this.watchInterval = watchInterval;
+    this.now = now;
+    this.layers = { file: {}, env: {}, runtime: {} };
+    this.settings = clone(defaults);
+    this.watching = false;
+
+    this.load();
+  }
+
+  /**
+   * Read the file and environment layers (synchronous, so the engine has settings in its constructor)
+   */
+  load() {
+    this.layers.file = this.readFileLayer();
+
+    const fromEnv = envOverrides(this.env);
+    fromEnv.errors.forEach(error => console.error(`❌ Ignoring config override ${error}`));
+    this.layers.env = fromEnv.value;
+
+    const { settings, errors } = this.compose(this.layers);
+    if (errors.length > 0) {
+      console.error(`❌ Config file and environment overrides are inconsistent (${errors.join('; ')}) - using the built-in defaults`);
+      this.layers.file = {};
+      this.layers.env = {};
+      this.settings = clone(this.defaults);
+    } else {
+      this.settings = settings;
+    }
+    return this.getAll();
+  }
+
+  readFileLayer() {
+    if (!this.file) return {};
+    if (!fs.existsSync(this.file)) {
+      console.warn(`⚠️ Config file ${this.file} not found - using the built-in defaults`);
+      return {};
+    }
+
+    try {
+      const { value, errors } = validateSettings(readConfigFile(this.file));
+      if (errors.length > 0) {
+        console.error(`❌ Invalid config file ${this.file}: ${errors.join('; ')} - ignoring it`);
+        return {};
+      }
+      return value;
+    } catch (error) {
+      console.error(`❌ Failed to read config file ${this.file}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Merge layers over the defaults and run the cross-field checks
+   */
+  compose(layers) {
+    const settings = mergeSettings(this.defaults, layers.file, layers.env, layers.runtime);
+    return { settings, errors: checkConsistency(settings) };
+  }
+
+  useRepository(repository) {
+    this.repository = repository;
+    return this;
+  }
+
+  get(section) {
+    return clone(this.settings[section]);
+  }
+
+  getAll() {
+    return clone(this.settings);
+  }
+
+  /**
+   * Where the current settings come from, for the admin API
+   */
+  describe() {
+    return {
+      file: this.file,
+      watching: this.watching,
+      sections: CONFIG_SECTIONS,
+      fileOverrides: clone(this.layers.file),
+      envOverrides: clone(this.layers.env),
+      runtimeOverrides: clone(this.layers.runtime)
+    };
+  }
+
+  /**
+   * Re-apply runtime overrides saved by a previous process
+   */
+  async restoreOverrides() {
+    if (!this.repository) return this.getAll();
+
+    try {
+      const saved = await this.repository.getOverrides();
+      if (!saved || Object.keys(saved).length === 0) return this.getAll();
+
+      const { value, errors } = validateSettings(saved);
+      if (errors.length > 0) {
+        console.error(`❌ Dropping invalid saved config overrides: ${errors.join('; ')}`);
+      }
+      await this.applyLayers({ ...this.layers, runtime: value }, { actor: 'system', source: 'restore', audit: false });
+      console.log(`⚙️ Restored ${diffSettings({}, value).length} runtime config override(s)`);
+    } catch (error) {
+      console.error('❌ Failed to restore runtime config overrides:', error.message);
+    }
+    return this.getAll();
+  }
+
+  /**
+   * Change settings at runtime. Changes stack on earlier runtime overrides and win over file and env.
+   * @param {Object} changes - Partial settings, e.g. { qualityGates: { minimumStrength: 4.5 } }
+   * @param {Object} meta - { actor, reason } for the audit log
+   * @returns {Promise<{ applied: boolean, errors: Array<string>, changes: Array<Object> }>}
+   */
+  async update(changes, { actor = 'admin', reason = null } = {}) {
+    const { value, errors } = validateSettings(changes);
+    if (errors.length > 0) {
+      return { applied: false, errors, changes: [] };
+    }
+
+    const layers = { ...this.layers, runtime: mergeSettings(this.layers.runtime, value) };
+    return this.applyLayers(layers, { actor, reason, source: 'runtime' });
+  }
+
+  /**
+   * Add / remove watchlist symbols for one asset class
+   */
+  async updateWatchlist(assetClass, { add = [], remove = [] } = {}, meta = {}) {
+    if (!CONFIG_SCHEMA.watchlist[assetClass]) {
+      return { applied: false, errors: [`Unknown asset class ${assetClass}`], changes: [] };
+    }
+
+    const normalize = symbols => [].concat(symbols).map(symbol => String(symbol).trim().toUpperCase());
+    const removed = new Set(normalize(remove));
+    const symbols = [...this.settings.watchlist[assetClass].filter(symbol => !removed.has(symbol)), ...normalize(add)];
+    return this.update({ watchlist: { [assetClass]: symbols } }, meta);
+  }
+
+  /**
+   * Drop runtime overrides (all of them, or the given sections) back to file / env / defaults
+   */
+  async resetOverrides(sections = null, meta = {}) {
+    const runtime = sections
+      ? Object.fromEntries(Object.entries(this.layers.runtime).filter(([section]) => !sections.includes(section)))
+      : {};
+    return this.applyLayers({ ...this.layers, runtime }, { actor: 'admin', ...meta, source: 'reset' });
+  }
+
+  /**
+   * Re-read the config file (hot reload)
+   */
+  async reload({ actor = 'file', reason = null } = {}) {
+    const file = this.readFileLayer();
+    return this.applyLayers({ ...this.layers, file }, { actor, reason, source: 'file' });
+  }
+
+  /**
+   * Swap in new layers when the result is consistent, then persist, audit and emit the diff
+   */
+  async applyLayers(layers, { actor, reason = null, source, audit = true }) {
+    const { settings, errors } = this.compose(layers);
+    if (errors.length > 0) {
+      return { applied: false, errors, changes: [] };
+    }
+
+    const changes = diffSettings(this.settings, settings);
+    const runtimeChanged = JSON.stringify(layers.runtime) !== JSON.stringify(this.layers.runtime);
+    this.layers = layers;
+    this.settings = settings;
+
+    if (this.repository) {
+      try {
+        if (runtimeChanged && source !== 'restore') {
+          await this.repository.saveOverrides(layers.runtime);
+        }
+        if (audit && changes.length > 0) {
+          await this.repository.recordChange({ actor, reason, source, changes });
+        }
+      } catch (error) {
+        console.error('❌ Failed to persist config change:', error.message);
+      }
+    }
+
+    if (changes.length > 0) {
+      console.log(`⚙️ Config updated by ${actor} (${source}): ${changes.map(change => change.path).join(', ')}`);
+      const sections = [...new Set(changes.map(change => change.path.split('.')[0]))];
+      try {
+        this.emit('change', { changes, sections, settings: this.getAll(), actor, source });
+      } catch (error) {
+        console.error('❌ Error applying config change:', error);
+      }
+    }
+
+    return { applied: true, errors: [], changes };
+  }
+
+  /**
+   * Poll the config file and reload on change
+   */
+  watch() {
+    if (!this.file || this.watching) return this;
+
+    fs.watchFile(this.file, { interval: this.watchInterval, persistent: false }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      console.log(`🔄 Config file ${this.file} changed - reloading`);
+      this.reload().catch(error => console.error('❌ Config reload failed:', error.message));
+    });
+    this.watching = true;
+    return this;
+  }
+
+  stop() {
+    if (this.watching) {
+      fs.unwatchFile(this.file);
+      this.watching = false;
+    }
+  }
+}
+
+function checkValue(rule, input, name) {
+  switch (rule.type) {
+    case 'number':
+    case 'integer': {
+      if (typeof input !== 'number' || !isFinite(input)) return { error: `${name} must be a number` };
+      if (rule.type === 'integer' && !Number.isInteger(input)) return { error: `${name} must be a whole number` };
+      if (input < rule.min || input > rule.max) {
+        return { error: `${name} must be between ${rule.min} and ${rule.max === Infinity ? '∞' : rule.max}` };
+      }
+      return { value: input };
+    }
+    case 'boolean':
+      return typeof input === 'boolean' ? { value: input } : { error: `${name} must be true or false` };
+    case 'time':
+      return typeof input === 'string' && TIME_PATTERN.test(input) ? { value: input } : { error: `${name} must be a time "HH:MM"` };
+    case 'strings':
+      if (!Array.isArray(input) || input.some(item => typeof item !== 'string')) return { error: `${name} must be a list of strings` };
+      return { value: [...new Set(input.map(item => item.trim()).filter(Boolean))] };
+    case 'symbols': {
+      if (!Array.isArray(input) || input.some(item => typeof item !== 'string')) return { error: `${name} must be a list of symbols` };
+      const symbols = [...new Set(input.map(item => item.trim().toUpperCase()).filter(Boolean))];
+      const invalid = symbols.filter(symbol => !SYMBOL_PATTERN.test(symbol));
+      return invalid.length > 0 ? { error: `${name} has invalid symbols: ${invalid.join(', ')}` } : { value: symbols };
+    }
+    default:
+      return { error: `${name} has an unknown type` };
+  }
+}
+
+function parseEnvValue(rule, raw) {
+  switch (rule.type) {
+    case 'number':
+    case 'integer':
+      return Number(raw);
+    case 'boolean':
+      return raw === 'true' ? true : raw === 'false' ? false : raw;
+    case 'strings':
+    case 'symbols':
+      return raw.split(',');
+    default:
+      return raw;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
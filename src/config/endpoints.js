@@ -0,0 +1,52 @@
+/**
+ * Market Data Endpoints
+ * Every provider URL can be overridden from the environment so the feeds
+ * and REST calls can point at the local mock exchange (npm run mock-exchange)
+ * or a proxy.
+ *
+ *   MOCK_EXCHANGE_URL=http://localhost:8090   - route every provider to the mock server
+ *   ALPACA_STREAM_URL / ALPACA_DATA_URL       - per-URL overrides (win over MOCK_EXCHANGE_URL)
+ *   BINANCE_STREAM_URL / BINANCE_REST_URL
+ *   FINNHUB_STREAM_URL / FINNHUB_REST_URL
+ *
+ * Values are read on access, so overrides set after import still apply.
+ */
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+function resolve(name, production, mockPath, protocol = 'http') {
+  if (process.env[name]) return process.env[name];
+
+  const mockUrl = process.env.MOCK_EXCHANGE_URL;
+  if (mockUrl) {
+    const base = mockUrl.replace(/\/$/, '');
+    return protocol === 'ws' ? `${base.replace(/^http/, 'ws')}${mockPath}` : `${base}${mockPath}`;
+  }
+
+  return production;
+}
+
+const endpoints = {
+  get alpacaStreamUrl() {
+    return resolve('ALPACA_STREAM_URL', 'wss://stream.data.alpaca.markets/v2/iex', '/alpaca/v2/iex', 'ws');
+  },
+  get alpacaDataUrl() {
+    return resolve('ALPACA_DATA_URL', 'https://data.alpaca.markets', '');
+  },
+  get binanceStreamUrl() {
+    return resolve('BINANCE_STREAM_URL', 'wss://stream.binance.com:9443/ws', '/binance/ws', 'ws');
+  },
+  get binanceRestUrl() {
+    return resolve('BINANCE_REST_URL', 'https://api.binance.com', '');
+  },
+  get finnhubStreamUrl() {
+    return resolve('FINNHUB_STREAM_URL', 'wss://ws.finnhub.io', '/finnhub', 'ws');
+  },
+  get finnhubRestUrl() {
+    return resolve('FINNHUB_REST_URL', 'https://finnhub.io/api/v1', '/api/v1');
+  }
+};
+
+export default endpoints;
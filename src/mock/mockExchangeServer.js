@@ -0,0 +1,482 @@
+/**
+ * MOCK EXCHANGE SERVER
+ * ====================
+ *
+ * Local stand-in for Alpaca, Finnhub and Binance so every feed can be tested
+ * end-to-end without credentials or network:
+ * ✓ Alpaca v2 stream   ws  /alpaca/v2/iex    (auth → subscribe → t / q frames)
+ * ✓ Finnhub stream     ws  /finnhub?token=   (subscribe → trade batches)
+ * ✓ Binance stream     ws  /binance/ws       (SUBSCRIBE → @trade / @bookTicker)
+ *                          /binance/ws/btcusdt@trade/...  (streams in the path)
+ * ✓ REST history       GET /v2/stocks/{sym}/bars, /api/v1/stock/candle, /api/v3/klines
+ * ✓ REST extras        GET /api/v1/quote, /api/v3/ticker/price, Finnhub news / insider / metric (empty)
+ *
+ * Prices come from recorded fixtures (bars per symbol, see
+ * src/backtest/historicalDataLoader.js) or a seeded random walk.
+ * Point the app at it with MOCK_EXCHANGE_URL (see src/config/endpoints.js).
+ */
+
+import http from 'http';
+import { WebSocketServer } from 'ws';
+
+const MINUTE = 60 * 1000;
+
+const TIMEFRAMES = {
+  alpaca: { '1Min': MINUTE, '5Min': 5 * MINUTE, '15Min': 15 * MINUTE, '30Min': 30 * MINUTE, '1Hour': 60 * MINUTE, '1Day': 1440 * MINUTE },
+  finnhub: { '1': MINUTE, '5': 5 * MINUTE, '15': 15 * MINUTE, '30': 30 * MINUTE, '60': 60 * MINUTE, 'D': 1440 * MINUTE },
+  binance: { '1m': MINUTE, '5m': 5 * MINUTE, '15m': 15 * MINUTE, '30m': 30 * MINUTE, '1h': 60 * MINUTE, '4h': 240 * MINUTE, '1d': 1440 * MINUTE }
+};
+
+const START_PRICES = { 'BTC/USD': 60000, 'ETH/USD': 3000, 'LTC/USD': 80, 'BCH/USD': 400 };
+
+/**
+ * Deterministic PRNG so a seed reproduces the same market
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString(text) {
+  let hash = 2166136261;
+  for (const char of text) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+}
+
+export class MockExchangeServer {
+  /**
+   * @param {Object} options
+   * @param {number} options.port - Listen port (0 = random free port)
+   * @param {string} options.host - Listen host
+   * @param {Array<{symbol, bars}>} options.fixtures - Recorded bars to replay instead of a random walk
+   * @param {number} options.tickInterval - ms between streamed ticks per symbol
+   * @param {number} options.seed - Random walk seed
+   * @param {number} options.historyMinutes - Minutes of 1m history generated for the random walk
+   * @param {boolean} options.quiet - Suppress connection logs
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 8090;
+    this.host = options.host || '127.0.0.1';
+    this.tickInterval = options.tickInterval || 1000;
+    this.seed = options.seed ?? 42;
+    this.historyMinutes = options.historyMinutes || 7 * 24 * 60;
+    this.quiet = !!options.quiet;
+
+    this.fixtures = new Map((options.fixtures || []).map(({ symbol, bars }) => [symbol, bars]));
+    this.markets = new Map(); // symbol -> { bars, price, random, cursor, step }
+    this.clients = new Set(); // { protocol, socket, symbols, channels, authenticated }
+    this.server = null;
+    this.wss = null;
+    this.ticker = null;
+    this.tradeId = 0;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handleHttp(req, res));
+    this.wss = new WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    this.port = this.server.address().port;
+    this.ticker = setInterval(() => this.broadcastTicks(), this.tickInterval);
+    this.log(`🧪 Mock exchange listening on ${this.url}`);
+    return this;
+  }
+
+  async stop() {
+    clearInterval(this.ticker);
+    this.ticker = null;
+    for (const client of this.clients) {
+      client.socket.terminate();
+    }
+    this.clients.clear();
+    if (this.wss) this.wss.close();
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+    this.log('🧪 Mock exchange stopped');
+  }
+
+  get url() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  log(...args) {
+    if (!this.quiet) console.log(...args);
+  }
+
+  // ===== Price simulation =====
+
+  market(symbol) {
+    if (this.markets.has(symbol)) return this.markets.get(symbol);
+
+    const random = mulberry32(this.seed ^ hashString(symbol));
+    let bars;
+
+    if (this.fixtures.has(symbol)) {
+      bars = this.fixtures.get(symbol).map(bar => ({ ...bar }));
+    } else {
+      bars = this.generateHistory(symbol, random);
+    }
+
+    const market = { bars, random, cursor: 0, step: 0, price: bars[bars.length - 1]?.close ?? 100 };
+    this.markets.set(symbol, market);
+    return market;
+  }
+
+  generateHistory(symbol, random) {
+    const isCrypto = symbol.includes('/');
+    let price = START_PRICES[symbol] || (isCrypto ? 1 + (hashString(symbol) % 100) : 50 + (hashString(symbol) % 400));
+    const end = Math.floor(Date.now() / MINUTE) * MINUTE;
+    const bars = [];
+
+    for (let i = this.historyMinutes; i > 0; i--) {
+      const open = price;
+      price = this.randomStep(price, random, isCrypto);
+      const wick = Math.abs(price - open) * random();
+      bars.push({
+        timestamp: end - i * MINUTE,
+        open,
+        high: Math.max(open, price) + wick,
+        low: Math.min(open, price) - wick,
+        close: price,
+        volume: Math.round(1000 + random() * 9000)
+      });
+    }
+    return bars;
+  }
+
+  randomStep(price, random, isCrypto) {
+    const volatility = isCrypto ? 0.002 : 0.0015;
+    // Sum of uniforms ~ normal
+    const shock = (random() + random() + random() - 1.5) * 2 * volatility;
+    return Math.max(0.01, price * (1 + shock));
+  }
+
+  /**
+   * Advance a symbol one tick. Fixtures replay O, H, L, C per bar and loop.
+   */
+  nextTick(symbol) {
+    const market = this.market(symbol);
+    const now = Date.now();
+
+    if (this.fixtures.has(symbol)) {
+      const bar = market.bars[market.cursor % market.bars.length];
+      market.price = [bar.open, bar.high, bar.low, bar.close][market.step];
+      market.step = (market.step + 1) % 4;
+      if (market.step === 0) market.cursor++;
+    } else {
+      market.price = this.randomStep(market.price, market.random, symbol.includes('/'));
+      this.appendToHistory(market, market.price, now);
+    }
+
+    const spread = market.price * 0.0002;
+    return {
+      symbol,
+      price: market.price,
+      volume: Math.round(1 + market.random() * 500),
+      bid: market.price - spread / 2,
+      ask: market.price + spread / 2,
+      timestamp: now
+    };
+  }
+
+  appendToHistory(market, price, timestamp) {
+    const minute = Math.floor(timestamp / MINUTE) * MINUTE;
+    const last = market.bars[market.bars.length - 1];
+
+    if (last && last.timestamp === minute) {
+      last.high = Math.max(last.high, price);
+      last.low = Math.min(last.low, price);
+      last.close = price;
+      last.volume += 100;
+    } else {
+      market.bars.push({ timestamp: minute, open: price, high: price, low: price, close: price, volume: 100 });
+      if (market.bars.length > this.historyMinutes) market.bars.shift();
+    }
+  }
+
+  /**
+   * Bars for a symbol at the requested interval (newest last)
+   */
+  getBars(symbol, intervalMs, limit = 100) {
+    const { bars } = this.market(symbol);
+    const resampled = [];
+
+    for (const bar of bars) {
+      const bucket = Math.floor(bar.timestamp / intervalMs) * intervalMs;
+      const current = resampled[resampled.length - 1];
+      if (current && current.timestamp === bucket) {
+        current.high = Math.max(current.high, bar.high);
+        current.low = Math.min(current.low, bar.low);
+        current.close = bar.close;
+        current.volume += bar.volume;
+      } else {
+        resampled.push({ ...bar, timestamp: bucket });
+      }
+    }
+
+    return resampled.slice(-limit);
+  }
+
+  // ===== REST =====
+
+  handleHttp(req, res) {
+    const url = new URL(req.url, this.url);
+    const query = Object.fromEntries(url.searchParams);
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      const alpacaBars = url.pathname.match(/^\/v2\/stocks\/([^/]+)\/bars$/);
+      if (alpacaBars) {
+        if (!req.headers['apca-api-key-id'] || !req.headers['apca-api-secret-key']) {
+          return send(401, { message: 'unauthorized' });
+        }
+        const symbol = decodeURIComponent(alpacaBars[1]).toUpperCase();
+        const interval = TIMEFRAMES.alpaca[query.timeframe];
+        if (!interval) return send(422, { message: `invalid timeframe: ${query.timeframe}` });
+        const bars = this.getBars(symbol, interval, parseInt(query.limit) || 1000).map(bar => ({
+          t: new Date(bar.timestamp).toISOString(),
+          o: bar.open, h: bar.high, l: bar.low, c: bar.close, v: bar.volume
+        }));
+        return send(200, { bars, symbol, next_page_token: null });
+      }
+
+      switch (url.pathname) {
+        case '/api/v1/stock/candle': {
+          if (!query.token) return send(401, { error: 'Please use an API key.' });
+          const interval = TIMEFRAMES.finnhub[query.resolution];
+          if (!interval) return send(422, { error: `Unsupported resolution: ${query.resolution}` });
+          const bars = this.getBars(query.symbol, interval, parseInt(query.count) || 500);
+          if (bars.length === 0) return send(200, { s: 'no_data' });
+          return send(200, {
+            s: 'ok',
+            t: bars.map(bar => Math.floor(bar.timestamp / 1000)),
+            o: bars.map(bar => bar.open),
+            h: bars.map(bar => bar.high),
+            l: bars.map(bar => bar.low),
+            c: bars.map(bar => bar.close),
+            v: bars.map(bar => bar.volume)
+          });
+        }
+
+        case '/api/v3/klines': {
+          const interval = TIMEFRAMES.binance[query.interval];
+          if (!interval) return send(400, { code: -1120, msg: 'Invalid interval.' });
+          const bars = this.getBars(this.fromBinanceSymbol(query.symbol), interval, parseInt(query.limit) || 500);
+          return send(200, bars.map(bar => [
+            bar.timestamp, String(bar.open), String(bar.high), String(bar.low), String(bar.close), String(bar.volume),
+            bar.timestamp + interval - 1, String(bar.volume * bar.close), 1, '0', '0', '0'
+          ]));
+        }
+
+        case '/api/v1/quote': {
+          const market = this.market(query.symbol);
+          const previous = market.bars[Math.max(0, market.bars.length - 1440)]?.close ?? market.price;
+          return send(200, {
+            c: market.price,
+            d: market.price - previous,
+            dp: ((market.price - previous) / previous) * 100,
+            pc: previous,
+            t: Math.floor(Date.now() / 1000)
+          });
+        }
+
+        case '/api/v3/ticker/price':
+          return send(200, { symbol: query.symbol, price: String(this.market(this.fromBinanceSymbol(query.symbol)).price) });
+
+        case '/api/v1/company-news':
+          return send(200, []);
+
+        case '/api/v1/stock/insider-transactions':
+          return send(200, { data: [], symbol: query.symbol });
+
+        case '/api/v1/stock/metric':
+          return send(200, { metric: {}, symbol: query.symbol });
+
+        default:
+          return send(404, { error: `No mock for ${url.pathname}` });
+      }
+    } catch (error) {
+      console.error('❌ Mock exchange request failed:', error);
+      return send(500, { error: error.message });
+    }
+  }
+
+  // ===== WebSocket =====
+
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, this.url);
+    let protocol = null;
+    let streams = [];
+
+    if (url.pathname === '/alpaca/v2/iex' || url.pathname === '/v2/iex') {
+      protocol = 'alpaca';
+    } else if (url.pathname === '/finnhub') {
+      if (!url.searchParams.get('token')) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+      protocol = 'finnhub';
+    } else if (url.pathname.startsWith('/binance/ws')) {
+      protocol = 'binance';
+      streams = url.pathname.slice('/binance/ws'.length).split('/').filter(Boolean);
+    }
+
+    if (!protocol) {
+      socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, ws => {
+      const client = { protocol, socket: ws, symbols: new Set(), quotes: new Set(), authenticated: false };
+      this.clients.add(client);
+      this.log(`🧪 ${protocol} client connected`);
+
+      if (protocol === 'alpaca') this.sendJSON(client, [{ T: 'success', msg: 'connected' }]);
+      if (protocol === 'binance') this.subscribeBinance(client, streams);
+
+      ws.on('message', raw => {
+        let msg;
+        try {
+          msg = JSON.parse(raw.toString());
+        } catch (error) {
+          return this.sendJSON(client, { error: 'invalid JSON' });
+        }
+        this.handleClientMessage(client, msg);
+      });
+      ws.on('close', () => this.clients.delete(client));
+      ws.on('error', () => this.clients.delete(client));
+    });
+  }
+
+  handleClientMessage(client, msg) {
+    switch (client.protocol) {
+      case 'alpaca':
+        return this.handleAlpacaMessage(client, msg);
+      case 'finnhub':
+        if (msg.type === 'subscribe') client.symbols.add(msg.symbol);
+        if (msg.type === 'unsubscribe') client.symbols.delete(msg.symbol);
+        return;
+      case 'binance':
+        if (msg.method === 'SUBSCRIBE') this.subscribeBinance(client, msg.params || []);
+        if (msg.method === 'UNSUBSCRIBE') this.unsubscribeBinance(client, msg.params || []);
+        return this.sendJSON(client, { result: null, id: msg.id });
+    }
+  }
+
+  handleAlpacaMessage(client, msg) {
+    if (msg.action === 'auth') {
+      if (msg.key && msg.secret) {
+        client.authenticated = true;
+        return this.sendJSON(client, [{ T: 'success', msg: 'authenticated' }]);
+      }
+      return this.sendJSON(client, [{ T: 'error', code: 402, msg: 'auth failed' }]);
+    }
+
+    if (!client.authenticated) {
+      return this.sendJSON(client, [{ T: 'error', code: 401, msg: 'not authenticated' }]);
+    }
+
+    const apply = (list, set) => (list || []).forEach(symbol => (msg.action === 'subscribe' ? set.add(symbol) : set.delete(symbol)));
+    if (msg.action === 'subscribe' || msg.action === 'unsubscribe') {
+      apply(msg.trades, client.symbols);
+      apply(msg.quotes, client.quotes);
+      return this.sendJSON(client, [{ T: 'subscription', trades: [...client.symbols], quotes: [...client.quotes], bars: [] }]);
+    }
+
+    return this.sendJSON(client, [{ T: 'error', code: 400, msg: 'invalid syntax' }]);
+  }
+
+  subscribeBinance(client, streams) {
+    for (const stream of streams) {
+      const [pair, type] = stream.split('@');
+      const symbol = this.fromBinanceSymbol(pair);
+      if (type === 'trade') client.symbols.add(symbol);
+      if (type === 'bookTicker') client.quotes.add(symbol);
+    }
+  }
+
+  unsubscribeBinance(client, streams) {
+    for (const stream of streams) {
+      const [pair, type] = stream.split('@');
+      const symbol = this.fromBinanceSymbol(pair);
+      if (type === 'trade') client.symbols.delete(symbol);
+      if (type === 'bookTicker') client.quotes.delete(symbol);
+    }
+  }
+
+  broadcastTicks() {
+    const symbols = new Set();
+    for (const client of this.clients) {
+      client.symbols.forEach(symbol => symbols.add(symbol));
+      client.quotes.forEach(symbol => symbols.add(symbol));
+    }
+
+    for (const symbol of symbols) {
+      const tick = this.nextTick(symbol);
+      for (const client of this.clients) {
+        if (client.symbols.has(symbol)) this.sendTrade(client, tick);
+        if (client.quotes.has(symbol)) this.sendQuote(client, tick);
+      }
+    }
+  }
+
+  sendTrade(client, tick) {
+    const id = ++this.tradeId;
+    switch (client.protocol) {
+      case 'alpaca':
+        return this.sendJSON(client, [{ T: 't', S: tick.symbol, i: id, x: 'V', p: tick.price, s: tick.volume, t: new Date(tick.timestamp).toISOString(), c: ['@'], z: 'C' }]);
+      case 'finnhub':
+        return this.sendJSON(client, { type: 'trade', data: [{ s: tick.symbol, p: tick.price, v: tick.volume, t: tick.timestamp, c: null }] });
+      case 'binance':
+        return this.sendJSON(client, {
+          e: 'trade', E: tick.timestamp, s: this.toBinanceSymbol(tick.symbol), t: id,
+          p: tick.price.toFixed(8), q: String(tick.volume), T: tick.timestamp, m: false, M: true
+        });
+    }
+  }
+
+  sendQuote(client, tick) {
+    switch (client.protocol) {
+      case 'alpaca':
+        return this.sendJSON(client, [{ T: 'q', S: tick.symbol, bp: tick.bid, bs: 1, ap: tick.ask, as: 1, t: new Date(tick.timestamp).toISOString() }]);
+      case 'binance':
+        return this.sendJSON(client, {
+          u: ++this.tradeId, s: this.toBinanceSymbol(tick.symbol),
+          b: tick.bid.toFixed(8), B: '1', a: tick.ask.toFixed(8), A: '1'
+        });
+    }
+  }
+
+  sendJSON(client, payload) {
+    if (client.socket.readyState === client.socket.OPEN) {
+      client.socket.send(JSON.stringify(payload));
+    }
+  }
+
+  toBinanceSymbol(symbol) {
+    return symbol.replace('/', '').replace(/USD$/, 'USDT');
+  }
+
+  fromBinanceSymbol(symbol) {
+    return String(symbol).toUpperCase().replace(/USDT$/, '/USD');
+  }
+}
@@ -0,0 +1,102 @@
+import express from 'express';
+import crypto from 'crypto';
+import { CONFIG_SCHEMA } from '../config/configManager.js';
+
+/**
+ * Admin API for runtime settings (see src/config/configManager.js).
+ * Every request needs ADMIN_API_TOKEN as "Authorization: Bearer <token>";
+ * without a configured token the API is refused. Changes are audited with
+ * the X-Admin-User and X-Change-Reason headers.
+ *
+ *   GET    /config                      - current settings and where overrides come from
+ *   GET    /config/schema               - settings that can be changed
+ *   PATCH  /config                      - partial settings, e.g. { "qualityGates": { "minimumStrength": 4.5 } }
+ *   POST   /config/watchlist/:assetClass - { "add": ["CRWD"], "remove": ["ZOOM"] }
+ *   DELETE /config/overrides            - drop runtime overrides (?section=qualityGates for one section)
+ *   POST   /config/reload               - re-read the config file
+ *   GET    /config/audit                - change log, newest first
+ *
+ * @param {Object} options
+ * @param {Function} options.getConfigManager - Returns the ConfigManager, or null while the system is starting
+ * @param {string|null} options.token - ADMIN_API_TOKEN
+ */
+export function createAdminConfigRouter({ getConfigManager, token = null }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!token) {
+      return res.status(503).json({ status: 'error', message: 'Admin API not configured' });
+    }
+
+    const provided = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    const left = Buffer.from(provided);
+    const right = Buffer.from(token);
+    if (left.length !== right.length || !crypto.timingSafeEqual(left, right)) {
+      console.warn(`🚫 Admin API request rejected from ${req.ip}`);
+      return res.status(401).json({ status: 'error', message: 'Unauthorized' });
+    }
+    next();
+  });
+
+  // Settings are served once the Ferrari system (and its config manager) exists
+  const withConfig = handler => async (req, res) => {
+    const config = getConfigManager();
+    if (!config) {
+      return res.status(503).json({ status: 'error', message: 'Ferrari system is initializing' });
+    }
+
+    try {
+      await handler(config, req, res);
+    } catch (error) {
+      // Details stay in the server log: storage errors can name paths, hosts or credentials
+      console.error(`Error serving ${req.originalUrl}:`, error);
+      res.status(500).json({ status: 'error', message: 'Internal server error' });
+    }
+  };
+
+  const auditMeta = req => ({
+    actor: req.get('x-admin-user') || 'admin',
+    reason: req.get('x-change-reason') || null
+  });
+
+  const respond = (res, result) => {
+    if (!result.applied) {
+      return res.status(400).json({ status: 'error', message: 'Invalid settings', errors: result.errors });
+    }
+    res.json({ status: 'success', changes: result.changes });
+  };
+
+  router.get('/config', withConfig(async (config, req, res) => {
+    res.json({ status: 'success', config: config.getAll(), sources: config.describe() });
+  }));
+
+  router.get('/config/schema', (req, res) => {
+    res.json({ status: 'success', schema: CONFIG_SCHEMA });
+  });
+
+  router.patch('/config', withConfig(async (config, req, res) => {
+    respond(res, await config.update(req.body || {}, auditMeta(req)));
+  }));
+
+  router.post('/config/watchlist/:assetClass', withConfig(async (config, req, res) => {
+    const { add = [], remove = [] } = req.body || {};
+    respond(res, await config.updateWatchlist(req.params.assetClass, { add, remove }, auditMeta(req)));
+  }));
+
+  router.delete('/config/overrides', withConfig(async (config, req, res) => {
+    const sections = req.query.section ? [].concat(req.query.section) : null;
+    respond(res, await config.resetOverrides(sections, auditMeta(req)));
+  }));
+
+  router.post('/config/reload', withConfig(async (config, req, res) => {
+    respond(res, await config.reload(auditMeta(req)));
+  }));
+
+  router.get('/config/audit', withConfig(async (config, req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const changes = config.repository ? await config.repository.listChanges({ limit }) : [];
+    res.json({ status: 'success', changes, count: changes.length });
+  }));
+
+  return router;
+}
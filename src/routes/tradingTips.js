@@ -1,210 +1,119 @@
-const express = require('express');
-const router = express.Router();
-const admin = require('firebase-admin');
+import express from 'express';
 
-// Initialize Firebase if not already done
-let db;
-try {
-  db = admin.firestore();
-} catch (error) {
-  console.log('Firebase not initialized in routes, using test mode');
+// "Strength ≥4.0, R/R ≥2.5:1" from the live qualityGates settings
+function describeQualityGate(gates) {
+  if (!gates) return null;
+  return `Strength ≥${Number(gates.minimumStrength).toFixed(1)}, R/R ≥${gates.minimumRiskReward}:1`;
 }
 
-// Get latest Ferrari trading tips
-router.get('/', async (req, res) => {
-  try {
-    const { limit = 20, timeframe, symbol } = req.query;
-    
-    if (!db) {
-      return res.json({
-        status: 'success',
-        message: 'Ferrari Trading Tips API - Test Mode',
-        tips: [],
-        system: 'Ferrari v1.0',
-        testMode: true
+/**
+ * Ferrari trading tips API, backed by the tip history store (trading_tips/{trackingId})
+ * @param {Function} getTipHistory - Returns the TipHistoryStore, or null while the system is starting
+ * @param {Object} options
+ * @param {Function} options.getQualityGates - Returns the engine's current qualityGates, or null
+ */
+export function createTradingTipsRouter(getTipHistory, { getQualityGates = () => null } = {}) {
+  const router = express.Router();
+
+  // Tips are served once the Ferrari system (and its store) exists
+  const withStore = handler => async (req, res) => {
+    const store = getTipHistory();
+    if (!store) {
+      return res.status(503).json({
+        status: 'error',
+        message: 'Ferrari system is initializing',
+        system: 'Ferrari v1.0'
       });
     }
 
-    let query = db.collection('trading_tips')
-      .where('isFerrariSignal', '==', true)
-      .orderBy('createdAt', 'desc')
-      .limit(parseInt(limit));
-
-    // Filter by timeframe if specified
-    if (timeframe) {
-      query = query.where('timeframe', '==', timeframe);
-    }
-
-    // Filter by symbol if specified
-    if (symbol) {
-      query = query.where('symbol', '==', symbol.toUpperCase());
+    try {
+      await handler(store, req, res);
+    } catch (error) {
+      // Logged in full here; the client only learns that the request failed
+      console.error(`Error serving ${req.originalUrl}:`, error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error',
+        system: 'Ferrari v1.0'
+      });
     }
+  };
 
-    const snapshot = await query.get();
-    const tips = [];
-
-    snapshot.forEach(doc => {
-      tips.push({
-        id: doc.id,
-        ...doc.data(),
-        isFerrariSignal: true
-      });
-    });
+  // Get latest Ferrari trading tips
+  router.get('/', withStore(async (store, req, res) => {
+    const { limit = 20, timeframe, symbol, status } = req.query;
+    const tips = await store.list({ limit, timeframe, symbol, status });
 
     res.json({
       status: 'success',
       tips,
       count: tips.length,
       system: 'Ferrari v1.0',
-      filters: { timeframe, symbol, limit }
-    });
-
-  } catch (error) {
-    console.error('Error fetching Ferrari tips:', error);
-    res.status(500).json({ 
-      status: 'error', 
-      message: error.message,
-      system: 'Ferrari v1.0'
-    });
-  }
-});
-
-// Get Ferrari system statistics
-router.get('/stats', async (req, res) => {
-  try {
-    if (!db) {
-      return res.json({
-        status: 'success',
-        stats: {
-          totalSignals: 0,
-          todaySignals: 0,
-          avgStrength: 0,
-          successRate: 0
-        },
-        system: 'Ferrari v1.0',
-        testMode: true
-      });
-    }
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    // Get today's Ferrari signals
-    const todaySnapshot = await db.collection('trading_tips')
-      .where('isFerrariSignal', '==', true)
-      .where('createdAt', '>=', today)
-      .get();
-
-    // Get total Ferrari signals (last 30 days)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-    const totalSnapshot = await db.collection('trading_tips')
-      .where('isFerrariSignal', '==', true)
-      .where('createdAt', '>=', thirtyDaysAgo)
-      .get();
-
-    // Calculate statistics
-    let totalStrength = 0;
-    let strengthCount = 0;
-
-    totalSnapshot.forEach(doc => {
-      const data = doc.data();
-      if (data.strength) {
-        totalStrength += data.strength;
-        strengthCount++;
-      }
+      filters: { timeframe, symbol, status, limit },
+      storage: store.backend
     });
+  }));
 
-    const avgStrength = strengthCount > 0 ? totalStrength / strengthCount : 0;
+  // Get Ferrari system statistics
+  router.get('/stats', withStore(async (store, req, res) => {
+    const stats = await store.getStats({ days: 30 });
 
     res.json({
       status: 'success',
       stats: {
-        totalSignals: totalSnapshot.size,
-        todaySignals: todaySnapshot.size,
-        avgStrength: Math.round(avgStrength * 100) / 100,
-        last30Days: totalSnapshot.size,
-        qualityGate: 'Strength ≥4.0, R/R ≥2.5:1'
+        ...stats,
+        qualityGate: describeQualityGate(getQualityGates())
       },
       system: 'Ferrari v1.0',
-      timestamp: new Date().toISOString()
+      timestamp: new Date().toISOString(),
+      storage: store.backend
     });
+  }));
 
-  } catch (error) {
-    console.error('Error fetching Ferrari stats:', error);
-    res.status(500).json({ 
-      status: 'error', 
-      message: error.message,
-      system: 'Ferrari v1.0'
-    });
-  }
-});
-
-// Get Ferrari tips by symbol
-router.get('/symbol/:symbol', async (req, res) => {
-  try {
-    const { symbol } = req.params;
+  // Get Ferrari tips by symbol
+  router.get('/symbol/:symbol', withStore(async (store, req, res) => {
+    const symbol = req.params.symbol.toUpperCase();
     const { limit = 10 } = req.query;
-
-    if (!db) {
-      return res.json({
-        status: 'success',
-        symbol: symbol.toUpperCase(),
-        tips: [],
-        system: 'Ferrari v1.0',
-        testMode: true
-      });
-    }
-
-    const snapshot = await db.collection('trading_tips')
-      .where('isFerrariSignal', '==', true)
-      .where('symbol', '==', symbol.toUpperCase())
-      .orderBy('createdAt', 'desc')
-      .limit(parseInt(limit))
-      .get();
-
-    const tips = [];
-    snapshot.forEach(doc => {
-      tips.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+    const tips = await store.list({ symbol, limit });
 
     res.json({
       status: 'success',
-      symbol: symbol.toUpperCase(),
+      symbol,
       tips,
       count: tips.length,
       system: 'Ferrari v1.0'
     });
+  }));
 
-  } catch (error) {
-    console.error('Error fetching symbol tips:', error);
-    res.status(500).json({ 
-      status: 'error', 
-      message: error.message,
-      system: 'Ferrari v1.0'
+  // Health check for trading tips API
+  router.get('/health', (req, res) => {
+    res.json({
+      status: 'OK',
+      service: 'Ferrari Trading Tips API',
+      system: 'Ferrari v1.0',
+      ready: !!getTipHistory(),
+      features: [
+        'Real-time signal generation',
+        'Multi-timeframe analysis',
+        'Quality gates',
+        'Smart rate limiting',
+        'Professional risk management',
+        'Full tip history with outcomes'
+      ],
+      timestamp: new Date().toISOString()
     });
-  }
-});
-
-// Health check for trading tips API
-router.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    service: 'Ferrari Trading Tips API',
-    system: 'Ferrari v1.0',
-    features: [
-      'Real-time signal generation',
-      'Multi-timeframe analysis', 
-      'Quality gates (4.0+ strength)',
-      'Smart rate limiting',
-      'Professional risk management'
-    ],
-    timestamp: new Date().toISOString()
   });
-});
 
-module.exports = router; 
\ No newline at end of file
+  // One tip with its status history
+  router.get('/:trackingId', withStore(async (store, req, res) => {
+    const tip = await store.get(req.params.trackingId);
+    if (!tip) {
+      return res.status(404).json({ status: 'error', message: 'Tip not found', system: 'Ferrari v1.0' });
+    }
+    res.json({ status: 'success', tip, system: 'Ferrari v1.0' });
+  }));
+
+  return router;
+}
+
+export default createTradingTipsRouter;
@@ -0,0 +1,303 @@
+/**
+ * CANDLE AGGREGATOR
+ * =================
+ *
+ * Builds rolling OHLCV candles from the live tick stream:
+ * ✓ 1m / 5m / 15m / 1h / 1d resolutions from every tick
+ * ✓ VWAP, turnover (dollar volume) and trade count per bar
+ * ✓ Daily bars follow the New York trading date for stocks, UTC for crypto
+ * ✓ Late ticks amend the bar they belong to (within a tolerance) instead of
+ *   corrupting the current close
+ * ✓ REST history can be seeded in front of the live bars
+ * ✓ A bounded number of bars per resolution
+ *
+ * Bars: { timestamp, open, high, low, close, volume, turnover, vwap, trades, closed }
+ * `timestamp` is the bar start; the newest bar is still forming (closed: false).
+ * Minutes without ticks produce no bar - nothing is synthesized.
+ */
+
+import { EventEmitter } from 'events';
+
+const MINUTE = 60 * 1000;
+
+export const RESOLUTIONS = {
+  '1m': MINUTE,
+  '5m': 5 * MINUTE,
+  '15m': 15 * MINUTE,
+  '1h': 60 * MINUTE,
+  '1d': 24 * 60 * MINUTE
+};
+
+// Analysis / REST timeframe names -> candle resolution
+const TIMEFRAME_RESOLUTIONS = {
+  '1min': '1m',
+  '5min': '5m',
+  '15min': '15m',
+  '1hour': '1h',
+  '1day': '1d'
+};
+
+const DEFAULT_MAX_BARS = { '1m': 500, '5m': 300, '15m': 200, '1h': 200, '1d': 100 };
+
+const nyDateFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+export class CandleAggregator extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.resolutions - Resolutions to build (default: all)
+   * @param {number|Object} options.maxBars - Bars kept per resolution (number or { '1m': 500, ... })
+   * @param {number} options.lateTickTolerance - How far (ms) behind the newest tick a late tick may be
+   */
+  constructor(options = {}) {
+    super();
+    this.resolutions = (options.resolutions || Object.keys(RESOLUTIONS)).filter(r => RESOLUTIONS[r]);
+    this.maxBars = {};
+    for (const resolution of this.resolutions) {
+      this.maxBars[resolution] = typeof options.maxBars === 'number'
+        ? options.maxBars
+        : options.maxBars?.[resolution] || DEFAULT_MAX_BARS[resolution];
+    }
+    this.lateTickTolerance = options.lateTickTolerance ?? 2 * MINUTE;
+
+    this.series = new Map(); // symbol -> { lastTimestamp, bars: { resolution: [] } }
+    this.stats = { ticks: 0, lateTicks: 0, droppedTicks: 0 };
+  }
+
+  /**
+   * Map an analysis timeframe ('1hour', '5min', ...) or resolution ('1h') to a tracked resolution
+   */
+  resolve(timeframe) {
+    const resolution = TIMEFRAME_RESOLUTIONS[timeframe] || timeframe;
+    return this.resolutions.includes(resolution) ? resolution : null;
+  }
+
+  /**
+   * Fold one tick into every resolution
+   * @returns {boolean} false when the tick was invalid or too late to use
+   */
+  addTick({ symbol, price, volume, timestamp }) {
+    price = parseFloat(price);
+    if (!symbol || !isFinite(price) || price <= 0 || !timestamp) {
+      this.stats.droppedTicks++;
+      return false;
+    }
+
+    const state = this.getSeries(symbol);
+    const isLate = state.lastTimestamp !== null && timestamp < state.lastTimestamp;
+
+    if (isLate && state.lastTimestamp - timestamp > this.lateTickTolerance) {
+      this.stats.droppedTicks++;
+      return false;
+    }
+
+    this.stats.ticks++;
+    if (isLate) this.stats.lateTicks++;
+    else state.lastTimestamp = timestamp;
+
+    const size = parseFloat(volume) || 0;
+    for (const resolution of this.resolutions) {
+      this.applyTick(symbol, resolution, state.bars[resolution], price, size, timestamp, isLate);
+    }
+    return true;
+  }
+
+  applyTick(symbol, resolution, bars, price, size, timestamp, isLate) {
+    const bucket = this.bucketStart(symbol, resolution, timestamp);
+    const last = bars[bars.length - 1];
+
+    if (!last || bucket > last.timestamp) {
+      if (last && !last.closed) {
+        last.closed = true;
+        this.emit('bar', { symbol, resolution, bar: last });
+      }
+      bars.push(this.newBar(bucket, price));
+      this.updateBar(bars[bars.length - 1], price, size, true);
+      if (bars.length > this.maxBars[resolution]) bars.shift();
+      return;
+    }
+
+    if (bucket === last.timestamp) {
+      this.updateBar(last, price, size, !isLate);
+      return;
+    }
+
+    // Late tick for an earlier bucket: amend that bar, or insert it if the bucket had no ticks yet
+    const index = this.findBarIndex(bars, bucket);
+    if (index >= 0) {
+      this.updateBar(bars[index], price, size, false);
+    } else {
+      const bar = this.newBar(bucket, price);
+      bar.closed = true;
+      this.updateBar(bar, price, size, true);
+      bars.splice(-index - 1, 0, bar);
+      if (bars.length > this.maxBars[resolution]) bars.shift();
+    }
+  }
+
+  newBar(timestamp, price) {
+    return { timestamp, open: price, high: price, low: price, close: price, volume: 0, turnover: 0, vwap: price, trades: 0, closed: false };
+  }
+
+  updateBar(bar, price, size, updateClose) {
+    bar.high = Math.max(bar.high, price);
+    bar.low = Math.min(bar.low, price);
+    if (updateClose) bar.close = price;
+    bar.volume += size;
+    bar.turnover += price * size;
+    bar.trades++;
+    // Ticks without size (some feeds) fall back to the typical price
+    bar.vwap = bar.volume > 0 ? bar.turnover / bar.volume : (bar.high + bar.low + bar.close) / 3;
+  }
+
+  /**
+   * Binary search; returns the index or -(insertion point + 1)
+   */
+  findBarIndex(bars, timestamp) {
+    let low = 0;
+    let high = bars.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (bars[mid].timestamp === timestamp) return mid;
+      if (bars[mid].timestamp < timestamp) low = mid + 1;
+      else high = mid - 1;
+    }
+    return -(low + 1);
+  }
+
+  bucketStart(symbol, resolution, timestamp) {
+    if (resolution === '1d' && !this.isCrypto(symbol)) {
+      return this.nyDayStart(timestamp);
+    }
+    const interval = RESOLUTIONS[resolution];
+    return Math.floor(timestamp / interval) * interval;
+  }
+
+  /**
+   * Epoch ms of midnight America/New_York for the trading date containing timestamp
+   */
+  nyDayStart(timestamp) {
+    const offset = this.nyOffset(timestamp);
+    const local = new Date(timestamp - offset);
+    const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+    // Offset at midnight can differ from the tick's on DST change days
+    return midnight + this.nyOffset(midnight + offset);
+  }
+
+  /**
+   * UTC minus New York local time, in ms (+4h in summer, +5h in winter)
+   */
+  nyOffset(timestamp) {
+    const parts = Object.fromEntries(nyDateFormat.formatToParts(new Date(timestamp)).map(p => [p.type, p.value]));
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((Math.floor(timestamp / 1000) * 1000 - asUTC) / MINUTE) * MINUTE;
+  }
+
+  isCrypto(symbol) {
+    return symbol.includes('/');
+  }
+
+  /**
+   * Put REST history in front of the live bars.
+   * Live bars win for any bucket both have.
+   */
+  seed(symbol, timeframe, history) {
+    const resolution = this.resolve(timeframe);
+    if (!resolution || !Array.isArray(history) || history.length === 0) return 0;
+
+    const bars = this.getSeries(symbol).bars[resolution];
+    const firstLive = bars.length > 0 ? bars[0].timestamp : Infinity;
+
+    const seeded = history
+      .filter(bar => typeof bar.timestamp === 'number' && bar.timestamp < firstLive && [bar.open, bar.high, bar.low, bar.close].every(isFinite))
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(bar => ({
+        timestamp: bar.timestamp,
+        open: bar.open,
+        high: bar.high,
+        low: bar.low,
+        close: bar.close,
+        volume: bar.volume || 0,
+        turnover: (bar.volume || 0) * (bar.vwap || bar.close),
+        vwap: bar.vwap || (bar.high + bar.low + bar.close) / 3,
+        trades: bar.trades || 0,
+        closed: true
+      }));
+
+    // With no live bars yet, the newest history bar may still be forming
+    if (bars.length === 0 && seeded.length > 0) {
+      seeded[seeded.length - 1].closed = false;
+    }
+
+    bars.unshift(...seeded);
+    if (bars.length > this.maxBars[resolution]) {
+      bars.splice(0, bars.length - this.maxBars[resolution]);
+    }
+    return seeded.length;
+  }
+
+  /**
+   * Bars for a symbol, oldest first
+   * @param {Object} options
+   * @param {number} options.limit - Return at most the newest `limit` bars
+   * @param {boolean} options.includeOpen - Include the bar that is still forming (default true)
+   */
+  getBars(symbol, timeframe, { limit, includeOpen = true } = {}) {
+    const resolution = this.resolve(timeframe);
+    const state = this.series.get(symbol);
+    if (!resolution || !state) return [];
+
+    let bars = state.bars[resolution];
+    if (!includeOpen && bars.length > 0 && !bars[bars.length - 1].closed) {
+      bars = bars.slice(0, -1);
+    }
+    return limit ? bars.slice(-limit) : bars.slice();
+  }
+
+  getCurrentBar(symbol, timeframe) {
+    const bars = this.getBars(symbol, timeframe);
+    return bars[bars.length - 1] || null;
+  }
+
+  /**
+   * Close forming bars whose period has ended (e.g. at the session close,
+   * when no further tick arrives to roll them over)
+   */
+  closeElapsed(now) {
+    for (const [symbol, state] of this.series.entries()) {
+      for (const resolution of this.resolutions) {
+        const bars = state.bars[resolution];
+        const last = bars[bars.length - 1];
+        if (last && !last.closed && this.bucketStart(symbol, resolution, now) > last.timestamp) {
+          last.closed = true;
+          this.emit('bar', { symbol, resolution, bar: last });
+        }
+      }
+    }
+  }
+
+  getSeries(symbol) {
+    if (!this.series.has(symbol)) {
+      const bars = {};
+      for (const resolution of this.resolutions) bars[resolution] = [];
+      this.series.set(symbol, { lastTimestamp: null, bars });
+    }
+    return this.series.get(symbol);
+  }
+
+  remove(symbol) {
+    this.series.delete(symbol);
+  }
+
+  symbols() {
+    return Array.from(this.series.keys());
+  }
+}
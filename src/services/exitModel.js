@@ -0,0 +1,76 @@
+/**
+ * EXIT MODEL
+ * ==========
+ *
+ * How a tip is managed once it is out, shared by the live outcome tracker and
+ * the backtester so both measure the same strategy:
+ * ✓ Half the position is closed at TP1 and the stop moves to breakeven (entry)
+ * ✓ The rest is closed at TP2, at the breakeven stop, or at expiry
+ * ✓ Before TP1 the original stop applies
+ *
+ * Positions are { direction: 'long'|'short', entryPrice, stopLoss, takeProfit,
+ * takeProfit2, tp1HitAt }, stepped one price at a time.
+ */
+
+export const EXIT_MODEL = {
+  tp1Share: 0.5,
+  stopAfterTp1: 'breakeven',
+  description: '50% at TP1 (stop to breakeven), 50% at TP2'
+};
+
+/**
+ * The stop that applies now: the original one, or entry once TP1 was reached
+ */
+export function activeStop(position) {
+  return position.tp1HitAt ? position.entryPrice : position.stopLoss;
+}
+
+/**
+ * What a price does to an open position
+ * @returns {{ event: 'stop'|'breakeven'|'tp2'|'tp1'|null, price: number|null }}
+ *   stop / breakeven / tp2 close the position at price; tp1 closes half of it
+ */
+export function nextExit(position, price) {
+  const isLong = position.direction === 'long';
+  const reached = level => (isLong ? price >= level : price <= level);
+  const breached = level => (isLong ? price <= level : price >= level);
+  const stop = activeStop(position);
+
+  if (breached(stop)) {
+    return { event: position.tp1HitAt ? 'breakeven' : 'stop', price: stop };
+  }
+  if (position.takeProfit2 && reached(position.takeProfit2)) {
+    return { event: 'tp2', price: position.takeProfit2 };
+  }
+  if (!position.tp1HitAt && reached(position.takeProfit)) {
+    return { event: 'tp1', price: position.takeProfit };
+  }
+  return { event: null, price: null };
+}
+
+/**
+ * Result in R of a position closed at exitPrice (the TP1 half included once it was taken)
+ */
+export function resultR(position, exitPrice) {
+  const risk = Math.abs(position.entryPrice - position.stopLoss) || 1;
+  const direction = position.direction === 'long' ? 1 : -1;
+  const exitR = ((exitPrice - position.entryPrice) * direction) / risk;
+
+  if (!position.tp1HitAt) return exitR;
+
+  const target1R = Math.abs(position.takeProfit - position.entryPrice) / risk;
+  return EXIT_MODEL.tp1Share * target1R + (1 - EXIT_MODEL.tp1Share) * exitR;
+}
+
+/**
+ * The exit plan as it is stated on a tip
+ */
+export function describeExitPlan({ entryPrice, takeProfit, takeProfit2 }) {
+  const share = Math.round(EXIT_MODEL.tp1Share * 100);
+  return {
+    ...EXIT_MODEL,
+    stopAfterTp1Price: entryPrice,
+    summary: `Take ${share}% at TP1 ($${takeProfit.toFixed(2)}), then move the stop to breakeven ($${entryPrice.toFixed(2)})` +
+      (takeProfit2 ? ` and let the rest run to TP2 ($${takeProfit2.toFixed(2)})` : ' and hold the rest until expiry')
+  };
+}
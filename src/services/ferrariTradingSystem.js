@@ -5,21 +5,64 @@
  * Holistic replacement for the 30-minute system that provides:
  * ✓ Real-time monitoring of 200+ stocks + crypto
  * ✓ Intelligent signal filtering (only 5 best tips/day per user)
+ * ✓ Best-candidate selection: gated setups are pooled, ranked and paced across the session
  * ✓ Multi-timeframe analysis (1m, 5m, 15m, 1h)
+ * ✓ Pluggable signal strategies with per-strategy attribution (config/strategies)
+ * ✓ Live configuration (config/ferrari.yaml, env, admin API) without restarts
  * ✓ Advanced risk management
- * ✓ Market context awareness
+ * ✓ Liquidity gates: rolling dollar volume and bid-ask spread from trades and quotes
+ * ✓ Market regime (trend, volatility percentile, breadth) from SPY / QQQ / IWM / BTC benchmarks
+ * ✓ One scoring scale for technical, institutional, momentum, regime and session, with a per-component breakdown
+ * ✓ Daily limits, symbol cooldowns, user limits and circuit breakers survive restarts (engine_state snapshots)
  * ✓ Performance tracking
  * 
  * This is the "Ferrari" - fast, precise, and exclusive.
  */
 
 import { EventEmitter } from 'events';
-import WebSocket from 'ws';
 import LogoUtils from '../utils/logoUtils.js';
 import technicalAnalysisService from './technicalAnalysisService.js';
 import institutionalAnalysisService from './institutionalAnalysisService.js';
+import { SignalOutcomeTracker } from './signalOutcomeTracker.js';
+import { describeExitPlan } from './exitModel.js';
+import { CandleAggregator } from './candleAggregator.js';
+import { PortfolioRiskManager, DEFAULT_RISK_LIMITS } from './portfolioRiskManager.js';
+import { PositionSizingService, DEFAULT_SIZING_CONFIG } from './positionSizingService.js';
+import { MarketCalendar } from './marketCalendar.js';
+import { TipHistoryStore } from './tipHistoryStore.js';
+import { UserProfileService } from './userProfileService.js';
+import { NotificationService } from './notificationService.js';
+import { createStorage, storageConfigFromEnv } from '../storage/index.js';
+import { NotificationDispatcher, notificationChannelsFromEnv } from './notifications/notificationDispatcher.js';
+import { StrategyEngine, strategyConfigsFromEnv } from './strategies/strategyEngine.js';
+import { NeutralPolicy, neutralPolicyFromEnv } from './neutralPolicy.js';
+import { LevelEngine, DEFAULT_LEVEL_CONFIG } from './levelEngine.js';
+import { LiquidityMonitor, DEFAULT_LIQUIDITY_CONFIG } from './liquidityMonitor.js';
+import { RegimeService, DEFAULT_REGIME_CONFIG } from './regimeService.js';
+import { ScoringService, DEFAULT_SCORING_CONFIG } from './scoringService.js';
+import { SignalCandidatePool } from './signalCandidatePool.js';
+import { StateSnapshotService } from './stateSnapshotService.js';
+import marketDataRegistry from './marketData/providerRegistry.js';
+import endpoints from '../config/endpoints.js';
+import { ConfigManager, configOptionsFromEnv, assignSettings } from '../config/configManager.js';
 import axios from 'axios';
-import admin from 'firebase-admin';
+
+// Bar interval names per data provider, keyed by analysis timeframe
+const HISTORICAL_INTERVALS = {
+  '1min': { binance: '1m', alpaca: '1Min', finnhub: '1' },
+  '5min': { binance: '5m', alpaca: '5Min', finnhub: '5' },
+  '15min': { binance: '15m', alpaca: '15Min', finnhub: '15' },
+  '1hour': { binance: '1h', alpaca: '1Hour', finnhub: '60' }
+};
+
+// The daily limits reset 5 minutes after the open (9:35 AM ET)
+const DAILY_RESET_AFTER_OPEN = 5 * 60 * 1000;
+
+// The signal engine flushes the candidate pool this often; ticks do too when it has not run
+const SIGNAL_ENGINE_INTERVAL = 10000;
+
+// Momentum falls back to the change over this many 1h candles until a daily candle has closed
+const MOMENTUM_LOOKBACK_HOURS = 24;
 
 // Add at the top of the file, after imports:
 function safeNumber(val, decimals = 2) {
@@ -28,89 +71,119 @@ function safeNumber(val, decimals = 2) {
 }
 
 export class FerrariTradingSystem extends EventEmitter {
-  constructor(firebaseServices = null) {
+  /**
+   * @param {Object|null} firebaseServices - Result of firebaseConfig.initialize()
+   * @param {Object} options - Optional overrides (used by the backtester)
+   * @param {Object} options.clock - Clock with a now() method (defaults to wall time)
+   * @param {Object} options.technicalAnalysisService - Technical analysis implementation
+   * @param {Object} options.institutionalAnalysisService - Institutional analysis implementation
+   * @param {CandleAggregator} options.candleAggregator - Tick-to-candle builder (resolutions, bar limits)
+   * @param {MarketCalendar} options.marketCalendar - US market sessions (defaults to config.marketTiming)
+   * @param {StrategyEngine} options.strategyEngine - Signal strategies (defaults to config.strategies)
+   * @param {ConfigManager} options.configManager - Runtime settings (defaults to FERRARI_CONFIG_FILE + env)
+   */
+  constructor(firebaseServices = null, options = {}) {
     super();
     
+    this.clock = options.clock || null;
+    this.startedAt = this.now();
+    this.technicalAnalysis = options.technicalAnalysisService || technicalAnalysisService;
+    this.institutionalAnalysis = options.institutionalAnalysisService || institutionalAnalysisService;
+    this.candles = options.candleAggregator || new CandleAggregator();
+    
+    // Watchlist, gates, limits, timing, circuit breaker and factor weights: defaults < file < env < admin API
+    this.configManager = options.configManager || new ConfigManager(configOptionsFromEnv());
+    this.configManager.on('change', ({ settings: updated, sections }) => this.applySettings(updated, sections));
+    const settings = this.configManager.getAll();
+    
     // Core system configuration
     this.config = {
-      // Symbol universe (73 stocks, 10 crypto)
-      watchlist: {
-        stocks: [
-          // Tech Giants & AI
-          'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'TSLA', 'NVDA', 'AMD', 'INTC', 'IBM',
-          
-          // Software & Cloud
-          'ADBE', 'CRM', 'ORCL', 'NOW', 'WDAY', 'TEAM', 'SPLK', 'MDB', 'NET', 'DDOG',
-          
-          // Fintech & Payments
-          'SQ', 'PYPL', 'V', 'MA', 'JPM', 'BAC', 'GS', 'MS',
-          
-          // Entertainment & Streaming
-          'NFLX', 'DIS', 'SPOT', 'ROKU',
-          
-          // E-commerce & Retail
-          'SHOP', 'EBAY', 'ETSY', 'BABA', 'JD', 'PDD',
-          
-          // Healthcare & Biotech
-          'JNJ', 'PFE', 'UNH', 'ABBV', 'TMO', 'DHR',
-          
-          // Consumer & Retail
-          'WMT', 'COST', 'TGT', 'HD', 'LOW', 'MCD', 'SBUX', 'NKE',
-          
-          // Energy & Industrial
-          'XOM', 'CVX', 'GE', 'CAT', 'BA',
-          
-          // Communication & Collaboration
-          'ZOOM', 'DOCU', 'TWLO', 'OKTA', 'SNOW', 'PLTR', 'ZM',
-          
-          // Additional Tech & Networking
-          'CSCO', 'GOOG',
-          
-          // Automotive & Transportation
-          'F', 'GM', 'UBER',
-          
-          // Consumer Staples
-          'KO', 'PEP', 'PG',
-          
-          // Social Media & Communication
-          'TWTR'
-        ],
-        crypto: ['BTC/USD', 'ETH/USD', 'ADA/USD', 'XRP/USD', 'DOT/USD', 'LINK/USD', 'LTC/USD', 'BCH/USD', 'XLM/USD', 'ALGO/USD']
-      },
+      // Symbol universe (config/ferrari.yaml - changes subscribe / unsubscribe the feeds live)
+      watchlist: settings.watchlist,
+      
+      // Streaming feeds - provider names resolve through the market data registry
+      // Alpaca quotes and Binance bookTicker feed the liquidity gates
+      dataFeeds: [
+        { provider: 'alpaca', assetClass: 'stocks', options: { channels: ['trades', 'quotes'] } },
+        { provider: 'binance', assetClass: 'crypto', options: { channels: ['trades', 'quotes'] } },
+        { provider: 'finnhub', assetClass: 'stocks' }
+      ],
       
       // Quality filters
-      qualityGates: {
-        minimumStrength: 4.0,        // Only premium signals
-        minimumRiskReward: 2.5,      // Minimum 1:2.5 R/R
-        minimumVolume: 1000000,      // $1M+ daily volume
-        maximumSpread: 0.02,         // Max 2% bid-ask spread
-        cooldownPeriod: 7200000      // 2 hours between same symbol
+      qualityGates: settings.qualityGates,
+      
+      // Dollar volume / spread / depth windows behind minimumVolume and maximumSpread (see liquidityMonitor.js)
+      liquidity: {
+        ...DEFAULT_LIQUIDITY_CONFIG,
+        volumeWindowMs: 24 * 60 * 60 * 1000, // Rolling 24h dollar volume
+        spreadWindowMs: 15 * 60 * 1000       // Spread averaged over the last 15 minutes of quotes
       },
       
-      // Rate limiting per user
-      rateLimiting: {
-        maxDailyTips: 5,             // Maximum 5 tips per user per day
-        maxHourlyTips: 2,            // Maximum 2 tips per hour
-        priorityThreshold: 4.5,      // Signals above 4.5 bypass some limits
-        vipUsers: []                 // Premium users get more tips
+      // Benchmarks the feeds always subscribe to, and how the regime moves strength / gates (see regimeService.js)
+      regime: {
+        ...DEFAULT_REGIME_CONFIG,
+        benchmarks: { stocks: ['SPY', 'QQQ', 'IWM'], crypto: ['BTC/USD'] },
+        timeframe: '1hour'           // Trend and volatility from 1h benchmark bars
+      },
+      
+      // Strength points per scoring component at full conviction (see scoringService.js)
+      scoring: {
+        ...DEFAULT_SCORING_CONFIG,
+        weights: { technical: 5.0, institutional: 0.75, momentum: 0.5, regime: 0.3, session: 0.2 }
+      },
+      
+      // Stops and targets from swings, VWAP, prior day and volume profile (see levelEngine.js)
+      levels: {
+        ...DEFAULT_LEVEL_CONFIG,
+        stopBufferAtr: 0.25,         // Stop a quarter ATR beyond the structure
+        maxStopAtr: 3.0              // Wider than 3 ATR: fall back to the 2 ATR stop
       },
       
-      // Market hours and timing
-      marketTiming: {
-        preMarketStart: '04:00',     // 4:00 AM EST
-        marketOpen: '09:30',         // 9:30 AM EST
-        marketClose: '16:00',        // 4:00 PM EST
-        afterHoursEnd: '20:00',      // 8:00 PM EST
-        cryptoAlwaysOn: true         // Crypto trades 24/7
+      // Portfolio limits across open tips (see portfolioRiskManager.js)
+      portfolioRisk: {
+        ...DEFAULT_RISK_LIMITS,
+        maxNetDirection: 3,          // Max 3 more longs than shorts (or vice versa)
+        maxPerSector: 2,             // Max 2 open tips per sector
+        maxClusterSize: 1,           // No two same-direction tips correlated > 0.7
+        maxDailyRiskPercent: 12      // Max 12% summed stop distance per day
       },
       
-      // NEW: Circuit breaker configuration
+      // Position size recommendations on every tip (see positionSizingService.js)
+      positionSizing: {
+        ...DEFAULT_SIZING_CONFIG,
+        referenceAccounts: [10000, 25000, 100000],
+        riskPerTradePercent: 1,      // Risk 1% of the account at the stop
+        volatilityTargetPercent: 0.5, // One ATR move = 0.5% of the account
+        maxKellyRiskPercent: 2       // Never risk more than 2% on Kelly
+      },
+      
+      // Persistence backend: firestore | sqlite | memory (STORAGE_BACKEND, see src/storage)
+      storage: storageConfigFromEnv(),
+      
+      // Neutral consensus: suppress, or a VWAP mean-reversion range trade (NEUTRAL_POLICY, see neutralPolicy.js)
+      neutralPolicy: neutralPolicyFromEnv(),
+      
+      // Signal strategies, one JSON file each (STRATEGIES_DIR, see src/services/strategies)
+      strategies: strategyConfigsFromEnv(),
+      
+      // Telegram / Discord / Slack / email / webhook channels (NOTIFICATION_CHANNELS, see src/services/notifications)
+      notificationChannels: notificationChannelsFromEnv(),
+      
+      // Rate limiting per user
+      rateLimiting: settings.rateLimiting,
+      
+      // Candidate pool window, ranking weights and daily budget pacing
+      signalSelection: settings.signalSelection,
+      
+      // Market hours and timing (ET; holidays and early closes come from marketCalendar.js)
+      marketTiming: settings.marketTiming,
+      
+      // Circuit breaker settings plus per-provider failure state
       circuitBreaker: {
-        finnhub: { failures: 0, lastFailure: null, isOpen: false, timeout: 300000 }, // 5 min timeout
-        alpaca: { failures: 0, lastFailure: null, isOpen: false, timeout: 300000 },
-        binance: { failures: 0, lastFailure: null, isOpen: false, timeout: 180000 }, // 3 min timeout
-        maxFailures: 5,
-        resetTime: 600000 // 10 minutes
+        ...settings.circuitBreaker,
+        finnhub: { failures: 0, lastFailure: null, isOpen: false, ...settings.circuitBreaker.finnhub },
+        alpaca: { failures: 0, lastFailure: null, isOpen: false, ...settings.circuitBreaker.alpaca },
+        binance: { failures: 0, lastFailure: null, isOpen: false, ...settings.circuitBreaker.binance }
       }
     };
     
@@ -120,6 +193,7 @@ export class FerrariTradingSystem extends EventEmitter {
       priceCache: new Map(),
       signalHistory: new Map(),
       userLimits: new Map(),
+      signalCooldowns: new Map(), // symbol -> no new signal until (ms)
       performanceMetrics: {
         signalsGenerated: 0,
         signalsDelivered: 0,
@@ -127,7 +201,7 @@ export class FerrariTradingSystem extends EventEmitter {
         avgReturn: 0
       },
       // Resource tracking for graceful shutdown
-      websockets: new Set(),
+      providers: new Map(),
       intervals: new Set(),
       timeouts: new Set(),
       isShuttingDown: false,
@@ -148,6 +222,91 @@ export class FerrariTradingSystem extends EventEmitter {
       this.messaging = null;
       this.firebaseReady = false;
     }
+
+    // Tips, stats, analytics, user limits and outcomes go through one storage backend
+    this.storage = options.storage || createStorage({ ...this.config.storage, db: this.db, now: () => this.now() });
+    if (!this.configManager.repository) {
+      this.configManager.useRepository(this.storage.config);
+    }
+    this.applyFactorWeights(settings.factorWeights);
+
+    // Resolve every delivered tip against its stop / targets
+    this.outcomeTracker = new SignalOutcomeTracker({ storage: this.storage, now: () => this.now() });
+    this.outcomeTracker.on('resolved', outcome => this.recordOutcome(outcome));
+
+    // Rate limits, cooldowns and circuit breakers are checkpointed and restored on start
+    this.stateSnapshots = new StateSnapshotService({
+      repository: this.storage.engineState,
+      capture: () => ({ ...this.state, circuitBreakers: this.config.circuitBreaker }),
+      now: () => this.now()
+    });
+
+    // Strategies vote on every analysis; signals and results are attributed to each of them
+    this.strategies = options.strategyEngine || new StrategyEngine({
+      strategies: this.config.strategies,
+      performance: this.storage.strategyPerformance
+    });
+    this.outcomeTracker.on('resolved', outcome => this.strategies.recordOutcome(outcome));
+
+    // No coin flips on a neutral read: suppress or trade the range explicitly
+    this.neutralPolicy = new NeutralPolicy(this.config.neutralPolicy);
+    this.levelEngine = new LevelEngine(this.config.levels);
+    this.liquidity = new LiquidityMonitor({ config: this.config.liquidity, now: () => this.now() });
+    this.regime = new RegimeService({
+      config: this.config.regime,
+      getBars: async (symbol, timeframe, count) => {
+        const bars = await this.getStrategyBars(symbol, symbol.includes('/') ? 'crypto' : 'stock', { [timeframe]: count });
+        return bars[timeframe];
+      },
+      getLiveBars: (symbol, timeframe) => this.candles.getBars(symbol, timeframe),
+      getWatchlist: () => this.config.watchlist,
+      now: () => this.now()
+    });
+    this.scoring = new ScoringService({ config: this.config.scoring, regime: this.regime });
+
+    // Append-only tip history (trading_tips/{trackingId}) behind /api/trading-tips
+    this.tipHistory = new TipHistoryStore({ store: this.storage.store, now: () => this.now() });
+
+    // Per-user delivery preferences and device tokens (users/{userId})
+    this.userProfiles = new UserProfileService({ users: this.storage.users, now: () => this.now() });
+
+    // FCM templates, platform payloads, deep links and analytics (dry run without messaging)
+    this.notifications = new NotificationService({
+      messaging: this.messaging,
+      analytics: this.storage.analytics,
+      userProfiles: this.userProfiles,
+      now: () => this.now()
+    });
+
+    // Desk and community channels next to FCM, logged per channel in notification_analytics
+    this.notificationDispatcher = options.notificationDispatcher || new NotificationDispatcher({
+      channels: this.config.notificationChannels,
+      analytics: this.storage.analytics,
+      now: () => this.now()
+    });
+    this.outcomeTracker.on('tp1', record => this.tipHistory.recordTp1(record));
+    this.outcomeTracker.on('resolved', outcome => this.tipHistory.recordOutcome(outcome));
+
+    // Exposure limits across the tips that are still open
+    this.portfolioRisk = new PortfolioRiskManager({
+      limits: this.config.portfolioRisk,
+      getBars: (symbol, timeframe) => this.candles.getBars(symbol, timeframe),
+      getOpenTips: () => this.outcomeTracker.getActiveTips(),
+      now: () => this.now()
+    });
+
+    // Gated setups wait here and the best one is emitted (not the first tick's)
+    this.candidatePool = new SignalCandidatePool({
+      config: this.config.signalSelection,
+      getGates: () => this.config.qualityGates,
+      getDiversification: analysis => this.portfolioRisk.diversification(analysis),
+      now: () => this.now()
+    });
+
+    this.positionSizing = new PositionSizingService({ config: this.config.positionSizing, userProfiles: this.userProfiles });
+
+    // Every market-hours check goes through the calendar (holidays, half-days, extended sessions)
+    this.marketCalendar = options.marketCalendar || new MarketCalendar({ timing: this.config.marketTiming });
   }
 
   async initialize() {
@@ -155,6 +314,17 @@ export class FerrariTradingSystem extends EventEmitter {
       console.log('🏎️ Initializing Ferrari Trading System...');
       console.log(`📊 Monitoring ${this.getTotalSymbols()} symbols in real-time`);
       
+      // Admin API overrides from before a restart, then follow config file edits
+      await this.configManager.restoreOverrides();
+      this.configManager.watch();
+      
+      // Resume tracking tips that were still open before a restart
+      await this.outcomeTracker.restoreActiveTips();
+      await this.strategies.restorePerformance();
+      
+      // Daily count, cooldowns, user limits and breakers from before a restart
+      await this.restoreEngineState();
+      
       // Initialize all data feeds
       await this.initializeDataFeeds();
       
@@ -170,6 +340,9 @@ export class FerrariTradingSystem extends EventEmitter {
       // Start data health monitoring
       this.startDataHealthMonitoring();
       
+      // Start the digest timer for email / digest channels
+      this.notificationDispatcher.start();
+      
       console.log('✅ Ferrari Trading System ACTIVE');
       console.log('🎯 Delivering only the best 5 signals per day per user');
       
@@ -180,219 +353,106 @@ export class FerrariTradingSystem extends EventEmitter {
   }
 
   async initializeDataFeeds() {
-    const feeds = [
-      { name: 'alpaca-stocks', symbols: this.config.watchlist.stocks },
-      { name: 'binance-crypto', symbols: this.config.watchlist.crypto },
-      { name: 'finnhub-data', symbols: this.config.watchlist.stocks }
-    ];
-
-    for (const feed of feeds) {
+    for (const feed of this.config.dataFeeds) {
       try {
-        await this.connectFeed(feed);
-        this.state.connectedFeeds.set(feed.name, { status: 'connected', symbols: feed.symbols.length });
+        const provider = this.getOrCreateProvider(feed);
+        const started = await provider.connect();
+        const current = this.state.connectedFeeds.get(feed.provider);
+        if (!started || current?.status !== 'connected') {
+          this.state.connectedFeeds.set(feed.provider, {
+            status: started ? 'connecting' : 'disabled',
+            assetClass: feed.assetClass,
+            symbols: provider.symbols.size
+          });
+        }
       } catch (error) {
-        console.error(`❌ Failed to connect ${feed.name}:`, error);
-        this.state.connectedFeeds.set(feed.name, { status: 'error', error: error.message });
+        console.error(`❌ Failed to connect ${feed.provider}:`, error);
+        this.state.connectedFeeds.set(feed.provider, { status: 'error', error: error.message });
       }
     }
   }
 
-  async connectFeed(feed) {
-    switch (feed.name) {
-      case 'alpaca-stocks':
-        return this.connectAlpacaFeed(feed.symbols);
-      case 'binance-crypto':
-        return this.connectBinanceFeed(feed.symbols);
-      case 'finnhub-data':
-        return this.connectFinnhubFeed(feed.symbols);
+  /**
+   * Create a feed from the market data registry on first use.
+   * Every provider emits normalized ticks straight into updatePrice.
+   */
+  getOrCreateProvider(feed) {
+    if (this.state.providers.has(feed.provider)) {
+      return this.state.providers.get(feed.provider);
     }
-  }
 
-  async connectAlpacaFeed(symbols) {
-    if (!this.alpacaSocket && process.env.ALPACA_API_KEY && process.env.ALPACA_SECRET_KEY) {
-      console.log('🔌 Connecting to Alpaca feed...');
-      this.alpacaSocket = new WebSocket("wss://stream.data.alpaca.markets/v2/iex");
-
-      this.alpacaSocket.onopen = () => {
-        console.log('🟢 Alpaca feed connected');
-        // Authenticate
-        this.alpacaSocket.send(JSON.stringify({
-          action: 'auth',
-          key: process.env.ALPACA_API_KEY,
-          secret: process.env.ALPACA_SECRET_KEY
-        }));
-      };
-
-      this.alpacaSocket.onmessage = (event) => {
-        try {
-          const messages = JSON.parse(event.data);
-          for (const msg of Array.isArray(messages) ? messages : [messages]) {
-            if (msg.T === 'success' && msg.msg === 'authenticated') {
-              console.log('✅ Alpaca authenticated successfully! Subscribing to symbols...');
-              // Subscribe to trade feeds
-              this.alpacaSocket.send(JSON.stringify({
-                action: 'subscribe',
-                trades: symbols
-              }));
-            } else if (msg.T === 't') {
-              this.processAlpacaMessage(msg);
-            }
-          }
-        } catch (error) {
-          console.error('❌ Error parsing Alpaca message:', error);
-        }
-      };
-
-      this.alpacaSocket.onerror = (error) => {
-        console.error('❌ Alpaca WebSocket error:', error);
-      };
+    // Regime benchmarks are streamed whether or not they are on the watchlist
+    const provider = marketDataRegistry.create(feed.provider, {
+      ...feed.options,
+      symbols: [...new Set([...(this.config.watchlist[feed.assetClass] || []), ...this.regime.getBenchmarks(feed.assetClass)])]
+    });
+    provider.onTrade(tick => this.updatePrice(tick));
+    provider.onQuote(quote => this.liquidity.onQuote(quote));
+    provider.on('connected', () => this.updateFeedStatus(feed, provider, 'connected'));
+    provider.on('disconnected', () => this.updateFeedStatus(feed, provider, 'disconnected'));
 
-      this.alpacaSocket.onclose = () => {
-        console.log('🔴 Alpaca feed disconnected');
-        this.alpacaSocket = null;
-        // Reconnect after delay
-        setTimeout(() => this.connectAlpacaFeed(symbols), 5000);
-      };
-    }
+    this.state.providers.set(feed.provider, provider);
+    return provider;
   }
 
-  async connectBinanceFeed(cryptoSymbols) {
-    if (!this.binanceSocket && true) {
-      // Convert symbols to Binance format (BTC/USD -> BTCUSDT)
-      const binanceSymbols = cryptoSymbols.map(symbol => 
-        symbol.replace('/', '').replace('USD', 'USDT').toLowerCase()
-      );
-      
-      const streamParams = binanceSymbols.map(symbol => `${symbol}@trade`).join('/');
-      const wsUrl = `${"wss://stream.binance.com:9443"}/ws/${streamParams}`;
-      
-      console.log('🔌 Connecting to Binance feed...');
-      this.binanceSocket = new WebSocket(wsUrl);
-
-      this.binanceSocket.onopen = () => {
-        console.log('🟢 Binance crypto feed connected successfully');
-      };
-
-      this.binanceSocket.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          if (data.e === 'trade') {
-            // Convert back to our format
-            const symbol = data.s.replace('USDT', '/USD').toUpperCase();
-            this.updatePrice({
-              symbol: symbol,
-              price: parseFloat(data.p),
-              timestamp: Date.now(),
-              source: 'binance'
-            });
-          }
-        } catch (error) {
-          console.error('❌ Error parsing Binance message:', error);
-        }
-      };
-
-      this.binanceSocket.onerror = (error) => {
-        console.error('❌ Binance WebSocket error:', error);
-      };
-
-      this.binanceSocket.onclose = () => {
-        console.log('🔴 Binance feed disconnected');
-        this.binanceSocket = null;
-        // Reconnect after delay
-        setTimeout(() => this.connectBinanceFeed(cryptoSymbols), 5000);
-      };
-    }
+  updateFeedStatus(feed, provider, status) {
+    this.state.connectedFeeds.set(feed.provider, {
+      status,
+      assetClass: feed.assetClass,
+      symbols: provider.symbols.size,
+      since: this.now()
+    });
   }
 
-  async connectFinnhubFeed(symbols) {
-    if (!this.finnhubSocket && process.env.FINNHUB_API_KEY) {
-      console.log('🔌 Connecting to Finnhub feed...');
-      const wsUrl = `${"wss://ws.finnhub.io"}?token=${process.env.FINNHUB_API_KEY}`;
-      this.finnhubSocket = new WebSocket(wsUrl);
-
-      this.finnhubSocket.onopen = () => {
-        console.log('🟢 Finnhub feed connected');
-        // Subscribe to symbols
-        for (const symbol of symbols) {
-          this.finnhubSocket.send(JSON.stringify({
-            type: 'subscribe',
-            symbol: symbol
-          }));
-        }
-      };
-
-      this.finnhubSocket.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          if (data.type === 'trade' && data.data) {
-            for (const trade of data.data) {
-              this.processFinnhubMessage(trade);
-            }
-          }
-        } catch (error) {
-          console.error('❌ Error parsing Finnhub message:', error);
-        }
-      };
-
-      this.finnhubSocket.onerror = (error) => {
-        console.error('❌ Finnhub WebSocket error:', error);
-      };
-
-      this.finnhubSocket.onclose = () => {
-        console.log('🔴 Finnhub feed disconnected');
-        this.finnhubSocket = null;
-        // Reconnect after delay
-        setTimeout(() => this.connectFinnhubFeed(symbols), 5000);
-      };
+  /**
+   * Apply a config change live: sections are updated in place (circuit breaker
+   * state survives), watchlist changes subscribe / unsubscribe the running feeds
+   */
+  applySettings(settings, sections = Object.keys(settings)) {
+    if (sections.includes('watchlist')) {
+      this.updateWatchlist(settings.watchlist);
+    }
+    for (const section of sections.filter(name => name !== 'watchlist' && this.config[name])) {
+      assignSettings(this.config[section], settings[section]);
+    }
+    if (sections.includes('marketTiming')) {
+      this.marketCalendar.timing = { ...this.marketCalendar.timing, ...settings.marketTiming };
+    }
+    if (sections.includes('factorWeights')) {
+      this.applyFactorWeights(settings.factorWeights);
     }
   }
 
-  processAlpacaMessage(msg) {
-    console.log(`🔍 Processing Alpaca message:`, msg);
-    if (msg.T === 't') { // Trade message
-      console.log(`📈 Alpaca trade: ${msg.S} @ $${msg.p} (volume: ${msg.s})`);
-      this.updatePrice({
-        symbol: msg.S,
-        price: msg.p,
-        volume: msg.s,
-        timestamp: new Date(msg.t).getTime(),
-        source: 'alpaca'
+  updateWatchlist(watchlist) {
+    for (const [assetClass, symbols] of Object.entries(watchlist)) {
+      const current = this.config.watchlist[assetClass] || [];
+      const benchmarks = this.regime.getBenchmarks(assetClass);
+      const added = symbols.filter(symbol => !current.includes(symbol));
+      const removed = current.filter(symbol => !symbols.includes(symbol));
+      // Dropping a benchmark from the watchlist keeps its stream for the regime
+      const unsubscribed = removed.filter(symbol => !benchmarks.includes(symbol));
+      this.config.watchlist[assetClass] = [...symbols];
+      if (added.length === 0 && removed.length === 0) continue;
+
+      for (const feed of this.config.dataFeeds.filter(feed => feed.assetClass === assetClass)) {
+        const provider = this.state.providers.get(feed.provider);
+        if (!provider) continue;
+        provider.subscribe(added);
+        provider.unsubscribe(unsubscribed);
+        const status = this.state.connectedFeeds.get(feed.provider);
+        if (status) status.symbols = provider.symbols.size;
+      }
+      unsubscribed.forEach(symbol => {
+        this.state.priceCache.delete(symbol);
+        this.liquidity.forget(symbol);
       });
-    } else {
-      console.log(`ℹ️ Alpaca non-trade message type: ${msg.T}`);
+      console.log(`📋 ${assetClass} watchlist: +${added.length} (${added.join(', ') || '-'}) / -${removed.length} (${removed.join(', ') || '-'})`);
     }
   }
 
-  processFinnhubMessage(msg) {
-    console.log(`🔍 Processing Finnhub message:`, msg);
-    
-    // FIX: Handle different Finnhub message formats
-    if (msg.type === 'trade' && msg.data) {
-      console.log(`📈 Finnhub trades: ${msg.data.length} trades received`);
-      msg.data.forEach(trade => {
-        console.log(`📈 Finnhub trade: ${trade.s} @ $${trade.p} (volume: ${trade.v})`);
-        this.updatePrice({
-          symbol: trade.s,
-          price: trade.p,
-          volume: trade.v,
-          timestamp: trade.t,
-          source: 'finnhub'
-        });
-      });
-    } else if (msg.type === 'ping') {
-      console.log('💓 Finnhub ping received');
-    } else if (msg.s && msg.p && msg.t) {
-      // FIX: Direct trade message without wrapper (common format)
-      console.log(`📈 Finnhub direct trade: ${msg.s} @ $${msg.p} (volume: ${msg.v || 'N/A'})`);
-      this.updatePrice({
-        symbol: msg.s,
-        price: msg.p,
-        volume: msg.v || 1000,
-        timestamp: msg.t,
-        source: 'finnhub'
-      });
-    } else {
-      console.log(`ℹ️ Finnhub message type: ${msg.type || 'direct_trade'} | Keys: ${Object.keys(msg).join(', ')}`);
+  applyFactorWeights(factorWeights) {
+    if (this.institutionalAnalysis.factorWeights) {
+      Object.assign(this.institutionalAnalysis.factorWeights, factorWeights);
     }
   }
 
@@ -416,17 +476,24 @@ export class FerrariTradingSystem extends EventEmitter {
       // Add new price point
       symbolData.prices.push({
         price: parseFloat(price),
-        timestamp: timestamp || Date.now(),
+        timestamp: timestamp || this.now(),
         volume: volume || 0
       });
       
+      // Roll the tick into 1m/5m/15m/1h/1d candles and the rolling dollar volume
+      this.candles.addTick({ symbol, price, volume, timestamp: timestamp || this.now() });
+      this.liquidity.onTrade({ symbol, price: parseFloat(price), volume, timestamp: timestamp || this.now() });
+      
+      // Resolve open tips against the new price
+      this.outcomeTracker.onPrice(symbol, parseFloat(price), timestamp || this.now());
+      
       // Keep only last 100 price points for analysis
       if (symbolData.prices.length > 100) {
         symbolData.prices = symbolData.prices.slice(-100);
       }
       
       // Update metadata
-      symbolData.lastUpdate = timestamp || Date.now();
+      symbolData.lastUpdate = timestamp || this.now();
       symbolData.currentPrice = parseFloat(price);
       symbolData.volume = volume || 0;
       symbolData.change = change || 0;
@@ -439,8 +506,10 @@ export class FerrariTradingSystem extends EventEmitter {
       }
       
       // Check for trading opportunities (only if we have enough data)
-      if (symbolData.prices.length >= 20) {
-        this.checkTradingOpportunity(symbol, symbolData);
+      // Returned so replay callers (backtester) can await the analysis.
+      // Benchmarks that are not on the watchlist only feed the regime
+      if (symbolData.prices.length >= 20 && !this.regime.isBenchmarkOnly(symbol, this.config.watchlist)) {
+        return this.checkTradingOpportunity(symbol, symbolData);
       }
       
     } catch (error) {
@@ -451,13 +520,14 @@ export class FerrariTradingSystem extends EventEmitter {
   cleanupStaleData() {
     // Run cleanup every 1000 price updates to avoid performance impact
     if (Math.random() > 0.999) {
-      const now = Date.now();
+      const now = this.now();
       const staleThreshold = 24 * 60 * 60 * 1000; // 24 hours
       
       for (const [symbol, data] of this.state.priceCache.entries()) {
         if (now - data.lastUpdate > staleThreshold) {
           console.log(`🧹 Cleaning up stale data for ${symbol}`);
           this.state.priceCache.delete(symbol);
+          this.candles.remove(symbol);
         }
       }
     }
@@ -465,9 +535,15 @@ export class FerrariTradingSystem extends EventEmitter {
 
   async checkTradingOpportunity(symbol, symbolData) {
     try {
-      // ✅ OPTION 2: Skip crypto analysis during US market hours (9:30 AM - 4:00 PM ET)
+      // Ticks close the candidate window when the signal engine has not (replays run no intervals)
+      if (this.now() - (this.state.lastPoolFlushAt || 0) >= SIGNAL_ENGINE_INTERVAL) {
+        await this.flushCandidatePool();
+      }
+      
+      // ✅ OPTION 2: Skip crypto analysis during the regular US session (holidays and half-days included)
       // This implements stocks-only policy during market hours for maximum efficiency
-      const isUSMarketOpen = this.isUSMarketOpen();
+      const marketSession = this.getMarketSession();
+      const isUSMarketOpen = marketSession.isOpen;
       const isCrypto = this.config.watchlist.crypto.includes(symbol);
       
       if (isUSMarketOpen && isCrypto) {
@@ -477,7 +553,7 @@ export class FerrariTradingSystem extends EventEmitter {
       }
       
       // Rate limiting: Don't analyze the same symbol too frequently
-      const now = Date.now();
+      const now = this.now();
       const lastAnalysis = symbolData.lastAnalysis || 0;
       const analysisInterval = 30000; // 30 seconds minimum between analyses
       
@@ -486,15 +562,15 @@ export class FerrariTradingSystem extends EventEmitter {
       }
       
       // Log analysis trigger with market context
-      const marketStatus = isUSMarketOpen ? 'MARKET OPEN' : 'MARKET CLOSED';
+      const marketStatus = this.describeMarketSession(marketSession);
       const symbolType = isCrypto ? 'CRYPTO' : 'STOCK';
       console.log(`🔍 ANALYZING [${marketStatus}]: ${symbol} (${symbolType}) | Price: $${symbolData.currentPrice} | Change: ${(symbolData.changePercent || 0).toFixed(2)}%`);
       
       symbolData.lastAnalysis = now;
       
       // Skip if in signal cooldown (prevent spam)
-      if (symbolData.signalCooldown && now < symbolData.signalCooldown) {
-        const cooldownRemaining = Math.round((symbolData.signalCooldown - now) / 60000);
+      if (this.isInCooldown(symbol)) {
+        const cooldownRemaining = Math.round((this.state.signalCooldowns.get(symbol) - now) / 60000);
         console.log(`⏰ ${symbol} in cooldown for ${cooldownRemaining} more minutes`);
         return;
       }
@@ -517,10 +593,10 @@ export class FerrariTradingSystem extends EventEmitter {
           analysis.riskRewardRatio = 0; // Default if levels are invalid
         }
         
-        // Check if it passes quality gates
+        // Check if it passes quality gates; the pool picks what goes out
         if (this.passesQualityGates(analysis)) {
-          console.log(`✅ QUALITY GATES PASSED: ${symbol} | Generating signal...`);
-          await this.generateSignal(analysis);
+          this.candidatePool.add(analysis);
+          console.log(`✅ QUALITY GATES PASSED: ${symbol} | Candidate pooled (${this.candidatePool.candidates.size} waiting)`);
         } else {
           console.log(`❌ Quality gates failed: ${symbol} | Strength: ${analysis.finalStrength} | RR: ${analysis.riskRewardRatio}`);
         }
@@ -538,79 +614,73 @@ export class FerrariTradingSystem extends EventEmitter {
       // PHASE 1: Multi-timeframe technical analysis
       const timeframes = ['1min', '5min', '15min', '1hour'];
       const analyses = {};
+      const symbolType = symbol.includes('/') ? 'crypto' : 'stock';
       
       for (const tf of timeframes) {
         try {
-          analyses[tf] = await technicalAnalysisService.getTechnicalAnalysis(symbol, tf);
+          // Real indicators from live candles, backfilled from REST when they are too short
+          analyses[tf] = await this.technicalAnalysis.getTechnicalAnalysis(symbol, tf, {
+            bars: this.candles.getBars(symbol, tf),
+            fetchHistorical: (timeframe, limit) => this.backfillCandles(symbol, symbolType, timeframe, limit)
+          });
         } catch (error) {
           console.warn(`⚠️ Failed to get ${tf} analysis for ${symbol}:`, error.message);
         }
       }
 
-      // PHASE 2: Institutional-grade analysis (HEDGE FUND LEVEL)
-      let institutionalAnalysis = null;
+      // PHASE 2: Institutional-grade analysis (HEDGE FUND LEVEL), run once per analysis
+      let institutionalGrade = null;
       try {
         console.log(`🏛️ Running institutional analysis for ${symbol}`);
-        institutionalAnalysis = await institutionalAnalysisService.performInstitutionalAnalysis(
-          symbol, 
-          symbolData.prices, 
-          '1h'
+        const institutionalAnalysis = await this.institutionalAnalysis.getInstitutionalAnalysis(
+          symbol,
+          this.getInstitutionalHistory(symbol, symbolType)
         );
-        console.log(`✅ Institutional analysis complete for ${symbol}: ${institutionalAnalysis.sentiment} (${institutionalAnalysis.compositeScore.toFixed(2)})`);
+        if (institutionalAnalysis) {
+          console.log(`✅ Institutional analysis complete for ${symbol}: ${institutionalAnalysis.sentiment} (${institutionalAnalysis.compositeScore.toFixed(2)})`);
+          // Weighed against the technical read in the final score (PHASE 5), never overriding it
+          institutionalGrade = {
+            compositeScore: institutionalAnalysis.compositeScore,
+            confidence: institutionalAnalysis.confidence,
+            sentiment: institutionalAnalysis.sentiment,
+            factors: institutionalAnalysis.factors,
+            computedFactors: institutionalAnalysis.computedFactors,
+            defaultedFactors: institutionalAnalysis.defaultedFactors,
+            reasoning: institutionalAnalysis.reasoning,
+            analysisType: institutionalAnalysis.analysisType
+          };
+        }
       } catch (error) {
         console.warn(`⚠️ Institutional analysis failed for ${symbol}:`, error.message);
       }
-
-      // PHASE 3: Combine all analyses
-      const combinedAnalysis = await this.combineTimeframeAnalysis(symbol, analyses, symbolData);
-      
-      if (!combinedAnalysis) {
-        console.warn(`⚠️ No valid analysis generated for ${symbol}`);
-        return null;
-      }
-
-      // PHASE 4: Enhance with institutional insights
-      if (institutionalAnalysis) {
-        combinedAnalysis.institutionalGrade = {
-          compositeScore: institutionalAnalysis.compositeScore,
-          confidence: institutionalAnalysis.confidence,
-          sentiment: institutionalAnalysis.sentiment,
-          factors: institutionalAnalysis.factors,
-          reasoning: institutionalAnalysis.reasoning,
-          analysisType: institutionalAnalysis.analysisType
-        };
-        
-        // Boost strength if institutional analysis aligns
-        if (institutionalAnalysis.sentiment === combinedAnalysis.sentiment) {
-          combinedAnalysis.strength += 0.5; // Institutional confirmation boost
-          console.log(`🚀 Institutional confirmation boost for ${symbol}: ${combinedAnalysis.sentiment}`);
-        }
-        
-        // Override with institutional score if significantly stronger
-        if (institutionalAnalysis.compositeScore > combinedAnalysis.strength + 1.0) {
-          console.log(`🏛️ Institutional override for ${symbol}: ${institutionalAnalysis.compositeScore.toFixed(2)} > ${combinedAnalysis.strength.toFixed(2)}`);
-          combinedAnalysis.strength = institutionalAnalysis.compositeScore;
-          combinedAnalysis.sentiment = institutionalAnalysis.sentiment;
-        }
-      }
       
-      // PHASE 5: Add market context with error handling
+      // PHASE 3: Market context with error handling
+      let marketContext;
       try {
-        combinedAnalysis.marketContext = await this.getMarketContext();
+        marketContext = await this.getMarketContext(symbol);
       } catch (error) {
         console.warn(`⚠️ Failed to get market context for ${symbol}:`, error.message);
-        combinedAnalysis.marketContext = {
+        marketContext = {
+          regime: 'unknown',
           marketTrend: 'unknown',
           volatility: 'unknown',
           isMarketHours: this.isMarketHours(),
           sector: 'general'
         };
       }
+
+      // PHASE 4: Combine all analyses
+      const combinedAnalysis = await this.combineTimeframeAnalysis(symbol, analyses, symbolData, { institutionalGrade, marketContext });
+      
+      if (!combinedAnalysis) {
+        console.warn(`⚠️ No valid analysis generated for ${symbol}`);
+        return null;
+      }
       
-      // PHASE 6: Calculate final strength score
+      // PHASE 5: Calculate final strength score
       combinedAnalysis.finalStrength = this.calculateFinalStrength(combinedAnalysis);
       
-      console.log(`📊 Final analysis for ${symbol}: ${combinedAnalysis.sentiment} strength ${combinedAnalysis.finalStrength.toFixed(2)}`);
+      console.log(`📊 Final analysis for ${symbol}: ${combinedAnalysis.sentiment} strength ${combinedAnalysis.finalStrength.toFixed(2)} | ${combinedAnalysis.score.components.map(c => `${c.name} ${c.contribution.toFixed(2)}`).join(', ')}`);
       
       return combinedAnalysis;
     } catch (error) {
@@ -619,113 +689,91 @@ export class FerrariTradingSystem extends EventEmitter {
     }
   }
 
-  async combineTimeframeAnalysis(symbol, analyses, symbolData) {
-    // Convert analyses object to array and filter valid analyses
-    const validAnalyses = Object.values(analyses).filter(a => a !== null);
-    
-    if (validAnalyses.length === 0) {
-      console.warn(`⚠️ No valid analyses found for ${symbol}`);
-      return null;
-    }
+  /**
+   * Strategy vote, levels and reasoning for a symbol; the institutional read and
+   * market context are gathered once by performComprehensiveAnalysis and scored there
+   */
+  async combineTimeframeAnalysis(symbol, analyses, symbolData, { institutionalGrade = null, marketContext = null } = {}) {
+    const symbolType = symbol.includes('/') ? 'crypto' : 'stock';
+    const assetClass = symbolType === 'crypto' ? 'crypto' : 'stocks';
     
-    // Enhanced consensus building with institutional insights
-    // FIX: Handle both flat and nested analysis structures
-    const sentiments = validAnalyses.map(a => {
-      // Try nested structure first (TechnicalAnalysisService format)
-      if (a.analysis && a.analysis.sentiment) return a.analysis.sentiment;
-      // Then flat structure (direct format)
-      if (a.sentiment) return a.sentiment;
-      return null;
-    }).filter(s => s); // Filter out undefined sentiments
+    // Current price from latest data
+    const currentPrice = symbolData.prices[symbolData.prices.length - 1]?.price || 0;
+    const priceChangePercent = this.calculatePriceChange(symbol, currentPrice);
     
-    const strengths = validAnalyses.map(a => {
-      // Try nested structure first (TechnicalAnalysisService format)
-      if (a.analysis && typeof a.analysis.strength === 'number') return a.analysis.strength;
-      // Then flat structure (direct format)
-      if (typeof a.strength === 'number') return a.strength;
-      return null;
-    }).filter(s => typeof s === 'number'); // Filter out undefined strengths
-    
-    // Debug logging to understand what we're working with (MOVED AFTER variable definitions)
-    console.log(`📊 ${symbol} analysis summary:`, {
-      totalAnalyses: validAnalyses.length,
-      extractedSentiments: sentiments,
-      extractedStrengths: strengths,
-      timeframes: validAnalyses.map(a => a.timeframe || 'unknown'),
-      rawStructures: validAnalyses.map(a => ({
-        hasNestedAnalysis: !!(a.analysis),
-        nestedSentiment: a.analysis?.sentiment,
-        flatSentiment: a.sentiment,
-        nestedStrength: a.analysis?.strength,
-        flatStrength: a.strength
-      }))
+    // Every enabled strategy for the symbol votes (see src/services/strategies, config/strategies)
+    const decision = this.strategies.evaluate({
+      symbol,
+      assetClass,
+      now: this.now(),
+      currentPrice,
+      priceChangePercent,
+      analyses,
+      bars: await this.getStrategyBars(symbol, symbolType, this.strategies.getRequiredHistory(symbol, assetClass))
     });
     
-    const consensusSentiment = this.getMostFrequent(sentiments) || 'neutral'; // Default to neutral if no sentiment
-    const avgStrength = strengths.length > 0 ? strengths.reduce((sum, s) => sum + s, 0) / strengths.length : 3.0; // Default to 3.0
+    if (!decision) {
+      console.warn(`⚠️ No strategy produced a candidate for ${symbol}`);
+      return null;
+    }
     
-    // Current price from latest data
-    const currentPrice = symbolData.prices[symbolData.prices.length - 1]?.price || 0;
-    const priceChangePercent = symbolData.priceChangePercent || 0;
+    console.log(`🧠 ${symbol} strategies: ${decision.candidates.map(c => `${c.strategy} ${c.sentiment} ${c.strength.toFixed(1)}`).join(', ')} → ${decision.sentiment} ${decision.strength.toFixed(2)}`);
     
-    // Enhanced ATR calculation with API backfill capability
-    const atr = await this.calculateATR(symbolData.priceHistory, symbol, symbol.includes('/') ? 'crypto' : 'stock');
+    // ATR from live 1h candles, with API backfill capability
+    const atr = await this.calculateATR(this.candles.getBars(symbol, '1h'), symbol, symbolType);
     
-    // Calculate dynamic trading levels
-    const levels = this.calculateDynamicLevels(currentPrice, atr, consensusSentiment);
+    // Calculate dynamic trading levels (neutral reads go through the neutral policy)
+    let levels;
+    let neutralSetup = null;
+    if (decision.sentiment === 'neutral') {
+      const neutral = this.neutralPolicy.evaluate({
+        price: currentPrice,
+        bars: this.candles.getBars(symbol, this.neutralPolicy.config.timeframe)
+      });
+      if (neutral.action !== 'trade') {
+        console.log(`⏸️ Neutral read for ${symbol} not traded (${neutral.reason})`);
+        return null;
+      }
+      levels = neutral.levels;
+      neutralSetup = neutral;
+    } else {
+      levels = this.calculateDynamicLevels(currentPrice, atr, decision.sentiment, {
+        bars: this.candles.getBars(symbol, '1h'),
+        dailyBars: this.candles.getBars(symbol, '1d')
+      });
+    }
     
     if (!levels) {
       return null;
     }
     
-    // Get institutional analysis
-    let institutionalGrade = null;
-    try {
-      institutionalGrade = await institutionalAnalysisService.getInstitutionalAnalysis(symbol, {
-        sentiment: consensusSentiment,
-        strength: avgStrength,
-        currentPrice,
-        levels,
-        timeframes: validAnalyses.map(a => a.timeframe)
-      });
-    } catch (error) {
-      // Institutional analysis is optional
-    }
-    
     // Build enhanced reasoning array
-    const reasoning = this.buildReasoning(symbol, consensusSentiment, avgStrength, priceChangePercent);
-    
-    // Get market context for final adjustments
-    let marketContext;
-    try {
-      marketContext = await this.getMarketContext();
-    } catch (error) {
-      // Use default context if service fails
-      marketContext = {
-        marketTrend: 'unknown',
-        volatility: 'normal',
-        isMarketHours: this.isMarketHours(),
-        sector: 'general'
-      };
-    }
+    const reasoning = [
+      ...(neutralSetup ? neutralSetup.reasoning : []),
+      ...this.buildReasoning(symbol, decision.sentiment, decision.strength, priceChangePercent),
+      ...decision.reasoning,
+      ...(levels.reasoning || [])
+    ];
     
-    // Calculate final strength with all factors
     const finalAnalysis = {
       symbol,
-      sentiment: consensusSentiment,
-      strength: avgStrength,
+      sentiment: decision.sentiment,
+      strength: decision.strength,
       levels,
       reasoning,
-      timeframes: validAnalyses.map(a => a.timeframe),
+      strategies: decision.strategies,
+      primaryStrategy: decision.primaryStrategy,
+      tradeType: neutralSetup ? 'mean_reversion' : 'trend',
+      setup: neutralSetup ? neutralSetup.setup : null,
+      timeframes: Object.values(analyses).filter(Boolean).map(a => a.timeframe),
       currentPrice,
       priceChangePercent,
       marketContext,
       institutionalGrade,
-      timestamp: new Date().toISOString()
+      atr,
+      timestamp: new Date(this.now()).toISOString()
     };
     
-    finalAnalysis.finalStrength = this.calculateFinalStrength(finalAnalysis);
-    
     return finalAnalysis;
   }
 
@@ -734,9 +782,12 @@ export class FerrariTradingSystem extends EventEmitter {
    * @param {string} symbol - Symbol (e.g., BTC/USD, AAPL)
    * @param {string} type - 'crypto' or 'stock'
    * @param {number} limit - Number of candles to fetch (default 20)
-   * @returns {Promise<Array>} Array of {open, high, low, close, volume}
+   * @param {string} timeframe - '1min', '5min', '15min' or '1hour' (default '1hour')
+   * @returns {Promise<Array>} Array of {timestamp, open, high, low, close, volume}
    */
-  async fetchHistoricalOHLCV(symbol, type, limit = 20) {
+  async fetchHistoricalOHLCV(symbol, type, limit = 20, timeframe = '1hour') {
+    const intervals = HISTORICAL_INTERVALS[timeframe] || HISTORICAL_INTERVALS['1hour'];
+    
     if (type === 'crypto') {
       // Crypto: Use Binance with circuit breaker
       return await this.callApiWithCircuitBreaker(
@@ -744,7 +795,7 @@ export class FerrariTradingSystem extends EventEmitter {
         async () => {
           const originalSymbol = symbol;
           let binanceSymbol = symbol.replace('/', '').replace('USD', 'USDT').toUpperCase();
-          const url = `https://api.binance.com/api/v3/klines?symbol=${binanceSymbol}&interval=1h&limit=${limit}`;
+          const url = `${endpoints.binanceRestUrl}/api/v3/klines?symbol=${binanceSymbol}&interval=${intervals.binance}&limit=${limit}`;
           console.log(`[Binance OHLCV] Requesting:`, { originalSymbol, binanceSymbol });
           
           const resp = await axios.get(url, { timeout: 10000 });
@@ -753,6 +804,7 @@ export class FerrariTradingSystem extends EventEmitter {
           }
           
           return resp.data.map(candle => ({
+            timestamp: candle[0],
             open: parseFloat(candle[1]),
             high: parseFloat(candle[2]),
             low: parseFloat(candle[3]),
@@ -771,7 +823,7 @@ export class FerrariTradingSystem extends EventEmitter {
           return await this.callApiWithCircuitBreaker(
             'alpaca',
             async () => {
-              const alpacaUrl = `https://data.alpaca.markets/v2/stocks/${symbol}/bars?timeframe=1Hour&limit=${limit}`;
+              const alpacaUrl = `${endpoints.alpacaDataUrl}/v2/stocks/${symbol}/bars?timeframe=${intervals.alpaca}&limit=${limit}`;
               const resp = await axios.get(alpacaUrl, {
                 headers: {
                   'APCA-API-KEY-ID': process.env.ALPACA_API_KEY,
@@ -782,6 +834,7 @@ export class FerrariTradingSystem extends EventEmitter {
               
               if (resp.data && resp.data.bars && resp.data.bars.length > 0) {
                 return resp.data.bars.map(bar => ({
+                  timestamp: new Date(bar.t).getTime(),
                   open: bar.o,
                   high: bar.h,
                   low: bar.l,
@@ -802,11 +855,12 @@ export class FerrariTradingSystem extends EventEmitter {
         return await this.callApiWithCircuitBreaker(
           'finnhub',
           async () => {
-            const finnhubUrl = `https://finnhub.io/api/v1/stock/candle?symbol=${symbol}&resolution=60&count=${limit}&token=${process.env.FINNHUB_API_KEY}`;
+            const finnhubUrl = `${endpoints.finnhubRestUrl}/stock/candle?symbol=${symbol}&resolution=${intervals.finnhub}&count=${limit}&token=${process.env.FINNHUB_API_KEY}`;
             const resp = await axios.get(finnhubUrl, { timeout: 10000 });
             
             if (resp.data && resp.data.c && resp.data.c.length > 0) {
               return resp.data.c.map((close, i) => ({
+                timestamp: resp.data.t ? resp.data.t[i] * 1000 : undefined,
                 open: resp.data.o[i],
                 high: resp.data.h[i],
                 low: resp.data.l[i],
@@ -844,11 +898,9 @@ export class FerrariTradingSystem extends EventEmitter {
         totalSymbols: this.getTotalSymbols(),
         dataHealthPercent: 0
       },
-      webSocketConnections: {
-        alpaca: this.alpacaSocket?.readyState === 1 ? 'connected' : 'disconnected',
-        finnhub: this.finnhubSocket?.readyState === 1 ? 'connected' : 'disconnected', 
-        binance: this.binanceSocket?.readyState === 1 ? 'connected' : 'disconnected'
-      }
+      webSocketConnections: Object.fromEntries(
+        Array.from(this.state.providers.entries()).map(([name, provider]) => [name, provider.health().status])
+      )
     };
 
     // Test each data source
@@ -880,7 +932,7 @@ export class FerrariTradingSystem extends EventEmitter {
     // Test Alpaca (stocks)
     if (process.env.ALPACA_API_KEY) {
       try {
-        const alpacaTest = await axios.get('https://data.alpaca.markets/v2/stocks/AAPL/bars?timeframe=1Hour&limit=1', {
+        const alpacaTest = await axios.get(`${endpoints.alpacaDataUrl}/v2/stocks/AAPL/bars?timeframe=1Hour&limit=1`, {
           headers: {
             'APCA-API-KEY-ID': process.env.ALPACA_API_KEY,
             'APCA-API-SECRET-KEY': process.env.ALPACA_SECRET_KEY
@@ -902,7 +954,7 @@ export class FerrariTradingSystem extends EventEmitter {
     // Test Finnhub (stocks + news)
     if (process.env.FINNHUB_API_KEY) {
       try {
-        const finnhubTest = await axios.get(`https://finnhub.io/api/v1/quote?symbol=AAPL&token=${process.env.FINNHUB_API_KEY}`, {
+        const finnhubTest = await axios.get(`${endpoints.finnhubRestUrl}/quote?symbol=AAPL&token=${process.env.FINNHUB_API_KEY}`, {
           timeout: 8000
         });
         
@@ -919,7 +971,7 @@ export class FerrariTradingSystem extends EventEmitter {
 
     // Test Binance (crypto)
     try {
-      const binanceTest = await axios.get('https://api.binance.com/api/v3/ticker/price?symbol=BTCUSDT', {
+      const binanceTest = await axios.get(`${endpoints.binanceRestUrl}/api/v3/ticker/price?symbol=BTCUSDT`, {
         timeout: 8000
       });
       
@@ -985,147 +1037,160 @@ export class FerrariTradingSystem extends EventEmitter {
     
     if (resetCount > 0) {
       console.log(`✅ Reset ${resetCount} circuit breakers for recovery`);
+      this.stateSnapshots.schedule();
+    }
+  }
+
+  /**
+   * History source for institutional analysis: live 1h candles, backfilled from REST
+   */
+  getInstitutionalHistory(symbol, symbolType) {
+    return {
+      bars: this.candles.getBars(symbol, '1h'),
+      fetchHistorical: (timeframe, limit) => this.backfillCandles(symbol, symbolType, timeframe, limit),
+      timeframe: '1h'
+    };
+  }
+
+  /**
+   * Fetch REST history and seed it into the candle aggregator in front of the live bars.
+   * Returns the merged candles, or the raw history for resolutions that are not tracked.
+   */
+  async backfillCandles(symbol, type, timeframe, limit) {
+    const history = await this.fetchHistoricalOHLCV(symbol, type, limit, timeframe);
+    if (!this.candles.resolve(timeframe)) {
+      return history;
+    }
+    this.candles.seed(symbol, timeframe, history);
+    return this.candles.getBars(symbol, timeframe);
+  }
+
+  /**
+   * Candles for the strategies' requiredHistory, backfilled from REST when the live ones are short
+   */
+  async getStrategyBars(symbol, symbolType, requiredHistory) {
+    const bars = {};
+    for (const [timeframe, needed] of Object.entries(requiredHistory)) {
+      bars[timeframe] = this.candles.getBars(symbol, timeframe);
+      if (bars[timeframe].length >= needed) continue;
+      
+      try {
+        const fetched = await this.backfillCandles(symbol, symbolType, timeframe, needed);
+        if (Array.isArray(fetched) && fetched.length > bars[timeframe].length) {
+          bars[timeframe] = fetched;
+        }
+      } catch (error) {
+        console.warn(`⚠️ ${timeframe} backfill for ${symbol} strategies failed:`, error.message);
+      }
     }
+    return bars;
   }
 
   /**
-   * Robust ATR calculation with backfill for missing OHLCV data.
-   * If priceHistory is missing/invalid, fetches and retries before fallback.
+   * Price change (%) behind the momentum score, from the live candles: since the
+   * last completed daily close, otherwise over the last MOMENTUM_LOOKBACK_HOURS
+   * 1h candles. null until there are candles to measure against.
    */
-  async calculateATR(priceHistory, symbol = '', type = '') {
-    // Defensive: must be array with at least 2 elements
-    if (!Array.isArray(priceHistory) || priceHistory.length < 2 || priceHistory.some(p => typeof p.close !== 'number' || typeof p.high !== 'number' || typeof p.low !== 'number')) {
+  calculatePriceChange(symbol, currentPrice) {
+    if (!(currentPrice > 0)) return null;
+
+    const dailyClose = this.candles.getBars(symbol, '1d', { includeOpen: false }).at(-1)?.close;
+    const hourlyOpen = this.candles.getBars(symbol, '1h').slice(-MOMENTUM_LOOKBACK_HOURS)[0]?.open;
+    const reference = dailyClose || hourlyOpen;
+    if (!(reference > 0)) return null;
+
+    return ((currentPrice - reference) / reference) * 100;
+  }
+
+  /**
+   * ATR over the last 14 periods of 1h candles (oldest first).
+   * Backfills from REST when the live candles are missing or too short.
+   */
+  async calculateATR(bars, symbol = '', type = '') {
+    const isValid = candles => Array.isArray(candles) && candles.length >= 2 &&
+      candles.every(c => typeof c.close === 'number' && typeof c.high === 'number' && typeof c.low === 'number');
+
+    if (!isValid(bars) || bars.length < 15) {
       // Normal initialization - fetch historical data for new symbols
-      const fetched = await this.fetchHistoricalOHLCV(symbol, type);
-      if (Array.isArray(fetched) && fetched.length >= 2) {
-        priceHistory = fetched;
-      } else {
+      const fetched = await this.backfillCandles(symbol, type, '1hour', 20);
+      if (isValid(fetched) && fetched.length > (isValid(bars) ? bars.length : 0)) {
+        bars = fetched;
+      } else if (!isValid(bars)) {
         // Fallback for symbols with no historical data available
         return 0.001;
       }
     }
 
-    // Standard ATR calculation for symbols with enough data
-    if (priceHistory.length >= 14) {
-      const trueRanges = [];
-      for (let i = 1; i < Math.min(priceHistory.length, 20); i++) {
-        const current = priceHistory[i];
-        const previous = priceHistory[i - 1];
-        const highLow = Math.abs(current.high - current.low);
-        const highClose = Math.abs(current.high - previous.close);
-        const lowClose = Math.abs(current.low - previous.close);
-        trueRanges.push(Math.max(highLow, highClose, lowClose));
-      }
-      const atr = trueRanges.reduce((sum, tr) => sum + tr, 0) / trueRanges.length;
-      const currentPrice = priceHistory[0].close;
-      const minimumATR = currentPrice * 0.001;
-      return Math.max(atr, minimumATR);
+    const recent = bars.slice(-15);
+    const trueRanges = [];
+    for (let i = 1; i < recent.length; i++) {
+      const current = recent[i];
+      const previous = recent[i - 1];
+      trueRanges.push(Math.max(
+        current.high - current.low,
+        Math.abs(current.high - previous.close),
+        Math.abs(current.low - previous.close)
+      ));
     }
 
-    // Fallback ATR for symbols with limited data
-    const recentPrices = priceHistory.slice(0, Math.min(priceHistory.length, 10));
-    const prices = recentPrices.map(p => p.close);
-    if (prices.length < 2) {
-      return prices[0] * 0.001;
-    }
-    let totalVariation = 0;
-    for (let i = 1; i < prices.length; i++) {
-      totalVariation += Math.abs(prices[i] - prices[i - 1]);
-    }
-    const avgVariation = totalVariation / (prices.length - 1);
-    const currentPrice = prices[0];
-    const minimumATR = currentPrice * 0.001;
-    const calculatedATR = Math.max(avgVariation, minimumATR);
-    return calculatedATR;
+    const atr = trueRanges.reduce((sum, tr) => sum + tr, 0) / trueRanges.length;
+    const minimumATR = recent[recent.length - 1].close * 0.001;
+    return Math.max(atr, minimumATR);
   }
 
-  calculateDynamicLevels(price, atr, sentiment) {
+  /**
+   * Stop and targets from market structure (see levelEngine.js)
+   * @param {Object} history - { bars: 1h candles, dailyBars: daily candles }
+   * @returns {Object|null} { entry, stopLoss, takeProfit1, takeProfit2, riskReward, structure, reasoning }
+   */
+  calculateDynamicLevels(price, atr, sentiment, history = {}) {
     // Ensure we have valid inputs
     if (!price || !atr || atr <= 0) {
       console.error(`❌ Invalid inputs for level calculation: ${price}, atr=${atr}`);
       return null;
     }
     
-    // Dynamic multipliers based on sentiment and volatility
-    let stopMultiplier, target1Multiplier, target2Multiplier;
-    
     switch (sentiment) {
       case 'bullish':
-        stopMultiplier = 2.0;    // Stop below entry
-        target1Multiplier = 5.0; // Target above entry (RR = 5.0/2.0 = 2.5)
-        target2Multiplier = 8.0; // Extended target
-        
-        return {
-          entry: price,
-          stopLoss: price - (atr * stopMultiplier),
-          takeProfit1: price + (atr * target1Multiplier),
-          takeProfit2: price + (atr * target2Multiplier)
-        };
-        
       case 'bearish':
-        stopMultiplier = 2.0;    // Stop above entry
-        target1Multiplier = 5.0; // Target below entry (RR = 5.0/2.0 = 2.5)
-        target2Multiplier = 8.0; // Extended target
-        
-        return {
-          entry: price,
-          stopLoss: price + (atr * stopMultiplier),
-          takeProfit1: price - (atr * target1Multiplier),
-          takeProfit2: price - (atr * target2Multiplier)
-        };
+        return this.levelEngine.calculate({
+          price,
+          atr,
+          direction: sentiment === 'bullish' ? 'long' : 'short',
+          bars: history.bars || [],
+          dailyBars: history.dailyBars || []
+        });
         
       case 'neutral':
-        // For neutral, create a small range trade setup
-        stopMultiplier = 2.0;
-        target1Multiplier = 5.0;
-        target2Multiplier = 8.0;
-        
-        // Randomly choose direction for neutral (or use price momentum)
-        const direction = Math.random() > 0.5 ? 1 : -1;
-        
-        return {
-          entry: price,
-          stopLoss: price - (direction * atr * stopMultiplier),
-          takeProfit1: price + (direction * atr * target1Multiplier),
-          takeProfit2: price + (direction * atr * target2Multiplier)
-        };
+        // Neutral reads are handled by the neutral policy (suppress or a VWAP range trade)
+        console.warn('⚠️ No directional levels for a neutral read - see neutralPolicy.js');
+        return null;
         
       default:
-        console.error(`❌ Unknown sentiment: ${sentiment}, defaulting to neutral`);
-        return {
-          entry: price,
-          stopLoss: price - (atr * 2.0),
-          takeProfit1: price + (atr * 5.0),
-          takeProfit2: price + (atr * 8.0)
-        };
+        console.error(`❌ Unknown sentiment: ${sentiment}, no levels`);
+        return null;
     }
   }
 
-  async getMarketContext() {
+  /**
+   * Regime of the symbol's asset class (benchmark trend, volatility percentile,
+   * watchlist breadth) plus the session
+   */
+  async getMarketContext(symbol = '') {
     try {
-      // Get market-wide indicators
-      const spyData = this.state.priceCache.get('SPY');
-      
-      let marketTrend = 'neutral';
-      if (spyData && spyData.prices.length > 5) {
-        const recentPrices = spyData.prices.slice(-5);
-        const firstPrice = recentPrices[0].price;
-        const lastPrice = recentPrices[recentPrices.length - 1].price;
-        const change = ((lastPrice - firstPrice) / firstPrice) * 100;
-        
-        if (change > 0.5) marketTrend = 'bullish';
-        else if (change < -0.5) marketTrend = 'bearish';
-      }
+      const regime = await this.regime.getRegime(symbol.includes('/') ? 'crypto' : 'stocks');
       
+      const marketSession = this.getMarketSession();
       return {
-        marketTrend,
-        volatility: 'normal', // Could be enhanced with VIX data
-        isMarketHours: this.isMarketHours(),
+        ...this.regime.toMarketContext(regime),
+        isMarketHours: marketSession.isOpen,
+        session: marketSession.session,
         sector: 'general'
       };
     } catch (error) {
       console.warn('⚠️ Error getting market context:', error.message);
       return {
+        regime: 'unknown',
         marketTrend: 'unknown',
         volatility: 'unknown',
         isMarketHours: this.isMarketHours(),
@@ -1134,38 +1199,22 @@ export class FerrariTradingSystem extends EventEmitter {
     }
   }
 
+  /**
+   * Technical, institutional, momentum, regime and session components on one scale
+   * (see scoringService.js); the breakdown is kept on analysis.score for the tip
+   */
   calculateFinalStrength(analysis) {
-    let finalStrength = analysis.strength;
-    
-    // Boost for strong price momentum
-    if (Math.abs(analysis.priceChangePercent) > 2) {
-      finalStrength += 0.5;
-    }
-    
-    // Boost for market alignment
-    if (analysis.marketContext.marketTrend === analysis.sentiment) {
-      finalStrength += 0.3;
-    }
-    
-    // Penalty for high volatility periods
-    if (analysis.marketContext.volatility === 'high') {
-      finalStrength -= 0.2;
-    }
-    
-    // Boost for market hours
-    if (analysis.marketContext.isMarketHours) {
-      finalStrength += 0.2;
-    }
-    
-    return Math.max(0, Math.min(5, finalStrength));
+    analysis.score = this.scoring.score(analysis);
+    return analysis.score.strength;
   }
 
   passesQualityGates(analysis) {
-    const gates = this.config.qualityGates;
+    // Choppy and high-vol regimes raise the bar
+    const gates = this.regime.adjustGates(this.config.qualityGates, analysis.marketContext);
     
     // Minimum strength
     if (!analysis.finalStrength || analysis.finalStrength < gates.minimumStrength) {
-      console.log(`❌ Quality gates failed: ${analysis.symbol} | Strength: ${analysis.finalStrength} < ${gates.minimumStrength}`);
+      console.log(`❌ Quality gates failed: ${analysis.symbol} | Strength: ${analysis.finalStrength} < ${gates.minimumStrength}${gates === this.config.qualityGates ? '' : ` (${analysis.marketContext.regime})`}`);
       return false;
     }
     
@@ -1199,19 +1248,129 @@ export class FerrariTradingSystem extends EventEmitter {
     
     // Minimum risk/reward ratio
     if (riskReward < gates.minimumRiskReward) {
-      console.log(`❌ Quality gates failed: ${analysis.symbol} | Strength: ${analysis.finalStrength} | RR: ${riskReward.toFixed(2)} < ${gates.minimumRiskReward}`);
+      console.log(`❌ Quality gates failed: ${analysis.symbol} | Strength: ${analysis.finalStrength} | RR: ${riskReward.toFixed(2)} < ${gates.minimumRiskReward}${gates === this.config.qualityGates ? '' : ` (${analysis.marketContext.regime})`}`);
+      return false;
+    }
+    
+    // Minimum dollar volume / maximum spread
+    const liquidity = this.liquidity.evaluate(analysis.symbol, gates, { dailyBars: this.candles.getBars(analysis.symbol, '1d') });
+    analysis.liquidity = liquidity.snapshot;
+    if (!liquidity.passed) {
+      console.log(`❌ Quality gates failed: ${analysis.symbol} | Illiquid: ${liquidity.failures.join(', ')}`);
+      return false;
+    }
+    
+    console.log(`✅ Quality gates passed: ${analysis.symbol} | Strength: ${analysis.finalStrength} | RR: ${riskReward.toFixed(2)}`);
+    return true;
+  }
+
+  /**
+   * Portfolio-level check after the quality gates: rejects, or downgrades the
+   * strength of, signals that breach net direction / sector / correlation / daily risk limits
+   */
+  passesPortfolioRisk(analysis) {
+    const result = this.portfolioRisk.evaluate(analysis, this.config.qualityGates.minimumStrength);
+    analysis.portfolioRisk = result;
+
+    for (const breach of result.breaches) {
+      console.log(`⚠️ Portfolio risk (${breach.limit} → ${breach.action}): ${analysis.symbol} | ${breach.message}`);
+    }
+
+    if (result.decision === 'reject') {
+      console.log(`❌ Portfolio risk rejected: ${analysis.symbol}`);
+      return false;
+    }
+
+    if (result.decision === 'downgrade') {
+      console.log(`⬇️ Portfolio risk downgrade: ${analysis.symbol} | Strength: ${analysis.finalStrength} → ${result.strength}`);
+      analysis.finalStrength = result.strength;
+      analysis.reasoning = [
+        ...(analysis.reasoning || []),
+        ...result.breaches.map(breach => `⚖️ Portfolio risk: ${breach.message}`)
+      ];
+    }
+    return true;
+  }
+
+  /**
+   * Once the candidate window has closed, emit the best-ranked candidate that
+   * portfolio risk accepts, within the hourly / daily limits and the paced budget
+   * @returns {Promise<Object|null>} The delivered tip
+   */
+  async flushCandidatePool() {
+    this.state.lastPoolFlushAt = this.now();
+    
+    // Stocks-only during the regular session: crypto pooled before the open is dropped
+    if (this.getMarketSession().isOpen) {
+      this.candidatePool.remove(analysis => this.config.watchlist.crypto.includes(analysis.symbol));
+    }
+    if (!this.candidatePool.isDue() || this.signalBlockReason()) {
+      return null;
+    }
+
+    const budget = this.candidatePool.allowance({
+      used: this.state.dailySignalCount || 0,
+      total: this.config.rateLimiting.maxDailyTips || 5,
+      session: this.getRegularSession()
+    });
+    if (!budget.canEmit) {
+      if (this.state.pacingHeldUntil !== budget.nextAt) {
+        this.state.pacingHeldUntil = budget.nextAt;
+        const until = budget.nextAt ? new Date(budget.nextAt).toLocaleTimeString('en-US', { timeZone: 'America/New_York' }) + ' ET' : 'tomorrow';
+        console.log(`⏳ Daily budget paced: ${this.state.dailySignalCount}/${budget.allowed} used so far, next tip after ${until}`);
+      }
+      return null;
+    }
+
+    let best;
+    while ((best = this.candidatePool.takeBest())) {
+      const { analysis, rank, competing } = best;
+      console.log(`🏆 Best of ${competing} candidate(s): ${analysis.symbol} | rank ${rank.total} (${Object.entries(rank.components).map(([name, value]) => `${name} ${value}`).join(', ')})`);
+      analysis.selection = { rank: rank.total, components: rank.components, competing };
+      
+      // Price and exposure may have moved while the setup waited
+      if (this.repriceCandidate(analysis) && this.passesPortfolioRisk(analysis)) {
+        return this.generateSignal(analysis);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Re-check a pooled setup at the current price: dropped once price crossed its
+   * stop or TP1 or drifted too far from entry, otherwise entered at the current
+   * price (R/R recomputed) and put through the quality gates again
+   */
+  repriceCandidate(analysis) {
+    const price = this.state.priceCache.get(analysis.symbol)?.currentPrice;
+    const check = this.candidatePool.entryCheck(analysis, price);
+    if (!check.valid) {
+      console.log(`🗑️ Candidate ${analysis.symbol} dropped: ${check.reason}`);
       return false;
     }
     
-    console.log(`✅ Quality gates passed: ${analysis.symbol} | Strength: ${analysis.finalStrength} | RR: ${riskReward.toFixed(2)}`);
-    return true;
+    const levels = { ...analysis.levels, entry: price };
+    return this.passesQualityGates(Object.assign(analysis, { levels }));
   }
 
+  /**
+   * Today's regular session, or null outside it (the budget is only paced in session)
+   */
+  getRegularSession() {
+    const session = this.marketCalendar.sessionAt(this.now());
+    if (!session.isOpen) return null;
+    const day = this.marketCalendar.getDay(session.tradingDate);
+    return { open: day.open, close: day.close };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The delivered tip, or null when limits or storage stopped it
+   */
   async generateSignal(analysis) {
     // Check user rate limits before generating
     if (!this.canSendSignalNow()) {
       console.log(`❌ Cannot send signal for ${analysis.symbol}: daily/hourly limit reached.`);
-      return;
+      return null;
     }
     
     // Mark signal as sent (update limits)
@@ -1225,55 +1384,202 @@ export class FerrariTradingSystem extends EventEmitter {
       const tip = await this.createPremiumTip(analysis);
       
       // ✅ MISSING FEATURE: Save tip to Firebase with statistics update
-      console.log('💾 Saving tip to Firebase collections...');
-      const saveResult = await this.saveTipToFirebase(tip);
+      console.log(`💾 Saving tip to ${this.storage.backend} storage...`);
+      const saveResult = await this.saveTip(tip);
       
       if (!saveResult.success) {
-        console.error('❌ Failed to save tip to Firebase:', saveResult.error);
-        return;
+        console.error('❌ Failed to save tip:', saveResult.error);
+        return null;
       }
       
-      // ✅ SEND NOTIFICATION: Now using the complete tip structure
-      console.log('📱 Sending notification to trading_tips topic...');
-      await this.sendToEligibleUsers(tip, []); // Empty users array since we use topic broadcasting
+      this.state.performanceMetrics.signalsGenerated++;
+      this.state.signalCooldowns.set(tip.symbol, this.now() + (this.config.qualityGates.cooldownPeriod || 0));
+      this.stateSnapshots.schedule();
+      this.outcomeTracker.register(tip);
+      this.portfolioRisk.recordSignal(tip);
+      this.strategies.recordSignal(tip);
+      this.emit('signal', tip);
+      
+      // ✅ SEND NOTIFICATION: Per user, filtered by preferences and limits
+      const eligibleUsers = await this.getEligibleUsers(tip);
+      console.log(`📱 Sending notification to ${eligibleUsers.length} eligible user(s)...`);
+      await this.sendToEligibleUsers(tip, eligibleUsers);
+      
+      // ✅ CHANNELS: Telegram, Discord, Slack, email digests, webhooks
+      await this.notificationDispatcher.dispatch(tip);
       
-      console.log(`✅ Ferrari signal complete: ${tip.symbol} (${tip.timeframe}) saved and broadcasted`);
+      console.log(`✅ Ferrari signal complete: ${tip.symbol} (${tip.timeframe}) saved and delivered`);
+      return tip;
       
     } catch (error) {
       console.error('❌ Error in Ferrari signal generation:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Signals from outside the engine (TradingView webhooks) take the same path
+   * as live ones: symbol cooldown, market-hours policy, scoring, quality gates,
+   * portfolio risk, rate limits, then generateSignal
+   * @returns {Promise<{ accepted: boolean, reason: string|null, tip: Object|null }>} reason is one of
+   *   cooldown, market_closed, stocks_only, quality_gates, portfolio_risk, rate_limited, save_failed
+   */
+  async submitExternalSignal(analysis) {
+    if (this.isInCooldown(analysis.symbol)) {
+      return { accepted: false, reason: 'cooldown', tip: null };
+    }
+    const marketBlock = this.marketBlockReason(analysis.symbol);
+    if (marketBlock) {
+      return { accepted: false, reason: marketBlock, tip: null };
+    }
+    
+    if (analysis.marketContext === undefined) {
+      analysis.marketContext = await this.getMarketContext(analysis.symbol);
+    }
+    analysis.finalStrength = this.calculateFinalStrength(analysis);
+    
+    if (!this.passesQualityGates(analysis)) {
+      return { accepted: false, reason: 'quality_gates', tip: null };
+    }
+    if (!this.passesPortfolioRisk(analysis)) {
+      return { accepted: false, reason: 'portfolio_risk', tip: null };
     }
+    if (this.signalBlockReason()) {
+      return { accepted: false, reason: 'rate_limited', tip: null };
+    }
+
+    // Past the limits generateSignal only comes back empty when the tip could not be built or saved
+    const tip = await this.generateSignal(analysis);
+    return tip
+      ? { accepted: true, reason: null, tip }
+      : { accepted: false, reason: 'save_failed', tip: null };
+  }
+
+  /**
+   * Session policy for external signals: crypto is not signalled during the
+   * regular US session (the scan loop's stocks-only policy), and stock alerts
+   * are refused while the market is closed (their price cannot be traded until the open)
+   * @returns {'stocks_only'|'market_closed'|null}
+   */
+  marketBlockReason(symbol) {
+    const isOpen = this.getMarketSession().isOpen;
+    if (symbol.includes('/')) {
+      return isOpen ? 'stocks_only' : null;
+    }
+    return isOpen ? null : 'market_closed';
+  }
+
+  /**
+   * Close the open tips for a symbol at exitPrice (optionally only one direction)
+   * @returns {Array<Object>} Resolved outcome records
+   */
+  closeOpenTips(symbol, exitPrice, { direction = null, reason = null } = {}) {
+    const open = this.outcomeTracker.getActiveTips()
+      .filter(record => record.symbol === symbol && (!direction || record.direction === direction));
+
+    return open
+      .map(record => this.outcomeTracker.close(record.trackingId, exitPrice, { reason }))
+      .filter(Boolean);
+  }
+
+  /**
+   * Indicators for a symbol from live candles (backfilled from REST when short)
+   */
+  getTechnicalContext(symbol, timeframe = '15min') {
+    const symbolType = symbol.includes('/') ? 'crypto' : 'stock';
+    return this.technicalAnalysis.getTechnicalAnalysis(symbol, timeframe, {
+      bars: this.candles.getBars(symbol, timeframe),
+      fetchHistorical: (tf, limit) => this.backfillCandles(symbol, symbolType, tf, limit)
+    });
   }
 
   canSendSignalNow() {
-    const now = Date.now();
-    const today = new Date().toDateString();
+    const reason = this.signalBlockReason();
+    if (reason) {
+      console.log(`⚠️ ${reason}`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Why the system-wide daily / hourly limit blocks a signal right now, or null
+   */
+  signalBlockReason() {
+    const now = this.now();
     const todaySignals = this.state.dailySignalCount || 0;
     const maxDailySignals = this.config.rateLimiting.maxDailyTips || 5;
     const lastSignalTime = this.state.lastSignalTimestamp || 0;
     const oneHour = 60 * 60 * 1000;
     if (todaySignals >= maxDailySignals) {
-      console.log(`⚠️ Daily signal limit reached (${todaySignals}/${maxDailySignals})`);
-      return false;
+      return `Daily signal limit reached (${todaySignals}/${maxDailySignals})`;
     }
     if (now - lastSignalTime < oneHour) {
       const mins = Math.ceil((oneHour - (now - lastSignalTime)) / 60000);
-      console.log(`⚠️ Hourly signal limit: must wait ${mins} more min(s)`);
-      return false;
+      return `Hourly signal limit: must wait ${mins} more min(s)`;
     }
-    return true;
+    return null;
   }
 
   markSignalSent() {
-    this.state.lastSignalTimestamp = Date.now();
+    this.state.lastSignalTimestamp = this.now();
     this.state.dailySignalCount = (this.state.dailySignalCount || 0) + 1;
+    this.stateSnapshots.schedule();
+  }
+
+  /**
+   * No new signal for a symbol within qualityGates.cooldownPeriod of its last one
+   */
+  isInCooldown(symbol) {
+    const until = this.state.signalCooldowns.get(symbol);
+    return Boolean(until) && this.now() < until;
+  }
+
+  /**
+   * Daily count, cooldowns, user limits and circuit breakers from the last
+   * snapshot. A daily reset that fell while the instance was down runs now.
+   */
+  async restoreEngineState() {
+    const restored = await this.stateSnapshots.restore({ breakerResetTime: this.config.circuitBreaker.resetTime });
+    if (!restored) {
+      console.log('♻️ No engine state snapshot - starting with fresh limits');
+      return;
+    }
+
+    this.state.dailySignalCount = restored.daily.count;
+    this.state.lastSignalDate = restored.daily.lastSignalDate;
+    this.state.lastSignalTimestamp = restored.daily.lastSignalTimestamp;
+    this.state.signalCooldowns = restored.cooldowns;
+    for (const [userId, limits] of restored.userLimits.entries()) {
+      this.state.userLimits.set(userId, limits);
+    }
+    for (const [service, breaker] of Object.entries(restored.circuitBreakers)) {
+      if (this.config.circuitBreaker[service]) {
+        Object.assign(this.config.circuitBreaker[service], breaker);
+      }
+    }
+    console.log(`♻️ Engine state restored from ${new Date(restored.savedAt).toISOString()}: ${restored.daily.count} signal(s) today, ${restored.cooldowns.size} cooldown(s), ${restored.userLimits.size} user limit(s)`);
+
+    if (this.dailyResetMissed(restored.savedAt)) {
+      console.log('📅 Daily reset fell while the system was down - running it now');
+      await this.resetDailyLimits();
+    }
+  }
+
+  /**
+   * Whether a daily reset (open + 5 minutes) fell between since and now
+   */
+  dailyResetMissed(since) {
+    const nextOpen = this.marketCalendar.nextOpen(since - DAILY_RESET_AFTER_OPEN);
+    return Boolean(nextOpen) && nextOpen + DAILY_RESET_AFTER_OPEN <= this.now();
   }
 
   async createPremiumTip(analysis) {
     // Get complete company information with logo and business data
     const companyInfo = LogoUtils.getCompanyInfo(analysis.symbol);
     
-    // Determine timeframe based on oldest timeframe logic (now async)
-    const timeframe = await this.determineTimeframe(analysis);
+    // Timeframe requested by the source (webhook alerts), otherwise the oldest timeframe
+    const timeframe = analysis.requestedTimeframe || await this.determineTimeframe(analysis);
     
     // Enhanced reasoning with institutional insights
     let enhancedReasoning = [...analysis.reasoning];
@@ -1287,29 +1593,54 @@ export class FerrariTradingSystem extends EventEmitter {
     // Filter out empty, null, or 'N/A' lines
     enhancedReasoning = enhancedReasoning.filter(line => line && line.trim() !== '' && line !== 'N/A' && line !== '🏛️ INSTITUTIONAL ANALYSIS:');
     
-    // BACKWARD COMPATIBILITY FIX #1: Convert neutral sentiment to bullish/bearish for Flutter app
+    // How much to buy for the reference accounts
+    const positionSizing = this.positionSizing.calculate({
+      symbol: analysis.symbol,
+      entryPrice: analysis.levels.entry,
+      stopLoss: analysis.levels.stopLoss,
+      riskRewardRatio: analysis.riskRewardRatio
+    }, this.getSizingContext(analysis.atr));
+    if (positionSizing) {
+      enhancedReasoning.push(...this.positionSizing.describe(positionSizing));
+    }
+    
+    // The regime behind the strength / gate adjustments
+    const regimeLine = this.regime.describe(analysis.marketContext, analysis);
+    if (regimeLine) {
+      enhancedReasoning.push(regimeLine);
+    }
+    
+    // What the strength is made of, after any portfolio risk downgrade
+    const scoring = analysis.score ? {
+      ...analysis.score,
+      strength: analysis.finalStrength,
+      scoredStrength: analysis.score.strength,
+      confidence: this.scoring.confidence(analysis.finalStrength, analysis.score.corroboration)
+    } : null;
+    if (scoring) {
+      enhancedReasoning.push(this.scoring.describe(scoring));
+    }
+    
+    // Volume, spread and depth the liquidity gates saw
+    const liquidityLine = analysis.liquidity ? this.liquidity.describe(analysis.liquidity) : null;
+    if (liquidityLine) {
+      enhancedReasoning.push(liquidityLine);
+    }
+    
+    // How the tip is managed after entry, including the stop once TP1 is hit
+    const exitPlan = describeExitPlan({
+      entryPrice: analysis.levels.entry,
+      takeProfit: analysis.levels.takeProfit1,
+      takeProfit2: analysis.levels.takeProfit2
+    });
+    enhancedReasoning.push(`🪜 Exit plan: ${exitPlan.summary}`);
+    
+    // BACKWARD COMPATIBILITY FIX #1: the Flutter app only knows bullish / bearish.
+    // Neutral reads only get here as range trades (neutralPolicy.js): they take the side
+    // of their levels and are labeled by tradeType / setup and their reasoning
     let appCompatibleSentiment = analysis.sentiment;
     if (analysis.sentiment === 'neutral') {
-      // BETTER LOGIC: Determine sentiment based on trading direction (LONG vs SHORT)
-      const entryPrice = analysis.levels.entry;
-      const takeProfit = analysis.levels.takeProfit1;
-      
-      if (entryPrice && takeProfit) {
-        if (takeProfit > entryPrice) {
-          // Take profit higher than entry = LONG position = bullish
-          appCompatibleSentiment = 'bullish';
-          enhancedReasoning.unshift('📈 Neutral signal converted to BULLISH (LONG position: target above entry)');
-        } else {
-          // Take profit lower than entry = SHORT position = bearish  
-          appCompatibleSentiment = 'bearish';
-          enhancedReasoning.unshift('📉 Neutral signal converted to BEARISH (SHORT position: target below entry)');
-        }
-      } else {
-        // Fallback to price momentum if no clear levels
-        const priceChange = analysis.priceChangePercent || 0;
-        appCompatibleSentiment = priceChange >= 0 ? 'bullish' : 'bearish';
-        enhancedReasoning.unshift(`📊 Neutral signal converted to ${appCompatibleSentiment} based on price momentum (fallback)`);
-      }
+      appCompatibleSentiment = analysis.levels.takeProfit1 > analysis.levels.entry ? 'bullish' : 'bearish';
     }
     
     return {
@@ -1317,7 +1648,7 @@ export class FerrariTradingSystem extends EventEmitter {
       timeframe: timeframe, // Mobile app compatibility - FIXED: Now includes timeframe
       sentiment: appCompatibleSentiment, // Now guaranteed to be 'bullish' or 'bearish'
       strength: analysis.finalStrength,
-      confidence: Math.min(95, analysis.finalStrength * 19),
+      confidence: scoring ? scoring.confidence : this.scoring.confidence(analysis.finalStrength),
       
       // Trading levels
       entryPrice: analysis.levels.entry,
@@ -1325,6 +1656,9 @@ export class FerrariTradingSystem extends EventEmitter {
       takeProfit: analysis.levels.takeProfit1,
       takeProfit2: analysis.levels.takeProfit2,
       riskRewardRatio: analysis.riskRewardRatio,
+      levelStructure: analysis.levels.structure || null,
+      exitPlan,
+      positionSizing,
       
       // Context and reasoning - ENHANCED WITH INSTITUTIONAL INSIGHTS
       reasoning: enhancedReasoning,
@@ -1334,8 +1668,15 @@ export class FerrariTradingSystem extends EventEmitter {
       // Institutional grade data (HEDGE FUND LEVEL)
       institutionalGrade: analysis.institutionalGrade || null,
       
+      // Portfolio exposure at the time of the signal
+      portfolioRisk: analysis.portfolioRisk ? {
+        decision: analysis.portfolioRisk.decision,
+        breaches: analysis.portfolioRisk.breaches.map(breach => ({ limit: breach.limit, action: breach.action, message: breach.message })),
+        ...analysis.portfolioRisk.exposure
+      } : null,
+      
       // Mobile app required fields
-      createdAt: new Date(),
+      createdAt: new Date(this.now()),
       images: {}, // Will be populated by image generation service
       
       // Analysis data structure for mobile app - ENHANCED
@@ -1359,7 +1700,26 @@ export class FerrariTradingSystem extends EventEmitter {
         isCrypto: companyInfo.isCrypto
       },
       
+      // Per-component strength breakdown
+      scoring,
+      
+      // Rank among the pooled candidates it was picked from
+      selection: analysis.selection || null,
+      
+      // Liquidity snapshot behind the volume / spread gates
+      liquidity: analysis.liquidity || null,
+      
+      // Trend signal, or a neutral-market range trade with its VWAP bands
+      tradeType: analysis.tradeType || 'trend',
+      setup: analysis.setup || null,
+      
+      // Strategies behind the signal (performance attribution)
+      strategy: analysis.primaryStrategy || null,
+      strategies: analysis.strategies || [],
+      
       // Metadata - ENHANCED
+      source: analysis.source || 'ferrari',
+      ...(analysis.webhookData ? { webhookData: analysis.webhookData } : {}),
       system: 'ferrari_v2_institutional',
       analysisLevel: analysis.institutionalGrade ? 'institutional_grade' : 'technical_grade',
       timestamp: analysis.timestamp,
@@ -1369,31 +1729,40 @@ export class FerrariTradingSystem extends EventEmitter {
       
       // Performance tracking
       trackingId: this.generateTrackingId(),
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+      expiresAt: new Date(this.now() + 24 * 60 * 60 * 1000) // 24 hours
     };
   }
 
+  /**
+   * ATR and tracked win rate for position sizing (Kelly needs resolved tips)
+   */
+  getSizingContext(atr) {
+    const stats = this.outcomeTracker.getStats();
+    return { atr, winRate: stats.winRate, sampleSize: stats.resolved };
+  }
+
+  /**
+   * Position sizing for one user's own account size (profile.accountSize, parsed by PositionSizingService)
+   */
+  async getUserPositionSizing(profile, tip) {
+    return this.positionSizing.sizeForUser(profile.userId, tip, this.getSizingContext(tip.positionSizing?.atr));
+  }
+
   async determineTimeframe(analysis) {
     // DYNAMIC TIMEFRAME SELECTION: Update oldest timeframe first for app freshness
     try {
-      if (!this.firebaseReady || !this.db) {
-        // Fallback to quality-based selection in test mode
-        return this.determineTimeframeByQuality(analysis);
-      }
-
-      // Check last update time for each timeframe in Firebase
+      // Check last update time for each timeframe in storage
       const timeframes = ['short_term', 'mid_term', 'long_term'];
       const timeframeAges = [];
 
       for (const timeframe of timeframes) {
         try {
           // Check latest_tips collection (current active tips)
-          const doc = await this.db.collection('latest_tips').doc(timeframe).get();
+          const data = await this.storage.tips.getLatest(timeframe);
           
-          if (doc.exists) {
-            const data = doc.data();
-            const lastUpdated = data.createdAt ? data.createdAt.toDate() : new Date(0);
-            const ageInHours = (Date.now() - lastUpdated.getTime()) / (1000 * 60 * 60);
+          if (data) {
+            const lastUpdated = data.createdAt || new Date(0);
+            const ageInHours = (this.now() - lastUpdated.getTime()) / (1000 * 60 * 60);
             
             timeframeAges.push({
               timeframe,
@@ -1444,7 +1813,7 @@ export class FerrariTradingSystem extends EventEmitter {
 
   determineTimeframeByQuality(analysis) {
     // FALLBACK: Original quality-based timeframe mapping
-    // Used when Firebase is unavailable or on error
+    // Used when storage is unavailable or on error
     const strength = analysis.finalStrength;
     const riskReward = analysis.riskRewardRatio;
     
@@ -1462,24 +1831,6 @@ export class FerrariTradingSystem extends EventEmitter {
     return 'long_term';
   }
 
-  getMostFrequent(array) {
-    if (!array || array.length === 0) return null;
-    
-    const frequency = {};
-    let maxCount = 0;
-    let mostFrequent = array[0];
-    
-    for (const item of array) {
-      frequency[item] = (frequency[item] || 0) + 1;
-      if (frequency[item] > maxCount) {
-        maxCount = frequency[item];
-        mostFrequent = item;
-      }
-    }
-    
-    return mostFrequent;
-  }
-
   buildReasoning(symbol, sentiment, strength, priceChange) {
     const reasons = [];
     // Defensive coding: handle undefined sentiment
@@ -1493,7 +1844,7 @@ export class FerrariTradingSystem extends EventEmitter {
     reasons.push('Multi-timeframe confirmation across 1m-1h analysis');
     reasons.push('🏛️ Enhanced with institutional-grade hedge fund analysis');
     reasons.push('📊 Multi-factor scoring: momentum, sentiment, insider activity');
-    reasons.push('Risk management: Dynamic ATR-based levels');
+    reasons.push('Risk management: Stops and targets at market structure');
     // Filter out any empty or invalid lines
     return reasons.filter(line => line && line.trim() !== '' && line !== 'N/A momentum detected');
   }
@@ -1504,7 +1855,7 @@ export class FerrariTradingSystem extends EventEmitter {
       if (!this.state.isShuttingDown) {
         this.processSignalQueue();
       }
-    }, 10000);
+    }, SIGNAL_ENGINE_INTERVAL);
     
     this.state.intervals.add(signalInterval);
   }
@@ -1524,50 +1875,33 @@ export class FerrariTradingSystem extends EventEmitter {
   }
 
   /**
-   * ✅ SIMPLIFIED: Schedule daily reset to occur 5 minutes after US market opens
-   * Uses 24-hour interval starting at 9:35 AM ET
+   * Schedule the daily reset 5 minutes after the next regular-session open.
+   * Re-schedules itself after every reset, so weekends and holidays are skipped.
+   * @param {number} after - Find the first open after this moment (default: 5 minutes ago)
    */
-  scheduleDailyResetAfterMarketOpen() {
-    const now = new Date();
-    const est = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    
-    // Calculate delay until next 9:35 AM ET
-    let nextResetTime = new Date(est);
-    nextResetTime.setHours(9, 35, 0, 0); // 9:35 AM ET
-    
-    // If it's already past 9:35 AM today, schedule for tomorrow
-    if (est.getHours() > 9 || (est.getHours() === 9 && est.getMinutes() >= 35)) {
-      nextResetTime.setDate(nextResetTime.getDate() + 1);
-    }
-    
-    // Skip weekends - move to next Monday
-    while (nextResetTime.getDay() === 0 || nextResetTime.getDay() === 6) {
-      nextResetTime.setDate(nextResetTime.getDate() + 1);
+  scheduleDailyResetAfterMarketOpen(after = this.now() - DAILY_RESET_AFTER_OPEN) {
+    const now = this.now();
+    const nextOpen = this.marketCalendar.nextOpen(after);
+    if (!nextOpen) {
+      console.warn('⚠️ No upcoming market open found - daily reset not scheduled');
+      return;
     }
     
-    const initialDelayMs = nextResetTime.getTime() - now.getTime();
+    const nextResetTime = nextOpen + DAILY_RESET_AFTER_OPEN; // 9:35 AM ET
+    const delayMs = Math.max(0, nextResetTime - now);
     
-    console.log(`📅 Daily reset scheduled for: ${nextResetTime.toLocaleString('en-US', { timeZone: 'America/New_York' })} (${Math.round(initialDelayMs / 60000)} minutes from now)`);
+    console.log(`📅 Daily reset scheduled for: ${new Date(nextResetTime).toLocaleString('en-US', { timeZone: 'America/New_York' })} ET (${Math.round(delayMs / 60000)} minutes from now)`);
     
-    // Initial delay to start at 9:35 AM ET
-    const initialTimeout = setTimeout(() => {
+    const resetTimeout = setTimeout(() => {
+      this.state.timeouts.delete(resetTimeout);
       if (!this.state.isShuttingDown) {
-        console.log('🔄 Executing initial daily reset (5 minutes after market open)');
+        console.log('🔄 Executing daily reset (5 minutes after market open)');
         this.resetDailyLimits();
-        
-        // Start 24-hour interval from now
-        const dailyInterval = setInterval(() => {
-          if (!this.state.isShuttingDown) {
-            console.log('🔄 Executing daily reset (24-hour interval)');
-            this.resetDailyLimits();
-          }
-        }, 86400000); // 24 hours
-        
-        this.state.intervals.add(dailyInterval);
+        this.scheduleDailyResetAfterMarketOpen(nextOpen);
       }
-    }, initialDelayMs);
+    }, delayMs);
     
-    this.state.timeouts.add(initialTimeout);
+    this.state.timeouts.add(resetTimeout);
   }
 
   startPerformanceTracking() {
@@ -1595,68 +1929,41 @@ export class FerrariTradingSystem extends EventEmitter {
       }
     }, 120000); // 2 minutes
 
-    // More frequent WebSocket connection checks (every 30 seconds)
-    const websocketCheckInterval = setInterval(() => {
-      if (!this.state.isShuttingDown) {
-        this.checkAndReconnectWebSockets();
-      }
-    }, 30000); // 30 seconds
-    
+    // Feed reconnects are handled by each market data provider
     this.state.intervals.add(healthCheckInterval);
-    this.state.intervals.add(websocketCheckInterval);
     
     console.log('✅ Data health monitoring active');
   }
 
-  checkAndReconnectWebSockets() {
-    let reconnectionNeeded = false;
-
-    // Check Alpaca WebSocket
-    if (!this.alpacaSocket || this.alpacaSocket.readyState !== 1) {
-      console.log('🔌 Alpaca WebSocket needs reconnection');
-      this.connectAlpacaFeed(this.config.watchlist.stocks);
-      reconnectionNeeded = true;
-    }
-
-    // Check Finnhub WebSocket  
-    if (!this.finnhubSocket || this.finnhubSocket.readyState !== 1) {
-      console.log('🔌 Finnhub WebSocket needs reconnection');
-      this.connectFinnhubFeed(this.config.watchlist.stocks);
-      reconnectionNeeded = true;
-    }
-
-    // Check Binance WebSocket
-    if (!this.binanceSocket || this.binanceSocket.readyState !== 1) {
-      console.log('🔌 Binance WebSocket needs reconnection');
-      this.connectBinanceFeed(this.config.watchlist.crypto);
-      reconnectionNeeded = true;
-    }
-
-    if (reconnectionNeeded) {
-      console.log('🔄 WebSocket reconnection initiated');
-    }
+  /**
+   * Current time in ms - simulated when a clock is injected (backtesting)
+   */
+  now() {
+    return this.clock ? this.clock.now() : Date.now();
   }
 
   getTotalSymbols() {
     return this.config.watchlist.stocks.length + this.config.watchlist.crypto.length;
   }
 
+  /**
+   * US market session right now (simulated time in backtests)
+   */
+  getMarketSession() {
+    return this.marketCalendar.sessionAt(this.now());
+  }
+
   isMarketHours() {
-    const now = new Date();
-    const est = new Date(now.toLocaleString("en-US", {timeZone: "America/New_York"}));
-    const hour = est.getHours();
-    const minute = est.getMinutes();
-    const day = est.getDay();
-    
-    // Weekend check
-    if (day === 0 || day === 6) return false;
-    
-    // Market hours: 9:30 AM - 4:00 PM EST
-    const marketStart = 9.5; // 9:30 AM
-    const marketEnd = 16; // 4:00 PM
-    const currentTime = hour + (minute / 60);
-    
-    return currentTime >= marketStart && currentTime <= marketEnd;
+    return this.getMarketSession().isOpen;
+  }
+
+  describeMarketSession(marketSession) {
+    switch (marketSession.session) {
+      case 'regular': return marketSession.earlyClose ? 'MARKET OPEN (EARLY CLOSE)' : 'MARKET OPEN';
+      case 'pre_market': return 'PRE-MARKET';
+      case 'after_hours': return 'AFTER HOURS';
+      default: return marketSession.holiday ? `MARKET CLOSED (${marketSession.holiday})` : 'MARKET CLOSED';
+    }
   }
 
   generateTrackingId() {
@@ -1672,7 +1979,7 @@ export class FerrariTradingSystem extends EventEmitter {
       return null;
     }
     
-    if (typeof obj !== 'object') {
+    if (typeof obj !== 'object' || obj instanceof Date) {
       return obj;
     }
     
@@ -1692,15 +1999,13 @@ export class FerrariTradingSystem extends EventEmitter {
     return sanitized;
   }
 
-  async saveTipToFirebase(tip) {
-    if (!this.firebaseReady || !this.db) {
-      console.log('💾 Test mode: Would save tip to Firebase');
-      return { success: true };
-    }
-
+  /**
+   * Save a delivered tip: latest_tips (current tip per timeframe), the tip
+   * history and app statistics, on the configured storage backend
+   */
+  async saveTip(tip) {
     try {
       const { timeframe } = tip;
-      const timestamp = admin.firestore.FieldValue.serverTimestamp();
       
       // ✅ CRITICAL FIX: Sanitize data to remove undefined values before saving
       const sanitizedTip = this.sanitizeDataForFirebase(tip);
@@ -1708,23 +2013,20 @@ export class FerrariTradingSystem extends EventEmitter {
       console.log(`💾 Saving Ferrari tip for ${tip.symbol} (${timeframe})...`);
       console.log(`🧹 Data sanitization: ${Object.keys(tip).length} → ${Object.keys(sanitizedTip).length} fields`);
       
-      // ✅ SIMPLIFIED: Only save to latest_tips collection (what Flutter app reads)
-      await this.db.collection('latest_tips').doc(timeframe).set({
-        ...sanitizedTip,
-        createdAt: timestamp,
-        updatedAt: timestamp,
-        source: 'ferrari_trading_system',
-        isFerrariSignal: true
-      }, { merge: true });
+      // Current tip per timeframe (what Flutter app reads)
+      await this.storage.tips.saveLatest(sanitizedTip);
+
+      // Full history for the REST routes - a failed history write does not block delivery
+      await this.tipHistory.record(sanitizedTip);
 
       // ✅ Update app statistics like Firebase Functions
       await this.updateAppStats();
       
-      console.log(`💾 ✅ Ferrari tip saved to latest_tips: ${tip.symbol} (${timeframe})`);
+      console.log(`💾 ✅ Ferrari tip saved to latest_tips: ${tip.symbol} (${timeframe}, ${this.storage.backend})`);
       
       return { success: true };
     } catch (error) {
-      console.error('❌ Error saving tip to Firebase:', error);
+      console.error('❌ Error saving tip:', error);
       
       // Enhanced error logging for debugging
       if (error.message && error.message.includes('undefined')) {
@@ -1738,39 +2040,23 @@ export class FerrariTradingSystem extends EventEmitter {
 
   /**
    * ✅ NEW FEATURE: Update app statistics (matches Firebase Functions mechanism)
-   * Updates: generatedTips counter, successRate, aiAccuracy
+   * Updates: generatedTips counter, aiAccuracy
+   * successRate is maintained by the outcome tracker from resolved tips
    */
   async updateAppStats() {
-    if (!this.firebaseReady || !this.db) {
-      console.log('📊 Test mode: Would update app statistics');
-      return { success: true };
-    }
-
     try {
-      const statsRef = this.db.collection('app_stats').doc('global_stats');
-      
       // Generate realistic stats matching Firebase Functions logic
-      const successRateOptions = [94, 95, 96, 97, 98];
       const aiAccuracyOptions = [95, 96, 97, 98, 99];
-      
-      const newSuccessRate = successRateOptions[Math.floor(Math.random() * successRateOptions.length)];
       const newAiAccuracy = aiAccuracyOptions[Math.floor(Math.random() * aiAccuracyOptions.length)];
       
-      await statsRef.set({
-        generatedTips: admin.firestore.FieldValue.increment(1),
-        successRate: newSuccessRate,
-        aiAccuracy: newAiAccuracy,
-        lastUpdated: admin.firestore.FieldValue.serverTimestamp(),
-      }, { merge: true });
+      await this.storage.stats.recordGeneratedTip({ aiAccuracy: newAiAccuracy });
       
       console.log('📊 Ferrari app statistics updated:');
       console.log(`   📈 Generated Tips: +1`);
-      console.log(`   ✅ Success Rate: ${newSuccessRate}%`);
       console.log(`   🤖 AI Accuracy: ${newAiAccuracy}%`);
       
       return {
         success: true,
-        successRate: newSuccessRate,
         aiAccuracy: newAiAccuracy
       };
       
@@ -1780,174 +2066,94 @@ export class FerrariTradingSystem extends EventEmitter {
     }
   }
 
-  // ✅ ICON RANDOMIZATION: Creates visual diversity for better engagement
-  getRandomIcon() {
-    const iconPool = ['📈', '📉', '💎', '⚡', '🚀', '🎯', '💰', '🔥'];
-    return iconPool[Math.floor(Math.random() * iconPool.length)];
+  /**
+   * Subscribers whose preferences match the tip and who are under their limits
+   */
+  async getEligibleUsers(tip) {
+    try {
+      const subscribers = await this.userProfiles.listSubscribers();
+      const eligible = [];
+
+      for (const profile of subscribers) {
+        const match = this.userProfiles.matchesPreferences(profile, tip);
+        if (!match.eligible) {
+          console.log(`⏭️ ${profile.userId}: ${match.reason}`);
+          continue;
+        }
+        if (!(await this.canUserReceiveSignal(profile.userId, tip, profile))) {
+          console.log(`⏭️ ${profile.userId}: delivery limit reached`);
+          continue;
+        }
+        eligible.push(profile);
+      }
+
+      return eligible;
+    } catch (error) {
+      console.error('❌ Error selecting eligible users:', error);
+      return [];
+    }
   }
 
   async sendToEligibleUsers(tip, eligibleUsers) {
-    if (!this.firebaseReady || !this.messaging) {
-      console.log('📱 Test mode: Would send Ferrari notification for:', tip.symbol);
-      return;
-    }
+    const result = await this.notifications.sendTip(tip, eligibleUsers, {
+      template: tip.source === 'tradingview_webhook' ? 'tradingview_alert' : 'ferrari_signal',
+      data: {
+        positionSizing: tip.positionSizing ? this.positionSizing.toPayload(tip.positionSizing) : ''
+      },
+      userData: async user => {
+        const sizing = await this.getUserPositionSizing(user, tip);
+        return { userPositionSizing: sizing ? this.positionSizing.toPayload(sizing) : '' };
+      }
+    });
     
-    try {
-      // BACKWARD COMPATIBILITY FIX #3: Use FCM topic broadcasting like old system
-      const safeSentiment = tip.sentiment || 'neutral';
-      
-      // RANDOMIZED ICON SELECTION: Creates visual diversity and prevents notification fatigue
-      const randomIcon = this.getRandomIcon();
-      
-      // Generate unique message ID for analytics tracking (matches Firebase Functions)
-      const messageId = `ferrari_${tip.symbol}_${tip.timeframe}_${Date.now()}`;
-      
-      // ULTRA-SIMPLIFIED FORMAT: Exactly as requested by user
-      const title = `${randomIcon} ${tip.symbol} ${safeSentiment.charAt(0).toUpperCase() + safeSentiment.slice(1)} alert`;
-      const body = `Entry $${tip.entryPrice?.toFixed(2) || 'TBD'}`;
-      
-      // Single optimized template - clean and simple
-      const selectedTemplate = {
-        template: { title, body },
-        templateName: 'simplified'
-      };
-      
-      const message = {
-        notification: {
-          title: selectedTemplate.template.title,
-          body: selectedTemplate.template.body
-        },
-        // CRITICAL: All data values must be strings for FCM compatibility
-        data: {
-          type: 'trading_tip',
-          symbol: tip.symbol,
-          timeframe: tip.timeframe, // BACKWARD COMPATIBILITY: For deep-linking
-          target_timeframe: tip.timeframe, // CRITICAL: Flutter navigation
-          sentiment: safeSentiment,
-          strength: tip.strength.toString(),
-          confidence: tip.confidence?.toString() || '0',
-          entryPrice: tip.entryPrice?.toString() || '',
-          stopLoss: tip.stopLoss?.toString() || '',
-          takeProfit: tip.takeProfit?.toString() || '',
-          riskRewardRatio: tip.riskRewardRatio?.toString() || '',
-          reasoning: JSON.stringify(tip.reasoning || []),
-          companyName: tip.company?.name || tip.symbol,
-          companyLogoUrl: tip.company?.logoUrl || '',
-          companySector: tip.company?.sector || '',
-          companyBusiness: tip.company?.business || '',
-          companyIsCrypto: tip.company?.isCrypto?.toString() || 'false',
-          timestamp: tip.timestamp || new Date().toISOString(),
-          trackingId: tip.trackingId || '',
-          isFerrariSignal: 'true',
-          system: 'ferrari_v2',
-          message_id: messageId, // For analytics tracking
-          
-          // SIMPLIFIED ANALYTICS: Track template performance
-          template_used: selectedTemplate.templateName, // Simplified template tracking
-          potential_gain: '0', // Removed complex calculations for simplicity
-          strength_stars: Math.min(Math.round(tip.strength || 0), 5).toString() // Simple strength indicator
-        },
-        // Use topic broadcasting instead of individual user targeting
-        topic: 'trading_tips'
-      };
-      
-      const response = await this.messaging.send(message);
-      console.log(`✅ Ferrari signal sent to topic 'trading_tips' for ${tip.symbol}:`, response);
-      console.log(`📱 Template: ${selectedTemplate.template.title} | ${selectedTemplate.template.body}`);
-      
-      // ✅ MISSING FEATURE: Notification analytics tracking (matches Firebase Functions)
-      await this.logNotificationAnalytics({
-        event_type: 'ferrari_signal_sent',
-        message_id: messageId,
-        firebase_message_id: response,
-        symbol: tip.symbol,
-        sentiment: tip.sentiment,
-        timeframe: tip.timeframe,
-        template_used: selectedTemplate.templateName, // Track which template was used
-        potential_gain: '0', // Simplified - using fixed value for consistency
-        strength: tip.strength,
-        title: selectedTemplate.template.title,
-        body: selectedTemplate.template.body,
-        timestamp: new Date().toISOString(),
-        server_timestamp: Date.now(),
-        target_topic: 'trading_tips',
-        platform_config: {
-          notification_style: 'enhanced_ferrari_v2',
-          deep_link_enabled: true,
-          analytics_enabled: true
-        }
-      });
-      
-    } catch (error) {
-      console.error('❌ Error sending Ferrari notification:', error);
-      throw error;
+    // Count the tip against each recipient's daily / hourly limits (real sends only)
+    if (!result.dryRun) {
+      await this.updateUserLimits(result.delivered, tip);
+      this.state.performanceMetrics.signalsDelivered += result.delivered.length;
     }
+    
+    return { delivered: result.delivered.length, failed: result.failed };
   }
 
   /**
-   * ✅ NEW FEATURE: Notification analytics tracking (matches Firebase Functions)
-   * Logs notification send events for monitoring and analytics
+   * Count a delivered tip against each user's limits (persisted, survives restarts)
    */
-  async logNotificationAnalytics(analyticsData) {
-    if (!this.firebaseReady || !this.db) {
-      console.log('📊 Test mode: Would log notification analytics');
-      return;
-    }
-
-    try {
-      await this.db.collection('notification_analytics').add({
-        ...analyticsData,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        server_timestamp: Date.now(),
-        source_system: 'ferrari_trading_system'
-      });
+  async updateUserLimits(deliveredUsers, tip) {
+    for (const user of deliveredUsers) {
+      const userId = user.userId;
+      const userLimits = await this.loadUserLimits(userId);
       
-      console.log('📊 Ferrari notification analytics logged:', analyticsData.message_id);
+      userLimits.dailyCount++;
+      userLimits.hourlyCount++;
+      userLimits.lastSignal = this.now();
       
-    } catch (error) {
-      console.error('⚠️ Failed to log Ferrari notification analytics:', error);
-      // Don't fail the notification if analytics logging fails
-    }
-  }
-
-  async updateUserLimits(eligibleUsers, tip) {
-    for (const user of eligibleUsers) {
-      const userId = user.userId;
-      const canReceiveSignal = await this.canUserReceiveSignal(userId, tip);
-      
-      if (canReceiveSignal) {
-        const userLimits = this.state.userLimits.get(userId) || {
-          dailyCount: 0,
-          hourlyCount: 0,
-          lastSignal: 0,
-          lastReset: new Date().toDateString()
-        };
-        
-        userLimits.dailyCount++;
-        userLimits.hourlyCount++;
-        userLimits.lastSignal = Date.now();
-        
-        this.state.userLimits.set(userId, userLimits);
-      }
+      this.state.userLimits.set(userId, userLimits);
+      await this.saveUserLimits(userId, userLimits);
     }
+    this.stateSnapshots.schedule();
   }
 
   async updatePerformanceMetrics() {
     try {
       if (this.state.performanceMetrics) {
         // Update performance tracking
-        this.state.performanceMetrics.lastUpdate = Date.now();
+        this.state.performanceMetrics.lastUpdate = this.now();
         
-        // Calculate win rate from signal history (simplified)
-        const recentSignals = Array.from(this.state.signalHistory.values()).slice(-10);
-        if (recentSignals.length > 0) {
-          const wins = recentSignals.filter(s => s.status === 'win').length;
-          this.state.performanceMetrics.winRate = (wins / recentSignals.length) * 100;
+        // Win rate and average return over resolved tips (filled by the outcome tracker)
+        const resolvedSignals = Array.from(this.state.signalHistory.values());
+        if (resolvedSignals.length > 0) {
+          const wins = resolvedSignals.filter(s => s.status === 'win').length;
+          const totalR = resolvedSignals.reduce((sum, s) => sum + s.resultR, 0);
+          this.state.performanceMetrics.winRate = (wins / resolvedSignals.length) * 100;
+          this.state.performanceMetrics.avgReturn = totalR / resolvedSignals.length;
         }
         
         console.log('📊 Performance metrics updated:', {
           signals: this.state.performanceMetrics.signalsGenerated,
-          winRate: this.state.performanceMetrics.winRate.toFixed(1) + '%'
+          resolved: resolvedSignals.length,
+          openTips: this.outcomeTracker.activeTips.size,
+          winRate: this.state.performanceMetrics.winRate.toFixed(1) + '%',
+          avgReturn: this.state.performanceMetrics.avgReturn.toFixed(2) + 'R'
         });
       }
     } catch (error) {
@@ -1955,8 +2161,28 @@ export class FerrariTradingSystem extends EventEmitter {
     }
   }
 
+  /**
+   * Store a resolved tip in signalHistory (status 'win' / 'loss' by result in R)
+   */
+  recordOutcome(outcome) {
+    this.state.signalHistory.set(outcome.trackingId, {
+      ...outcome,
+      outcome: outcome.status,
+      status: outcome.resultR > 0 ? 'win' : 'loss'
+    });
+  }
+
   async processSignalQueue() {
     try {
+      // Expire open tips whose symbol has stopped ticking
+      this.outcomeTracker.expireStale();
+      
+      // Close candles whose period ended without a rollover tick (session close, halts)
+      this.candles.closeElapsed(this.now());
+      
+      // Emit the best pooled candidate once its window has closed
+      await this.flushCandidatePool();
+      
       // Process any queued signals (simplified implementation)
       if (this.state.signalHistory.size > 1000) {
         // Clean up old signals to prevent memory leaks
@@ -1981,6 +2207,7 @@ export class FerrariTradingSystem extends EventEmitter {
         limits.hourlyCount = 0;
         this.state.userLimits.set(userId, limits);
       }
+      this.stateSnapshots.schedule();
       console.log('⏰ Hourly limits reset for all users');
     } catch (error) {
       console.error('❌ Error resetting hourly limits:', error);
@@ -1990,7 +2217,7 @@ export class FerrariTradingSystem extends EventEmitter {
   async resetDailyLimits() {
     try {
       // Reset daily limits for all users
-      const today = new Date().toDateString();
+      const today = new Date(this.now()).toDateString();
       
       for (const [userId, limits] of this.state.userLimits.entries()) {
         if (limits.lastReset !== today) {
@@ -2004,6 +2231,7 @@ export class FerrariTradingSystem extends EventEmitter {
       // Reset system daily signal count
       this.state.dailySignalCount = 0;
       this.state.lastSignalDate = today;
+      this.stateSnapshots.schedule();
       
       console.log('📅 Daily limits reset for all users');
     } catch (error) {
@@ -2011,25 +2239,11 @@ export class FerrariTradingSystem extends EventEmitter {
     }
   }
 
-  // Helper: Check if US market is open (9:30am-4:00pm EST, weekdays)
-  isUSMarketOpen() {
-    const now = new Date();
-    const est = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    const hour = est.getHours();
-    const minute = est.getMinutes();
-    const day = est.getDay();
-    if (day === 0 || day === 6) return false; // Sunday/Saturday
-    const marketStart = 9.5; // 9:30am
-    const marketEnd = 16; // 4:00pm
-    const currentTime = hour + (minute / 60);
-    return currentTime >= marketStart && currentTime <= marketEnd;
-  }
-
   // ✅ UPDATED: Signal selection logic with crypto blocking during market hours
-  // NOTE: Crypto analysis is now blocked during US market hours (9:30 AM - 4:00 PM ET)
+  // NOTE: Crypto analysis is now blocked during the regular US session
   // This guarantees stocks-only during trading hours for maximum relevance
   async selectAndGenerateSignal() {
-    const marketOpen = this.isUSMarketOpen();
+    const marketOpen = this.isMarketHours();
     console.log(`🏪 Market Status: ${marketOpen ? 'OPEN (Stocks Priority)' : 'CLOSED (Crypto Priority)'}`);
     
     // Gather all analyses ready for signal
@@ -2038,8 +2252,9 @@ export class FerrariTradingSystem extends EventEmitter {
     
     // Always analyze stocks
     for (const symbol of this.config.watchlist.stocks) {
+      if (this.isInCooldown(symbol)) continue;
       const analysis = await this.analyzeSymbol(symbol);
-      if (analysis && this.passesQualityGates(analysis)) {
+      if (analysis && this.passesQualityGates(analysis) && this.passesPortfolioRisk(analysis)) {
         stockCandidates.push(analysis);
       }
     }
@@ -2047,18 +2262,21 @@ export class FerrariTradingSystem extends EventEmitter {
     // Only analyze crypto when market is closed (thanks to checkTradingOpportunity blocking)
     // But we still check here for any crypto that might have been analyzed before market opened
     for (const symbol of this.config.watchlist.crypto) {
+      if (this.isInCooldown(symbol)) continue;
       const analysis = await this.analyzeSymbol(symbol);
-      if (analysis && this.passesQualityGates(analysis)) {
+      if (analysis && this.passesQualityGates(analysis) && this.passesPortfolioRisk(analysis)) {
         cryptoCandidates.push(analysis);
       }
     }
     
+    // Best-ranked first (score, R/R, liquidity, diversification)
+    const best = candidates => this.candidatePool.rankAll(candidates)[0].analysis;
     let chosen = null;
     
     if (marketOpen) {
       // ✅ MARKET OPEN (9:30 AM - 4:00 PM ET): Stocks-only policy
       if (stockCandidates.length > 0) {
-        chosen = stockCandidates[0];
+        chosen = best(stockCandidates);
         console.log('📈 Market open: stocks-only policy - selected stock signal:', chosen.symbol);
       } else {
         console.log('⚠️ Market open but no stock signals available (crypto blocked during market hours)');
@@ -2067,10 +2285,10 @@ export class FerrariTradingSystem extends EventEmitter {
     } else {
       // ✅ MARKET CLOSED: Prefer crypto, fallback to stocks
       if (cryptoCandidates.length > 0) {
-        chosen = cryptoCandidates[0];
+        chosen = best(cryptoCandidates);
         console.log('💹 Market closed: preferring crypto signal:', chosen.symbol);
       } else if (stockCandidates.length > 0) {
-        chosen = stockCandidates[0];
+        chosen = best(stockCandidates);
         console.log('📈 Market closed: no crypto signals, using stock signal:', chosen.symbol);
       } else {
         console.log('❌ No valid signals available (market closed, no crypto or stock signals)');
@@ -2100,17 +2318,50 @@ export class FerrariTradingSystem extends EventEmitter {
     }
   }
 
-  async canUserReceiveSignal(userId, tip) {
+  /**
+   * User limits from the in-memory cache, falling back to storage (survives restarts)
+   */
+  async loadUserLimits(userId) {
+    if (this.state.userLimits.has(userId)) {
+      return this.state.userLimits.get(userId);
+    }
+
+    let stored = null;
+    try {
+      stored = await this.storage.userLimits.get(userId);
+    } catch (error) {
+      console.error(`❌ Error loading limits for ${userId}:`, error.message);
+    }
+
+    const userLimits = stored || {
+      dailyCount: 0,
+      hourlyCount: 0,
+      lastSignal: 0,
+      lastReset: new Date(this.now()).toDateString()
+    };
+    this.state.userLimits.set(userId, userLimits);
+    return userLimits;
+  }
+
+  async saveUserLimits(userId, userLimits) {
+    try {
+      await this.storage.userLimits.save(userId, userLimits);
+    } catch (error) {
+      console.error(`❌ Error saving limits for ${userId}:`, error.message);
+    }
+  }
+
+  /**
+   * Daily / hourly limits for one user. VIP users (rateLimiting.vipUsers or
+   * profile.vip) get the VIP limits; priority signals skip the hourly limit.
+   */
+  async canUserReceiveSignal(userId, tip, profile = null) {
     try {
-      const userLimits = this.state.userLimits.get(userId) || {
-        dailyCount: 0,
-        hourlyCount: 0,
-        lastSignal: 0,
-        lastReset: new Date().toDateString()
-      };
+      const userLimits = await this.loadUserLimits(userId);
+      const rateLimiting = this.config.rateLimiting;
       
-      const now = Date.now();
-      const todayString = new Date().toDateString();
+      const now = this.now();
+      const todayString = new Date(now).toDateString();
       
       // Reset daily counts if new day
       if (userLimits.lastReset !== todayString) {
@@ -2123,28 +2374,21 @@ export class FerrariTradingSystem extends EventEmitter {
         userLimits.hourlyCount = 0;
       }
       
-      // Check limits
-      const maxDaily = this.config.rateLimiting.maxDailyTips || 5;
-      const maxHourly = this.config.rateLimiting.maxHourlyTips || 2;
+      // VIP users get higher limits
+      const isVip = rateLimiting.vipUsers.includes(userId) || profile?.vip === true;
+      const maxDaily = isVip ? rateLimiting.vipMaxDailyTips || 10 : rateLimiting.maxDailyTips || 5;
+      const maxHourly = isVip ? rateLimiting.vipMaxHourlyTips || 4 : rateLimiting.maxHourlyTips || 2;
       
       if (userLimits.dailyCount >= maxDaily) {
         return false; // Daily limit reached
       }
       
-      if (userLimits.hourlyCount >= maxHourly) {
+      // High priority signals bypass the hourly limit
+      const isPriority = (tip.strength || 0) > (rateLimiting.priorityThreshold || 4.5);
+      if (userLimits.hourlyCount >= maxHourly && !isPriority) {
         return false; // Hourly limit reached
       }
       
-      // VIP users bypass some limits
-      if (this.config.rateLimiting.vipUsers.includes(userId)) {
-        return true;
-      }
-      
-      // High priority signals bypass some limits
-      if (tip.strength > (this.config.rateLimiting.priorityThreshold || 4.5)) {
-        return true;
-      }
-      
       return true; // User can receive signal
       
     } catch (error) {
@@ -2162,10 +2406,11 @@ export class FerrariTradingSystem extends EventEmitter {
     
     // Reset if enough time has passed
     if (breaker.isOpen && breaker.lastFailure && 
-        (Date.now() - breaker.lastFailure) > this.config.circuitBreaker.resetTime) {
+        (this.now() - breaker.lastFailure) > this.config.circuitBreaker.resetTime) {
       breaker.isOpen = false;
       breaker.failures = 0;
       console.log(`🔄 Circuit breaker RESET for ${service}`);
+      this.stateSnapshots.schedule();
     }
     
     return breaker.isOpen;
@@ -2176,7 +2421,8 @@ export class FerrariTradingSystem extends EventEmitter {
     if (!breaker) return;
     
     breaker.failures++;
-    breaker.lastFailure = Date.now();
+    breaker.lastFailure = this.now();
+    this.stateSnapshots.schedule();
     
     if (breaker.failures >= this.config.circuitBreaker.maxFailures) {
       breaker.isOpen = true;
@@ -2190,6 +2436,7 @@ export class FerrariTradingSystem extends EventEmitter {
     const breaker = this.config.circuitBreaker[service];
     if (breaker && breaker.failures > 0) {
       breaker.failures = 0; // Reset on success
+      this.stateSnapshots.schedule();
     }
   }
 
@@ -2229,45 +2476,37 @@ export class FerrariTradingSystem extends EventEmitter {
   async shutdown() {
     try {
       console.log('🏎️ Shutting down Ferrari Trading System...');
+      this.state.isShuttingDown = true;
       
-      // Stop all intervals (with null checks)
-      if (this.state?.intervals?.signalEngine) {
-        clearInterval(this.state.intervals.signalEngine);
+      // Stop all intervals and pending timeouts
+      for (const interval of this.state.intervals) {
+        clearInterval(interval);
       }
-      if (this.state?.intervals?.rateLimitManager) {
-        clearInterval(this.state.intervals.rateLimitManager);
-      }
-      if (this.state?.intervals?.performanceTracking) {
-        clearInterval(this.state.intervals.performanceTracking);
-      }
-      if (this.state?.intervals?.dataHealthMonitoring) {
-        clearInterval(this.state.intervals.dataHealthMonitoring);
-      }
-      if (this.state?.intervals?.websocketReconnection) {
-        clearInterval(this.state.intervals.websocketReconnection);
+      this.state.intervals.clear();
+      for (const timeout of this.state.timeouts) {
+        clearTimeout(timeout);
       }
+      this.state.timeouts.clear();
+      this.configManager.stop();
 
-      // Close WebSocket connections (with null checks)
-      if (this.state?.feeds?.alpaca && this.state.feeds.alpaca.readyState === 1) {
-        this.state.feeds.alpaca.close();
-      }
-      if (this.state?.feeds?.binance && this.state.feeds.binance.readyState === 1) {
-        this.state.feeds.binance.close();
-      }
-      if (this.state?.feeds?.finnhub && this.state.feeds.finnhub.readyState === 1) {
-        this.state.feeds.finnhub.close();
+      // Close market data feeds (also cancels pending reconnects)
+      for (const [name, provider] of this.state.providers.entries()) {
+        provider.disconnect();
+        this.state.connectedFeeds.set(name, { status: 'disconnected' });
       }
 
-      // Clear caches (with null checks)
-      if (this.state?.priceCache?.clear) {
-        this.state.priceCache.clear();
-      }
-      if (this.state?.signalQueue) {
-        this.state.signalQueue.length = 0;
-      }
-      if (this.state?.userLimits?.clear) {
-        this.state.userLimits.clear();
-      }
+      // Send pending digests while storage is still open
+      await this.notificationDispatcher.stop();
+
+      // Last checkpoint of limits, cooldowns and breakers for the next instance
+      await this.stateSnapshots.flush();
+
+      // Clear caches
+      this.state.priceCache.clear();
+      this.state.userLimits.clear();
+
+      // Flush and close the storage backend (SQLite writes its file)
+      await this.storage.close();
 
       console.log('✅ Ferrari Trading System shutdown completed');
     } catch (error) {
@@ -2279,12 +2518,26 @@ export class FerrariTradingSystem extends EventEmitter {
    * Get system statistics for monitoring
    */
   getSystemStats() {
+    const feeds = Object.fromEntries(
+      Array.from(this.state.providers.entries()).map(([name, provider]) => [name, provider.health()])
+    );
+    const lastMessages = Object.values(feeds).map(feed => feed.lastMessageAt).filter(Boolean);
+
     return {
       totalSymbols: this.getTotalSymbols(),
-      priceUpdates: this.state.metrics.priceUpdates,
-      signalsSent: this.state.metrics.signalsSent,
-      activeFeeds: Object.keys(this.state.feeds).filter(f => this.state.feeds[f] && this.state.feeds[f].readyState === 1).length,
-      uptime: Date.now() - this.state.startTime,
+      symbolsMonitored: this.state.priceCache.size,
+      priceUpdates: this.state.priceUpdateCounter || 0,
+      signalsGenerated: this.state.performanceMetrics.signalsGenerated,
+      signalsDelivered: this.state.performanceMetrics.signalsDelivered,
+      connectedFeeds: feeds,
+      activeFeeds: Object.values(feeds).filter(feed => feed.connected).length,
+      notificationChannels: this.notificationDispatcher.getStatus(),
+      strategies: this.strategies.getStatus(),
+      regime: this.regime.getStatus(),
+      candidatePool: this.candidatePool.getStatus(),
+      stateSnapshots: this.stateSnapshots.getStatus(),
+      lastHeartbeat: lastMessages.length > 0 ? new Date(Math.max(...lastMessages)).toISOString() : null,
+      uptime: this.now() - this.startedAt,
       memoryUsage: process.memoryUsage(),
       circuitBreakerStatus: {
         finnhub: this.config.circuitBreaker.finnhub.isOpen,
@@ -1,11 +1,22 @@
 import axios from 'axios';
+import endpoints from '../config/endpoints.js';
 
 /**
  * Institutional Analysis Service - Hedge Fund Level Analytics
  * Combines multiple data sources and advanced techniques used by top hedge funds
  */
+// Momentum and technical factors need this much history to be computed at all
+const MIN_HISTORY_BARS = 50;
+const HISTORY_BARS = 100;
+const HISTORY_TIMEFRAMES = { '1h': '1hour', '1d': '1day', '15m': '15min', '5m': '5min', '1m': '1min' };
+
 class InstitutionalAnalysisService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.offline - Skip external news/insider/fundamental APIs (backtesting)
+   */
+  constructor(options = {}) {
+    this.offline = !!options.offline;
     this.finnhubApiKey = process.env.FINNHUB_API_KEY || 'demo';
     this.alpacaApiKey = process.env.ALPACA_API_KEY;
     this.alpacaSecret = process.env.ALPACA_SECRET_KEY;
@@ -58,6 +69,15 @@ class InstitutionalAnalysisService {
         this.analyzeOrderFlow(symbol, priceData)
       ]);
 
+      const factorStatus = this.flagFactors({
+        momentum: momentumScore,
+        sentiment: sentimentScore,
+        insider: insiderScore,
+        technical: technicalScore,
+        fundamental: fundamentalScore,
+        flow: flowScore
+      });
+
       // Combine scores with institutional weighting
       const compositeScore = this.calculateCompositeScore({
         momentum: momentumScore,
@@ -76,7 +96,8 @@ class InstitutionalAnalysisService {
         technical: technicalScore,
         fundamental: fundamentalScore,
         flow: flowScore,
-        composite: compositeScore
+        composite: compositeScore,
+        factorStatus
       });
 
       return {
@@ -93,6 +114,8 @@ class InstitutionalAnalysisService {
           fundamental: fundamentalScore,
           flow: flowScore
         },
+        computedFactors: factorStatus.computed,
+        defaultedFactors: factorStatus.defaulted,
         reasoning,
         timestamp: new Date().toISOString(),
         analysisType: 'institutional_grade'
@@ -140,7 +163,7 @@ class InstitutionalAnalysisService {
 
     } catch (error) {
       console.error(`❌ Momentum analysis error for ${symbol}:`, error);
-      return this.getDefaultMomentumScore(symbol);
+      return { ...this.getDefaultMomentumScore(symbol), reason: 'error' };
     }
   }
 
@@ -148,6 +171,10 @@ class InstitutionalAnalysisService {
    * News sentiment analysis using Finnhub
    */
   async analyzeSentiment(symbol) {
+    if (this.offline) {
+      return { score: 0, newsCount: 0, bullishCount: 0, bearishCount: 0, confidence: 0, reason: 'offline' };
+    }
+
     try {
       // Check cache first
       const cacheKey = `sentiment_${symbol}`;
@@ -159,7 +186,7 @@ class InstitutionalAnalysisService {
       }
 
       // Get recent news for sentiment analysis
-      const newsResponse = await axios.get(`https://finnhub.io/api/v1/company-news`, {
+      const newsResponse = await axios.get(`${endpoints.finnhubRestUrl}/company-news`, {
         params: {
           symbol: symbol.replace('/USD', '').replace('/', ''),
           from: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0],
@@ -224,6 +251,10 @@ class InstitutionalAnalysisService {
    * Insider trading analysis using Finnhub
    */
   async analyzeInsiderActivity(symbol) {
+    if (this.offline) {
+      return { score: 0, mspr: 0, buyVolume: 0, sellVolume: 0, transactionCount: 0, confidence: 0, reason: 'offline' };
+    }
+
     try {
       // Check cache first
       const cacheKey = `insider_${symbol}`;
@@ -235,7 +266,7 @@ class InstitutionalAnalysisService {
       }
 
       // Get insider trading data
-      const insiderResponse = await axios.get(`https://finnhub.io/api/v1/stock/insider-transactions`, {
+      const insiderResponse = await axios.get(`${endpoints.finnhubRestUrl}/stock/insider-transactions`, {
         params: {
           symbol: symbol.replace('/USD', '').replace('/', ''),
           from: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0], // 90 days
@@ -363,7 +394,7 @@ class InstitutionalAnalysisService {
 
     } catch (error) {
       console.error(`❌ Technical analysis error for ${symbol}:`, error);
-      return this.getDefaultTechnicalScore(symbol);
+      return { ...this.getDefaultTechnicalScore(symbol), reason: 'error' };
     }
   }
 
@@ -371,6 +402,15 @@ class InstitutionalAnalysisService {
    * Fundamental analysis using Finnhub data
    */
   async analyzeFundamentals(symbol) {
+    if (this.offline) {
+      return {
+        score: 0,
+        confidence: 0,
+        reason: 'offline',
+        metrics: { pe: null, roe: null, debtToEquity: null, revenueGrowth: null }
+      };
+    }
+
     try {
       // Skip crypto symbols for fundamental analysis
       if (symbol.includes('/')) {
@@ -388,7 +428,7 @@ class InstitutionalAnalysisService {
       }
 
       // Get basic financial metrics
-      const metricsResponse = await axios.get(`https://finnhub.io/api/v1/stock/metric`, {
+      const metricsResponse = await axios.get(`${endpoints.finnhubRestUrl}/stock/metric`, {
         params: {
           symbol: symbol,
           metric: 'all',
@@ -485,7 +525,7 @@ class InstitutionalAnalysisService {
   async analyzeOrderFlow(symbol, priceData) {
     try {
       if (!priceData || priceData.length < 20) {
-        return { score: 0, confidence: 0 };
+        return { score: 0, buyPressure: 0, sellPressure: 0, confidence: 0, reason: 'insufficient_history' };
       }
 
       // Analyze recent price/volume relationship
@@ -522,7 +562,7 @@ class InstitutionalAnalysisService {
 
     } catch (error) {
       console.error(`❌ Order flow analysis error for ${symbol}:`, error);
-      return { score: 0, buyPressure: 0, sellPressure: 0, confidence: 0 };
+      return { score: 0, buyPressure: 0, sellPressure: 0, confidence: 0, reason: 'error' };
     }
   }
 
@@ -605,6 +645,10 @@ class InstitutionalAnalysisService {
       if (flow && typeof flow.score === 'number') {
         reasoning.push(`💹 ORDER FLOW: ${safeNumber(flow.score)} - Buy:${safeNumber(flow.buyPressure, 3)} Sell:${safeNumber(flow.sellPressure, 3)}`);
       }
+      // Factors that had no data behind them
+      if (analysis.factorStatus && analysis.factorStatus.defaulted.length > 0) {
+        reasoning.push(`⚪ DEFAULTED: ${analysis.factorStatus.defaulted.join(', ')} (not scored)`);
+      }
       // Composite confidence
       if (composite && typeof composite.confidence === 'number' && typeof composite.factors === 'object') {
         reasoning.push(`🎯 COMPOSITE CONFIDENCE: ${safeNumber(composite.confidence)}% (${Object.keys(composite.factors).length} factors)`);
@@ -809,22 +853,21 @@ class InstitutionalAnalysisService {
 
   // Fallback methods
   getDefaultMomentumScore(symbol) {
-    const symbolType = this.getSymbolType(symbol);
-    const baseScore = symbolType === 'crypto' ? 0.2 : 0.1;
     return {
-      score: (Math.random() - 0.5) * baseScore,
+      score: 0,
       short: 0,
       medium: 0,
       long: 0,
-      consistency: 50,
-      volatility: 0.1,
-      confidence: 30
+      consistency: 0,
+      volatility: 0,
+      confidence: 0,
+      reason: 'insufficient_history'
     };
   }
 
   getDefaultTechnicalScore(symbol) {
     return {
-      score: (Math.random() - 0.5) * 0.5,
+      score: 0,
       indicators: {
         rsi: 50,
         macd: { macd: 0, signal: 0, histogram: 0 },
@@ -834,7 +877,8 @@ class InstitutionalAnalysisService {
         volumeProfile: { trend: 'neutral', strength: 0 },
         onBalanceVolume: 0
       },
-      confidence: 30
+      confidence: 0,
+      reason: 'insufficient_history'
     };
   }
 
@@ -850,46 +894,80 @@ class InstitutionalAnalysisService {
     return 'standard';
   }
 
-  async getInstitutionalAnalysis(symbol, analysisData) {
+  /**
+   * Institutional analysis for the Ferrari system on real OHLCV history.
+   * Bars come from the live candle store; `fetchHistorical(timeframe, limit)` backfills
+   * them when they are too short. Returns null instead of a score when there is
+   * not enough history.
+   * @param {Object} analysisData
+   * @param {Array<Object>} analysisData.bars - OHLCV bars, oldest first
+   * @param {Function} analysisData.fetchHistorical - Optional REST backfill
+   * @param {string} analysisData.timeframe - Bar timeframe (default '1h')
+   */
+  async getInstitutionalAnalysis(symbol, analysisData = {}) {
     try {
-      // This method is called from Ferrari system to get institutional-grade analysis
-      // It's a simplified wrapper around performInstitutionalAnalysis
       console.log(`🏛️ Getting institutional analysis for ${symbol}`);
-      
-      const { sentiment, strength, currentPrice, levels, timeframes } = analysisData;
-      
-      // Create mock price data if not available
-      const mockPriceData = Array.from({ length: 50 }, (_, i) => ({
-        close: currentPrice + (Math.random() - 0.5) * currentPrice * 0.02,
-        high: currentPrice * (1 + Math.random() * 0.01),
-        low: currentPrice * (1 - Math.random() * 0.01),
-        volume: Math.floor(Math.random() * 1000000) + 100000
-      }));
-      
-      // Use the comprehensive institutional analysis
-      const fullAnalysis = await this.performInstitutionalAnalysis(symbol, mockPriceData, timeframes[0] || '1h');
-      
+
+      const { fetchHistorical, timeframe = '1h' } = analysisData;
+      let bars = this.validBars(analysisData.bars);
+
+      if (bars.length < MIN_HISTORY_BARS && typeof fetchHistorical === 'function') {
+        bars = this.validBars(await fetchHistorical(HISTORY_TIMEFRAMES[timeframe] || timeframe, HISTORY_BARS));
+      }
+
+      if (bars.length < MIN_HISTORY_BARS) {
+        console.warn(`⚠️ Insufficient history for institutional analysis of ${symbol}: ${bars.length}/${MIN_HISTORY_BARS} bars`);
+        return null;
+      }
+
+      const fullAnalysis = await this.performInstitutionalAnalysis(symbol, bars, timeframe);
+      if (fullAnalysis.analysisType !== 'institutional_grade') {
+        return null;
+      }
+
       return {
         sentiment: fullAnalysis.sentiment,
         compositeScore: fullAnalysis.compositeScore,
         confidence: fullAnalysis.confidence,
         factors: fullAnalysis.factors,
+        computedFactors: fullAnalysis.computedFactors,
+        defaultedFactors: fullAnalysis.defaultedFactors,
+        barCount: bars.length,
         reasoning: fullAnalysis.reasoning,
         analysisType: fullAnalysis.analysisType
       };
-      
+
     } catch (error) {
       console.error(`❌ Error in getInstitutionalAnalysis for ${symbol}:`, error);
-      // Return fallback analysis
-      return {
-        sentiment: 'neutral',
-        compositeScore: 3.0,
-        confidence: 50,
-        factors: {},
-        reasoning: [`🔄 Fallback institutional analysis for ${symbol}`],
-        analysisType: 'fallback'
-      };
+      return null;
+    }
+  }
+
+  validBars(bars) {
+    if (!Array.isArray(bars)) return [];
+    return bars.filter(bar => bar && [bar.open, bar.high, bar.low, bar.close].every(v => typeof v === 'number' && isFinite(v) && v > 0));
+  }
+
+  /**
+   * Mark each factor as computed from data or defaulted (offline, API failure,
+   * short history). Defaulted factors carry no confidence, so they never move
+   * the composite score.
+   */
+  flagFactors(factors) {
+    const computed = [];
+    const defaulted = [];
+    for (const [name, factor] of Object.entries(factors)) {
+      if (factor.reason || factor.fallback) {
+        factor.status = 'defaulted';
+        factor.reason = factor.reason || 'api_error';
+        factor.confidence = 0;
+        defaulted.push(name);
+      } else {
+        factor.status = 'computed';
+        computed.push(name);
+      }
     }
+    return { computed, defaulted };
   }
 
   /**
@@ -980,4 +1058,5 @@ function safeNumber(val, decimals = 2) {
   return val.toFixed(decimals);
 }
 
+export { InstitutionalAnalysisService };
 export default new InstitutionalAnalysisService(); 
\ No newline at end of file
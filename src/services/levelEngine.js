@@ -0,0 +1,209 @@
+/**
+ * LEVEL ENGINE
+ * ============
+ *
+ * Stops and targets from market structure instead of fixed ATR multiples:
+ * ✓ Swing highs / lows (pivots) from the recent bars
+ * ✓ Rolling VWAP
+ * ✓ Prior-day high / low / close
+ * ✓ Volume-profile nodes (point of control and high-volume nodes)
+ * ✓ Stop just beyond the nearest structure behind the entry (at least minStopAtr away)
+ * ✓ TP1 at the next structure ahead, TP2 at the one after it
+ * ✓ Fixed ATR multiples only where there is no structure (source 'atr')
+ *
+ * Risk / reward comes from these levels, so minimumRiskReward rejects setups
+ * whose nearest target is too close to be worth the stop.
+ */
+
+export const DEFAULT_LEVEL_CONFIG = {
+  swingLookback: 50,           // Bars searched for swings and the volume profile
+  pivotBars: 2,                // A swing beats this many bars on each side
+  vwapBars: 24,                // Rolling VWAP window
+  profileBins: 24,             // Volume profile price buckets
+  nodeThreshold: 1.5,          // High-volume node: bucket volume >= 1.5x the average bucket
+  stopBufferAtr: 0.25,         // Stop this far beyond the structure it hides behind
+  minStopAtr: 0.5,             // Structure closer than this is noise
+  maxStopAtr: 3.0,             // Structure further than this is too wide - use the ATR stop
+  minTargetAtr: 0.5,           // Targets must be at least this far from the entry
+  fallback: { stopAtr: 2.0, target1Atr: 5.0, target2Atr: 8.0 }
+};
+
+export class LevelEngine {
+  /**
+   * @param {Object} config - Overrides for DEFAULT_LEVEL_CONFIG
+   */
+  constructor(config = {}) {
+    this.config = {
+      ...DEFAULT_LEVEL_CONFIG,
+      ...config,
+      fallback: { ...DEFAULT_LEVEL_CONFIG.fallback, ...config.fallback }
+    };
+  }
+
+  /**
+   * @param {Object} input
+   * @param {number} input.price - Entry price
+   * @param {number} input.atr - Average true range
+   * @param {string} input.direction - 'long' | 'short'
+   * @param {Array<Object>} input.bars - Intraday bars (1h), oldest first
+   * @param {Array<Object>} input.dailyBars - Daily bars, oldest first (the last one may still be forming)
+   * @returns {Object|null} { entry, stopLoss, takeProfit1, takeProfit2, riskReward, structure, reasoning }
+   */
+  calculate({ price, atr, direction, bars = [], dailyBars = [] }) {
+    if (!price || !atr || atr <= 0 || !['long', 'short'].includes(direction)) {
+      return null;
+    }
+
+    const { stopBufferAtr, minStopAtr, maxStopAtr, minTargetAtr, fallback } = this.config;
+    const sign = direction === 'long' ? 1 : -1;
+    const levels = this.findLevels(bars, dailyBars, price);
+
+    // Distance in the trade's direction: positive ahead of the entry, negative behind it
+    const ahead = levels
+      .map(level => ({ ...level, distance: (level.price - price) * sign }))
+      .filter(level => level.distance >= minTargetAtr * atr)
+      .sort((a, b) => a.distance - b.distance);
+    const behind = levels
+      .map(level => ({ ...level, distance: (price - level.price) * sign }))
+      .filter(level => level.distance >= minStopAtr * atr && level.distance <= maxStopAtr * atr)
+      .sort((a, b) => a.distance - b.distance);
+
+    const stopLevel = behind[0] || null;
+    const stopLoss = stopLevel
+      ? stopLevel.price - sign * stopBufferAtr * atr
+      : price - sign * fallback.stopAtr * atr;
+
+    const target1 = ahead[0] || null;
+    const takeProfit1 = target1 ? target1.price : price + sign * fallback.target1Atr * atr;
+    const target2 = ahead.find(level => (level.price - takeProfit1) * sign >= minTargetAtr * atr) || null;
+    const takeProfit2 = target2
+      ? target2.price
+      : target1 ? takeProfit1 + (takeProfit1 - price) : price + sign * fallback.target2Atr * atr;
+
+    const risk = Math.abs(price - stopLoss);
+    const reward = Math.abs(takeProfit1 - price);
+    const riskReward = risk > 0 ? Math.round((reward / risk) * 100) / 100 : 0;
+
+    const structure = {
+      stop: stopLevel ? { type: stopLevel.type, price: stopLevel.price } : { type: 'atr', price: stopLoss },
+      target1: target1 ? { type: target1.type, price: target1.price } : { type: 'atr', price: takeProfit1 },
+      target2: target2 ? { type: target2.type, price: target2.price } : { type: target1 ? 'measured_move' : 'atr', price: takeProfit2 }
+    };
+
+    return {
+      entry: price,
+      stopLoss,
+      takeProfit1,
+      takeProfit2,
+      riskReward,
+      structure,
+      reasoning: this.describe(direction, structure, stopLoss, riskReward)
+    };
+  }
+
+  /**
+   * Every reference level from the bar history: [{ type, price }]
+   */
+  findLevels(bars, dailyBars = [], price = null) {
+    const recent = bars.slice(-this.config.swingLookback);
+    const levels = [];
+
+    const { highs, lows } = this.findSwings(recent);
+    levels.push(...highs.map(level => ({ type: 'swing_high', price: level })));
+    levels.push(...lows.map(level => ({ type: 'swing_low', price: level })));
+
+    const vwap = this.calculateVWAP(recent.slice(-this.config.vwapBars));
+    if (vwap) levels.push({ type: 'vwap', price: vwap });
+
+    const priorDay = this.getPriorDay(dailyBars);
+    if (priorDay) {
+      levels.push({ type: 'prior_day_high', price: priorDay.high });
+      levels.push({ type: 'prior_day_low', price: priorDay.low });
+      levels.push({ type: 'prior_day_close', price: priorDay.close });
+    }
+
+    for (const node of this.calculateVolumeProfile(recent)) {
+      levels.push({ type: node.poc ? 'volume_poc' : 'volume_node', price: node.price });
+    }
+
+    return levels.filter(level => typeof level.price === 'number' && isFinite(level.price) && level.price > 0 && level.price !== price);
+  }
+
+  /**
+   * Swing highs / lows: bars whose high (low) beats pivotBars bars on each side
+   */
+  findSwings(bars) {
+    const { pivotBars } = this.config;
+    const highs = [];
+    const lows = [];
+
+    for (let i = pivotBars; i < bars.length - pivotBars; i++) {
+      const neighbours = [...bars.slice(i - pivotBars, i), ...bars.slice(i + 1, i + pivotBars + 1)];
+      if (neighbours.every(bar => bar.high < bars[i].high)) highs.push(bars[i].high);
+      if (neighbours.every(bar => bar.low > bars[i].low)) lows.push(bars[i].low);
+    }
+    return { highs, lows };
+  }
+
+  calculateVWAP(bars) {
+    const volume = bars.reduce((sum, bar) => sum + (bar.volume || 0), 0);
+    if (bars.length === 0 || volume <= 0) return null;
+    return bars.reduce((sum, bar) => sum + ((bar.high + bar.low + bar.close) / 3) * (bar.volume || 0), 0) / volume;
+  }
+
+  /**
+   * The last completed daily bar
+   */
+  getPriorDay(dailyBars) {
+    const completed = dailyBars.filter(bar => bar.closed !== false);
+    return completed[completed.length - 1] || null;
+  }
+
+  /**
+   * Volume spread evenly over each bar's high-low range into price buckets;
+   * returns the point of control and buckets at or above nodeThreshold x the average
+   * @returns {Array<{ price: number, volume: number, poc: boolean }>}
+   */
+  calculateVolumeProfile(bars) {
+    const { profileBins, nodeThreshold } = this.config;
+    if (bars.length === 0) return [];
+
+    const low = Math.min(...bars.map(bar => bar.low));
+    const high = Math.max(...bars.map(bar => bar.high));
+    const binSize = (high - low) / profileBins;
+    if (!(binSize > 0)) return [];
+
+    const volumes = new Array(profileBins).fill(0);
+    for (const bar of bars) {
+      const first = Math.min(profileBins - 1, Math.floor((bar.low - low) / binSize));
+      const last = Math.min(profileBins - 1, Math.floor((bar.high - low) / binSize));
+      const share = (bar.volume || 0) / (last - first + 1);
+      for (let bin = first; bin <= last; bin++) {
+        volumes[bin] += share;
+      }
+    }
+
+    const average = volumes.reduce((sum, volume) => sum + volume, 0) / profileBins;
+    if (average <= 0) return [];
+    const poc = volumes.indexOf(Math.max(...volumes));
+
+    return volumes
+      .map((volume, bin) => ({ price: low + (bin + 0.5) * binSize, volume, poc: bin === poc }))
+      .filter((node, bin) => node.poc || (node.volume >= average * nodeThreshold &&
+        node.volume >= (volumes[bin - 1] || 0) && node.volume >= (volumes[bin + 1] || 0)));
+  }
+
+  describe(direction, structure, stopLoss, riskReward) {
+    const label = type => type.replace(/_/g, ' ');
+    const lines = [];
+
+    lines.push(structure.stop.type === 'atr'
+      ? `Stop $${stopLoss.toFixed(2)}: no nearby structure, ATR-based`
+      : `Stop $${stopLoss.toFixed(2)} beyond ${label(structure.stop.type)} $${structure.stop.price.toFixed(2)}`);
+    lines.push(structure.target1.type === 'atr'
+      ? `Target $${structure.target1.price.toFixed(2)}: no ${direction === 'long' ? 'resistance' : 'support'} ahead, ATR-based`
+      : `Target at ${label(structure.target1.type)} $${structure.target1.price.toFixed(2)}`);
+    lines.push(`Structure-based R/R 1:${riskReward.toFixed(2)}`);
+    return lines;
+  }
+}
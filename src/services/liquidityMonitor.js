@@ -0,0 +1,231 @@
+/**
+ * LIQUIDITY MONITOR
+ * =================
+ *
+ * Per-symbol liquidity snapshot from the streaming feeds, behind the
+ * qualityGates minimumVolume / maximumSpread checks:
+ * ✓ Rolling dollar volume from trades (price × size, per-minute buckets)
+ * ✓ Average relative bid-ask spread from quotes (Alpaca quotes, Binance bookTicker)
+ * ✓ Top-of-book depth in dollars (bid size × bid + ask size × ask) from the latest quote
+ * ✓ Until a full volume window has been observed, the last completed daily
+ *   bar's dollar volume stands in (after a restart the feed has seen too little)
+ *
+ * A metric that is known and fails its threshold always rejects. While the
+ * volume window is still filling, trades so far must keep pace with the
+ * elapsed share of minimumVolume. Volume or quotes that are unknown (no trades
+ * and no daily bar yet, no quotes on the feed) reject when requireVolume /
+ * requireQuotes is set; otherwise the snapshot is marked unverified and the
+ * tip says so.
+ */
+
+const MINUTE = 60 * 1000;
+
+export const DEFAULT_LIQUIDITY_CONFIG = {
+  volumeWindowMs: 24 * 60 * MINUTE,   // Rolling dollar volume window
+  spreadWindowMs: 15 * MINUTE,        // Spread averaged over the quotes in this window
+  maxQuoteAgeMs: 5 * MINUTE,          // Older top of book is stale: no spread / depth reading
+  minimumDepth: 0,                    // Top-of-book depth floor in $ (0 = report only)
+  requireVolume: false,               // Reject symbols with no known dollar volume (otherwise unverified)
+  requireQuotes: false                // Reject symbols the feeds send no quotes for (otherwise unverified)
+};
+
+export class LiquidityMonitor {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Overrides for DEFAULT_LIQUIDITY_CONFIG
+   * @param {Function} options.now - Clock
+   */
+  constructor({ config = {}, now = () => Date.now() } = {}) {
+    this.config = { ...DEFAULT_LIQUIDITY_CONFIG, ...config };
+    this.now = now;
+    this.symbols = new Map(); // symbol -> { volume: [{ minute, dollars }], spreads: [{ minute, sum, count }], quote, firstTradeAt }
+  }
+
+  onTrade({ symbol, price, volume, timestamp }) {
+    const dollars = parseFloat(price) * (parseFloat(volume) || 0);
+    if (!symbol || !isFinite(dollars) || dollars <= 0) return;
+
+    const state = this.getState(symbol);
+    const time = timestamp || this.now();
+    state.firstTradeAt = state.firstTradeAt === null ? time : Math.min(state.firstTradeAt, time);
+    this.addToBucket(state.volume, time, bucket => { bucket.dollars = (bucket.dollars || 0) + dollars; });
+    this.prune(state.volume, this.config.volumeWindowMs);
+  }
+
+  onQuote({ symbol, bid, ask, bidSize, askSize, timestamp }) {
+    // Crossed or one-sided books say nothing about the spread
+    if (!symbol || !(bid > 0) || !(ask >= bid)) return;
+
+    const state = this.getState(symbol);
+    const time = timestamp || this.now();
+    const spread = (ask - bid) / ((ask + bid) / 2);
+    state.quote = { bid, ask, bidSize: bidSize || 0, askSize: askSize || 0, spread, timestamp: time };
+    this.addToBucket(state.spreads, time, bucket => {
+      bucket.sum = (bucket.sum || 0) + spread;
+      bucket.count = (bucket.count || 0) + 1;
+    });
+    this.prune(state.spreads, this.config.spreadWindowMs);
+  }
+
+  /**
+   * @param {string} symbol
+   * @param {Object} context
+   * @param {Array<Object>} context.dailyBars - Daily candles, oldest first (stand-in for dollar volume)
+   * @returns {Object} { symbol, dollarVolume, volumeSource, observedMs, averageSpread, spread, depth, quoteAgeMs }
+   */
+  getSnapshot(symbol, { dailyBars = [] } = {}) {
+    const now = this.now();
+    const state = this.symbols.get(symbol);
+    const { volumeWindowMs, spreadWindowMs, maxQuoteAgeMs } = this.config;
+
+    let dollarVolume = null;
+    let volumeSource = null;
+    if (state && state.firstTradeAt !== null) {
+      dollarVolume = this.inWindow(state.volume, now, volumeWindowMs).reduce((sum, bucket) => sum + bucket.dollars, 0);
+      volumeSource = now - state.firstTradeAt >= volumeWindowMs ? 'trades' : 'trades_partial';
+    }
+
+    // A partial window is only checked pro rata; the prior day measures liquidity when it saw more
+    const priorDay = this.priorDayDollarVolume(dailyBars);
+    if (priorDay !== null && (volumeSource === null || (volumeSource === 'trades_partial' && priorDay > dollarVolume))) {
+      dollarVolume = priorDay;
+      volumeSource = 'daily_bar';
+    }
+
+    const quote = state?.quote || null;
+    const quoteAgeMs = quote ? now - quote.timestamp : null;
+    const fresh = quote && quoteAgeMs <= maxQuoteAgeMs;
+    const spreads = state ? this.inWindow(state.spreads, now, spreadWindowMs) : [];
+    const count = spreads.reduce((sum, bucket) => sum + bucket.count, 0);
+
+    return {
+      symbol,
+      dollarVolume: dollarVolume === null ? null : Math.round(dollarVolume),
+      volumeSource,
+      observedMs: volumeSource === 'trades_partial' ? now - state.firstTradeAt : null, // How much of the window trades cover
+      averageSpread: fresh && count > 0 ? spreads.reduce((sum, bucket) => sum + bucket.sum, 0) / count : null,
+      spread: fresh ? quote.spread : null,
+      depth: fresh ? Math.round(quote.bid * quote.bidSize + quote.ask * quote.askSize) : null,
+      quoteAgeMs
+    };
+  }
+
+  /**
+   * Check a symbol against qualityGates.minimumVolume / maximumSpread
+   * @returns {{ passed: boolean, failures: Array<string>, snapshot: Object }} snapshot.unverified
+   *   lists the metrics that could not be checked
+   */
+  evaluate(symbol, gates, context = {}) {
+    const snapshot = this.getSnapshot(symbol, context);
+    const failures = [];
+    const unverified = [];
+
+    if (snapshot.dollarVolume === null) {
+      if (this.config.requireVolume) {
+        failures.push('No known dollar volume');
+      } else {
+        unverified.push('no known volume');
+      }
+    } else if (snapshot.volumeSource === 'trades_partial') {
+      // Behind the pace the full window needs to reach minimumVolume
+      const required = gates.minimumVolume * Math.min(1, snapshot.observedMs / this.config.volumeWindowMs);
+      if (snapshot.dollarVolume < required) {
+        failures.push(`Dollar volume ${formatDollars(snapshot.dollarVolume)} in ${formatDuration(snapshot.observedMs)} < ${formatDollars(required)} pro-rated`);
+      }
+    } else if (snapshot.dollarVolume < gates.minimumVolume) {
+      failures.push(`Dollar volume ${formatDollars(snapshot.dollarVolume)} < ${formatDollars(gates.minimumVolume)}`);
+    }
+    if (snapshot.averageSpread !== null && snapshot.averageSpread > gates.maximumSpread) {
+      failures.push(`Average spread ${formatPercent(snapshot.averageSpread)} > ${formatPercent(gates.maximumSpread)}`);
+    }
+    if (this.config.minimumDepth > 0 && snapshot.depth !== null && snapshot.depth < this.config.minimumDepth) {
+      failures.push(`Top-of-book depth ${formatDollars(snapshot.depth)} < ${formatDollars(this.config.minimumDepth)}`);
+    }
+    if (snapshot.averageSpread === null) {
+      if (this.config.requireQuotes) {
+        failures.push('No recent quotes');
+      } else {
+        unverified.push('no recent quotes');
+      }
+    }
+
+    return { passed: failures.length === 0, failures, snapshot: { ...snapshot, unverified } };
+  }
+
+  /**
+   * One reasoning line for the tip
+   */
+  describe(snapshot) {
+    const parts = [];
+    if (snapshot.dollarVolume !== null) {
+      const window = snapshot.volumeSource === 'daily_bar'
+        ? 'prior day'
+        : `${Math.round(this.config.volumeWindowMs / (60 * MINUTE))}h${snapshot.volumeSource === 'trades_partial' ? ' so far' : ''}`;
+      parts.push(`${formatDollars(snapshot.dollarVolume)} volume (${window})`);
+    }
+    if (snapshot.averageSpread !== null) parts.push(`avg spread ${formatPercent(snapshot.averageSpread)}`);
+    if (snapshot.depth !== null) parts.push(`top-of-book depth ${formatDollars(snapshot.depth)}`);
+    const unverified = snapshot.unverified?.length > 0 ? `liquidity unverified (${snapshot.unverified.join(', ')})` : null;
+    if (parts.length === 0) {
+      return unverified ? `💧 ${unverified[0].toUpperCase()}${unverified.slice(1)}` : null;
+    }
+    return `💧 Liquidity: ${parts.join(', ')}${unverified ? ` - ${unverified}` : ''}`;
+  }
+
+  forget(symbol) {
+    this.symbols.delete(symbol);
+  }
+
+  priorDayDollarVolume(dailyBars) {
+    const completed = dailyBars.filter(bar => bar.closed !== false && bar.volume > 0);
+    const last = completed[completed.length - 1];
+    return last ? last.turnover || last.close * last.volume : null;
+  }
+
+  getState(symbol) {
+    if (!this.symbols.has(symbol)) {
+      this.symbols.set(symbol, { volume: [], spreads: [], quote: null, firstTradeAt: null });
+    }
+    return this.symbols.get(symbol);
+  }
+
+  addToBucket(buckets, time, add) {
+    const minute = Math.floor(time / MINUTE) * MINUTE;
+    let bucket = buckets[buckets.length - 1];
+    if (!bucket || bucket.minute !== minute) {
+      bucket = buckets.find(existing => existing.minute === minute);
+      if (!bucket) {
+        bucket = { minute };
+        buckets.push(bucket);
+        buckets.sort((a, b) => a.minute - b.minute);
+      }
+    }
+    add(bucket);
+  }
+
+  prune(buckets, windowMs) {
+    const cutoff = this.now() - windowMs - MINUTE;
+    while (buckets.length > 0 && buckets[0].minute < cutoff) {
+      buckets.shift();
+    }
+  }
+
+  inWindow(buckets, now, windowMs) {
+    return buckets.filter(bucket => bucket.minute + MINUTE > now - windowMs && bucket.minute <= now);
+  }
+}
+
+function formatDollars(value) {
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(0)}K`;
+  return `$${Math.round(value)}`;
+}
+
+function formatDuration(ms) {
+  return ms >= 60 * MINUTE ? `${(ms / (60 * MINUTE)).toFixed(1)}h` : `${Math.round(ms / MINUTE)}m`;
+}
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(2)}%`;
+}
@@ -0,0 +1,272 @@
+/**
+ * MARKET CALENDAR
+ * ===============
+ *
+ * One place for US equity market time (NYSE / Nasdaq):
+ * ✓ Embedded holiday and early-close table (2024-2028)
+ * ✓ sessionAt(date): pre_market / regular / after_hours / closed
+ * ✓ Next regular open and close from any moment (weekends, holidays, half-days)
+ * ✓ Session times from the Ferrari marketTiming config, in New York time (DST-safe)
+ *
+ * Years outside the table fall back to weekdays only - extend the table each
+ * year when the exchanges publish the next calendar.
+ */
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+export const NYSE_HOLIDAYS = {
+  '2024-01-01': "New Year's Day",
+  '2024-01-15': 'Martin Luther King Jr. Day',
+  '2024-02-19': "Washington's Birthday",
+  '2024-03-29': 'Good Friday',
+  '2024-05-27': 'Memorial Day',
+  '2024-06-19': 'Juneteenth',
+  '2024-07-04': 'Independence Day',
+  '2024-09-02': 'Labor Day',
+  '2024-11-28': 'Thanksgiving Day',
+  '2024-12-25': 'Christmas Day',
+
+  '2025-01-01': "New Year's Day",
+  '2025-01-09': 'National Day of Mourning (President Carter)',
+  '2025-01-20': 'Martin Luther King Jr. Day',
+  '2025-02-17': "Washington's Birthday",
+  '2025-04-18': 'Good Friday',
+  '2025-05-26': 'Memorial Day',
+  '2025-06-19': 'Juneteenth',
+  '2025-07-04': 'Independence Day',
+  '2025-09-01': 'Labor Day',
+  '2025-11-27': 'Thanksgiving Day',
+  '2025-12-25': 'Christmas Day',
+
+  '2026-01-01': "New Year's Day",
+  '2026-01-19': 'Martin Luther King Jr. Day',
+  '2026-02-16': "Washington's Birthday",
+  '2026-04-03': 'Good Friday',
+  '2026-05-25': 'Memorial Day',
+  '2026-06-19': 'Juneteenth',
+  '2026-07-03': 'Independence Day (observed)',
+  '2026-09-07': 'Labor Day',
+  '2026-11-26': 'Thanksgiving Day',
+  '2026-12-25': 'Christmas Day',
+
+  '2027-01-01': "New Year's Day",
+  '2027-01-18': 'Martin Luther King Jr. Day',
+  '2027-02-15': "Washington's Birthday",
+  '2027-03-26': 'Good Friday',
+  '2027-05-31': 'Memorial Day',
+  '2027-06-18': 'Juneteenth (observed)',
+  '2027-07-05': 'Independence Day (observed)',
+  '2027-09-06': 'Labor Day',
+  '2027-11-25': 'Thanksgiving Day',
+  '2027-12-24': 'Christmas Day (observed)',
+
+  // New Year's Day 2028 falls on a Saturday and is not observed
+  '2028-01-17': 'Martin Luther King Jr. Day',
+  '2028-02-21': "Washington's Birthday",
+  '2028-04-14': 'Good Friday',
+  '2028-05-29': 'Memorial Day',
+  '2028-06-19': 'Juneteenth',
+  '2028-07-04': 'Independence Day',
+  '2028-09-04': 'Labor Day',
+  '2028-11-23': 'Thanksgiving Day',
+  '2028-12-25': 'Christmas Day'
+};
+
+// Regular session closes at 1:00 PM ET
+export const NYSE_EARLY_CLOSES = {
+  '2024-07-03': '13:00',
+  '2024-11-29': '13:00',
+  '2024-12-24': '13:00',
+  '2025-07-03': '13:00',
+  '2025-11-28': '13:00',
+  '2025-12-24': '13:00',
+  '2026-11-27': '13:00',
+  '2026-12-24': '13:00',
+  '2027-11-26': '13:00',
+  '2028-07-03': '13:00',
+  '2028-11-24': '13:00'
+};
+
+const TABLE_YEARS = new Set(Object.keys(NYSE_HOLIDAYS).map(date => date.slice(0, 4)));
+
+const DEFAULT_TIMING = {
+  preMarketStart: '04:00',
+  marketOpen: '09:30',
+  marketClose: '16:00',
+  afterHoursEnd: '20:00',
+  earlyCloseAfterHoursEnd: '17:00'
+};
+
+const nyFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'America/New_York',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+export class MarketCalendar {
+  /**
+   * @param {Object} options
+   * @param {Object} options.timing - Session times 'HH:MM' ET (preMarketStart, marketOpen, marketClose, afterHoursEnd)
+   * @param {Object} options.holidays - 'YYYY-MM-DD' -> name (default NYSE_HOLIDAYS)
+   * @param {Object} options.earlyCloses - 'YYYY-MM-DD' -> 'HH:MM' (default NYSE_EARLY_CLOSES)
+   */
+  constructor(options = {}) {
+    this.timing = { ...DEFAULT_TIMING, ...options.timing };
+    this.holidays = options.holidays || NYSE_HOLIDAYS;
+    this.earlyCloses = options.earlyCloses || NYSE_EARLY_CLOSES;
+    this.warnedYears = new Set();
+    this.dayCache = new Map();
+  }
+
+  /**
+   * Market session at a moment
+   * @param {Date|number} date
+   * @returns {{ session: string, isOpen: boolean, isExtendedHours: boolean, tradingDate: string,
+   *   holiday: string|null, earlyClose: boolean, nextOpen: number, nextClose: number }}
+   */
+  sessionAt(date = Date.now()) {
+    const timestamp = this.toMillis(date);
+    const tradingDate = this.localDate(timestamp);
+    const day = this.getDay(tradingDate);
+
+    let session = 'closed';
+    if (day.isTradingDay) {
+      if (timestamp >= day.open) {
+        if (timestamp < day.close) session = 'regular';
+        else if (timestamp < day.afterHoursEnd) session = 'after_hours';
+      } else if (timestamp >= day.preMarketStart) {
+        session = 'pre_market';
+      }
+    }
+
+    return {
+      session,
+      isOpen: session === 'regular',
+      isExtendedHours: session === 'pre_market' || session === 'after_hours',
+      tradingDate,
+      holiday: day.holiday,
+      earlyClose: day.earlyClose,
+      nextOpen: this.nextOpen(timestamp),
+      nextClose: this.nextClose(timestamp)
+    };
+  }
+
+  isRegularSession(date = Date.now()) {
+    return this.sessionAt(date).isOpen;
+  }
+
+  isTradingDay(dateKey) {
+    return this.getDay(dateKey).isTradingDay;
+  }
+
+  /**
+   * Next regular-session open strictly after the moment (epoch ms)
+   */
+  nextOpen(date = Date.now()) {
+    return this.findSessionTime(this.toMillis(date), 'open');
+  }
+
+  /**
+   * Next regular-session close strictly after the moment (epoch ms)
+   */
+  nextClose(date = Date.now()) {
+    return this.findSessionTime(this.toMillis(date), 'close');
+  }
+
+  findSessionTime(timestamp, field) {
+    let dateKey = this.localDate(timestamp);
+    // Longest exchange closure is a few days; two weeks covers any table gap
+    for (let i = 0; i < 14; i++) {
+      const day = this.getDay(dateKey);
+      if (day.isTradingDay && day[field] > timestamp) {
+        return day[field];
+      }
+      dateKey = this.addDays(dateKey, 1);
+    }
+    return null;
+  }
+
+  /**
+   * Trading day details for a New York date ('YYYY-MM-DD'); session boundaries in epoch ms
+   */
+  getDay(dateKey) {
+    if (this.dayCache.has(dateKey)) {
+      return this.dayCache.get(dateKey);
+    }
+
+    const weekday = new Date(`${dateKey}T12:00:00Z`).getUTCDay();
+    const holiday = this.holidays[dateKey] || null;
+    const earlyClose = this.earlyCloses[dateKey] || null;
+    const isTradingDay = weekday !== 0 && weekday !== 6 && !holiday;
+
+    const year = dateKey.slice(0, 4);
+    if (!TABLE_YEARS.has(year) && !this.warnedYears.has(year)) {
+      this.warnedYears.add(year);
+      console.warn(`⚠️ Market calendar has no holiday table for ${year} - using weekdays only`);
+    }
+
+    const day = {
+      date: dateKey,
+      isTradingDay,
+      holiday,
+      earlyClose: !!earlyClose,
+      preMarketStart: this.zonedTime(dateKey, this.timing.preMarketStart),
+      open: this.zonedTime(dateKey, this.timing.marketOpen),
+      close: this.zonedTime(dateKey, earlyClose || this.timing.marketClose),
+      afterHoursEnd: this.zonedTime(dateKey, earlyClose ? this.timing.earlyCloseAfterHoursEnd : this.timing.afterHoursEnd)
+    };
+
+    if (this.dayCache.size >= 64) this.dayCache.clear();
+    this.dayCache.set(dateKey, day);
+    return day;
+  }
+
+  /**
+   * Epoch ms of 'HH:MM' New York time on a New York date
+   */
+  zonedTime(dateKey, time) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const asUTC = Date.UTC(year, month - 1, day, hour, minute);
+    // Offset can differ between the guess and the result around DST changes
+    const guess = asUTC + this.nyOffset(asUTC);
+    return asUTC + this.nyOffset(guess);
+  }
+
+  /**
+   * UTC minus New York local time, in ms (+4h in summer, +5h in winter)
+   */
+  nyOffset(timestamp) {
+    const parts = this.formatParts(timestamp);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((Math.floor(timestamp / 1000) * 1000 - asUTC) / MINUTE) * MINUTE;
+  }
+
+  /**
+   * New York calendar date ('YYYY-MM-DD') of a moment
+   */
+  localDate(timestamp) {
+    const parts = this.formatParts(timestamp);
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+
+  formatParts(timestamp) {
+    return Object.fromEntries(nyFormat.formatToParts(new Date(timestamp)).map(p => [p.type, p.value]));
+  }
+
+  addDays(dateKey, days) {
+    return new Date(Date.parse(`${dateKey}T12:00:00Z`) + days * DAY).toISOString().slice(0, 10);
+  }
+
+  toMillis(date) {
+    return date instanceof Date ? date.getTime() : Number(date);
+  }
+}
+
+export default new MarketCalendar();
@@ -0,0 +1,73 @@
+import { MarketDataProvider } from './marketDataProvider.js';
+import endpoints from '../../config/endpoints.js';
+
+/**
+ * Alpaca stock stream (IEX feed)
+ * Authenticates on open, subscribes once Alpaca confirms the credentials.
+ * Frames arrive as arrays: t = trade, q = quote, b = minute bar.
+ */
+export class AlpacaProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super('alpaca', options);
+    this.apiKey = options.apiKey || process.env.ALPACA_API_KEY;
+    this.secretKey = options.secretKey || process.env.ALPACA_SECRET_KEY;
+    this.authenticated = false;
+  }
+
+  isConfigured() {
+    return !!(this.apiKey && this.secretKey);
+  }
+
+  getUrl() {
+    return this.options.url || endpoints.alpacaStreamUrl;
+  }
+
+  onOpen() {
+    this.authenticated = false;
+    this.send({ action: 'auth', key: this.apiKey, secret: this.secretKey });
+  }
+
+  handleMessage(data) {
+    for (const msg of Array.isArray(data) ? data : [data]) {
+      switch (msg.T) {
+        case 't':
+          this.emitTrade({ symbol: msg.S, price: msg.p, volume: msg.s, timestamp: msg.t });
+          break;
+        case 'q':
+          this.emitQuote({ symbol: msg.S, bid: msg.bp, ask: msg.ap, bidSize: msg.bs, askSize: msg.as, timestamp: msg.t });
+          break;
+        case 'b':
+          this.emitBar({ symbol: msg.S, open: msg.o, high: msg.h, low: msg.l, close: msg.c, volume: msg.v, timestamp: msg.t });
+          break;
+        case 'success':
+          if (msg.msg === 'authenticated') {
+            console.log('✅ Alpaca authenticated successfully! Subscribing to symbols...');
+            this.authenticated = true;
+            this.sendSubscribe(Array.from(this.symbols));
+          }
+          break;
+        case 'error':
+          console.error(`❌ Alpaca error ${msg.code}: ${msg.msg}`);
+          break;
+      }
+    }
+  }
+
+  sendSubscribe(symbols) {
+    if (!this.authenticated || symbols.length === 0) return;
+    this.send({ action: 'subscribe', ...this.channelPayload(symbols) });
+  }
+
+  sendUnsubscribe(symbols) {
+    if (!this.authenticated || symbols.length === 0) return;
+    this.send({ action: 'unsubscribe', ...this.channelPayload(symbols) });
+  }
+
+  channelPayload(symbols) {
+    const payload = {};
+    if (this.channels.includes('trades')) payload.trades = symbols;
+    if (this.channels.includes('quotes')) payload.quotes = symbols;
+    if (this.channels.includes('bars')) payload.bars = symbols;
+    return payload;
+  }
+}
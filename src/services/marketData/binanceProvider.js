@@ -0,0 +1,62 @@
+import { MarketDataProvider } from './marketDataProvider.js';
+import endpoints from '../../config/endpoints.js';
+
+/**
+ * Binance spot stream
+ * Uses the raw /ws endpoint with SUBSCRIBE / UNSUBSCRIBE requests so the
+ * symbol set can change without reconnecting. BTC/USD maps to btcusdt.
+ */
+export class BinanceProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super('binance', options);
+    this.requestId = 0;
+  }
+
+  getUrl() {
+    return this.options.url || endpoints.binanceStreamUrl;
+  }
+
+  toProviderSymbol(symbol) {
+    return symbol.replace('/', '').replace(/USD$/, 'USDT').toLowerCase();
+  }
+
+  fromProviderSymbol(symbol) {
+    return symbol.toUpperCase().replace(/USDT$/, '/USD');
+  }
+
+  handleMessage(data) {
+    if (data.e === 'trade') {
+      this.emitTrade({ symbol: this.fromProviderSymbol(data.s), price: data.p, volume: data.q, timestamp: data.T });
+    } else if (data.e === 'kline' && data.k?.x) {
+      // Only closed klines are complete bars
+      const k = data.k;
+      this.emitBar({ symbol: this.fromProviderSymbol(data.s), open: k.o, high: k.h, low: k.l, close: k.c, volume: k.v, timestamp: k.t });
+    } else if (data.u !== undefined && data.b !== undefined && data.a !== undefined) {
+      // bookTicker frames carry no event type
+      this.emitQuote({ symbol: this.fromProviderSymbol(data.s), bid: data.b, ask: data.a, bidSize: data.B, askSize: data.A });
+    } else if (data.error) {
+      console.error('❌ Binance error:', data.error.msg || data.error);
+    }
+  }
+
+  sendSubscribe(symbols) {
+    if (symbols.length === 0) return;
+    this.send({ method: 'SUBSCRIBE', params: this.streamNames(symbols), id: ++this.requestId });
+  }
+
+  sendUnsubscribe(symbols) {
+    if (symbols.length === 0) return;
+    this.send({ method: 'UNSUBSCRIBE', params: this.streamNames(symbols), id: ++this.requestId });
+  }
+
+  streamNames(symbols) {
+    return symbols.flatMap(symbol => {
+      const stream = this.toProviderSymbol(symbol);
+      const names = [];
+      if (this.channels.includes('trades')) names.push(`${stream}@trade`);
+      if (this.channels.includes('quotes')) names.push(`${stream}@bookTicker`);
+      if (this.channels.includes('bars')) names.push(`${stream}@kline_1m`);
+      return names;
+    });
+  }
+}
@@ -0,0 +1,44 @@
+import { MarketDataProvider } from './marketDataProvider.js';
+import endpoints from '../../config/endpoints.js';
+
+/**
+ * Finnhub trade stream
+ * One subscribe frame per symbol; trades arrive batched under data[].
+ */
+export class FinnhubProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super('finnhub', options);
+    this.apiKey = options.apiKey || process.env.FINNHUB_API_KEY;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  getUrl() {
+    return `${this.options.url || endpoints.finnhubStreamUrl}?token=${this.apiKey}`;
+  }
+
+  handleMessage(data) {
+    if (data.type === 'trade' && Array.isArray(data.data)) {
+      for (const trade of data.data) {
+        this.emitTrade({ symbol: trade.s, price: trade.p, volume: trade.v, timestamp: trade.t });
+      }
+    } else if (data.type === 'error') {
+      console.error('❌ Finnhub error:', data.msg);
+    }
+    // type 'ping' is a keep-alive
+  }
+
+  sendSubscribe(symbols) {
+    for (const symbol of symbols) {
+      this.send({ type: 'subscribe', symbol });
+    }
+  }
+
+  sendUnsubscribe(symbols) {
+    for (const symbol of symbols) {
+      this.send({ type: 'unsubscribe', symbol });
+    }
+  }
+}
@@ -0,0 +1,300 @@
+/**
+ * MARKET DATA PROVIDER
+ * ====================
+ *
+ * Base class for streaming market data feeds (Alpaca, Binance, Finnhub, ...).
+ * Handles the WebSocket lifecycle so adapters only translate messages:
+ * ✓ connect / disconnect with automatic reconnect (exponential backoff)
+ * ✓ subscribe / unsubscribe while connected or before connecting
+ * ✓ onTrade / onQuote / onBar handlers receiving one normalized schema
+ * ✓ health() snapshot for monitoring
+ *
+ * Normalized events:
+ *   trade: { symbol, price, volume, timestamp, source }
+ *   quote: { symbol, bid, ask, bidSize, askSize, timestamp, source }
+ *   bar:   { symbol, open, high, low, close, volume, timestamp, source }
+ *
+ * Adapters override:
+ *   isConfigured()        - credentials present?
+ *   getUrl()              - WebSocket URL
+ *   onOpen()              - auth / initial subscribe
+ *   handleMessage(data)   - parse a raw frame and call emitTrade/emitQuote/emitBar
+ *   sendSubscribe(symbols) / sendUnsubscribe(symbols)
+ */
+
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+
+export class MarketDataProvider extends EventEmitter {
+  /**
+   * @param {string} name - Provider name used in logs and health reports
+   * @param {Object} options
+   * @param {Array<string>} options.symbols - Initial subscription (app symbols, e.g. AAPL, BTC/USD)
+   * @param {Array<string>} options.channels - Data channels: trades, quotes, bars
+   * @param {string} options.url - Override the provider's WebSocket URL (default: config/endpoints.js)
+   * @param {number} options.reconnectDelay - First reconnect delay in ms
+   * @param {number} options.maxReconnectDelay - Backoff ceiling in ms
+   */
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.options = options;
+    this.symbols = new Set(options.symbols || []);
+    this.channels = options.channels || ['trades'];
+    this.reconnectDelay = options.reconnectDelay || 5000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 60000;
+
+    this.socket = null;
+    this.status = 'disconnected';
+    this.shouldReconnect = false;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.stats = { messages: 0, trades: 0, quotes: 0, bars: 0, reconnects: 0, errors: 0, lastMessageAt: null, connectedAt: null };
+
+    // Avoid crashing the process on an unhandled 'error' event
+    this.on('error', () => {});
+  }
+
+  // ===== Adapter hooks =====
+
+  isConfigured() {
+    return true;
+  }
+
+  getUrl() {
+    throw new Error(`${this.name} provider must implement getUrl()`);
+  }
+
+  onOpen() {
+    this.sendSubscribe(Array.from(this.symbols));
+  }
+
+  handleMessage() {
+    throw new Error(`${this.name} provider must implement handleMessage()`);
+  }
+
+  sendSubscribe() {}
+
+  sendUnsubscribe() {}
+
+  // ===== Public interface =====
+
+  /**
+   * Open the stream. Resolves once the socket is created; failures are
+   * retried in the background with backoff.
+   */
+  async connect() {
+    if (!this.isConfigured()) {
+      this.status = 'disabled';
+      console.log(`⚠️ ${this.name} feed not configured - skipping`);
+      return false;
+    }
+
+    if (this.socket && (this.socket.readyState === WebSocket.OPEN || this.socket.readyState === WebSocket.CONNECTING)) {
+      return true;
+    }
+
+    this.shouldReconnect = true;
+    this.openSocket();
+    return true;
+  }
+
+  disconnect() {
+    this.shouldReconnect = false;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      this.socket.removeAllListeners();
+      this.socket.on('error', () => {});
+      this.socket.close();
+      this.socket = null;
+    }
+    this.status = 'disconnected';
+  }
+
+  subscribe(symbols) {
+    const added = [].concat(symbols).filter(symbol => !this.symbols.has(symbol));
+    added.forEach(symbol => this.symbols.add(symbol));
+    if (added.length > 0 && this.isConnected()) {
+      this.sendSubscribe(added);
+    }
+    return added;
+  }
+
+  unsubscribe(symbols) {
+    const removed = [].concat(symbols).filter(symbol => this.symbols.has(symbol));
+    removed.forEach(symbol => this.symbols.delete(symbol));
+    if (removed.length > 0 && this.isConnected()) {
+      this.sendUnsubscribe(removed);
+    }
+    return removed;
+  }
+
+  onTrade(handler) {
+    this.on('trade', handler);
+    return this;
+  }
+
+  onQuote(handler) {
+    this.on('quote', handler);
+    return this;
+  }
+
+  onBar(handler) {
+    this.on('bar', handler);
+    return this;
+  }
+
+  isConnected() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  health() {
+    return {
+      name: this.name,
+      status: this.status,
+      connected: this.isConnected(),
+      subscribed: this.symbols.size,
+      reconnectAttempts: this.reconnectAttempts,
+      ...this.stats
+    };
+  }
+
+  // ===== Socket lifecycle =====
+
+  openSocket() {
+    this.status = 'connecting';
+    console.log(`🔌 Connecting to ${this.name} feed...`);
+
+    let socket;
+    try {
+      socket = new WebSocket(this.getUrl());
+    } catch (error) {
+      console.error(`❌ ${this.name} WebSocket could not be created:`, error.message);
+      this.stats.errors++;
+      this.scheduleReconnect();
+      return;
+    }
+    this.socket = socket;
+
+    socket.on('open', () => {
+      console.log(`🟢 ${this.name} feed connected`);
+      this.status = 'connected';
+      this.reconnectAttempts = 0;
+      this.stats.connectedAt = Date.now();
+      try {
+        this.onOpen();
+      } catch (error) {
+        console.error(`❌ ${this.name} open handler failed:`, error);
+      }
+      this.emit('connected');
+    });
+
+    socket.on('message', raw => {
+      this.stats.messages++;
+      this.stats.lastMessageAt = Date.now();
+      try {
+        this.handleMessage(JSON.parse(raw.toString()));
+      } catch (error) {
+        this.stats.errors++;
+        console.error(`❌ Error parsing ${this.name} message:`, error.message);
+      }
+    });
+
+    socket.on('error', error => {
+      this.stats.errors++;
+      console.error(`❌ ${this.name} WebSocket error:`, error.message);
+      this.emit('error', error);
+    });
+
+    socket.on('close', () => {
+      if (this.socket !== socket) return;
+      console.log(`🔴 ${this.name} feed disconnected`);
+      this.socket = null;
+      this.status = 'disconnected';
+      this.emit('disconnected');
+      this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    if (!this.shouldReconnect || this.reconnectTimer) return;
+
+    const delay = Math.min(this.reconnectDelay * 2 ** this.reconnectAttempts, this.maxReconnectDelay);
+    this.reconnectAttempts++;
+    this.stats.reconnects++;
+    console.log(`🔄 Reconnecting ${this.name} feed in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.shouldReconnect) this.openSocket();
+    }, delay);
+  }
+
+  send(payload) {
+    if (this.isConnected()) {
+      this.socket.send(JSON.stringify(payload));
+    }
+  }
+
+  // ===== Normalization =====
+
+  emitTrade({ symbol, price, volume, timestamp }) {
+    const tick = {
+      symbol,
+      price: parseFloat(price),
+      volume: parseFloat(volume) || 0,
+      timestamp: this.toMillis(timestamp),
+      source: this.name
+    };
+    if (!tick.symbol || !isFinite(tick.price) || tick.price <= 0) return;
+
+    this.stats.trades++;
+    this.emit('trade', tick);
+  }
+
+  emitQuote({ symbol, bid, ask, bidSize, askSize, timestamp }) {
+    const quote = {
+      symbol,
+      bid: parseFloat(bid),
+      ask: parseFloat(ask),
+      bidSize: parseFloat(bidSize) || 0,
+      askSize: parseFloat(askSize) || 0,
+      timestamp: this.toMillis(timestamp),
+      source: this.name
+    };
+    if (!quote.symbol || !isFinite(quote.bid) || !isFinite(quote.ask)) return;
+
+    this.stats.quotes++;
+    this.emit('quote', quote);
+  }
+
+  emitBar({ symbol, open, high, low, close, volume, timestamp }) {
+    const bar = {
+      symbol,
+      open: parseFloat(open),
+      high: parseFloat(high),
+      low: parseFloat(low),
+      close: parseFloat(close),
+      volume: parseFloat(volume) || 0,
+      timestamp: this.toMillis(timestamp),
+      source: this.name
+    };
+    if (!bar.symbol || ![bar.open, bar.high, bar.low, bar.close].every(isFinite)) return;
+
+    this.stats.bars++;
+    this.emit('bar', bar);
+  }
+
+  /**
+   * Epoch ms from ISO strings, epoch seconds or epoch ms
+   */
+  toMillis(value) {
+    if (value === undefined || value === null) return Date.now();
+    if (typeof value === 'number') return value < 1e11 ? value * 1000 : value;
+    const parsed = new Date(value).getTime();
+    return isNaN(parsed) ? Date.now() : parsed;
+  }
+}
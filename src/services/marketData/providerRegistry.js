@@ -0,0 +1,51 @@
+import { AlpacaProvider } from './alpacaProvider.js';
+import { BinanceProvider } from './binanceProvider.js';
+import { FinnhubProvider } from './finnhubProvider.js';
+
+/**
+ * Market Data Provider Registry
+ * Maps provider names to factories so new feeds (Polygon, Coinbase, Kraken,
+ * IEX, ...) plug in without touching FerrariTradingSystem:
+ *
+ *   marketDataRegistry.register('polygon', options => new PolygonProvider(options));
+ *
+ * then add { provider: 'polygon', assetClass: 'stocks' } to config.dataFeeds.
+ */
+class MarketDataRegistry {
+  constructor() {
+    this.factories = new Map();
+  }
+
+  register(name, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Market data provider "${name}" needs a factory function`);
+    }
+    this.factories.set(name, factory);
+    return this;
+  }
+
+  has(name) {
+    return this.factories.has(name);
+  }
+
+  list() {
+    return Array.from(this.factories.keys());
+  }
+
+  create(name, options = {}) {
+    const factory = this.factories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown market data provider "${name}" (registered: ${this.list().join(', ')})`);
+    }
+    return factory(options);
+  }
+}
+
+const marketDataRegistry = new MarketDataRegistry();
+marketDataRegistry
+  .register('alpaca', options => new AlpacaProvider(options))
+  .register('binance', options => new BinanceProvider(options))
+  .register('finnhub', options => new FinnhubProvider(options));
+
+export { MarketDataRegistry };
+export default marketDataRegistry;
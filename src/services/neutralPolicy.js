@@ -0,0 +1,130 @@
+/**
+ * NEUTRAL MARKET POLICY
+ * =====================
+ *
+ * What the engine does when the strategies come back neutral, instead of
+ * picking a direction at random:
+ * ✓ suppress       - no signal (default)
+ * ✓ mean_reversion - a range trade back toward VWAP, only when price is
+ *   stretched to a VWAP band: long at the lower band, short at the upper band,
+ *   stop beyond the outer band, TP1 at VWAP and TP2 one deviation past it
+ *
+ * VWAP and the bands come from the recent candles (typical price, volume
+ * weighted; equal weights when the bars carry no volume). Tips built this way
+ * carry tradeType 'mean_reversion' and a setup block describing the range.
+ *
+ * Selected by NEUTRAL_POLICY (suppress | mean_reversion).
+ */
+
+export const NEUTRAL_POLICY_MODES = ['suppress', 'mean_reversion'];
+
+export const DEFAULT_NEUTRAL_POLICY = {
+  mode: 'suppress',
+  timeframe: '15min',          // Bars VWAP is computed from
+  lookback: 26,                // ~ one regular session of 15min bars
+  entryStdDev: 2,              // Trade only at or beyond this many deviations from VWAP
+  stopStdDev: 3,               // Stop at this band; beyond it the range is broken
+  target2StdDev: 1             // TP2 this many deviations past VWAP
+};
+
+/**
+ * Neutral policy config from the environment
+ */
+export function neutralPolicyFromEnv(env = process.env) {
+  const mode = env.NEUTRAL_POLICY || DEFAULT_NEUTRAL_POLICY.mode;
+  if (!NEUTRAL_POLICY_MODES.includes(mode)) {
+    console.error(`❌ Unknown NEUTRAL_POLICY "${mode}" (use ${NEUTRAL_POLICY_MODES.join(', ')}) - suppressing neutral signals`);
+    return { ...DEFAULT_NEUTRAL_POLICY };
+  }
+  return { ...DEFAULT_NEUTRAL_POLICY, mode };
+}
+
+export class NeutralPolicy {
+  /**
+   * @param {Object} config - Overrides for DEFAULT_NEUTRAL_POLICY
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_NEUTRAL_POLICY, ...config };
+  }
+
+  /**
+   * @param {Object} input
+   * @param {number} input.price - Current price
+   * @param {Array<Object>} input.bars - Candles on config.timeframe, oldest first
+   * @returns {{ action: 'suppress', reason: string } |
+   *           { action: 'trade', direction: 'long'|'short', levels: Object, setup: Object, reasoning: Array<string> }}
+   */
+  evaluate({ price, bars = [] }) {
+    if (this.config.mode !== 'mean_reversion') {
+      return { action: 'suppress', reason: 'neutral_suppressed' };
+    }
+
+    const range = this.calculateVwapBands(bars.slice(-this.config.lookback));
+    if (!range || !price) {
+      return { action: 'suppress', reason: 'insufficient_history' };
+    }
+
+    const { vwap, deviation } = range;
+    const { entryStdDev, stopStdDev, target2StdDev } = this.config;
+    const distance = (price - vwap) / deviation;
+
+    if (Math.abs(distance) < entryStdDev) {
+      return { action: 'suppress', reason: 'inside_range' };
+    }
+    if (Math.abs(distance) >= stopStdDev) {
+      return { action: 'suppress', reason: 'range_break' };
+    }
+
+    // Stretched below VWAP -> long back to it, above -> short
+    const direction = distance < 0 ? 'long' : 'short';
+    const sign = direction === 'long' ? 1 : -1;
+    const levels = {
+      entry: price,
+      stopLoss: vwap - sign * stopStdDev * deviation,
+      takeProfit1: vwap,
+      takeProfit2: vwap + sign * target2StdDev * deviation
+    };
+    const setup = {
+      type: 'range_mean_reversion',
+      direction,
+      timeframe: this.config.timeframe,
+      vwap,
+      deviation,
+      upperBand: vwap + entryStdDev * deviation,
+      lowerBand: vwap - entryStdDev * deviation,
+      distanceStdDev: Math.round(distance * 100) / 100
+    };
+
+    return {
+      action: 'trade',
+      direction,
+      levels,
+      setup,
+      reasoning: [
+        `↔️ Range trade (neutral market): ${direction.toUpperCase()} back toward VWAP $${vwap.toFixed(2)}`,
+        `Price ${Math.abs(distance).toFixed(1)} deviations ${direction === 'long' ? 'below' : 'above'} ${this.config.timeframe} VWAP`,
+        `Stop beyond the ${stopStdDev}σ band at $${levels.stopLoss.toFixed(2)}`
+      ]
+    };
+  }
+
+  /**
+   * Volume-weighted average typical price and the weighted deviation around it
+   * @returns {{ vwap: number, deviation: number }|null}
+   */
+  calculateVwapBands(bars) {
+    if (bars.length < Math.min(this.config.lookback, 10)) return null;
+
+    const typical = bars.map(bar => (bar.high + bar.low + bar.close) / 3);
+    const hasVolume = bars.some(bar => bar.volume > 0);
+    const weights = bars.map(bar => (hasVolume ? bar.volume || 0 : 1));
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) return null;
+
+    const vwap = typical.reduce((sum, price, i) => sum + price * weights[i], 0) / totalWeight;
+    const variance = typical.reduce((sum, price, i) => sum + weights[i] * Math.pow(price - vwap, 2), 0) / totalWeight;
+    const deviation = Math.sqrt(variance);
+
+    return deviation > 0 ? { vwap, deviation } : null;
+  }
+}
@@ -1,258 +1,380 @@
-const { admin } = require('../config/firebase');
+/**
+ * NOTIFICATION SERVICE
+ * ====================
+ *
+ * The one place FCM messages are built and sent. Every signal source (Ferrari
+ * engine, TradingView webhooks, test pushes) goes through it:
+ * ✓ Message templates (ferrari_signal, tradingview_alert, test)
+ * ✓ Platform payloads - Android channel / color, APNs priority / category
+ * ✓ Deep links - route + target_timeframe so the app opens the right screen
+ * ✓ Per-user multicast with invalid-token cleanup
+ * ✓ Analytics in notification_analytics (one event per send)
+ * ✓ Dry-run mode - build and log everything, send nothing (NOTIFICATION_DRY_RUN=true,
+ *   and automatically when Firebase messaging is not available)
+ *
+ * FCM requires every data value to be a string and caps a message at 4 KB;
+ * buildTipMessage takes care of both (long reasoning is cut to fit).
+ */
 
-class NotificationService {
-  constructor() {
-    this.messaging = admin.messaging();
+// FCM errors that mean a device token will never work again
+export const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+export const DEFAULT_NOTIFICATION_CONFIG = {
+  dryRun: process.env.NOTIFICATION_DRY_RUN === 'true',
+  androidChannelId: 'trading_tips',
+  androidIcon: 'ic_notification',
+  apnsCategory: 'TRADING_TIP'
+};
+
+// FCM rejects messages whose notification + data payload is larger than this
+export const FCM_PAYLOAD_LIMIT_BYTES = 4096;
+
+const SENTIMENT_ICONS = { bullish: '📈', bearish: '📉', neutral: '⚡' };
+const SENTIMENT_COLORS = { bullish: '#4CAF50', bearish: '#F44336', neutral: '#00D4AA' };
+const ACTION_ICONS = { buy: '🟢', sell: '🔴' };
+
+const formatPrice = value => (typeof value === 'number' && isFinite(value) ? `$${value.toFixed(2)}` : 'TBD');
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Title / body per template; eventType is what analytics records
+ */
+export const NOTIFICATION_TEMPLATES = {
+  ferrari_signal: {
+    eventType: 'ferrari_signal_sent',
+    render: tip => {
+      const sentiment = tip.sentiment || 'neutral';
+      if (tip.tradeType === 'mean_reversion') {
+        return {
+          title: `↔️ ${tip.symbol} Range trade (${sentiment === 'bearish' ? 'short' : 'long'})`,
+          body: `Entry ${formatPrice(tip.entryPrice)} | Target VWAP ${formatPrice(tip.takeProfit)}`
+        };
+      }
+      return {
+        title: `${SENTIMENT_ICONS[sentiment] || '⚡'} ${tip.symbol} ${capitalize(sentiment)} alert`,
+        body: `Entry ${formatPrice(tip.entryPrice)}`
+      };
+    }
+  },
+  tradingview_alert: {
+    eventType: 'tradingview_signal_sent',
+    render: tip => {
+      const action = (tip.analysis?.tradingAction || (tip.sentiment === 'bearish' ? 'sell' : 'buy')).toLowerCase();
+      return {
+        title: `${ACTION_ICONS[action] || '⚪'} TradingView Alert: ${tip.symbol}`,
+        body: `${action.toUpperCase()} signal at ${formatPrice(tip.entryPrice)} | Target: ${formatPrice(tip.takeProfit)}`
+      };
+    }
+  },
+  test: {
+    eventType: 'test_notification_sent',
+    render: () => ({
+      title: '🧪 Trading Tip Generator Test',
+      body: 'Push notifications are working! 🎉'
+    })
   }
+};
 
+export class NotificationService {
   /**
-   * Send push notification for new trading tip
-   * @param {Object} tipData - The trading tip data
-   * @param {Object} company - Company information with logo
+   * @param {Object} options
+   * @param {Object|null} options.messaging - firebase-admin messaging (null = dry run)
+   * @param {AnalyticsRepository} options.analytics - notification_analytics
+   * @param {UserProfileService} options.userProfiles - For removing invalid device tokens
+   * @param {Function} options.now - Clock
+   * @param {Object} options.config - Overrides for DEFAULT_NOTIFICATION_CONFIG
    */
-  async sendTipNotification(tipData, company) {
-    try {
-      console.log('📱 Preparing push notification...');
-      
-      const { symbol, timeframe, sentiment, strength, entryPrice } = tipData;
-      const companyName = company.name || symbol;
-      
-      // Format timeframe for display
-      const timeframeDisplay = timeframe.replace('_', ' ').toUpperCase();
-      
-      // Create notification content
-      const title = `🚀 New ${timeframeDisplay} Tip: ${companyName}`;
-      const body = `${sentiment.toUpperCase()} signal (${Math.abs(strength).toFixed(1)}) - Entry: $${entryPrice?.toFixed(2) || 'TBD'}`;
-      
-      // Use local company logo asset path for rich notification
-      const logoAssetPath = company.logoUrl;
-      
-      // Build the notification message with iOS-optimized settings
-      const message = {
-        notification: {
-          title: title,
-          body: body,
-        },
-        data: {
-          type: 'trading_tip',
-          symbol: symbol,
-          timeframe: timeframe,
-          sentiment: sentiment,
-          strength: strength.toString(),
-          companyName: companyName,
-          companyLogo: logoAssetPath, // Pass for in-app display
-          entryPrice: entryPrice?.toString() || '',
-          timestamp: new Date().toISOString(),
-          // Add navigation data for tap handling
-          click_action: 'FLUTTER_NOTIFICATION_CLICK',
-          route: '/trading_tip', // Route to navigate to when tapped
-          // Add timeframe-specific routing data
-          target_timeframe: timeframe // This will be used by Flutter to navigate to the specific timeframe screen
-        },
-        android: {
-          notification: {
-            icon: 'ic_notification', // Default notification icon
-            color: sentiment === 'bullish' ? '#4CAF50' : '#F44336',
-            channelId: 'trading_tips',
-            priority: 'high',
-            defaultSound: true,
-            defaultVibrateTimings: true
-          },
-          data: {
-            click_action: 'FLUTTER_NOTIFICATION_CLICK'
-          }
-        },
-        apns: {
-          headers: {
-            'apns-priority': '10', // High priority for immediate delivery
-            'apns-push-type': 'alert', // Required for visible notifications
-          },
-          payload: {
-            aps: {
-              alert: {
-                title: title,
-                body: body
-              },
-              sound: 'default',
-              badge: 1,
-              category: 'TRADING_TIP',
-              'content-available': 1, // Enable background processing
-              'mutable-content': 1, // Allow notification service extension
-            },
-            // Custom data for iOS
-            customData: {
-              type: 'trading_tip',
-              symbol: symbol,
-              timeframe: timeframe,
-              sentiment: sentiment,
-              target_timeframe: timeframe // For iOS-specific timeframe routing
-            }
-          }
+  constructor({ messaging = null, analytics = null, userProfiles = null, now = () => Date.now(), config = {} } = {}) {
+    this.messaging = messaging;
+    this.analytics = analytics;
+    this.userProfiles = userProfiles;
+    this.now = now;
+    this.config = { ...DEFAULT_NOTIFICATION_CONFIG, ...config };
+  }
+
+  get dryRun() {
+    return this.config.dryRun || !this.messaging;
+  }
+
+  /**
+   * Deep link for a tip: the app routes on `route` and opens the `target_timeframe` tab
+   */
+  getDeepLink(tip) {
+    return {
+      click_action: 'FLUTTER_NOTIFICATION_CLICK',
+      route: tip ? '/trading_tip' : '/',
+      target_timeframe: tip?.timeframe || ''
+    };
+  }
+
+  /**
+   * Full FCM message (without the target) for a tip
+   * @param {Object} tip - Tip from createPremiumTip or a webhook
+   * @param {Object} options
+   * @param {string} options.template - Key of NOTIFICATION_TEMPLATES
+   * @param {Object} options.data - Extra data fields (stringified)
+   */
+  buildTipMessage(tip, { template = 'ferrari_signal', data = {} } = {}) {
+    const selected = NOTIFICATION_TEMPLATES[template];
+    if (!selected) {
+      throw new Error(`Unknown notification template "${template}" (use ${Object.keys(NOTIFICATION_TEMPLATES).join(', ')})`);
+    }
+
+    const { title, body } = selected.render(tip);
+    const sentiment = tip.sentiment || 'neutral';
+    const messageId = `${template === 'ferrari_signal' ? 'ferrari' : template}_${tip.symbol}_${tip.timeframe}_${this.now()}`;
+    const deepLink = this.getDeepLink(tip);
+
+    const fields = {
+      type: 'trading_tip',
+      symbol: tip.symbol,
+      timeframe: tip.timeframe,
+      sentiment,
+      strength: tip.strength,
+      confidence: tip.confidence ?? 0,
+      entryPrice: tip.entryPrice,
+      stopLoss: tip.stopLoss,
+      takeProfit: tip.takeProfit,
+      takeProfit2: tip.takeProfit2,
+      riskRewardRatio: tip.riskRewardRatio,
+      tradeType: tip.tradeType || 'trend',
+      reasoning: JSON.stringify(tip.reasoning || []),
+      companyName: tip.company?.name || tip.symbol,
+      companyLogoUrl: tip.company?.logoUrl,
+      companyLogo: tip.company?.logoUrl,          // Older app builds read companyLogo
+      companySector: tip.company?.sector,
+      companyBusiness: tip.company?.business,
+      companyIsCrypto: tip.company?.isCrypto === true,
+      timestamp: tip.timestamp || new Date(this.now()).toISOString(),
+      trackingId: tip.trackingId,
+      isFerrariSignal: template === 'ferrari_signal',
+      system: 'ferrari_v2',
+      source: tip.source || template,
+      message_id: messageId,
+      template_used: template,
+      strength_stars: Math.min(Math.round(tip.strength || 0), 5),
+      ...deepLink,
+      ...data
+    };
+
+    return {
+      messageId,
+      template,
+      eventType: selected.eventType,
+      notification: { title, body },
+      data: this.fitPayload({ title, body }, this.toStringData(fields)),
+      android: this.buildAndroid(SENTIMENT_COLORS[sentiment] || SENTIMENT_COLORS.neutral),
+      apns: this.buildApns({ title, body }, {
+        type: 'trading_tip',
+        symbol: tip.symbol,
+        timeframe: tip.timeframe,
+        sentiment,
+        target_timeframe: deepLink.target_timeframe
+      })
+    };
+  }
+
+  buildAndroid(color) {
+    return {
+      priority: 'high',
+      notification: {
+        icon: this.config.androidIcon,
+        color,
+        channelId: this.config.androidChannelId,
+        priority: 'high',
+        defaultSound: true,
+        defaultVibrateTimings: true,
+        clickAction: 'FLUTTER_NOTIFICATION_CLICK'
+      }
+    };
+  }
+
+  buildApns(alert, customData = {}) {
+    return {
+      headers: {
+        'apns-priority': '10',      // Immediate delivery
+        'apns-push-type': 'alert'   // Required for visible notifications
+      },
+      payload: {
+        aps: {
+          alert,
+          sound: 'default',
+          badge: 1,
+          category: this.config.apnsCategory,
+          'content-available': 1,
+          'mutable-content': 1     // Lets the service extension attach the logo
         },
-        // Send to topic for all users (we'll implement user-specific tokens later)
-        topic: 'trading_tips'
-      };
-      
-      console.log('📤 Sending notification:', {
-        title: message.notification.title,
-        body: message.notification.body,
-        symbol: symbol,
-        sentiment: sentiment,
-        apnsHeaders: message.apns.headers
-      });
-      
-      // Send the notification
-      const response = await this.messaging.send(message);
-      console.log('✅ Notification sent successfully:', response);
-      
-      return {
-        success: true,
-        messageId: response,
-        title: title,
-        body: body
-      };
-      
-    } catch (error) {
-      console.error('❌ Error sending notification:', error);
-      
-      // Log specific error details for debugging
-      if (error.code) {
-        console.error('Error code:', error.code);
+        customData
       }
-      if (error.message) {
-        console.error('Error message:', error.message);
+    };
+  }
+
+  /**
+   * Keep the message under FCM_PAYLOAD_LIMIT_BYTES by dropping reasoning lines
+   * from the end (the app loads the full tip by trackingId)
+   * @returns {Object} data, with a shorter reasoning when it did not fit
+   */
+  fitPayload(notification, data) {
+    const size = fields => Buffer.byteLength(JSON.stringify({ notification, data: fields }));
+    if (size(data) <= FCM_PAYLOAD_LIMIT_BYTES) return data;
+
+    let reasons = [];
+    try {
+      reasons = [].concat(JSON.parse(data.reasoning || '[]'));
+    } catch (error) {
+      // Not JSON: nothing worth keeping line by line
+    }
+    let fitted = { ...data, reasoning: JSON.stringify(reasons) };
+    while (reasons.length > 0 && size(fitted) > FCM_PAYLOAD_LIMIT_BYTES) {
+      reasons = reasons.slice(0, -1);
+      fitted = { ...data, reasoning: JSON.stringify(reasons) };
+    }
+
+    if (size(fitted) > FCM_PAYLOAD_LIMIT_BYTES) {
+      console.warn(`⚠️ ${data.symbol} notification is ${size(fitted)} bytes without reasoning (FCM limit ${FCM_PAYLOAD_LIMIT_BYTES})`);
+    }
+    return fitted;
+  }
+
+  /**
+   * FCM data values must be strings; null / undefined become ''
+   */
+  toStringData(fields) {
+    return Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+      key,
+      value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value)
+    ]));
+  }
+
+  /**
+   * Send a tip to each user's devices (one multicast per user)
+   * @param {Object} tip
+   * @param {Array<Object>} users - Profiles with userId and deviceTokens
+   * @param {Object} options
+   * @param {string} options.template - Message template
+   * @param {Object} options.data - Extra data for every user
+   * @param {Function} options.userData - async (user) => extra data for that user only
+   * @returns {Promise<{ messageId, delivered: Array<Object>, failed: number, removedTokens: number, dryRun: boolean }>}
+   */
+  async sendTip(tip, users, { template = 'ferrari_signal', data = {}, userData = null } = {}) {
+    const message = this.buildTipMessage(tip, { template, data });
+    const delivered = [];
+    let failed = 0;
+    let removedTokens = 0;
+
+    for (const user of users) {
+      try {
+        const extra = userData ? this.toStringData(await userData(user)) : {};
+        const data = this.fitPayload(message.notification, { ...message.data, ...extra });
+        const result = await this.sendToTokens(user.deviceTokens, { ...message, data });
+
+        if (result.invalidTokens.length > 0 && this.userProfiles) {
+          await this.userProfiles.removeTokens(user.userId, result.invalidTokens);
+        }
+        removedTokens += result.invalidTokens.length;
+
+        if (result.successCount > 0) {
+          delivered.push(user);
+        } else {
+          failed++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Error sending ${tip.symbol} notification to ${user.userId}:`, error.message);
       }
-      if (error.details) {
-        console.error('Error details:', error.details);
+    }
+
+    const mode = this.dryRun ? ' (dry run)' : '';
+    console.log(`✅ ${tip.symbol} notification delivered to ${delivered.length}/${users.length} user(s)${mode}`);
+    console.log(`📱 Template: ${message.notification.title} | ${message.notification.body}`);
+
+    await this.logAnalytics({
+      event_type: message.eventType,
+      message_id: message.messageId,
+      symbol: tip.symbol,
+      sentiment: tip.sentiment,
+      timeframe: tip.timeframe,
+      template_used: template,
+      strength: tip.strength,
+      title: message.notification.title,
+      body: message.notification.body,
+      eligible_users: users.length,
+      delivered_users: delivered.length,
+      failed_users: failed,
+      removed_tokens: removedTokens,
+      dry_run: this.dryRun,
+      platform_config: {
+        notification_style: 'enhanced_ferrari_v2',
+        deep_link_enabled: true,
+        target_timeframe: message.data.target_timeframe
       }
-      
-      return {
-        success: false,
-        error: error.message,
-        errorCode: error.code
-      };
+    });
+
+    return { messageId: message.messageId, delivered, failed, removedTokens, dryRun: this.dryRun };
+  }
+
+  /**
+   * Multicast one built message to a set of tokens
+   * @returns {Promise<{ successCount, failureCount, invalidTokens }>}
+   */
+  async sendToTokens(tokens, { notification, data, android, apns }) {
+    if (!tokens || tokens.length === 0) {
+      return { successCount: 0, failureCount: 0, invalidTokens: [] };
+    }
+
+    if (this.dryRun) {
+      console.log(`🧪 Dry run: would send "${notification.title}" to ${tokens.length} device(s)`);
+      return { successCount: tokens.length, failureCount: 0, invalidTokens: [] };
     }
+
+    const response = await this.messaging.sendEachForMulticast({ tokens, notification, data, android, apns });
+    const invalidTokens = response.responses
+      .map((result, index) => (!result.success && INVALID_TOKEN_ERRORS.includes(result.error?.code) ? tokens[index] : null))
+      .filter(Boolean);
+
+    return { successCount: response.successCount, failureCount: response.failureCount, invalidTokens };
   }
 
   /**
-   * Send test notification with iOS-optimized settings
+   * Test push to specific devices (setup checks from the app or the console)
    */
-  async sendTestNotification() {
+  async sendTestNotification(tokens, { title, body } = {}) {
     try {
+      const alert = { ...NOTIFICATION_TEMPLATES.test.render(), ...(title ? { title } : {}), ...(body ? { body } : {}) };
       const message = {
-        notification: {
-          title: '🧪 Trading Tip Generator Test',
-          body: 'Push notifications are working! 🎉'
-        },
-        data: {
-          type: 'test',
-          timestamp: new Date().toISOString()
-        },
-        android: {
-          notification: {
-            icon: 'ic_notification',
-            color: '#00D4AA',
-            channelId: 'trading_tips',
-            priority: 'high',
-            defaultSound: true,
-          }
-        },
-        apns: {
-          headers: {
-            'apns-priority': '10',
-            'apns-push-type': 'alert',
-          },
-          payload: {
-            aps: {
-              alert: {
-                title: '🧪 Trading Tip Generator Test',
-                body: 'Push notifications are working! 🎉'
-              },
-              sound: 'default',
-              badge: 1,
-              'content-available': 1,
-              'mutable-content': 1,
-            }
-          }
-        },
-        topic: 'trading_tips'
+        notification: alert,
+        data: this.toStringData({ type: 'test', timestamp: new Date(this.now()).toISOString(), ...this.getDeepLink(null) }),
+        android: this.buildAndroid(SENTIMENT_COLORS.neutral),
+        apns: this.buildApns(alert)
       };
-      
-      console.log('📤 Sending test notification with iOS optimization...');
-      const response = await this.messaging.send(message);
-      console.log('✅ Test notification sent:', response);
-      return { success: true, messageId: response };
-      
+
+      const result = await this.sendToTokens([].concat(tokens), message);
+      await this.logAnalytics({
+        event_type: NOTIFICATION_TEMPLATES.test.eventType,
+        title: alert.title,
+        body: alert.body,
+        delivered_devices: result.successCount,
+        failed_devices: result.failureCount,
+        dry_run: this.dryRun
+      });
+      return { success: result.successCount > 0, ...result, dryRun: this.dryRun };
     } catch (error) {
-      console.error('❌ Error sending test notification:', error);
-      console.error('Error code:', error.code);
-      console.error('Error message:', error.message);
-      return { 
-        success: false, 
-        error: error.message,
-        errorCode: error.code 
-      };
+      console.error('❌ Error sending test notification:', error.message);
+      return { success: false, error: error.message, errorCode: error.code };
     }
   }
 
-  /**
-   * Send notification to specific device token (for testing)
-   */
-  async sendNotificationToToken(token, title = 'Test Notification', body = 'This is a test message') {
+  async logAnalytics(event) {
+    if (!this.analytics) return;
     try {
-      const message = {
-        notification: {
-          title: title,
-          body: body,
-        },
-        data: {
-          type: 'test',
-          timestamp: new Date().toISOString()
-        },
-        android: {
-          notification: {
-            icon: 'ic_notification',
-            color: '#00D4AA',
-            channelId: 'trading_tips',
-            priority: 'high',
-            defaultSound: true,
-          }
-        },
-        apns: {
-          headers: {
-            'apns-priority': '10',
-            'apns-push-type': 'alert',
-          },
-          payload: {
-            aps: {
-              alert: {
-                title: title,
-                body: body
-              },
-              sound: 'default',
-              badge: 1,
-              'content-available': 1,
-              'mutable-content': 1,
-            }
-          }
-        },
-        token: token
-      };
-      
-      console.log(`📤 Sending notification to token: ${token.substring(0, 20)}...`);
-      const response = await this.messaging.send(message);
-      console.log('✅ Token notification sent:', response);
-      return { success: true, messageId: response };
-      
+      await this.analytics.log(event);
+      console.log('📊 Notification analytics logged:', event.message_id || event.event_type);
     } catch (error) {
-      console.error('❌ Error sending token notification:', error);
-      return { 
-        success: false, 
-        error: error.message,
-        errorCode: error.code 
-      };
+      // Don't fail the notification if analytics logging fails
+      console.error('⚠️ Failed to log notification analytics:', error.message);
     }
   }
 }
-
-module.exports = new NotificationService(); 
\ No newline at end of file
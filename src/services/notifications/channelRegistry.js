@@ -0,0 +1,55 @@
+import { TelegramChannel } from './telegramChannel.js';
+import { DiscordChannel } from './discordChannel.js';
+import { SlackChannel } from './slackChannel.js';
+import { EmailChannel } from './emailChannel.js';
+import { WebhookChannel } from './webhookChannel.js';
+
+/**
+ * Notification Channel Registry
+ * Maps channel types to factories so new destinations (Teams, SMS, ...) plug in
+ * without touching the dispatcher:
+ *
+ *   channelRegistry.register('teams', options => new TeamsChannel(options));
+ *
+ * then add { type: 'teams', ... } to NOTIFICATION_CHANNELS.
+ */
+class ChannelRegistry {
+  constructor() {
+    this.factories = new Map();
+  }
+
+  register(type, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Notification channel "${type}" needs a factory function`);
+    }
+    this.factories.set(type, factory);
+    return this;
+  }
+
+  has(type) {
+    return this.factories.has(type);
+  }
+
+  list() {
+    return Array.from(this.factories.keys());
+  }
+
+  create(type, options = {}) {
+    const factory = this.factories.get(type);
+    if (!factory) {
+      throw new Error(`Unknown notification channel "${type}" (registered: ${this.list().join(', ')})`);
+    }
+    return factory(options);
+  }
+}
+
+const channelRegistry = new ChannelRegistry();
+channelRegistry
+  .register('telegram', options => new TelegramChannel(options))
+  .register('discord', options => new DiscordChannel(options))
+  .register('slack', options => new SlackChannel(options))
+  .register('email', options => new EmailChannel(options))
+  .register('webhook', options => new WebhookChannel(options));
+
+export { ChannelRegistry };
+export default channelRegistry;
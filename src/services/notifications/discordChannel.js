@@ -0,0 +1,53 @@
+import { NotificationChannel } from './notificationChannel.js';
+
+/**
+ * Discord incoming webhook - one embed per tip (logo as thumbnail, levels as fields)
+ *
+ *   { type: 'discord', webhookUrl: 'https://discord.com/api/webhooks/...' }
+ */
+export class DiscordChannel extends NotificationChannel {
+  constructor(options = {}) {
+    super('discord', options);
+    this.webhookUrl = options.webhookUrl || process.env.DISCORD_WEBHOOK_URL;
+    this.username = options.username || 'Ferrari Trading';
+  }
+
+  isConfigured() {
+    return !!this.webhookUrl;
+  }
+
+  format(tip) {
+    return { username: this.username, embeds: [this.buildEmbed(tip)] };
+  }
+
+  formatDigest(tips) {
+    // Discord allows 10 embeds per message
+    return {
+      username: this.username,
+      content: `🏎️ Ferrari tips digest (${tips.length})`,
+      embeds: tips.slice(0, 10).map(tip => this.buildEmbed(tip))
+    };
+  }
+
+  buildEmbed(tip) {
+    const view = this.describeTip(tip);
+    return {
+      title: `${view.icon} ${view.symbol} ${view.direction} · ${view.companyName}`,
+      description: view.reasons.map(reason => `• ${reason}`).join('\n') || undefined,
+      color: view.color,
+      fields: [
+        { name: 'Timeframe', value: view.timeframe || 'N/A', inline: true },
+        { name: 'Strength', value: `${view.strength}/5`, inline: true },
+        ...view.levels.map(([name, value]) => ({ name, value, inline: true }))
+      ],
+      ...(view.logoUrl ? { thumbnail: { url: view.logoUrl } } : {}),
+      footer: view.trackingId ? { text: view.trackingId } : undefined,
+      timestamp: view.createdAt
+    };
+  }
+
+  async send(payload) {
+    await this.postJson(this.webhookUrl, payload);
+    return {};
+  }
+}
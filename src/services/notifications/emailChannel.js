@@ -0,0 +1,66 @@
+import { NotificationChannel } from './notificationChannel.js';
+
+const escapeHtml = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Email through the SendGrid v3 mail API (or anything that speaks it)
+ * Usually run as a digest: { digest: true } collects tips and mails them on each flush.
+ *
+ *   { type: 'email', apiKey: 'SG...', from: 'tips@example.com', to: ['desk@example.com'], digest: true }
+ */
+export class EmailChannel extends NotificationChannel {
+  constructor(options = {}) {
+    super('email', options);
+    this.apiKey = options.apiKey || process.env.EMAIL_API_KEY;
+    this.from = options.from || process.env.EMAIL_FROM;
+    this.to = [].concat(options.to || (process.env.EMAIL_TO ? process.env.EMAIL_TO.split(',') : []))
+      .map(address => address.trim())
+      .filter(Boolean);
+    this.apiUrl = (options.apiUrl || 'https://api.sendgrid.com').replace(/\/$/, '');
+  }
+
+  isConfigured() {
+    return !!(this.apiKey && this.from && this.to.length > 0);
+  }
+
+  format(tip) {
+    const view = this.describeTip(tip);
+    return this.buildMail(`${view.icon} ${view.symbol} ${view.direction} (${view.timeframe})`, [view]);
+  }
+
+  formatDigest(tips) {
+    return this.buildMail(`🏎️ Ferrari tips digest - ${tips.length} tip${tips.length === 1 ? '' : 's'}`, tips.map(tip => this.describeTip(tip)));
+  }
+
+  buildMail(subject, views) {
+    const text = views.map(view => [
+      `${view.symbol} ${view.direction} - ${view.companyName} (${view.timeframe}, strength ${view.strength}/5)`,
+      view.levels.map(([label, value]) => `${label}: ${value}`).join(' | '),
+      ...view.reasons.map(reason => `- ${reason}`)
+    ].join('\n')).join('\n\n');
+
+    const html = views.map(view => `
+      <div style="margin-bottom:24px">
+        ${view.logoUrl ? `<img src="${view.logoUrl}" alt="${escapeHtml(view.symbol)}" width="40" height="40" style="float:right">` : ''}
+        <h2 style="margin:0">${view.icon} ${escapeHtml(view.symbol)} ${view.direction}</h2>
+        <p style="margin:4px 0;color:#666">${escapeHtml(view.companyName)} · ${view.timeframe} · strength ${view.strength}/5</p>
+        <table>${view.levels.map(([label, value]) => `<tr><td><b>${label}</b></td><td>${value}</td></tr>`).join('')}</table>
+        ${view.reasons.length > 0 ? `<ul>${view.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>` : ''}
+      </div>`).join('');
+
+    return {
+      personalizations: [{ to: this.to.map(email => ({ email })) }],
+      from: { email: this.from },
+      subject,
+      content: [
+        { type: 'text/plain', value: text },
+        { type: 'text/html', value: html }
+      ]
+    };
+  }
+
+  async send(payload) {
+    await this.postJson(`${this.apiUrl}/v3/mail/send`, payload, { Authorization: `Bearer ${this.apiKey}` });
+    return {};
+  }
+}
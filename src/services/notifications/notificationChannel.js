@@ -0,0 +1,162 @@
+/**
+ * NOTIFICATION CHANNEL
+ * ====================
+ *
+ * Base class for outbound tip channels (Telegram, Discord, Slack, email, webhooks).
+ * Channels only render and send; the dispatcher handles filtering, retries and
+ * the delivery log:
+ * ✓ format(tip)         - channel-specific payload for one tip from createPremiumTip
+ * ✓ formatDigest(tips)  - one payload for several tips (digest channels)
+ * ✓ send(payload)       - deliver; throw a ChannelError on failure
+ *
+ * Common options (every channel):
+ *   name            - unique channel name in logs and analytics (default: type)
+ *   enabled         - false keeps the channel configured but silent
+ *   minimumStrength - only tips at least this strong
+ *   assetClasses    - ['stocks', 'crypto'] (empty = all)
+ *   digest          - collect tips and send them together (see the dispatcher)
+ *   publicBaseUrl   - where /logos is served, for company logos in messages
+ *   timeout         - HTTP timeout in ms
+ */
+
+import axios from 'axios';
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Failed delivery. retryable: network errors, 429 and 5xx; retryAfter in ms when the server asked for it.
+ */
+export class ChannelError extends Error {
+  constructor(message, { status = null, retryable = true, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ChannelError';
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class NotificationChannel {
+  /**
+   * @param {string} type - Channel type ('telegram', 'discord', ...)
+   * @param {Object} options - Common options above plus channel-specific ones
+   */
+  constructor(type, options = {}) {
+    this.type = type;
+    this.name = options.name || type;
+    this.options = options;
+    this.enabled = options.enabled !== false;
+    this.minimumStrength = Number(options.minimumStrength) || 0;
+    this.assetClasses = options.assetClasses || [];
+    this.digest = options.digest === true;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+  }
+
+  // ===== Channel hooks =====
+
+  /**
+   * Required options present?
+   */
+  isConfigured() {
+    return true;
+  }
+
+  format(tip) {
+    throw new Error(`${this.type} channel does not implement format()`);
+  }
+
+  formatDigest(tips) {
+    throw new Error(`${this.type} channel does not support digests`);
+  }
+
+  async send(payload) {
+    throw new Error(`${this.type} channel does not implement send()`);
+  }
+
+  // ===== Shared helpers =====
+
+  /**
+   * Should this channel get the tip at all?
+   */
+  accepts(tip) {
+    if ((tip.strength || 0) < this.minimumStrength) return false;
+    if (this.assetClasses.length > 0) {
+      const assetClass = tip.company?.isCrypto || (tip.symbol || '').includes('/') ? 'crypto' : 'stocks';
+      if (!this.assetClasses.includes(assetClass)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Channel-neutral view of a tip used by every formatter
+   */
+  describeTip(tip, { maxReasons = 5 } = {}) {
+    const isLong = tip.sentiment !== 'bearish';
+    const price = value => (typeof value === 'number' && isFinite(value) ? `$${value.toFixed(2)}` : 'N/A');
+
+    return {
+      symbol: tip.symbol,
+      companyName: tip.company?.name || tip.symbol,
+      sector: tip.company?.sector || null,
+      direction: isLong ? 'LONG' : 'SHORT',
+      icon: isLong ? '📈' : '📉',
+      color: isLong ? 0x4caf50 : 0xf44336,
+      timeframe: (tip.timeframe || '').replace('_', ' ').toUpperCase(),
+      strength: typeof tip.strength === 'number' ? tip.strength.toFixed(1) : 'N/A',
+      levels: [
+        ['Entry', price(tip.entryPrice)],
+        ['Stop', price(tip.stopLoss)],
+        ['TP1', price(tip.takeProfit)],
+        ...(tip.takeProfit2 ? [['TP2', price(tip.takeProfit2)]] : []),
+        ['R/R', tip.riskRewardRatio ? `${Number(tip.riskRewardRatio).toFixed(1)}:1` : 'N/A']
+      ],
+      reasons: (tip.reasoning || []).slice(0, maxReasons),
+      logoUrl: this.resolveLogoUrl(tip.company?.logoUrl),
+      trackingId: tip.trackingId || null,
+      createdAt: tip.createdAt ? new Date(tip.createdAt).toISOString() : new Date().toISOString()
+    };
+  }
+
+  /**
+   * Flutter asset paths (assets/logos/...) -> public URL under publicBaseUrl/logos
+   */
+  resolveLogoUrl(logoUrl) {
+    if (!logoUrl) return null;
+    if (/^https?:\/\//.test(logoUrl)) return logoUrl;
+    if (!this.options.publicBaseUrl || !logoUrl.startsWith('assets/')) return null;
+    return `${this.options.publicBaseUrl.replace(/\/$/, '')}/${logoUrl.slice('assets/'.length)}`;
+  }
+
+  /**
+   * POST JSON and turn HTTP failures into ChannelErrors
+   */
+  async postJson(url, body, headers = {}) {
+    try {
+      const response = await axios.post(url, body, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        timeout: this.timeout
+      });
+      return response.data;
+    } catch (error) {
+      throw this.toChannelError(error);
+    }
+  }
+
+  toChannelError(error) {
+    const status = error.response?.status || null;
+    if (!status) {
+      return new ChannelError(`${this.name}: ${error.code || error.message}`);
+    }
+
+    const retryAfterHeader = Number(error.response.headers?.['retry-after']);
+    const detail = typeof error.response.data === 'string'
+      ? error.response.data
+      : error.response.data?.description || error.response.data?.message || '';
+
+    return new ChannelError(`${this.name}: HTTP ${status}${detail ? ` ${detail}` : ''}`, {
+      status,
+      retryable: status === 429 || status >= 500,
+      retryAfter: isFinite(retryAfterHeader) && retryAfterHeader > 0 ? retryAfterHeader * 1000 : null
+    });
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * NOTIFICATION DISPATCHER
+ * =======================
+ *
+ * Fans each tip out to the configured channels (Telegram, Discord, Slack, email,
+ * generic webhooks), next to the per-user FCM delivery:
+ * ✓ Per-channel filters (minimumStrength, assetClasses)
+ * ✓ Retry with exponential backoff on network errors, 429 (Retry-After) and 5xx
+ * ✓ Digest channels collect tips and send them together on flush()
+ * ✓ One channel_delivery event per channel and attempt run in notification_analytics
+ *
+ * Channels come from configuration, not code:
+ *   NOTIFICATION_CHANNELS       - JSON array: [{ "type": "discord", "webhookUrl": "..." }, ...]
+ *   NOTIFICATION_CHANNELS_FILE  - path to a JSON file with the same array
+ *   "${VAR}" inside either is replaced from the environment (keeps secrets out of files)
+ * Without either, single channels are picked up from the usual variables:
+ *   TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID, DISCORD_WEBHOOK_URL, SLACK_WEBHOOK_URL,
+ *   WEBHOOK_URL (+ WEBHOOK_SECRET), EMAIL_API_KEY + EMAIL_FROM + EMAIL_TO (daily digest)
+ * PUBLIC_BASE_URL turns the app's logo assets into links the channels can show.
+ */
+
+import fs from 'fs';
+import channelRegistry from './channelRegistry.js';
+
+export const DEFAULT_DISPATCHER_CONFIG = {
+  maxAttempts: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  digestIntervalMs: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Channel configs from the environment
+ * @returns {Array<Object>} [{ type, ...options }]
+ */
+export function notificationChannelsFromEnv(env = process.env) {
+  const publicBaseUrl = env.PUBLIC_BASE_URL || null;
+  let configs = null;
+
+  try {
+    if (env.NOTIFICATION_CHANNELS) {
+      configs = JSON.parse(interpolateEnv(env.NOTIFICATION_CHANNELS, env));
+    } else if (env.NOTIFICATION_CHANNELS_FILE) {
+      configs = JSON.parse(interpolateEnv(fs.readFileSync(env.NOTIFICATION_CHANNELS_FILE, 'utf8'), env));
+    }
+  } catch (error) {
+    console.error('❌ Invalid notification channel configuration:', error.message);
+    configs = [];
+  }
+
+  if (configs && !Array.isArray(configs)) {
+    console.error('❌ Notification channel configuration must be a JSON array');
+    configs = [];
+  }
+
+  if (!configs) {
+    configs = [];
+    if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+      configs.push({ type: 'telegram', botToken: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID });
+    }
+    if (env.DISCORD_WEBHOOK_URL) configs.push({ type: 'discord', webhookUrl: env.DISCORD_WEBHOOK_URL });
+    if (env.SLACK_WEBHOOK_URL) configs.push({ type: 'slack', webhookUrl: env.SLACK_WEBHOOK_URL });
+    if (env.WEBHOOK_URL) configs.push({ type: 'webhook', url: env.WEBHOOK_URL, secret: env.WEBHOOK_SECRET || null });
+    if (env.EMAIL_API_KEY && env.EMAIL_FROM && env.EMAIL_TO) {
+      configs.push({ type: 'email', apiKey: env.EMAIL_API_KEY, from: env.EMAIL_FROM, to: env.EMAIL_TO.split(','), digest: true });
+    }
+  }
+
+  return configs.map(config => ({ publicBaseUrl, ...config }));
+}
+
+function interpolateEnv(text, env) {
+  return text.replace(/\$\{(\w+)\}/g, (match, name) => (env[name] !== undefined ? env[name] : ''));
+}
+
+export class NotificationDispatcher {
+  /**
+   * @param {Object} options
+   * @param {Array<Object|NotificationChannel>} options.channels - Channel configs ({ type, ... }) or instances
+   * @param {AnalyticsRepository} options.analytics - Delivery log (notification_analytics)
+   * @param {Function} options.now - Clock
+   * @param {Function} options.sleep - Backoff wait (replaced in tests)
+   */
+  constructor({ channels = [], analytics = null, now = () => Date.now(), sleep = null, ...config } = {}) {
+    this.config = { ...DEFAULT_DISPATCHER_CONFIG, ...config };
+    this.analytics = analytics;
+    this.now = now;
+    this.sleep = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.channels = [];
+    this.digestQueues = new Map();
+    this.digestTimer = null;
+
+    for (const channel of channels) {
+      this.addChannel(channel);
+    }
+  }
+
+  /**
+   * Add a channel from a config object or a ready instance; misconfigured channels are skipped
+   */
+  addChannel(channelOrConfig) {
+    let channel = channelOrConfig;
+    if (typeof channelOrConfig.send !== 'function') {
+      try {
+        const { type, ...options } = channelOrConfig;
+        channel = channelRegistry.create(type, options);
+      } catch (error) {
+        console.error('❌ Notification channel skipped:', error.message);
+        return null;
+      }
+    }
+
+    if (!channel.isConfigured()) {
+      console.warn(`⚠️ Notification channel ${channel.name} is missing credentials - skipped`);
+      return null;
+    }
+    if (this.channels.some(existing => existing.name === channel.name)) {
+      console.warn(`⚠️ Duplicate notification channel name ${channel.name} - give each one a unique "name"`);
+      return null;
+    }
+
+    this.channels.push(channel);
+    if (channel.digest) this.digestQueues.set(channel.name, []);
+    console.log(`📣 Notification channel ready: ${channel.name} (${channel.type}${channel.digest ? ', digest' : ''})`);
+    return channel;
+  }
+
+  /**
+   * Send a tip to every channel that accepts it; digest channels only queue it
+   * @returns {Promise<Array<Object>>} One result per channel: { channel, status, attempts, error }
+   */
+  async dispatch(tip) {
+    const targets = this.channels.filter(channel => channel.enabled && channel.accepts(tip));
+
+    return Promise.all(targets.map(async channel => {
+      if (channel.digest) {
+        this.digestQueues.get(channel.name).push(tip);
+        return { channel: channel.name, status: 'queued', attempts: 0, error: null };
+      }
+
+      let payload;
+      try {
+        payload = channel.format(tip);
+      } catch (error) {
+        console.error(`❌ ${channel.name} could not format ${tip.symbol}:`, error.message);
+        return this.logDelivery(channel, { status: 'failed', attempts: 0, error: error.message }, [tip]);
+      }
+      return this.deliver(channel, payload, [tip]);
+    }));
+  }
+
+  /**
+   * Send queued digests (on the digest timer and at shutdown)
+   */
+  async flush() {
+    const results = [];
+    for (const channel of this.channels.filter(candidate => candidate.digest)) {
+      const tips = this.digestQueues.get(channel.name);
+      if (tips.length === 0) continue;
+      this.digestQueues.set(channel.name, []);
+
+      try {
+        results.push(await this.deliver(channel, channel.formatDigest(tips), tips));
+      } catch (error) {
+        console.error(`❌ ${channel.name} digest failed:`, error.message);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Send with retries, then log the outcome
+   */
+  async deliver(channel, payload, tips) {
+    const startedAt = this.now();
+    let attempts = 0;
+    let lastError = null;
+
+    while (attempts < this.config.maxAttempts) {
+      attempts++;
+      try {
+        await channel.send(payload);
+        console.log(`📣 ${channel.name}: delivered ${tips.map(tip => tip.symbol).join(', ')}${attempts > 1 ? ` after ${attempts} attempts` : ''}`);
+        return this.logDelivery(channel, { status: 'delivered', attempts, error: null, durationMs: this.now() - startedAt }, tips);
+      } catch (error) {
+        lastError = error;
+        if (error.retryable === false || attempts >= this.config.maxAttempts) break;
+
+        const delay = this.getRetryDelay(attempts, error);
+        console.warn(`⚠️ ${channel.name} attempt ${attempts} failed (${error.message}) - retrying in ${delay}ms`);
+        await this.sleep(delay);
+      }
+    }
+
+    console.error(`❌ ${channel.name}: delivery failed after ${attempts} attempt(s):`, lastError.message);
+    return this.logDelivery(channel, { status: 'failed', attempts, error: lastError.message, durationMs: this.now() - startedAt }, tips);
+  }
+
+  /**
+   * Exponential backoff with jitter, or the server's Retry-After
+   */
+  getRetryDelay(attempt, error) {
+    if (error.retryAfter) return Math.min(error.retryAfter, this.config.maxDelayMs);
+    const exponential = this.config.baseDelayMs * 2 ** (attempt - 1);
+    const jitter = Math.random() * this.config.baseDelayMs * 0.2;
+    return Math.round(Math.min(exponential + jitter, this.config.maxDelayMs));
+  }
+
+  async logDelivery(channel, result, tips) {
+    const entry = { channel: channel.name, ...result };
+    if (!this.analytics) return entry;
+
+    try {
+      await this.analytics.log({
+        event_type: 'channel_delivery',
+        channel: channel.name,
+        channel_type: channel.type,
+        status: result.status,
+        attempts: result.attempts,
+        error: result.error,
+        duration_ms: result.durationMs ?? null,
+        digest: channel.digest,
+        tip_count: tips.length,
+        symbols: tips.map(tip => tip.symbol),
+        tracking_ids: tips.map(tip => tip.trackingId).filter(Boolean)
+      });
+    } catch (error) {
+      console.error('❌ Error logging channel delivery:', error.message);
+    }
+    return entry;
+  }
+
+  /**
+   * Start the digest timer (only when a digest channel exists)
+   */
+  start() {
+    if (this.digestTimer || !this.channels.some(channel => channel.digest)) return;
+    this.digestTimer = setInterval(() => this.flush(), this.config.digestIntervalMs);
+    this.digestTimer.unref?.();
+  }
+
+  /**
+   * Stop the timer and send whatever is still queued
+   */
+  async stop() {
+    if (this.digestTimer) {
+      clearInterval(this.digestTimer);
+      this.digestTimer = null;
+    }
+    await this.flush();
+  }
+
+  getStatus() {
+    return this.channels.map(channel => ({
+      name: channel.name,
+      type: channel.type,
+      enabled: channel.enabled,
+      digest: channel.digest,
+      queued: this.digestQueues.get(channel.name)?.length || 0
+    }));
+  }
+}
@@ -0,0 +1,61 @@
+import { NotificationChannel } from './notificationChannel.js';
+
+/**
+ * Slack incoming webhook - Block Kit message (logo as section accessory)
+ *
+ *   { type: 'slack', webhookUrl: 'https://hooks.slack.com/services/...' }
+ */
+export class SlackChannel extends NotificationChannel {
+  constructor(options = {}) {
+    super('slack', options);
+    this.webhookUrl = options.webhookUrl || process.env.SLACK_WEBHOOK_URL;
+  }
+
+  isConfigured() {
+    return !!this.webhookUrl;
+  }
+
+  format(tip) {
+    const view = this.describeTip(tip);
+    return {
+      text: `${view.icon} ${view.symbol} ${view.direction} - entry ${view.levels[0][1]}`,
+      blocks: this.buildBlocks(view)
+    };
+  }
+
+  formatDigest(tips) {
+    const views = tips.map(tip => this.describeTip(tip));
+    return {
+      text: `🏎️ Ferrari tips digest (${tips.length})`,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: `🏎️ Ferrari tips digest (${tips.length})` } },
+        ...views.flatMap(view => [{ type: 'divider' }, ...this.buildBlocks(view)])
+      ]
+    };
+  }
+
+  buildBlocks(view) {
+    const section = {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${view.icon} *${view.symbol}* ${view.direction} · ${view.companyName}\n${view.timeframe} · strength ${view.strength}/5`
+      },
+      fields: view.levels.map(([label, value]) => ({ type: 'mrkdwn', text: `*${label}:* ${value}` }))
+    };
+    if (view.logoUrl) {
+      section.accessory = { type: 'image', image_url: view.logoUrl, alt_text: view.companyName };
+    }
+
+    const blocks = [section];
+    if (view.reasons.length > 0) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: view.reasons.map(reason => `• ${reason}`).join('\n') }] });
+    }
+    return blocks;
+  }
+
+  async send(payload) {
+    await this.postJson(this.webhookUrl, payload);
+    return {};
+  }
+}
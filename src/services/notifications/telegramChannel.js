@@ -0,0 +1,60 @@
+import { NotificationChannel, ChannelError } from './notificationChannel.js';
+
+const escapeHtml = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Telegram Bot API (channel, group or private chat)
+ * HTML message; sendPhoto with the message as caption when the logo has a public URL.
+ *
+ *   { type: 'telegram', botToken: '123:abc', chatId: '@ferrari_tips' }
+ */
+export class TelegramChannel extends NotificationChannel {
+  constructor(options = {}) {
+    super('telegram', options);
+    this.botToken = options.botToken || process.env.TELEGRAM_BOT_TOKEN;
+    this.chatId = options.chatId || process.env.TELEGRAM_CHAT_ID;
+    this.apiUrl = (options.apiUrl || 'https://api.telegram.org').replace(/\/$/, '');
+  }
+
+  isConfigured() {
+    return !!(this.botToken && this.chatId);
+  }
+
+  format(tip) {
+    const view = this.describeTip(tip);
+    const lines = [
+      `${view.icon} <b>${escapeHtml(view.symbol)}</b> ${view.direction} · ${escapeHtml(view.companyName)}`,
+      `⏱ ${view.timeframe} · 💪 ${view.strength}/5`,
+      '',
+      ...view.levels.map(([label, value]) => `<b>${label}:</b> ${value}`)
+    ];
+    if (view.reasons.length > 0) {
+      lines.push('', ...view.reasons.map(reason => `• ${escapeHtml(reason)}`));
+    }
+
+    // Photo captions are capped at 1024 characters
+    const text = lines.join('\n');
+    if (view.logoUrl && text.length <= 1024) {
+      return { method: 'sendPhoto', body: { chat_id: this.chatId, photo: view.logoUrl, caption: text, parse_mode: 'HTML' } };
+    }
+    return { method: 'sendMessage', body: { chat_id: this.chatId, text, parse_mode: 'HTML', disable_web_page_preview: true } };
+  }
+
+  formatDigest(tips) {
+    const lines = [`🏎️ <b>Ferrari tips digest</b> (${tips.length})`, ''];
+    for (const tip of tips) {
+      const view = this.describeTip(tip);
+      const levels = view.levels.slice(0, 3).map(([label, value]) => `${label} ${value}`).join(' · ');
+      lines.push(`${view.icon} <b>${escapeHtml(view.symbol)}</b> ${view.direction} ${view.timeframe} (${view.strength}/5)`, levels, '');
+    }
+    return { method: 'sendMessage', body: { chat_id: this.chatId, text: lines.join('\n').trim(), parse_mode: 'HTML' } };
+  }
+
+  async send({ method, body }) {
+    const result = await this.postJson(`${this.apiUrl}/bot${this.botToken}/${method}`, body);
+    if (result && result.ok === false) {
+      throw new ChannelError(`${this.name}: ${result.description || 'rejected'}`, { retryable: false });
+    }
+    return { messageId: result?.result?.message_id ?? null };
+  }
+}
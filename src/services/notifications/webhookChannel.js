@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+import { NotificationChannel } from './notificationChannel.js';
+
+/**
+ * Generic JSON webhook - posts the tip as-is for other systems to consume
+ * With a secret, the body is signed: X-Ferrari-Signature: sha256=<hex HMAC of the body>
+ *
+ *   { type: 'webhook', url: 'https://example.com/hooks/tips', secret: '...', headers: { ... } }
+ */
+export class WebhookChannel extends NotificationChannel {
+  constructor(options = {}) {
+    super('webhook', options);
+    this.url = options.url || process.env.WEBHOOK_URL;
+    this.secret = options.secret || null;
+    this.headers = options.headers || {};
+  }
+
+  isConfigured() {
+    return !!this.url;
+  }
+
+  format(tip) {
+    const view = this.describeTip(tip);
+    return {
+      event: 'tip.created',
+      tip: { ...tip, company: tip.company ? { ...tip.company, logoUrl: view.logoUrl } : null }
+    };
+  }
+
+  formatDigest(tips) {
+    return { event: 'tips.digest', tips: tips.map(tip => this.format(tip).tip) };
+  }
+
+  async send(payload) {
+    const body = JSON.stringify(payload);
+    const headers = { ...this.headers };
+    if (this.secret) {
+      headers['X-Ferrari-Signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+    }
+    await this.postJson(this.url, body, headers);
+    return {};
+  }
+}
@@ -0,0 +1,285 @@
+/**
+ * PORTFOLIO RISK MANAGER
+ * ======================
+ *
+ * Portfolio-level gate between the quality gates and signal generation.
+ * Looks at the tips that are still open and at what was issued today:
+ * ✓ Net direction - no pile of longs (or shorts) at once
+ * ✓ Sector concentration - sectors from LogoUtils.getCompanyInfo (crypto is one sector)
+ * ✓ Correlated clusters - rolling return correlations from the live candles
+ * ✓ Daily risk budget - sum of stop distances (% of notional) issued per day
+ *
+ * Every limit breach either downgrades the signal (strength penalty) or
+ * rejects it, per `onBreach`. A downgrade below the minimum strength rejects.
+ * Short of a breach, diversification() scores how much a candidate would add to
+ * the existing exposure (candidate ranking, see signalCandidatePool.js).
+ */
+
+import LogoUtils from '../utils/logoUtils.js';
+
+export const DEFAULT_RISK_LIMITS = {
+  maxNetDirection: 3,            // |longs - shorts| among open tips, candidate included
+  maxPerSector: 2,               // Open tips per sector, candidate included
+  correlationThreshold: 0.7,     // Return correlation that puts two symbols in one cluster
+  maxClusterSize: 1,             // Same-direction tips per correlated cluster, candidate included
+  correlationTimeframe: '15m',   // Candles used for return correlations
+  correlationLookback: 48,       // Returns per correlation
+  minCorrelationSamples: 20,     // Fewer overlapping returns -> correlation unknown
+  maxDailyRiskPercent: 12,       // Sum of stop distances (% of entry) per day
+  downgradePenalty: 0.5,         // Strength removed per downgrading breach
+  onBreach: {
+    netDirection: 'downgrade',
+    sector: 'reject',
+    correlation: 'downgrade',
+    dailyRisk: 'reject'
+  }
+};
+
+export class PortfolioRiskManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.limits - Overrides for DEFAULT_RISK_LIMITS
+   * @param {Function} options.getBars - (symbol, timeframe) => candles, oldest first
+   * @param {Function} options.getOpenTips - () => open tips ({ symbol, direction, entryPrice, stopLoss })
+   * @param {Function} options.now - Clock (simulated in backtests)
+   */
+  constructor(options = {}) {
+    this.limits = {
+      ...DEFAULT_RISK_LIMITS,
+      ...options.limits,
+      onBreach: { ...DEFAULT_RISK_LIMITS.onBreach, ...options.limits?.onBreach }
+    };
+    this.getBars = options.getBars || (() => []);
+    this.getOpenTips = options.getOpenTips || (() => []);
+    this.now = options.now || (() => Date.now());
+
+    this.dailyRisk = { date: null, riskPercent: 0, tips: 0 };
+  }
+
+  /**
+   * Check a candidate that passed the quality gates
+   * @param {Object} analysis - Analysis with symbol, levels and finalStrength
+   * @param {number} minimumStrength - A downgrade below this rejects
+   * @returns {{ decision: 'accept'|'downgrade'|'reject', strength: number, breaches: Array, exposure: Object }}
+   */
+  evaluate(analysis, minimumStrength = 0) {
+    const candidate = {
+      symbol: analysis.symbol,
+      direction: this.getDirection(analysis.levels.entry, analysis.levels.takeProfit1),
+      sector: this.getSector(analysis.symbol),
+      riskPercent: this.getRiskPercent(analysis.levels.entry, analysis.levels.stopLoss)
+    };
+
+    const openTips = this.getOpenExposure(candidate.symbol);
+
+    const breaches = [
+      this.checkNetDirection(candidate, openTips),
+      this.checkSector(candidate, openTips),
+      this.checkCorrelation(candidate, openTips),
+      this.checkDailyRisk(candidate)
+    ].filter(Boolean);
+
+    let decision = 'accept';
+    let strength = analysis.finalStrength;
+
+    for (const breach of breaches) {
+      breach.action = this.limits.onBreach[breach.limit] || 'reject';
+      if (breach.action === 'reject') {
+        decision = 'reject';
+      } else if (decision !== 'reject') {
+        decision = 'downgrade';
+        strength -= this.limits.downgradePenalty;
+      }
+    }
+
+    if (decision === 'downgrade' && strength < minimumStrength) {
+      decision = 'reject';
+    }
+
+    return {
+      decision,
+      strength: Math.max(0, strength),
+      breaches,
+      exposure: {
+        direction: candidate.direction,
+        sector: candidate.sector,
+        riskPercent: candidate.riskPercent,
+        openTips: openTips.length,
+        dailyRiskPercent: this.getDailyRisk().riskPercent
+      }
+    };
+  }
+
+  /**
+   * How little a candidate overlaps the open tips: 1 with nothing open, toward 0
+   * as its sector, net direction and correlated cluster fill up to their limits
+   * @returns {number} 0-1
+   */
+  diversification(analysis) {
+    const direction = this.getDirection(analysis.levels.entry, analysis.levels.takeProfit1);
+    const sector = this.getSector(analysis.symbol);
+    const openTips = this.getOpenExposure(analysis.symbol);
+    if (openTips.length === 0) return 1;
+
+    const sameSector = openTips.filter(tip => tip.sector === sector).length;
+    const net = openTips.reduce((sum, tip) => sum + (tip.direction === direction ? 1 : -1), 0);
+    const correlations = openTips
+      .filter(tip => tip.direction === direction)
+      .map(tip => this.getCorrelation(analysis.symbol, tip.symbol))
+      .filter(correlation => correlation !== null);
+
+    const sectorLoad = Math.min(1, sameSector / this.limits.maxPerSector);
+    const directionLoad = Math.min(1, Math.max(0, net) / this.limits.maxNetDirection);
+    const correlationLoad = Math.max(0, ...correlations);
+    return Math.round((1 - (sectorLoad + directionLoad + correlationLoad) / 3) * 1000) / 1000;
+  }
+
+  /**
+   * Open tips other than the symbol's own, with direction and sector
+   */
+  getOpenExposure(symbol) {
+    return this.getOpenTips()
+      .filter(tip => tip.symbol !== symbol)
+      .map(tip => ({
+        symbol: tip.symbol,
+        direction: tip.direction || this.getDirection(tip.entryPrice, tip.takeProfit),
+        sector: this.getSector(tip.symbol)
+      }));
+  }
+
+  checkNetDirection(candidate, openTips) {
+    const net = openTips.reduce((sum, tip) => sum + (tip.direction === 'long' ? 1 : -1), 0);
+    const after = net + (candidate.direction === 'long' ? 1 : -1);
+
+    if (Math.abs(after) > this.limits.maxNetDirection) {
+      return {
+        limit: 'netDirection',
+        message: `Net ${after > 0 ? 'long' : 'short'} exposure would be ${Math.abs(after)} tips (max ${this.limits.maxNetDirection})`
+      };
+    }
+    return null;
+  }
+
+  checkSector(candidate, openTips) {
+    const sameSector = openTips.filter(tip => tip.sector === candidate.sector);
+
+    if (sameSector.length + 1 > this.limits.maxPerSector) {
+      return {
+        limit: 'sector',
+        message: `${sameSector.length} open ${candidate.sector} tips already (${sameSector.map(t => t.symbol).join(', ')}), max ${this.limits.maxPerSector}`
+      };
+    }
+    return null;
+  }
+
+  checkCorrelation(candidate, openTips) {
+    // Opposite directions on correlated symbols hedge each other - only same-direction tips cluster
+    const cluster = [];
+    for (const tip of openTips.filter(t => t.direction === candidate.direction)) {
+      const correlation = this.getCorrelation(candidate.symbol, tip.symbol);
+      if (correlation !== null && correlation >= this.limits.correlationThreshold) {
+        cluster.push({ symbol: tip.symbol, correlation: Math.round(correlation * 100) / 100 });
+      }
+    }
+
+    if (cluster.length + 1 > this.limits.maxClusterSize) {
+      return {
+        limit: 'correlation',
+        message: `Correlated with open ${candidate.direction} tips ${cluster.map(c => `${c.symbol} (${c.correlation})`).join(', ')}, max ${this.limits.maxClusterSize} per cluster`,
+        cluster
+      };
+    }
+    return null;
+  }
+
+  checkDailyRisk(candidate) {
+    const { riskPercent } = this.getDailyRisk();
+    const after = riskPercent + candidate.riskPercent;
+
+    if (after > this.limits.maxDailyRiskPercent) {
+      return {
+        limit: 'dailyRisk',
+        message: `Daily risk would reach ${after.toFixed(2)}% (max ${this.limits.maxDailyRiskPercent}%)`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Count an issued tip against today's risk budget
+   */
+  recordSignal(tip) {
+    const daily = this.getDailyRisk();
+    daily.riskPercent += this.getRiskPercent(tip.entryPrice, tip.stopLoss);
+    daily.tips++;
+  }
+
+  getDailyRisk() {
+    const today = new Date(this.now()).toDateString();
+    if (this.dailyRisk.date !== today) {
+      this.dailyRisk = { date: today, riskPercent: 0, tips: 0 };
+    }
+    return this.dailyRisk;
+  }
+
+  /**
+   * Pearson correlation of candle returns, aligned on bar timestamps.
+   * Returns null when the symbols share too few bars.
+   */
+  getCorrelation(symbolA, symbolB) {
+    const returnsA = this.getReturns(symbolA);
+    const returnsB = this.getReturns(symbolB);
+
+    const a = [];
+    const b = [];
+    for (const [timestamp, value] of returnsA) {
+      if (returnsB.has(timestamp)) {
+        a.push(value);
+        b.push(returnsB.get(timestamp));
+      }
+    }
+    if (a.length < this.limits.minCorrelationSamples) return null;
+
+    const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+    const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < a.length; i++) {
+      covariance += (a[i] - meanA) * (b[i] - meanB);
+      varianceA += (a[i] - meanA) ** 2;
+      varianceB += (b[i] - meanB) ** 2;
+    }
+    if (varianceA === 0 || varianceB === 0) return null;
+    return covariance / Math.sqrt(varianceA * varianceB);
+  }
+
+  /**
+   * Map of bar timestamp -> return over the previous bar
+   */
+  getReturns(symbol) {
+    const bars = this.getBars(symbol, this.limits.correlationTimeframe) || [];
+    const recent = bars.slice(-(this.limits.correlationLookback + 1));
+    const returns = new Map();
+    for (let i = 1; i < recent.length; i++) {
+      if (recent[i - 1].close > 0) {
+        returns.set(recent[i].timestamp, (recent[i].close - recent[i - 1].close) / recent[i - 1].close);
+      }
+    }
+    return returns;
+  }
+
+  getSector(symbol) {
+    const info = LogoUtils.getCompanyInfo(symbol);
+    return info.isCrypto ? 'Crypto' : info.sector;
+  }
+
+  getDirection(entry, takeProfit) {
+    return takeProfit > entry ? 'long' : 'short';
+  }
+
+  getRiskPercent(entry, stopLoss) {
+    if (!entry || !stopLoss) return 0;
+    return (Math.abs(entry - stopLoss) / entry) * 100;
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * POSITION SIZING SERVICE
+ * =======================
+ *
+ * Turns a tip's entry / stop into "how much to buy" for an account size:
+ * ✓ Fixed fractional - risk a fixed % of the account between entry and stop
+ * ✓ Volatility targeted - one ATR move costs a fixed % of the account
+ * ✓ Capped Kelly - fractional Kelly from the tracked win rate and the tip's R/R,
+ *   capped, and only once enough tips have resolved
+ * ✓ Reference account sizes on every tip, per-user sizes from the user's
+ *   profile (UserProfileService, profile.accountSize)
+ *
+ * Every method is also capped at maxPositionPercent of the account (no leverage
+ * by default). Stocks size in whole shares, crypto in fractional units.
+ */
+
+export const DEFAULT_SIZING_CONFIG = {
+  referenceAccounts: [10000, 25000, 100000],
+  riskPerTradePercent: 1,        // Fixed fractional: account % lost at the stop
+  volatilityTargetPercent: 0.5,  // Volatility targeted: account % moved by one ATR
+  kellyFraction: 0.5,            // Half Kelly
+  maxKellyRiskPercent: 2,        // Kelly risk cap (account %)
+  minKellySamples: 20,           // Resolved tips needed before Kelly is used
+  maxPositionPercent: 100        // Notional cap (account %)
+};
+
+export class PositionSizingService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Overrides for DEFAULT_SIZING_CONFIG
+   * @param {Object|null} options.userProfiles - UserProfileService for per-user account sizes
+   */
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_SIZING_CONFIG, ...options.config };
+    this.userProfiles = options.userProfiles || null;
+  }
+
+  /**
+   * Sizing for the reference accounts
+   * @param {Object} tip - { symbol, entryPrice, stopLoss, riskRewardRatio }
+   * @param {Object} context
+   * @param {number} context.atr - Average true range at signal time
+   * @param {number} context.winRate - Tracked win rate (0-100)
+   * @param {number} context.sampleSize - Resolved tips behind the win rate
+   * @returns {Object|null} null when the tip has no usable stop
+   */
+  calculate(tip, context = {}, accountSizes = this.config.referenceAccounts) {
+    const entry = tip.entryPrice;
+    const stopDistance = Math.abs(entry - tip.stopLoss);
+    if (!entry || entry <= 0 || !stopDistance) {
+      return null;
+    }
+
+    const kelly = this.getKellyRiskPercent(tip.riskRewardRatio, context);
+
+    return {
+      stopDistance,
+      stopDistancePercent: (stopDistance / entry) * 100,
+      atr: context.atr || null,
+      riskPerTradePercent: this.config.riskPerTradePercent,
+      volatilityTargetPercent: this.config.volatilityTargetPercent,
+      kelly,
+      accounts: accountSizes.map(accountSize => this.sizeAccount(tip, accountSize, stopDistance, context.atr, kelly))
+    };
+  }
+
+  sizeAccount(tip, accountSize, stopDistance, atr, kelly) {
+    const fixedRisk = accountSize * (this.config.riskPerTradePercent / 100);
+
+    return {
+      accountSize,
+      fixedFractional: this.position(tip, accountSize, fixedRisk / stopDistance, stopDistance),
+      volatilityTargeted: atr > 0
+        ? this.position(tip, accountSize, (accountSize * (this.config.volatilityTargetPercent / 100)) / atr, stopDistance)
+        : null,
+      kelly: kelly.available
+        ? this.position(tip, accountSize, (accountSize * (kelly.riskPercent / 100)) / stopDistance, stopDistance)
+        : null
+    };
+  }
+
+  /**
+   * Round to tradable units, apply the notional cap and report the dollar risk
+   */
+  position(tip, accountSize, rawUnits, stopDistance) {
+    const maxUnits = (accountSize * (this.config.maxPositionPercent / 100)) / tip.entryPrice;
+    const capped = rawUnits > maxUnits;
+    const units = this.roundUnits(tip.symbol, Math.min(rawUnits, maxUnits));
+    const riskAmount = units * stopDistance;
+
+    return {
+      units,
+      notional: Math.round(units * tip.entryPrice * 100) / 100,
+      riskAmount: Math.round(riskAmount * 100) / 100,
+      riskPercent: Math.round((riskAmount / accountSize) * 10000) / 100,
+      capped
+    };
+  }
+
+  roundUnits(symbol, units) {
+    if (symbol.includes('/')) {
+      return Math.floor(units * 1e6) / 1e6;
+    }
+    return Math.floor(units);
+  }
+
+  /**
+   * Fractional Kelly risk (% of account): f* = W - (1 - W) / R
+   */
+  getKellyRiskPercent(riskReward, { winRate, sampleSize = 0 } = {}) {
+    if (sampleSize < this.config.minKellySamples || typeof winRate !== 'number') {
+      return { available: false, reason: `needs ${this.config.minKellySamples} resolved tips (have ${sampleSize})` };
+    }
+    if (!riskReward || riskReward <= 0) {
+      return { available: false, reason: 'no risk/reward ratio' };
+    }
+
+    const w = winRate / 100;
+    const fullKelly = w - (1 - w) / riskReward;
+    if (fullKelly <= 0) {
+      return { available: false, reason: `no edge at ${winRate.toFixed(1)}% win rate and ${riskReward}R`, fullKellyPercent: fullKelly * 100 };
+    }
+
+    const riskPercent = Math.min(fullKelly * this.config.kellyFraction * 100, this.config.maxKellyRiskPercent);
+    return {
+      available: true,
+      winRate,
+      sampleSize,
+      fullKellyPercent: Math.round(fullKelly * 10000) / 100,
+      riskPercent: Math.round(riskPercent * 100) / 100
+    };
+  }
+
+  /**
+   * Compact per-account units for notification payloads (FCM data is size limited)
+   */
+  toPayload(sizing) {
+    return {
+      stopPct: Math.round(sizing.stopDistancePercent * 100) / 100,
+      accounts: sizing.accounts.map(account => ({
+        size: account.accountSize,
+        fixed: account.fixedFractional.units,
+        volatility: account.volatilityTargeted ? account.volatilityTargeted.units : null,
+        kelly: account.kelly ? account.kelly.units : null
+      }))
+    };
+  }
+
+  /**
+   * Reasoning lines explaining the methodology, quoted for one account size
+   * (default: the middle reference account)
+   */
+  describe(sizing, accountSize = this.config.referenceAccounts[Math.floor(this.config.referenceAccounts.length / 2)]) {
+    const account = sizing.accounts.find(a => a.accountSize === accountSize) || sizing.accounts[0];
+    if (!account) return [];
+
+    const money = value => `$${value.toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+    const lines = [
+      `📐 Position size for a ${money(account.accountSize)} account (stop ${sizing.stopDistancePercent.toFixed(2)}% from entry):`,
+      `📐 Fixed fractional: ${account.fixedFractional.units} units (${money(account.fixedFractional.notional)}) risking ${sizing.riskPerTradePercent}% of the account`
+    ];
+    if (account.volatilityTargeted) {
+      lines.push(`📐 Volatility targeted: ${account.volatilityTargeted.units} units (${money(account.volatilityTargeted.notional)}) so one ATR move is ${sizing.volatilityTargetPercent}% of the account`);
+    }
+    if (account.kelly) {
+      lines.push(`📐 Capped Kelly: ${account.kelly.units} units risking ${sizing.kelly.riskPercent}% (${this.config.kellyFraction}x Kelly at ${sizing.kelly.winRate.toFixed(1)}% win rate, ${sizing.kelly.sampleSize} tips)`);
+    } else {
+      lines.push(`📐 Kelly sizing unavailable: ${sizing.kelly.reason}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Account size a user saved in their profile
+   */
+  async getAccountSize(userId) {
+    if (!this.userProfiles || !userId) return null;
+
+    try {
+      const profile = await this.userProfiles.getProfile(userId);
+      const accountSize = profile ? Number(profile.accountSize) : NaN;
+      return isFinite(accountSize) && accountSize > 0 ? accountSize : null;
+    } catch (error) {
+      console.error(`❌ Error loading account size for ${userId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Sizing for one user's own account; null when they have not set an account size
+   */
+  async sizeForUser(userId, tip, context = {}) {
+    const accountSize = await this.getAccountSize(userId);
+    if (!accountSize) return null;
+    return this.calculate(tip, context, [accountSize]);
+  }
+}
@@ -0,0 +1,300 @@
+/**
+ * MARKET REGIME SERVICE
+ * =====================
+ *
+ * Classifies the market per asset class from benchmark instruments the feeds
+ * always subscribe to (SPY / QQQ / IWM for stocks, BTC for crypto):
+ * ✓ Trend - slope of the benchmarks' moving average (% per bar)
+ * ✓ Realized volatility - stdev of log returns, ranked against its own history (percentile)
+ * ✓ Breadth - share of the watchlist trading above its moving average
+ * ✓ Regime: trending_up | trending_down | choppy | high_vol (unknown without benchmark data)
+ *
+ * The regime's alignment with a signal (with / against the trend, range trades in
+ * choppy markets, high volatility) is one of the scoring components (see
+ * scoringService.js); it also raises quality gate thresholds in choppy and high-vol
+ * markets, and is described in the tip reasoning.
+ */
+
+export const REGIMES = ['trending_up', 'trending_down', 'choppy', 'high_vol'];
+
+export const DEFAULT_REGIME_CONFIG = {
+  benchmarks: {
+    stocks: ['SPY', 'QQQ', 'IWM'],
+    crypto: ['BTC/USD']
+  },
+  timeframe: '1hour',            // Benchmark bars
+  trendPeriod: 20,               // Moving average length
+  slopeBars: 5,                  // Slope measured over the last 5 moving average points
+  trendSlopePercent: 0.05,       // |slope| >= 0.05% per bar is a trend
+  volatilityWindow: 20,          // Bars per realized volatility reading
+  volatilityLookback: 100,       // Readings the current one is ranked against
+  highVolPercentile: 80,         // At or above: high_vol
+  lowVolPercentile: 20,          // At or below: volatility 'low'
+  breadthConfirm: 0.5,           // Trends need at least (down: at most 1 -) this share above the MA
+  minimumBreadthSymbols: 5,      // Fewer watchlist symbols with bars: no breadth reading
+  refreshMs: 5 * 60 * 1000,      // Regimes are recomputed at most this often
+
+  // Alignment with the signal, -1 (against) to 1 (with); scoringService weighs it
+  alignment: {
+    withTrend: 1,
+    againstTrend: -1,
+    choppyTrend: -0.67,          // Trend signals in a choppy market
+    choppyRange: 0.67,           // Range trades in a choppy market
+    highVol: -0.67
+  },
+
+  // Added to qualityGates thresholds
+  gateAdjustments: {
+    choppy: { minimumStrength: 0.25 },
+    high_vol: { minimumStrength: 0.25, minimumRiskReward: 0.5 }
+  }
+};
+
+const TREND_LABELS = { trending_up: 'bullish', trending_down: 'bearish' };
+
+export class RegimeService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Overrides for DEFAULT_REGIME_CONFIG
+   * @param {Function} options.getBars - async (symbol, timeframe, count) => bars, backfilled when short
+   * @param {Function} options.getLiveBars - (symbol, timeframe) => bars already in memory (breadth)
+   * @param {Function} options.getWatchlist - () => { stocks: [...], crypto: [...] }
+   * @param {Function} options.now - Clock
+   */
+  constructor({ config = {}, getBars = async () => [], getLiveBars = () => [], getWatchlist = () => ({}), now = () => Date.now() } = {}) {
+    this.config = {
+      ...DEFAULT_REGIME_CONFIG,
+      ...config,
+      benchmarks: { ...DEFAULT_REGIME_CONFIG.benchmarks, ...config.benchmarks },
+      alignment: { ...DEFAULT_REGIME_CONFIG.alignment, ...config.alignment },
+      gateAdjustments: { ...DEFAULT_REGIME_CONFIG.gateAdjustments, ...config.gateAdjustments }
+    };
+    this.getBars = getBars;
+    this.getLiveBars = getLiveBars;
+    this.getWatchlist = getWatchlist;
+    this.now = now;
+    this.cache = new Map(); // assetClass -> regime snapshot
+  }
+
+  getBenchmarks(assetClass) {
+    return this.config.benchmarks[assetClass] || [];
+  }
+
+  /**
+   * Benchmarks that are not on the watchlist are tracked but never signaled
+   */
+  isBenchmarkOnly(symbol, watchlist = this.getWatchlist()) {
+    return Object.entries(this.config.benchmarks).some(([assetClass, symbols]) =>
+      symbols.includes(symbol) && !(watchlist[assetClass] || []).includes(symbol));
+  }
+
+  /**
+   * Current regime for an asset class (cached for refreshMs)
+   */
+  async getRegime(assetClass) {
+    const cached = this.cache.get(assetClass);
+    if (cached && this.now() - cached.updatedAt < this.config.refreshMs) {
+      return cached;
+    }
+
+    const regime = await this.calculate(assetClass);
+    this.cache.set(assetClass, regime);
+    if (!cached || cached.regime !== regime.regime) {
+      console.log(`🧭 ${assetClass} regime: ${regime.regime}${regime.regime === 'unknown' ? '' : ` (${this.summarize(regime)})`}`);
+    }
+    return regime;
+  }
+
+  async calculate(assetClass) {
+    const { timeframe, trendPeriod, slopeBars, volatilityWindow, volatilityLookback } = this.config;
+    const needed = Math.max(trendPeriod + slopeBars, volatilityWindow + volatilityLookback);
+    const readings = [];
+
+    for (const symbol of this.getBenchmarks(assetClass)) {
+      try {
+        const bars = await this.getBars(symbol, timeframe, needed);
+        const reading = this.measureBenchmark(symbol, bars || []);
+        if (reading) readings.push(reading);
+      } catch (error) {
+        console.warn(`⚠️ Regime benchmark ${symbol} unavailable:`, error.message);
+      }
+    }
+
+    const breadth = this.calculateBreadth(assetClass);
+    if (readings.length === 0) {
+      return { assetClass, regime: 'unknown', trendSlope: null, volatilityPercentile: null, realizedVolatility: null, breadth, benchmarks: [], updatedAt: this.now() };
+    }
+
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const trendSlope = average(readings.map(reading => reading.slope));
+    const ranked = readings.filter(reading => reading.volatilityPercentile !== null);
+    const volatilityPercentile = ranked.length > 0 ? average(ranked.map(reading => reading.volatilityPercentile)) : null;
+
+    return {
+      assetClass,
+      regime: this.classify({ trendSlope, volatilityPercentile, breadth }),
+      trendSlope: round(trendSlope, 4),
+      volatilityPercentile: volatilityPercentile === null ? null : Math.round(volatilityPercentile),
+      realizedVolatility: round(average(readings.map(reading => reading.realizedVolatility)), 4),
+      breadth: breadth === null ? null : round(breadth, 2),
+      benchmarks: readings.map(reading => reading.symbol),
+      updatedAt: this.now()
+    };
+  }
+
+  classify({ trendSlope, volatilityPercentile, breadth }) {
+    const { highVolPercentile, trendSlopePercent, breadthConfirm } = this.config;
+
+    if (volatilityPercentile !== null && volatilityPercentile >= highVolPercentile) return 'high_vol';
+    if (trendSlope >= trendSlopePercent && (breadth === null || breadth >= breadthConfirm)) return 'trending_up';
+    if (trendSlope <= -trendSlopePercent && (breadth === null || breadth <= 1 - breadthConfirm)) return 'trending_down';
+    return 'choppy';
+  }
+
+  /**
+   * Moving average slope and realized volatility percentile for one benchmark
+   * @returns {{ symbol, slope, realizedVolatility, volatilityPercentile }|null}
+   */
+  measureBenchmark(symbol, bars) {
+    const { trendPeriod, slopeBars, volatilityWindow, volatilityLookback } = this.config;
+    const closes = bars.map(bar => bar.close).filter(close => close > 0);
+    if (closes.length < trendPeriod + slopeBars) return null;
+
+    const sma = end => closes.slice(end - trendPeriod, end).reduce((sum, close) => sum + close, 0) / trendPeriod;
+    const current = sma(closes.length);
+    const earlier = sma(closes.length - slopeBars);
+    const slope = ((current - earlier) / earlier / slopeBars) * 100;
+
+    const returns = closes.slice(1).map((close, i) => Math.log(close / closes[i]));
+    const volatilities = [];
+    for (let end = volatilityWindow; end <= returns.length; end++) {
+      volatilities.push(stdev(returns.slice(end - volatilityWindow, end)));
+    }
+    const realizedVolatility = volatilities.length > 0 ? volatilities[volatilities.length - 1] * 100 : 0;
+
+    // Percentile (mid-rank, so a flat history reads 50) needs a history to rank against
+    const history = volatilities.slice(-volatilityLookback);
+    const latest = volatilities[volatilities.length - 1];
+    const tolerance = latest * 1e-9;
+    const below = history.filter(value => value < latest - tolerance).length;
+    const ties = history.filter(value => Math.abs(value - latest) <= tolerance).length;
+    const volatilityPercentile = history.length >= Math.min(volatilityLookback, 20)
+      ? ((below + ties / 2) / history.length) * 100
+      : null;
+
+    return { symbol, slope, realizedVolatility, volatilityPercentile };
+  }
+
+  /**
+   * Share of watchlist symbols whose last close is above their moving average
+   */
+  calculateBreadth(assetClass) {
+    const { timeframe, trendPeriod, minimumBreadthSymbols } = this.config;
+    let measured = 0;
+    let above = 0;
+
+    for (const symbol of this.getWatchlist()[assetClass] || []) {
+      const closes = (this.getLiveBars(symbol, timeframe) || []).map(bar => bar.close);
+      if (closes.length < trendPeriod) continue;
+      const average = closes.slice(-trendPeriod).reduce((sum, close) => sum + close, 0) / trendPeriod;
+      measured++;
+      if (closes[closes.length - 1] > average) above++;
+    }
+
+    return measured >= minimumBreadthSymbols ? above / measured : null;
+  }
+
+  /**
+   * How well a signal fits this regime
+   * @param {Object} context - Market context ({ regime })
+   * @param {Object} analysis - { sentiment, tradeType }
+   * @returns {{ alignment: number, reason: string|null }} alignment from -1 (against) to 1 (with)
+   */
+  alignment(context, { sentiment, tradeType = 'trend' }) {
+    const alignment = this.config.alignment;
+    switch (context?.regime) {
+      case 'trending_up':
+      case 'trending_down':
+        if (tradeType !== 'mean_reversion' && TREND_LABELS[context.regime] === sentiment) {
+          return { alignment: alignment.withTrend, reason: 'with the trend' };
+        }
+        return { alignment: alignment.againstTrend, reason: 'against the trend' };
+      case 'choppy':
+        return tradeType === 'mean_reversion'
+          ? { alignment: alignment.choppyRange, reason: 'range trade in a choppy market' }
+          : { alignment: alignment.choppyTrend, reason: 'trend signal in a choppy market' };
+      case 'high_vol':
+        return { alignment: alignment.highVol, reason: 'high volatility' };
+      default:
+        return { alignment: 0, reason: null };
+    }
+  }
+
+  /**
+   * Quality gates with the regime's threshold increases applied
+   */
+  adjustGates(gates, context) {
+    const adjustments = this.config.gateAdjustments[context?.regime];
+    if (!adjustments) return gates;
+
+    const adjusted = { ...gates };
+    for (const [gate, delta] of Object.entries(adjustments)) {
+      if (typeof adjusted[gate] === 'number') adjusted[gate] += delta;
+    }
+    adjusted.minimumStrength = Math.min(5, adjusted.minimumStrength);
+    return adjusted;
+  }
+
+  /**
+   * Legacy market context fields derived from a regime snapshot
+   */
+  toMarketContext(snapshot) {
+    const { highVolPercentile, lowVolPercentile } = this.config;
+    let volatility = 'unknown';
+    if (snapshot.volatilityPercentile !== null) {
+      volatility = snapshot.volatilityPercentile >= highVolPercentile ? 'high'
+        : snapshot.volatilityPercentile <= lowVolPercentile ? 'low' : 'normal';
+    }
+
+    return {
+      regime: snapshot.regime,
+      marketTrend: snapshot.regime === 'unknown' ? 'unknown' : TREND_LABELS[snapshot.regime] || 'neutral',
+      volatility,
+      volatilityPercentile: snapshot.volatilityPercentile,
+      trendSlope: snapshot.trendSlope,
+      breadth: snapshot.breadth,
+      benchmarks: snapshot.benchmarks
+    };
+  }
+
+  /**
+   * One reasoning line for the tip
+   */
+  describe(context, analysis) {
+    if (!context?.regime || context.regime === 'unknown') return null;
+    const { reason } = this.alignment(context, analysis);
+    const adjustment = reason ? ` - ${reason}` : '';
+    return `🧭 Market regime: ${context.regime.replace('_', ' ')} (${this.summarize(context)})${adjustment}`;
+  }
+
+  summarize({ benchmarks, trendSlope, volatilityPercentile, breadth }) {
+    const parts = [`${benchmarks.join('/')} MA slope ${trendSlope >= 0 ? '+' : ''}${trendSlope.toFixed(2)}%/bar`];
+    if (volatilityPercentile !== null) parts.push(`volatility ${volatilityPercentile}th pct`);
+    if (breadth !== null && breadth !== undefined) parts.push(`breadth ${Math.round(breadth * 100)}%`);
+    return parts.join(', ');
+  }
+
+  getStatus() {
+    return Object.fromEntries(Array.from(this.cache.entries()).map(([assetClass, snapshot]) => [assetClass, { ...snapshot }]));
+  }
+}
+
+function stdev(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length);
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
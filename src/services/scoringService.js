@@ -0,0 +1,183 @@
+/**
+ * SIGNAL SCORING
+ * ==============
+ *
+ * Puts every input to a signal's strength on one scale and combines them:
+ * ✓ Each component reads as a direction (bullish / bearish / neutral), a
+ *   conviction (0-1) and a confidence in its own data (0-1)
+ * ✓ Alignment (-1 to 1) is the component's signed conviction relative to the
+ *   signal: 1 fully supports it, -1 fully contradicts it
+ * ✓ Contribution = weight × confidence × alignment, in strength points; the
+ *   final strength (0-5) is their sum, so the breakdown adds up to it
+ * ✓ Confidence (%) is the final conviction, discounted when the supporting
+ *   evidence disagrees with the signal
+ *
+ * Calibration onto the common scale:
+ *   technical      strategy strength 0-5 → conviction strength / 5 (the signal's own direction)
+ *   institutional  compositeScore -2..2 → score / 2, confidence = factor confidence / 100
+ *   momentum       price change from the live candles (since the last daily close, or
+ *                  over the last 24 1h candles) → change / momentumFullPercent, capped at ±1
+ *   regime         regime alignment (see regimeService.js)
+ *   session        1 during market hours, 0 outside (no direction)
+ */
+
+export const DEFAULT_SCORING_CONFIG = {
+  // Strength points each component moves the score at full conviction and confidence
+  weights: {
+    technical: 5.0,
+    institutional: 0.75,
+    momentum: 0.5,
+    regime: 0.3,
+    session: 0.2
+  },
+  institutionalFullScore: 2,   // compositeScore is clamped to -2..2
+  momentumFullPercent: 2,      // A 2% move is full momentum conviction
+  maxConfidence: 95
+};
+
+export class ScoringService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - Overrides for DEFAULT_SCORING_CONFIG
+   * @param {Object} options.regime - RegimeService (regime alignment)
+   */
+  constructor({ config = {}, regime = null } = {}) {
+    this.config = {
+      ...DEFAULT_SCORING_CONFIG,
+      ...config,
+      weights: { ...DEFAULT_SCORING_CONFIG.weights, ...config.weights }
+    };
+    this.regime = regime;
+  }
+
+  /**
+   * Score an analysis
+   * @param {Object} analysis - { sentiment, strength, levels, tradeType, priceChangePercent, institutionalGrade, marketContext }
+   * @returns {Object} { direction, strength, conviction, confidence, corroboration, components }
+   */
+  score(analysis) {
+    const direction = this.signalDirection(analysis);
+    const sign = direction === 'bullish' ? 1 : direction === 'bearish' ? -1 : 0;
+    const components = [
+      this.technical(analysis, direction),
+      this.institutional(analysis, sign),
+      this.momentum(analysis, sign),
+      this.regimeComponent(analysis),
+      this.session(analysis)
+    ].map(component => {
+      const weight = this.config.weights[component.name] || 0;
+      return { ...component, weight, contribution: round(weight * component.confidence * component.alignment) };
+    });
+
+    const strength = round(clamp(components.reduce((sum, component) => sum + component.contribution, 0), 0, 5));
+    const corroboration = this.corroboration(components);
+
+    return {
+      direction,
+      strength,
+      conviction: round(strength / 5),
+      confidence: this.confidence(strength, corroboration),
+      corroboration,
+      components
+    };
+  }
+
+  technical({ strength = 0 }, direction) {
+    const conviction = clamp(strength / 5, 0, 1);
+    return { name: 'technical', direction, conviction: round(conviction), confidence: 1, alignment: round(conviction) };
+  }
+
+  institutional({ institutionalGrade }, sign) {
+    if (!institutionalGrade || typeof institutionalGrade.compositeScore !== 'number') {
+      return { name: 'institutional', direction: 'neutral', conviction: 0, confidence: 0, alignment: 0 };
+    }
+    const score = clamp(institutionalGrade.compositeScore / this.config.institutionalFullScore, -1, 1);
+    return {
+      name: 'institutional',
+      direction: directionOf(score),
+      conviction: round(Math.abs(score)),
+      confidence: round(clamp((institutionalGrade.confidence || 0) / 100, 0, 1)),
+      alignment: round(score * sign)
+    };
+  }
+
+  momentum({ priceChangePercent }, sign) {
+    if (typeof priceChangePercent !== 'number' || !isFinite(priceChangePercent)) {
+      return { name: 'momentum', direction: 'neutral', conviction: 0, confidence: 0, alignment: 0 };
+    }
+    const score = clamp(priceChangePercent / this.config.momentumFullPercent, -1, 1);
+    return { name: 'momentum', direction: directionOf(score), conviction: round(Math.abs(score)), confidence: 1, alignment: round(score * sign) };
+  }
+
+  regimeComponent(analysis) {
+    const context = analysis.marketContext;
+    if (!this.regime || !context?.regime || context.regime === 'unknown') {
+      return { name: 'regime', direction: 'neutral', conviction: 0, confidence: 0, alignment: 0 };
+    }
+    const { alignment } = this.regime.alignment(context, analysis);
+    const direction = context.marketTrend === 'bullish' || context.marketTrend === 'bearish' ? context.marketTrend : 'neutral';
+    return { name: 'regime', direction, conviction: round(Math.abs(alignment)), confidence: 1, alignment: round(alignment) };
+  }
+
+  session({ marketContext }) {
+    const open = marketContext?.isMarketHours ? 1 : 0;
+    return { name: 'session', direction: 'neutral', conviction: open, confidence: 1, alignment: open };
+  }
+
+  /**
+   * Weighted share of the supporting (non-technical) evidence that agrees with
+   * the signal; 0.5 when there is none either way
+   */
+  corroboration(components) {
+    let agreeing = 0;
+    let total = 0;
+    for (const component of components.filter(c => c.name !== 'technical' && c.name !== 'session')) {
+      const evidence = component.weight * component.confidence;
+      agreeing += evidence * Math.max(0, component.alignment);
+      total += evidence * Math.abs(component.alignment);
+    }
+    return total > 0 ? round(agreeing / total) : 0.5;
+  }
+
+  /**
+   * Tip confidence (%) for a strength: conviction, discounted by up to 20%
+   * when the supporting evidence contradicts the signal
+   */
+  confidence(strength, corroboration = 0.5) {
+    const value = (strength / 5) * (0.8 + 0.2 * corroboration) * 100;
+    return Math.round(clamp(value, 0, this.config.maxConfidence));
+  }
+
+  /**
+   * One reasoning line for the tip
+   */
+  describe(score) {
+    const parts = score.components
+      .filter(component => component.contribution !== 0)
+      .map(component => `${component.name} ${component.contribution >= 0 ? '+' : ''}${component.contribution.toFixed(2)}`);
+    return `🎯 Score ${score.strength.toFixed(2)}/5 (${score.confidence}% confidence): ${parts.join(', ') || 'no components'}`;
+  }
+
+  /**
+   * Range trades (neutral reads) take the side of their levels
+   */
+  signalDirection({ sentiment, levels }) {
+    if (sentiment === 'bullish' || sentiment === 'bearish') return sentiment;
+    if (levels && typeof levels.takeProfit1 === 'number' && typeof levels.entry === 'number') {
+      return levels.takeProfit1 > levels.entry ? 'bullish' : 'bearish';
+    }
+    return 'neutral';
+  }
+}
+
+function directionOf(score) {
+  return score > 0 ? 'bullish' : score < 0 ? 'bearish' : 'neutral';
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
@@ -0,0 +1,209 @@
+/**
+ * SIGNAL CANDIDATE POOL
+ * =====================
+ *
+ * Setups that cleared the quality gates wait here instead of going out on
+ * whichever tick arrived first (portfolio risk is checked when one is taken):
+ * ✓ Candidates collect for a window (windowMinutes) that opens with the first one;
+ *   a newer setup for the same symbol replaces the older one
+ * ✓ When the window closes the best-ranked candidate is emitted; the rest compete
+ *   in the next window until they are older than maxCandidateAgeMinutes
+ * ✓ A taken candidate is re-checked against the current price (entryCheck): it is
+ *   dropped once price crossed its stop or TP1 or drifted more than maxEntryDrift
+ *   of its risk from entry, otherwise it is re-priced at the current price
+ * ✓ Rank (0-1) = weighted score (final strength), risk/reward, liquidity (dollar
+ *   volume and spread against the gates) and diversification against open tips
+ * ✓ Daily budget pacing: during the regular session at most
+ *   floor(maxDailyTips × elapsed share of the session) + burst tips are out,
+ *   so the budget is not spent in the first hours (off-hours are not paced)
+ */
+
+const MINUTE = 60 * 1000;
+
+export const DEFAULT_SIGNAL_SELECTION = {
+  windowMinutes: 15,
+  maxCandidateAgeMinutes: 30,
+  maxEntryDrift: 0.25,           // Share of the risk (entry to stop) price may move while a setup waits
+  paceDailyBudget: true,
+  burst: 1,
+  rankWeights: {
+    score: 0.5,
+    riskReward: 0.2,
+    liquidity: 0.15,
+    diversification: 0.15
+  }
+};
+
+// Normalization of the rank components
+export const RANK_SCALES = {
+  riskRewardFull: 5,             // R/R of 5 or more ranks 1
+  volumeFullMultiple: 100        // 100× the minimumVolume gate ranks 1
+};
+
+export class SignalCandidatePool {
+  /**
+   * @param {Object} options
+   * @param {Object} options.config - signalSelection settings (read live)
+   * @param {Function} options.getGates - () => qualityGates (minimumVolume, maximumSpread)
+   * @param {Function} options.getDiversification - analysis => 0-1
+   * @param {Function} options.now - Clock
+   */
+  constructor({ config = DEFAULT_SIGNAL_SELECTION, getGates = () => ({}), getDiversification = () => 1, now = () => Date.now() } = {}) {
+    this.config = config;
+    this.getGates = getGates;
+    this.getDiversification = getDiversification;
+    this.now = now;
+    this.candidates = new Map(); // symbol -> { analysis, addedAt }
+    this.windowStartedAt = null;
+  }
+
+  add(analysis) {
+    const now = this.now();
+    if (this.candidates.size === 0) {
+      this.windowStartedAt = now;
+    }
+    this.candidates.set(analysis.symbol, { analysis, addedAt: now });
+  }
+
+  remove(predicate) {
+    for (const [symbol, candidate] of this.candidates.entries()) {
+      if (predicate(candidate.analysis)) this.candidates.delete(symbol);
+    }
+    if (this.candidates.size === 0) this.windowStartedAt = null;
+  }
+
+  /**
+   * Drop candidates older than maxCandidateAgeMinutes
+   */
+  prune() {
+    const cutoff = this.now() - this.config.maxCandidateAgeMinutes * MINUTE;
+    for (const [symbol, candidate] of this.candidates.entries()) {
+      if (candidate.addedAt < cutoff) {
+        console.log(`🗑️ Candidate ${symbol} expired unselected`);
+        this.candidates.delete(symbol);
+      }
+    }
+    if (this.candidates.size === 0) this.windowStartedAt = null;
+  }
+
+  isDue() {
+    this.prune();
+    return this.windowStartedAt !== null && this.now() - this.windowStartedAt >= this.config.windowMinutes * MINUTE;
+  }
+
+  /**
+   * Rank an analysis
+   * @returns {{ total: number, components: { score, riskReward, liquidity, diversification } }}
+   */
+  rank(analysis) {
+    const weights = this.config.rankWeights;
+    const components = {
+      score: clamp((analysis.finalStrength || 0) / 5),
+      riskReward: clamp((analysis.riskRewardRatio || 0) / RANK_SCALES.riskRewardFull),
+      liquidity: this.liquidityRank(analysis.liquidity),
+      diversification: clamp(this.getDiversification(analysis))
+    };
+    const total = Object.entries(components).reduce((sum, [name, value]) => sum + (weights[name] || 0) * value, 0);
+    return { total: round(total), components: Object.fromEntries(Object.entries(components).map(([name, value]) => [name, round(value)])) };
+  }
+
+  /**
+   * Dollar volume on a log scale from the minimumVolume gate, spread against
+   * maximumSpread; 0.5 for what the liquidity monitor has not measured
+   */
+  liquidityRank(liquidity) {
+    const { minimumVolume, maximumSpread } = this.getGates();
+    const volume = liquidity?.dollarVolume > 0 && minimumVolume > 0
+      ? clamp(Math.log10(liquidity.dollarVolume / minimumVolume) / Math.log10(RANK_SCALES.volumeFullMultiple))
+      : 0.5;
+    const spread = typeof liquidity?.averageSpread === 'number' && maximumSpread > 0
+      ? 1 - clamp(liquidity.averageSpread / maximumSpread)
+      : 0.5;
+    return (volume + spread) / 2;
+  }
+
+  /**
+   * Analyses best first, each with its rank
+   */
+  rankAll(analyses) {
+    return analyses
+      .map(analysis => ({ analysis, rank: this.rank(analysis) }))
+      .sort((a, b) => b.rank.total - a.rank.total);
+  }
+
+  /**
+   * Remove and return the best candidate; the rest start a new window
+   * @returns {{ analysis, rank, competing: number }|null}
+   */
+  takeBest() {
+    this.prune();
+    const ranked = this.rankAll(Array.from(this.candidates.values()).map(candidate => candidate.analysis));
+    if (ranked.length === 0) return null;
+
+    const [best] = ranked;
+    this.candidates.delete(best.analysis.symbol);
+    this.windowStartedAt = this.candidates.size > 0 ? this.now() : null;
+    return { ...best, competing: ranked.length };
+  }
+
+  /**
+   * Whether a waiting setup still holds at the current price
+   * @returns {{ valid: boolean, reason: string|null }}
+   */
+  entryCheck(analysis, price) {
+    const { entry, stopLoss, takeProfit1 } = analysis.levels || {};
+    if (typeof price !== 'number' || !isFinite(price) || price <= 0) {
+      return { valid: false, reason: 'no current price' };
+    }
+    const direction = takeProfit1 > entry ? 1 : -1;
+    const risk = Math.abs(entry - stopLoss);
+    if (direction * (price - stopLoss) <= 0) {
+      return { valid: false, reason: `price ${price} crossed the stop ${stopLoss}` };
+    }
+    if (direction * (takeProfit1 - price) <= 0) {
+      return { valid: false, reason: `price ${price} reached TP1 ${takeProfit1}` };
+    }
+    if (Math.abs(price - entry) > this.config.maxEntryDrift * risk) {
+      return { valid: false, reason: `price ${price} drifted ${round(Math.abs(price - entry) / risk)}R from entry ${entry}` };
+    }
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * Tips the paced budget allows out by now
+   * @param {Object} budget
+   * @param {number} budget.used - Tips issued today
+   * @param {number} budget.total - maxDailyTips
+   * @param {{ open: number, close: number }|null} budget.session - Today's regular session (null: not paced)
+   * @returns {{ allowed: number, canEmit: boolean, nextAt: number|null }}
+   */
+  allowance({ used, total, session }) {
+    const now = this.now();
+    if (!this.config.paceDailyBudget || !session || now < session.open || now >= session.close) {
+      return { allowed: total, canEmit: used < total, nextAt: null };
+    }
+
+    const length = session.close - session.open;
+    const elapsed = (now - session.open) / length;
+    const allowed = Math.min(total, Math.floor(total * elapsed) + this.config.burst);
+    // The pace allows one more once floor(total × elapsed) reaches used - burst + 1
+    const nextAt = used < total ? session.open + Math.ceil((length * (used - this.config.burst + 1)) / total) : null;
+    return { allowed, canEmit: used < allowed, nextAt };
+  }
+
+  getStatus() {
+    return {
+      candidates: this.rankAll(Array.from(this.candidates.values()).map(candidate => candidate.analysis))
+        .map(({ analysis, rank }) => ({ symbol: analysis.symbol, sentiment: analysis.sentiment, rank: rank.total })),
+      windowStartedAt: this.windowStartedAt ? new Date(this.windowStartedAt).toISOString() : null
+    };
+  }
+}
+
+function clamp(value, min = 0, max = 1) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
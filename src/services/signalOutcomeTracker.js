@@ -0,0 +1,236 @@
+/**
+ * SIGNAL OUTCOME TRACKER
+ * ======================
+ *
+ * Follows every live tip from createPremiumTip until it resolves:
+ * ✓ won      - TP2 reached, or TP1 reached and the tip expired
+ * ✓ partial  - TP1 reached, then the stop (moved to breakeven) was hit
+ * ✓ lost     - stop hit before TP1
+ * ✓ expired  - neither stop nor TP1 reached by expiresAt
+ * ✓ closed   - closed early at a given price (TradingView exit / close alerts)
+ *
+ * Records maximum favorable / adverse excursion (MFE / MAE) in price and R,
+ * persists outcomes through the storage layer (signal_outcomes/{trackingId})
+ * and keeps app_stats.successRate in line with real results.
+ *
+ * Exits follow the shared exit model (exitModel.js), the same one the backtester
+ * uses: half at TP1 with the stop moved to breakeven, the rest at TP2 (or at the
+ * breakeven stop / expiry price).
+ */
+
+import { EventEmitter } from 'events';
+import { nextExit, resultR } from './exitModel.js';
+
+export class SignalOutcomeTracker extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object|null} options.storage - Storage repositories (src/storage); null keeps outcomes in memory only
+   * @param {Function} options.now - Clock (simulated in backtests)
+   */
+  constructor({ storage = null, now = () => Date.now() } = {}) {
+    super();
+    this.storage = storage;
+    this.now = now;
+    this.activeTips = new Map(); // trackingId -> record
+    this.stats = { resolved: 0, won: 0, partial: 0, lost: 0, expired: 0, closed: 0, wins: 0, totalR: 0 };
+  }
+
+  /**
+   * Start tracking a tip created by createPremiumTip
+   */
+  register(tip) {
+    if (!tip || !tip.trackingId || typeof tip.entryPrice !== 'number' || typeof tip.stopLoss !== 'number') {
+      console.warn('⚠️ Outcome tracker: tip missing trackingId or levels, not tracked');
+      return null;
+    }
+
+    const record = {
+      trackingId: tip.trackingId,
+      symbol: tip.symbol,
+      timeframe: tip.timeframe || null,
+      direction: tip.takeProfit > tip.entryPrice ? 'long' : 'short',
+      entryPrice: tip.entryPrice,
+      stopLoss: tip.stopLoss,
+      takeProfit: tip.takeProfit,
+      takeProfit2: tip.takeProfit2 || null,
+      strength: tip.strength || null,
+      strategies: (tip.strategies || []).map(({ name, share }) => ({ name, share })),
+      createdAt: this.toMillis(tip.createdAt) || this.now(),
+      expiresAt: this.toMillis(tip.expiresAt) || this.now() + 24 * 60 * 60 * 1000,
+      status: 'active',
+      tp1HitAt: null,
+      lastPrice: tip.entryPrice,
+      mfe: 0,
+      mae: 0,
+      mfeR: 0,
+      maeR: 0,
+      resultR: null,
+      exitPrice: null,
+      resolvedAt: null
+    };
+
+    this.activeTips.set(record.trackingId, record);
+    console.log(`🎯 Tracking outcome for ${record.symbol} (${record.direction.toUpperCase()}) ${record.trackingId}`);
+    this.persistOutcome(record);
+    return record;
+  }
+
+  /**
+   * Feed a price tick; resolves any active tip for the symbol that hits a level
+   */
+  onPrice(symbol, price, timestamp = this.now()) {
+    if (this.activeTips.size === 0 || typeof price !== 'number' || !isFinite(price)) return;
+
+    for (const record of this.activeTips.values()) {
+      if (record.symbol !== symbol) continue;
+
+      if (timestamp >= record.expiresAt) {
+        this.resolve(record, 'expired', record.lastPrice, record.expiresAt);
+        continue;
+      }
+
+      this.updateExcursions(record, price);
+      record.lastPrice = price;
+
+      const exit = nextExit(record, price);
+      if (exit.event === 'stop' || exit.event === 'breakeven') {
+        this.resolve(record, exit.event === 'breakeven' ? 'partial' : 'lost', exit.price, timestamp);
+      } else if (exit.event === 'tp2') {
+        if (!record.tp1HitAt) record.tp1HitAt = timestamp;
+        this.resolve(record, 'won', exit.price, timestamp);
+      } else if (exit.event === 'tp1') {
+        record.tp1HitAt = timestamp;
+        console.log(`🎯 ${record.symbol} hit TP1 ($${record.takeProfit.toFixed(2)}) - ${record.trackingId}`);
+        this.persistOutcome(record);
+        this.emit('tp1', record);
+      }
+    }
+  }
+
+  /**
+   * Resolve tips past expiresAt even when their symbol stops ticking
+   */
+  expireStale(now = this.now()) {
+    for (const record of this.activeTips.values()) {
+      if (now >= record.expiresAt) {
+        this.resolve(record, 'expired', record.lastPrice, record.expiresAt);
+      }
+    }
+  }
+
+  /**
+   * Close an active tip early at exitPrice (exit signal from another source)
+   * @returns {Object|null} The resolved record, or null when the tip is not active
+   */
+  close(trackingId, exitPrice, { timestamp = this.now(), reason = null } = {}) {
+    const record = this.activeTips.get(trackingId);
+    if (!record || typeof exitPrice !== 'number' || !isFinite(exitPrice)) return null;
+
+    this.updateExcursions(record, exitPrice);
+    record.lastPrice = exitPrice;
+    record.closeReason = reason;
+    return this.resolve(record, 'closed', exitPrice, timestamp);
+  }
+
+  updateExcursions(record, price) {
+    const risk = Math.abs(record.entryPrice - record.stopLoss) || 1;
+    const move = record.direction === 'long' ? price - record.entryPrice : record.entryPrice - price;
+
+    record.mfe = Math.max(record.mfe, move);
+    record.mae = Math.min(record.mae, move);
+    record.mfeR = record.mfe / risk;
+    record.maeR = record.mae / risk;
+  }
+
+  resolve(record, status, exitPrice, timestamp) {
+    // A tip that reached TP1 before expiring counts as won
+    const finalStatus = status === 'expired' && record.tp1HitAt ? 'won' : status;
+
+    record.status = finalStatus;
+    record.exitPrice = exitPrice;
+    record.resolvedAt = timestamp;
+    record.resultR = this.calculateResultR(record, exitPrice);
+    this.activeTips.delete(record.trackingId);
+
+    this.stats.resolved++;
+    this.stats[finalStatus]++;
+    this.stats.totalR += record.resultR;
+    if (record.resultR > 0) this.stats.wins++;
+
+    console.log(`🏁 Outcome ${finalStatus.toUpperCase()}: ${record.symbol} ${record.trackingId} | ${record.resultR.toFixed(2)}R | MFE ${record.mfeR.toFixed(2)}R MAE ${record.maeR.toFixed(2)}R`);
+
+    this.emit('resolved', record);
+    this.persistOutcome(record);
+    this.updateSuccessRate(record);
+    return record;
+  }
+
+  calculateResultR(record, exitPrice) {
+    return resultR(record, exitPrice);
+  }
+
+  getActiveTips() {
+    return Array.from(this.activeTips.values());
+  }
+
+  getStats() {
+    const { resolved, wins, totalR } = this.stats;
+    return {
+      ...this.stats,
+      active: this.activeTips.size,
+      winRate: resolved > 0 ? (wins / resolved) * 100 : 0,
+      avgR: resolved > 0 ? totalR / resolved : 0
+    };
+  }
+
+  /**
+   * Reload tips that were still active before a restart
+   */
+  async restoreActiveTips() {
+    if (!this.storage) return 0;
+
+    try {
+      const records = await this.storage.outcomes.listActive();
+      for (const record of records) {
+        this.activeTips.set(record.trackingId, record);
+      }
+      console.log(`🎯 Restored ${records.length} active tip(s) for outcome tracking`);
+      return records.length;
+    } catch (error) {
+      console.error('❌ Failed to restore active tips:', error);
+      return 0;
+    }
+  }
+
+  async persistOutcome(record) {
+    if (!this.storage) return;
+
+    try {
+      await this.storage.outcomes.save(record);
+    } catch (error) {
+      console.error(`❌ Failed to persist outcome for ${record.trackingId}:`, error);
+    }
+  }
+
+  /**
+   * Recompute app_stats.successRate from resolved tips
+   */
+  async updateSuccessRate(record) {
+    if (!this.storage) return;
+
+    try {
+      await this.storage.stats.recordOutcome(record);
+    } catch (error) {
+      console.error('❌ Failed to update success rate:', error);
+    }
+  }
+
+  toMillis(value) {
+    if (!value) return null;
+    if (typeof value === 'number') return value;
+    if (value instanceof Date) return value.getTime();
+    if (typeof value.toDate === 'function') return value.toDate().getTime();
+    const parsed = new Date(value).getTime();
+    return isNaN(parsed) ? null : parsed;
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * ENGINE STATE SNAPSHOTS
+ * ======================
+ *
+ * Rate-limit and resilience state that otherwise dies with the process:
+ * ✓ Daily signal count, last signal time and the date of the last daily reset
+ * ✓ Per-symbol signal cooldowns
+ * ✓ Per-user daily / hourly delivery counters
+ * ✓ Circuit breaker failures per data provider
+ *
+ * Checkpointed to engine_state/snapshot on change (changes within debounceMs go
+ * out in one write) and on shutdown. On restore the snapshot is validated field
+ * by field and expired by time, so a restarted instance behaves like one that
+ * never stopped:
+ *   cooldowns      - dropped once they have run out
+ *   hourly counts  - zeroed when an hourly reset would have run since the checkpoint
+ *   breakers       - closed once resetTime has passed since the last failure
+ *   daily counts   - the engine runs the daily reset it missed (see restoreEngineState)
+ */
+
+export const SNAPSHOT_VERSION = 1;
+
+export const DEFAULT_SNAPSHOT_CONFIG = {
+  debounceMs: 2000,
+  maxClockSkewMs: 60 * 1000   // Snapshots stamped further in the future are rejected
+};
+
+const HOUR = 60 * 60 * 1000;
+
+export class StateSnapshotService {
+  /**
+   * @param {Object} options
+   * @param {Object|null} options.repository - EngineStateRepository (src/storage); null disables snapshots
+   * @param {Function} options.capture - () => { dailySignalCount, lastSignalDate, lastSignalTimestamp,
+   *   signalCooldowns: Map, userLimits: Map, circuitBreakers: { [service]: breaker } }
+   * @param {Object} options.config - Overrides for DEFAULT_SNAPSHOT_CONFIG
+   * @param {Function} options.now - Clock
+   */
+  constructor({ repository = null, capture = () => ({}), config = {}, now = () => Date.now() } = {}) {
+    this.repository = repository;
+    this.capture = capture;
+    this.config = { ...DEFAULT_SNAPSHOT_CONFIG, ...config };
+    this.now = now;
+    this.timer = null;
+    this.pending = Promise.resolve();
+    this.lastSavedAt = null;
+    this.restoredFrom = null;
+  }
+
+  /**
+   * Serializable snapshot of the engine state (expired cooldowns left out)
+   */
+  build(state = this.capture()) {
+    const now = this.now();
+    return {
+      version: SNAPSHOT_VERSION,
+      savedAt: now,
+      daily: {
+        count: state.dailySignalCount || 0,
+        lastSignalDate: state.lastSignalDate || null,
+        lastSignalTimestamp: state.lastSignalTimestamp || null
+      },
+      // Arrays, not maps keyed by symbol: crypto symbols contain '/'
+      cooldowns: Array.from(state.signalCooldowns || [])
+        .filter(([, until]) => until > now)
+        .map(([symbol, until]) => ({ symbol, until })),
+      userLimits: Array.from(state.userLimits || []).map(([userId, limits]) => ({ ...limits, userId })),
+      circuitBreakers: Object.fromEntries(
+        Object.entries(state.circuitBreakers || {})
+          .filter(([, breaker]) => breaker && typeof breaker === 'object' && typeof breaker.isOpen === 'boolean')
+          .map(([service, { failures, lastFailure, isOpen }]) => [service, { failures, lastFailure, isOpen }])
+      )
+    };
+  }
+
+  /**
+   * Checkpoint soon; further changes before the write are included in it
+   */
+  schedule() {
+    if (!this.repository || this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.save();
+    }, this.config.debounceMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Write a snapshot now (writes are serialized, the latest one wins)
+   */
+  save() {
+    if (!this.repository) return Promise.resolve();
+    const snapshot = this.build();
+    this.pending = this.pending
+      .then(() => this.repository.save(snapshot))
+      .then(() => {
+        this.lastSavedAt = snapshot.savedAt;
+      })
+      .catch(error => console.error('❌ Error saving engine state snapshot:', error.message));
+    return this.pending;
+  }
+
+  /**
+   * Write any scheduled checkpoint immediately (shutdown)
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    return this.save();
+  }
+
+  /**
+   * Load, validate and expire the last snapshot
+   * @param {Object} options
+   * @param {number} options.breakerResetTime - circuitBreaker.resetTime
+   * @returns {Promise<Object|null>} { savedAt, daily, cooldowns: Map, userLimits: Map, circuitBreakers }
+   */
+  async restore({ breakerResetTime = Infinity } = {}) {
+    if (!this.repository) return null;
+
+    let saved = null;
+    try {
+      saved = await this.repository.get();
+    } catch (error) {
+      console.error('❌ Error loading engine state snapshot:', error.message);
+      return null;
+    }
+    if (!saved) return null;
+
+    const restored = this.validate(saved, { breakerResetTime });
+    if (restored) {
+      this.restoredFrom = restored.savedAt;
+    }
+    return restored;
+  }
+
+  /**
+   * Validate a stored snapshot and expire what ran out while it sat in storage.
+   * Malformed entries are dropped; an unknown version or a snapshot from the
+   * future is rejected as a whole.
+   */
+  validate(saved, { breakerResetTime = Infinity } = {}) {
+    const now = this.now();
+    const savedAt = toMillis(saved?.savedAt);
+
+    if (saved?.version !== SNAPSHOT_VERSION) {
+      console.warn(`⚠️ Engine state snapshot version ${saved?.version} not supported - starting fresh`);
+      return null;
+    }
+    if (!isTime(savedAt) || savedAt > now + this.config.maxClockSkewMs) {
+      console.warn('⚠️ Engine state snapshot has an invalid timestamp - starting fresh');
+      return null;
+    }
+
+    const daily = saved.daily || {};
+    const lastSignalTimestamp = toMillis(daily.lastSignalTimestamp);
+    const hourlyResetDue = now - savedAt >= HOUR;
+
+    const cooldowns = new Map();
+    for (const entry of asArray(saved.cooldowns)) {
+      const until = toMillis(entry?.until);
+      if (typeof entry?.symbol === 'string' && isTime(until) && until > now) {
+        cooldowns.set(entry.symbol, until);
+      }
+    }
+
+    const userLimits = new Map();
+    for (const entry of asArray(saved.userLimits)) {
+      if (typeof entry?.userId !== 'string' || !isCount(entry.dailyCount) || !isCount(entry.hourlyCount)) continue;
+      const lastSignal = toMillis(entry.lastSignal);
+      userLimits.set(entry.userId, {
+        dailyCount: entry.dailyCount,
+        hourlyCount: hourlyResetDue ? 0 : entry.hourlyCount,
+        lastSignal: isTime(lastSignal) ? lastSignal : 0,
+        lastReset: typeof entry.lastReset === 'string' ? entry.lastReset : null
+      });
+    }
+
+    const circuitBreakers = {};
+    for (const [service, breaker] of Object.entries(saved.circuitBreakers || {})) {
+      const lastFailure = toMillis(breaker?.lastFailure);
+      if (!isCount(breaker?.failures) || typeof breaker.isOpen !== 'boolean') continue;
+      const expired = isTime(lastFailure) && now - lastFailure > breakerResetTime;
+      circuitBreakers[service] = expired
+        ? { failures: 0, lastFailure, isOpen: false }
+        : { failures: breaker.failures, lastFailure: isTime(lastFailure) ? lastFailure : null, isOpen: breaker.isOpen };
+    }
+
+    return {
+      savedAt,
+      daily: {
+        count: isCount(daily.count) ? daily.count : 0,
+        lastSignalDate: typeof daily.lastSignalDate === 'string' ? daily.lastSignalDate : null,
+        lastSignalTimestamp: isTime(lastSignalTimestamp) && lastSignalTimestamp <= now ? lastSignalTimestamp : null
+      },
+      cooldowns,
+      userLimits,
+      circuitBreakers
+    };
+  }
+
+  getStatus() {
+    return {
+      enabled: Boolean(this.repository),
+      lastSavedAt: this.lastSavedAt ? new Date(this.lastSavedAt).toISOString() : null,
+      restoredFrom: this.restoredFrom ? new Date(this.restoredFrom).toISOString() : null,
+      checkpointPending: Boolean(this.timer)
+    };
+  }
+}
+
+function toMillis(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function isTime(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
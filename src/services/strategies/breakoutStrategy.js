@@ -0,0 +1,48 @@
+import { Strategy } from './strategy.js';
+
+/**
+ * Breakout - the latest close leaves the high / low range of the previous bars.
+ * Volume above its recent average confirms it.
+ */
+export class BreakoutStrategy extends Strategy {
+  constructor(options = {}) {
+    super('breakout', options);
+    this.params = { timeframe: '1hour', lookback: 20, volumeMultiplier: 1.5, ...this.params };
+    // The range plus the breakout bar
+    this.requiredHistory = { [this.params.timeframe]: this.params.lookback + 1 };
+  }
+
+  evaluate(context) {
+    const { timeframe, lookback, volumeMultiplier } = this.params;
+    const bars = this.barsFor(context, timeframe);
+    if (!bars) return null;
+
+    const lastBar = bars[bars.length - 1];
+    const range = bars.slice(-lookback - 1, -1);
+    const rangeHigh = Math.max(...range.map(bar => bar.high));
+    const rangeLow = Math.min(...range.map(bar => bar.low));
+    const rangeSize = rangeHigh - rangeLow;
+
+    let sentiment = null;
+    let distance = 0;
+    if (lastBar.close > rangeHigh) {
+      sentiment = 'bullish';
+      distance = lastBar.close - rangeHigh;
+    } else if (lastBar.close < rangeLow) {
+      sentiment = 'bearish';
+      distance = rangeLow - lastBar.close;
+    }
+    if (!sentiment || rangeSize <= 0) return null;
+
+    const reasoning = [`${lookback}-bar ${timeframe} ${sentiment === 'bullish' ? 'breakout above' : 'breakdown below'} $${(sentiment === 'bullish' ? rangeHigh : rangeLow).toFixed(2)}`];
+    let strength = 3.5 + Math.min(0.5, (distance / rangeSize) * 2);
+
+    const averageVolume = range.reduce((sum, bar) => sum + (bar.volume || 0), 0) / range.length;
+    if (averageVolume > 0 && (lastBar.volume || 0) >= averageVolume * volumeMultiplier) {
+      strength += 0.75;
+      reasoning.push(`Volume ${(lastBar.volume / averageVolume).toFixed(1)}x the ${lookback}-bar average`);
+    }
+
+    return this.candidate(sentiment, strength, reasoning, { rangeHigh, rangeLow });
+  }
+}
@@ -0,0 +1,64 @@
+import { Strategy } from './strategy.js';
+
+/**
+ * Multi-timeframe consensus - the engine's original signal logic:
+ * the most frequent sentiment across the 1m / 5m / 15m / 1h technical
+ * analyses, at their average strength.
+ */
+export class ConsensusStrategy extends Strategy {
+  constructor(options = {}) {
+    super('consensus', options);
+    this.params = { timeframes: ['1min', '5min', '15min', '1hour'], ...this.params };
+    // Readings come from context.analyses; the technical analysis backfills its own bars
+    this.requiredHistory = {};
+  }
+
+  evaluate(context) {
+    const validAnalyses = this.params.timeframes
+      .map(timeframe => context.analyses?.[timeframe])
+      .filter(Boolean);
+
+    if (validAnalyses.length === 0) {
+      return null;
+    }
+
+    // Both the TechnicalAnalysisService shape ({ analysis: { sentiment } }) and flat readings
+    const sentiments = validAnalyses
+      .map(a => a.analysis?.sentiment || a.sentiment || null)
+      .filter(Boolean);
+    const strengths = validAnalyses
+      .map(a => (typeof a.analysis?.strength === 'number' ? a.analysis.strength : a.strength))
+      .filter(s => typeof s === 'number');
+
+    const sentiment = mostFrequent(sentiments) || 'neutral';
+    const strength = strengths.length > 0 ? strengths.reduce((sum, s) => sum + s, 0) / strengths.length : 3.0;
+    const agreeing = sentiments.filter(s => s === sentiment).length;
+
+    console.log(`📊 ${context.symbol} consensus: ${sentiments.join('/') || 'none'} → ${sentiment} (${strength.toFixed(2)})`);
+
+    return this.candidate(sentiment, strength, [
+      `Multi-timeframe consensus: ${sentiment} on ${agreeing}/${validAnalyses.length} timeframes`
+    ], {
+      timeframes: validAnalyses.map(a => a.timeframe)
+    });
+  }
+}
+
+/**
+ * Most frequent item; ties go to the one that reached the count first
+ */
+function mostFrequent(items) {
+  if (items.length === 0) return null;
+
+  const frequency = {};
+  let maxCount = 0;
+  let result = items[0];
+  for (const item of items) {
+    frequency[item] = (frequency[item] || 0) + 1;
+    if (frequency[item] > maxCount) {
+      maxCount = frequency[item];
+      result = item;
+    }
+  }
+  return result;
+}
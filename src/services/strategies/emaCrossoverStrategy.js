@@ -0,0 +1,61 @@
+import { Strategy } from './strategy.js';
+import technicalAnalysisService from '../technicalAnalysisService.js';
+
+/**
+ * EMA crossover - the fast EMA crossed the slow EMA within the last few bars.
+ * Stronger when the slow EMA slopes the same way and price is on the right side of both.
+ */
+export class EmaCrossoverStrategy extends Strategy {
+  constructor(options = {}) {
+    super('ema_crossover', options);
+    this.params = { timeframe: '15min', fast: 9, slow: 21, lookback: 3, ...this.params };
+    // Twice the slow period so the EMA has settled from its seed
+    this.requiredHistory = { [this.params.timeframe]: this.params.slow * 2 };
+  }
+
+  evaluate(context) {
+    const { timeframe, fast, slow, lookback } = this.params;
+    const bars = this.barsFor(context, timeframe);
+    if (!bars) return null;
+
+    const closes = bars.map(bar => bar.close);
+    const fastSeries = technicalAnalysisService.emaSeries(closes, fast);
+    const slowSeries = technicalAnalysisService.emaSeries(closes, slow);
+    const spread = i => fastSeries[i] - slowSeries[i];
+    const last = closes.length - 1;
+
+    // Newest cross first
+    let crossedAt = null;
+    for (let i = last; i > last - lookback && i > 0; i--) {
+      if ((spread(i - 1) <= 0 && spread(i) > 0) || (spread(i - 1) >= 0 && spread(i) < 0)) {
+        crossedAt = i;
+        break;
+      }
+    }
+    if (crossedAt === null) return null;
+
+    // A cross that has already reversed is no signal
+    const direction = spread(crossedAt) > 0 ? 1 : -1;
+    if (Math.sign(spread(last)) !== direction) return null;
+
+    const sentiment = direction > 0 ? 'bullish' : 'bearish';
+    const barsAgo = last - crossedAt;
+    const reasoning = [`EMA ${fast}/${slow} ${sentiment} crossover on ${timeframe} (${barsAgo === 0 ? 'this bar' : `${barsAgo} bar(s) ago`})`];
+    let strength = 3.5;
+
+    const slowSlope = slowSeries[last] - slowSeries[Math.max(0, last - lookback)];
+    if (Math.sign(slowSlope) === direction) {
+      strength += 0.5;
+      reasoning.push(`EMA ${slow} sloping ${direction > 0 ? 'up' : 'down'}`);
+    }
+    const beyondBoth = direction > 0
+      ? closes[last] > Math.max(fastSeries[last], slowSeries[last])
+      : closes[last] < Math.min(fastSeries[last], slowSeries[last]);
+    if (beyondBoth) {
+      strength += 0.5;
+      reasoning.push(`Price ${direction > 0 ? 'above' : 'below'} both EMAs`);
+    }
+
+    return this.candidate(sentiment, strength, reasoning);
+  }
+}
@@ -0,0 +1,48 @@
+import { Strategy } from './strategy.js';
+import technicalAnalysisService from '../technicalAnalysisService.js';
+
+/**
+ * RSI reversal - RSI comes back out of oversold (bullish) or overbought (bearish).
+ * Stronger the deeper the extreme was and when the bar closes in the new direction.
+ */
+export class RsiReversalStrategy extends Strategy {
+  constructor(options = {}) {
+    super('rsi_reversal', options);
+    this.params = { timeframe: '15min', period: 14, oversold: 30, overbought: 70, ...this.params };
+    // Wilder smoothing needs a few periods to settle
+    this.requiredHistory = { [this.params.timeframe]: this.params.period * 3 };
+  }
+
+  evaluate(context) {
+    const { timeframe, period, oversold, overbought } = this.params;
+    const bars = this.barsFor(context, timeframe);
+    if (!bars) return null;
+
+    const closes = bars.map(bar => bar.close);
+    const current = technicalAnalysisService.calculateRSI(closes, period);
+    const previous = technicalAnalysisService.calculateRSI(closes.slice(0, -1), period);
+    const lastBar = bars[bars.length - 1];
+
+    let sentiment = null;
+    let depth = 0;
+    if (previous < oversold && current >= oversold) {
+      sentiment = 'bullish';
+      depth = oversold - previous;
+    } else if (previous > overbought && current <= overbought) {
+      sentiment = 'bearish';
+      depth = previous - overbought;
+    }
+    if (!sentiment) return null;
+
+    const reasoning = [`RSI(${period}) ${sentiment === 'bullish' ? 'back above oversold' : 'back below overbought'} on ${timeframe}: ${previous.toFixed(1)} → ${current.toFixed(1)}`];
+    let strength = 3.5 + Math.min(1, depth / 10);
+
+    const closedInDirection = sentiment === 'bullish' ? lastBar.close > lastBar.open : lastBar.close < lastBar.open;
+    if (closedInDirection) {
+      strength += 0.5;
+      reasoning.push(`Reversal bar closed ${sentiment === 'bullish' ? 'up' : 'down'}`);
+    }
+
+    return this.candidate(sentiment, strength, reasoning, { rsi: current });
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Strategy - base class for the signal strategies the engine runs per symbol
+ *
+ * A strategy declares how much candle history it needs and turns a context into
+ * a candidate signal (or null when it sees no setup):
+ *
+ *   class MyStrategy extends Strategy {
+ *     constructor(options) {
+ *       super('my_strategy', options);
+ *       this.requiredHistory = { '15min': 50 };   // timeframe -> bars
+ *     }
+ *     evaluate(context) {
+ *       return this.candidate('bullish', 4.2, ['Why it fired']);
+ *     }
+ *   }
+ *
+ * Context: { symbol, assetClass ('stocks' | 'crypto'), now, currentPrice,
+ *            priceChangePercent, bars: { timeframe: [bars] }, analyses: { timeframe: technical analysis } }
+ * Candidate: { strategy, sentiment, strength (0-5), reasoning: [], ...extra }
+ */
+
+export const SENTIMENTS = ['bullish', 'bearish', 'neutral'];
+
+export class Strategy {
+  /**
+   * @param {string} type - Built-in strategy type (registry name)
+   * @param {Object} options
+   * @param {string} options.name - Unique name (defaults to the type), used for attribution
+   * @param {boolean} options.enabled - Run this strategy
+   * @param {number} options.weight - Vote weight when candidates are combined
+   * @param {Array<string>} options.symbols - Only these symbols (empty: all)
+   * @param {Array<string>} options.excludeSymbols - Never these symbols
+   * @param {Array<string>} options.assetClasses - Only these asset classes (stocks, crypto; empty: all)
+   * @param {Object} options.params - Strategy specific parameters
+   */
+  constructor(type, options = {}) {
+    this.type = type;
+    this.name = options.name || type;
+    this.enabled = options.enabled !== false;
+    this.weight = typeof options.weight === 'number' ? options.weight : 1;
+    this.symbols = (options.symbols || []).map(symbol => symbol.toUpperCase());
+    this.excludeSymbols = (options.excludeSymbols || []).map(symbol => symbol.toUpperCase());
+    this.assetClasses = options.assetClasses || [];
+    this.params = options.params || {};
+    this.requiredHistory = {};
+  }
+
+  /**
+   * Symbol / asset class filters from the strategy config
+   */
+  appliesTo(symbol, assetClass = null) {
+    const upper = symbol.toUpperCase();
+    if (this.symbols.length > 0 && !this.symbols.includes(upper)) return false;
+    if (this.excludeSymbols.includes(upper)) return false;
+    if (this.assetClasses.length > 0 && assetClass && !this.assetClasses.includes(assetClass)) return false;
+    return true;
+  }
+
+  /**
+   * @returns {Object|null} Candidate signal, or null when there is no setup
+   */
+  evaluate(context) {
+    throw new Error(`${this.constructor.name} must implement evaluate()`);
+  }
+
+  candidate(sentiment, strength, reasoning = [], extra = {}) {
+    return {
+      ...extra,
+      strategy: this.name,
+      sentiment,
+      strength: Math.max(0, Math.min(5, strength)),
+      reasoning
+    };
+  }
+
+  /**
+   * Bars for a timeframe when there are at least as many as requiredHistory asks for
+   */
+  barsFor(context, timeframe) {
+    const bars = context.bars?.[timeframe] || [];
+    return bars.length >= (this.requiredHistory[timeframe] || 1) ? bars : null;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      type: this.type,
+      enabled: this.enabled,
+      weight: this.weight,
+      symbols: this.symbols,
+      excludeSymbols: this.excludeSymbols,
+      assetClasses: this.assetClasses,
+      requiredHistory: this.requiredHistory,
+      params: this.params
+    };
+  }
+}
@@ -0,0 +1,291 @@
+/**
+ * STRATEGY ENGINE
+ * ===============
+ *
+ * Runs the configured signal strategies for a symbol and combines their candidates:
+ * ✓ Strategies come from config/strategies/*.json (one file each), not code
+ * ✓ Per-strategy enable flag, symbol / asset class filters, weight and params
+ * ✓ Candidates vote by weight × strength; the winning sentiment takes the
+ *   weighted average strength of the strategies behind it, reduced by the share
+ *   of the vote that went the opposite way
+ * ✓ Every tip names the strategies behind it; signals and resolved results are
+ *   attributed to each of them (strategy_performance/{name})
+ *
+ * Config file (config/strategies/ema_crossover.json):
+ *   { "strategy": "ema_crossover", "enabled": true, "weight": 0.5,
+ *     "symbols": [], "excludeSymbols": [], "assetClasses": ["stocks"],
+ *     "params": { "timeframe": "15min", "fast": 9, "slow": 21 } }
+ * "strategy" defaults to the file name; "name" defaults to "strategy" (give copies
+ * of a type with different params their own name). STRATEGIES_DIR points elsewhere.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import strategyRegistry from './strategyRegistry.js';
+
+export const DEFAULT_STRATEGIES_DIR = fileURLToPath(new URL('../../../config/strategies', import.meta.url));
+
+// Used when the config directory is missing
+export const DEFAULT_STRATEGY_CONFIGS = [
+  { strategy: 'consensus', weight: 1 },
+  { strategy: 'ema_crossover', weight: 0.5 },
+  { strategy: 'rsi_reversal', weight: 0.5 },
+  { strategy: 'breakout', weight: 0.5 },
+  { strategy: 'support_resistance', weight: 0.5 }
+];
+
+/**
+ * Strategy configs from STRATEGIES_DIR (default config/strategies)
+ */
+export function strategyConfigsFromEnv(env = process.env) {
+  return loadStrategyConfigs(env.STRATEGIES_DIR || DEFAULT_STRATEGIES_DIR);
+}
+
+/**
+ * Read every *.json file in a directory (in name order); a file holds one config or an array
+ * @returns {Array<Object>} [{ strategy, name, enabled, weight, symbols, ... }]
+ */
+export function loadStrategyConfigs(directory) {
+  if (!fs.existsSync(directory)) {
+    console.warn(`⚠️ Strategy directory ${directory} not found - using the built-in defaults`);
+    return DEFAULT_STRATEGY_CONFIGS.map(config => ({ ...config }));
+  }
+
+  const configs = [];
+  for (const file of fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort()) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      for (const config of Array.isArray(parsed) ? parsed : [parsed]) {
+        configs.push({ strategy: path.basename(file, '.json'), ...config });
+      }
+    } catch (error) {
+      console.error(`❌ Invalid strategy config ${file}:`, error.message);
+    }
+  }
+  return configs;
+}
+
+export class StrategyEngine {
+  /**
+   * @param {Object} options
+   * @param {Array<Object|Strategy>} options.strategies - Strategy configs ({ strategy, ... }) or instances
+   * @param {StrategyPerformanceRepository} options.performance - Attribution store (strategy_performance)
+   */
+  constructor({ strategies = DEFAULT_STRATEGY_CONFIGS, performance = null } = {}) {
+    this.performanceStore = performance;
+    this.strategies = [];
+    this.performance = new Map(); // name -> attribution counters
+
+    for (const strategy of strategies) {
+      this.addStrategy(strategy);
+    }
+  }
+
+  /**
+   * Add a strategy from a config object or a ready instance; unknown types are skipped
+   */
+  addStrategy(strategyOrConfig) {
+    let strategy = strategyOrConfig;
+    if (typeof strategyOrConfig.evaluate !== 'function') {
+      try {
+        const { strategy: type, ...options } = strategyOrConfig;
+        strategy = strategyRegistry.create(type, options);
+      } catch (error) {
+        console.error('❌ Strategy skipped:', error.message);
+        return null;
+      }
+    }
+
+    if (this.strategies.some(existing => existing.name === strategy.name)) {
+      console.warn(`⚠️ Duplicate strategy name ${strategy.name} - give each one a unique "name"`);
+      return null;
+    }
+
+    this.strategies.push(strategy);
+    console.log(`🧠 Strategy ${strategy.enabled ? 'ready' : 'disabled'}: ${strategy.name} (${strategy.type}, weight ${strategy.weight})`);
+    return strategy;
+  }
+
+  getStrategy(name) {
+    return this.strategies.find(strategy => strategy.name === name) || null;
+  }
+
+  /**
+   * Enabled strategies whose filters match the symbol
+   */
+  getActiveStrategies(symbol, assetClass = null) {
+    return this.strategies.filter(strategy =>
+      strategy.enabled && strategy.weight > 0 && strategy.appliesTo(symbol, assetClass)
+    );
+  }
+
+  /**
+   * Bars the active strategies need per timeframe (largest requirement wins)
+   * @returns {Object} { timeframe: bars }
+   */
+  getRequiredHistory(symbol, assetClass = null) {
+    const required = {};
+    for (const strategy of this.getActiveStrategies(symbol, assetClass)) {
+      for (const [timeframe, bars] of Object.entries(strategy.requiredHistory || {})) {
+        required[timeframe] = Math.max(required[timeframe] || 0, bars);
+      }
+    }
+    return required;
+  }
+
+  /**
+   * Run the active strategies and combine their candidates
+   * @returns {Object|null} { sentiment, strength, reasoning, strategies, primaryStrategy, candidates },
+   *   or null when no strategy produced a candidate
+   */
+  evaluate(context) {
+    const candidates = [];
+
+    for (const strategy of this.getActiveStrategies(context.symbol, context.assetClass)) {
+      try {
+        const candidate = strategy.evaluate(context);
+        if (candidate && ['bullish', 'bearish', 'neutral'].includes(candidate.sentiment)) {
+          candidates.push({ ...candidate, strategy: strategy.name, weight: strategy.weight });
+        }
+      } catch (error) {
+        console.error(`❌ Strategy ${strategy.name} failed for ${context.symbol}:`, error.message);
+      }
+    }
+
+    return candidates.length > 0 ? this.combine(candidates) : null;
+  }
+
+  combine(candidates) {
+    const scores = { bullish: 0, bearish: 0, neutral: 0 };
+    for (const candidate of candidates) {
+      scores[candidate.sentiment] += candidate.weight * candidate.strength;
+    }
+
+    const sentiment = Object.keys(scores).reduce((best, key) => (scores[key] > scores[best] ? key : best), candidates[0].sentiment);
+    const agreeing = candidates.filter(candidate => candidate.sentiment === sentiment);
+    const opposite = sentiment === 'bullish' ? 'bearish' : sentiment === 'bearish' ? 'bullish' : null;
+    const dissenting = opposite ? candidates.filter(candidate => candidate.sentiment === opposite) : [];
+
+    const totalWeight = agreeing.reduce((sum, candidate) => sum + candidate.weight, 0);
+    const average = agreeing.reduce((sum, candidate) => sum + candidate.weight * candidate.strength, 0) / totalWeight;
+    const conflict = opposite ? scores[opposite] / (scores[sentiment] + scores[opposite]) : 0;
+
+    const strategies = agreeing
+      .map(candidate => ({
+        name: candidate.strategy,
+        sentiment: candidate.sentiment,
+        strength: candidate.strength,
+        weight: candidate.weight,
+        share: Math.round((candidate.weight / totalWeight) * 1000) / 1000
+      }))
+      .sort((a, b) => b.weight * b.strength - a.weight * a.strength);
+
+    const reasoning = agreeing.flatMap(candidate => candidate.reasoning || []);
+    if (dissenting.length > 0) {
+      reasoning.push(`⚠️ Conflicting ${opposite} read from ${dissenting.map(candidate => candidate.strategy).join(', ')}`);
+    }
+
+    return {
+      sentiment,
+      strength: average * (1 - conflict),
+      reasoning,
+      strategies,
+      primaryStrategy: strategies[0].name,
+      candidates: candidates.map(({ strategy, sentiment: s, strength }) => ({ strategy, sentiment: s, strength }))
+    };
+  }
+
+  /**
+   * A tip went out: count it for every strategy behind it
+   */
+  recordSignal(tip) {
+    for (const { name } of tip.strategies || []) {
+      this.getPerformance(name).signals++;
+      this.persist(store => store.recordSignal(name));
+    }
+  }
+
+  /**
+   * A tip resolved: its result in R goes to every strategy behind it, and
+   * weighted by each one's share into attributedR
+   */
+  recordOutcome(outcome) {
+    if (typeof outcome.resultR !== 'number') return;
+
+    for (const { name, share = 1 } of outcome.strategies || []) {
+      const performance = this.getPerformance(name);
+      performance.resolved++;
+      performance.wins += outcome.resultR > 0 ? 1 : 0;
+      performance.totalR += outcome.resultR;
+      performance.attributedR += outcome.resultR * share;
+      this.persist(store => store.recordOutcome(name, { resultR: outcome.resultR, share }));
+    }
+  }
+
+  getPerformance(name) {
+    if (!this.performance.has(name)) {
+      this.performance.set(name, { signals: 0, resolved: 0, wins: 0, totalR: 0, attributedR: 0 });
+    }
+    return this.performance.get(name);
+  }
+
+  /**
+   * Reload attribution counters after a restart
+   */
+  async restorePerformance() {
+    if (!this.performanceStore) return 0;
+
+    try {
+      const records = await this.performanceStore.list();
+      for (const record of records) {
+        Object.assign(this.getPerformance(record.name), {
+          signals: record.signals || 0,
+          resolved: record.resolved || 0,
+          wins: record.wins || 0,
+          totalR: record.totalR || 0,
+          attributedR: record.attributedR || 0
+        });
+      }
+      return records.length;
+    } catch (error) {
+      console.error('❌ Failed to restore strategy performance:', error);
+      return 0;
+    }
+  }
+
+  async persist(write) {
+    if (!this.performanceStore) return;
+
+    try {
+      await write(this.performanceStore);
+    } catch (error) {
+      console.error('❌ Failed to persist strategy performance:', error);
+    }
+  }
+
+  /**
+   * Configuration and attribution per strategy (webhook sources included)
+   * @returns {Array<Object>}
+   */
+  getStatus() {
+    const names = new Set([...this.strategies.map(strategy => strategy.name), ...this.performance.keys()]);
+
+    return Array.from(names).map(name => {
+      const strategy = this.getStrategy(name);
+      const { signals, resolved, wins, totalR, attributedR } = this.getPerformance(name);
+      return {
+        ...(strategy ? strategy.describe() : { name, type: 'external', enabled: null }),
+        performance: {
+          signals,
+          resolved,
+          wins,
+          winRate: resolved > 0 ? Math.round((wins / resolved) * 1000) / 10 : 0,
+          avgR: resolved > 0 ? Math.round((totalR / resolved) * 100) / 100 : 0,
+          totalR: Math.round(totalR * 100) / 100,
+          attributedR: Math.round(attributedR * 100) / 100
+        }
+      };
+    });
+  }
+}
@@ -0,0 +1,55 @@
+import { ConsensusStrategy } from './consensusStrategy.js';
+import { EmaCrossoverStrategy } from './emaCrossoverStrategy.js';
+import { RsiReversalStrategy } from './rsiReversalStrategy.js';
+import { BreakoutStrategy } from './breakoutStrategy.js';
+import { SupportResistanceStrategy } from './supportResistanceStrategy.js';
+
+/**
+ * Strategy Registry
+ * Maps strategy types to factories so new signal logic plugs in without
+ * touching FerrariTradingSystem:
+ *
+ *   strategyRegistry.register('vwap_reclaim', options => new VwapReclaimStrategy(options));
+ *
+ * then drop { "strategy": "vwap_reclaim", ... } into config/strategies/vwap_reclaim.json.
+ */
+class StrategyRegistry {
+  constructor() {
+    this.factories = new Map();
+  }
+
+  register(type, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Strategy "${type}" needs a factory function`);
+    }
+    this.factories.set(type, factory);
+    return this;
+  }
+
+  has(type) {
+    return this.factories.has(type);
+  }
+
+  list() {
+    return Array.from(this.factories.keys());
+  }
+
+  create(type, options = {}) {
+    const factory = this.factories.get(type);
+    if (!factory) {
+      throw new Error(`Unknown strategy "${type}" (registered: ${this.list().join(', ')})`);
+    }
+    return factory(options);
+  }
+}
+
+const strategyRegistry = new StrategyRegistry();
+strategyRegistry
+  .register('consensus', options => new ConsensusStrategy(options))
+  .register('ema_crossover', options => new EmaCrossoverStrategy(options))
+  .register('rsi_reversal', options => new RsiReversalStrategy(options))
+  .register('breakout', options => new BreakoutStrategy(options))
+  .register('support_resistance', options => new SupportResistanceStrategy(options));
+
+export { StrategyRegistry };
+export default strategyRegistry;
@@ -0,0 +1,69 @@
+import { Strategy } from './strategy.js';
+
+/**
+ * Support / resistance - the latest bar tests a swing-low support and closes up
+ * (bullish), or tests a swing-high resistance and closes down (bearish).
+ * Levels touched more than once count for more.
+ */
+export class SupportResistanceStrategy extends Strategy {
+  constructor(options = {}) {
+    super('support_resistance', options);
+    this.params = { timeframe: '1hour', lookback: 50, pivotBars: 2, tolerancePercent: 0.5, ...this.params };
+    this.requiredHistory = { [this.params.timeframe]: this.params.lookback };
+  }
+
+  evaluate(context) {
+    const { timeframe, lookback, tolerancePercent } = this.params;
+    const bars = this.barsFor(context, timeframe);
+    if (!bars) return null;
+
+    const recent = bars.slice(-lookback);
+    const lastBar = recent[recent.length - 1];
+    const tolerance = tolerancePercent / 100;
+    const { lows, highs } = this.findPivots(recent.slice(0, -1));
+
+    // Support the bar's low tested (closest one), with a close back above it
+    const support = this.closestLevel(lows, lastBar.low, tolerance);
+    if (support !== null && lastBar.close > support && lastBar.close > lastBar.open) {
+      return this.levelCandidate('bullish', support, lows, tolerance);
+    }
+
+    // Resistance the bar's high tested, with a close back below it
+    const resistance = this.closestLevel(highs, lastBar.high, tolerance);
+    if (resistance !== null && lastBar.close < resistance && lastBar.close < lastBar.open) {
+      return this.levelCandidate('bearish', resistance, highs, tolerance);
+    }
+
+    return null;
+  }
+
+  closestLevel(levels, price, tolerance) {
+    const tested = levels.filter(level => Math.abs(price - level) <= level * tolerance);
+    if (tested.length === 0) return null;
+    return tested.reduce((closest, level) => (Math.abs(price - level) < Math.abs(price - closest) ? level : closest));
+  }
+
+  levelCandidate(sentiment, level, pivots, tolerance) {
+    const touches = pivots.filter(pivot => Math.abs(pivot - level) <= level * tolerance).length;
+    const label = sentiment === 'bullish' ? 'support' : 'resistance';
+    return this.candidate(sentiment, 3.5 + Math.min(1, (touches - 1) * 0.5), [
+      `${sentiment === 'bullish' ? 'Bounce off' : 'Rejection at'} ${this.params.timeframe} ${label} $${level.toFixed(2)} (${touches} touch${touches === 1 ? '' : 'es'})`
+    ], { level });
+  }
+
+  /**
+   * Swing highs / lows: bars whose high (low) beats pivotBars bars on each side
+   */
+  findPivots(bars) {
+    const { pivotBars } = this.params;
+    const lows = [];
+    const highs = [];
+
+    for (let i = pivotBars; i < bars.length - pivotBars; i++) {
+      const neighbours = [...bars.slice(i - pivotBars, i), ...bars.slice(i + 1, i + pivotBars + 1)];
+      if (neighbours.every(bar => bar.low > bars[i].low)) lows.push(bars[i].low);
+      if (neighbours.every(bar => bar.high < bars[i].high)) highs.push(bars[i].high);
+    }
+    return { lows, highs };
+  }
+}
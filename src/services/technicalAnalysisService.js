@@ -1,166 +1,437 @@
-import axios from 'axios';
+/**
+ * Technical Analysis Service
+ * Computes RSI, MACD, EMA stacks, Bollinger Bands, Stochastic, ADX and ATR
+ * deterministically from OHLCV bars and scores them into a sentiment/strength
+ * reading per timeframe.
+ *
+ * Bars come from (in order of preference):
+ *   1. `source.bars`            - pre-built candles (live CandleAggregator bars)
+ *   2. `source.ticks`           - raw ticks resampled into candles
+ *   3. `source.fetchHistorical` - REST backfill (e.g. fetchHistoricalOHLCV)
+ */
+
+// Candle duration for each supported timeframe
+const TIMEFRAME_MS = {
+  '1min': 60 * 1000,
+  '5min': 5 * 60 * 1000,
+  '15min': 15 * 60 * 1000,
+  '1hour': 60 * 60 * 1000,
+  '1h': 60 * 60 * 1000
+};
+
+// MACD (26 + 9) is the longest lookback we need for a full reading
+const MIN_BARS = 35;
+const HISTORY_LIMIT = 100;
 
 class TechnicalAnalysisService {
-  constructor() {
-    this.taApiKey = process.env.TAAPI_API_KEY || 'demo';
-    this.baseUrl = 'https://api.taapi.io';
-    this.analysisCache = new Map(); // Cache recent analyses
+  /**
+   * @param {Object} options
+   * @param {Function} options.now - Clock used for cache expiry (simulated in backtests)
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
+    this.minBars = MIN_BARS;
+    this.historyCache = new Map(); // Cache REST backfills per symbol/timeframe
   }
 
-  async getTechnicalAnalysis(symbol, timeframe = '1h') {
+  /**
+   * Get technical analysis for a symbol on a single timeframe.
+   * @param {string} symbol - Symbol (e.g., AAPL, BTC/USD)
+   * @param {string} timeframe - '1min', '5min', '15min', '1hour'
+   * @param {Object} source - { bars, ticks, fetchHistorical(timeframe, limit) }
+   * @returns {Promise<Object|null>} Analysis, or null when there are not enough bars
+   */
+  async getTechnicalAnalysis(symbol, timeframe = '1h', source = {}) {
     try {
-      // For production, this would call real TAAPI.io or other TA service
-      // For now, using enhanced realistic simulation
-      return this.getEnhancedAnalysis(symbol, timeframe);
+      const bars = await this.getBars(symbol, timeframe, source);
+
+      if (bars.length < this.minBars) {
+        console.warn(`⚠️ Not enough ${timeframe} bars for ${symbol} technical analysis (${bars.length}/${this.minBars})`);
+        return null;
+      }
+
+      return this.analyzeBars(symbol, timeframe, bars);
     } catch (error) {
       console.error(`Error in getTechnicalAnalysis for ${symbol}:`, error);
-      return this.getEnhancedAnalysis(symbol, timeframe);
+      return null;
     }
   }
 
-  async performComprehensiveAnalysis(symbol, timeframe = '1h') {
-    try {
-      return this.getEnhancedAnalysis(symbol, timeframe);
-    } catch (error) {
-      console.error(`Error in performComprehensiveAnalysis for ${symbol}:`, error);
-      return this.getEnhancedAnalysis(symbol, timeframe);
-    }
-  }
-
-  getEnhancedAnalysis(symbol, timeframe = '1h') {
-    // Enhanced analysis that considers symbol characteristics and market patterns
-    const symbolType = this.getSymbolType(symbol);
-    const timeframeWeight = this.getTimeframeWeight(timeframe);
-    
-    // Generate more realistic strength based on symbol characteristics
-    let baseStrength = 3.5; // Start with neutral
-    
-    // Crypto typically more volatile
-    if (symbolType === 'crypto') {
-      baseStrength += (Math.random() - 0.4) * 1.5; // More volatile range
-    } else if (symbolType === 'megacap') {
-      baseStrength += (Math.random() - 0.5) * 0.8; // Less volatile
-    } else if (symbolType === 'meme') {
-      baseStrength += (Math.random() - 0.3) * 2.0; // Very volatile
-    } else {
-      baseStrength += (Math.random() - 0.5) * 1.2; // Standard volatility
-    }
-    
-    // Apply timeframe influence
-    baseStrength *= timeframeWeight;
-    
-    // Ensure within valid range
-    const finalStrength = Math.max(2.0, Math.min(5.0, baseStrength));
-    
-    // Determine sentiment based on strength and randomness
-    const sentimentThreshold = 3.8;
-    let sentiment;
-    if (finalStrength > sentimentThreshold + 0.3) {
-      sentiment = Math.random() > 0.2 ? 'bullish' : 'bearish'; // 80% bullish for high strength
-    } else if (finalStrength < sentimentThreshold - 0.3) {
-      sentiment = Math.random() > 0.2 ? 'bearish' : 'bullish'; // 80% bearish for low strength
-    } else {
-      sentiment = Math.random() > 0.5 ? 'bullish' : 'bearish'; // 50/50 for neutral
-    }
-    
-    // Generate realistic RSI
-    const rsi = this.generateRealisticRSI(sentiment, finalStrength);
-    
-    // Generate realistic MACD
-    const macd = this.generateRealisticMACD(sentiment, finalStrength);
-    
+  async performComprehensiveAnalysis(symbol, timeframe = '1h', source = {}) {
+    return this.getTechnicalAnalysis(symbol, timeframe, source);
+  }
+
+  /**
+   * Resolve candles for a symbol/timeframe from the given source
+   */
+  async getBars(symbol, timeframe, source = {}) {
+    const { bars, ticks, fetchHistorical } = source;
+
+    if (Array.isArray(bars) && bars.length >= this.minBars) {
+      return bars;
+    }
+
+    const intervalMs = TIMEFRAME_MS[timeframe] || TIMEFRAME_MS['1h'];
+
+    if (Array.isArray(ticks) && ticks.length > 0) {
+      const resampled = this.resampleTicks(ticks, intervalMs);
+      if (resampled.length >= this.minBars) {
+        return resampled;
+      }
+    }
+
+    if (typeof fetchHistorical !== 'function') {
+      return Array.isArray(bars) ? bars : [];
+    }
+
+    // REST backfill, cached for one candle period
+    const cacheKey = `${symbol}_${timeframe}`;
+    const cached = this.historyCache.get(cacheKey);
+    if (cached && this.now() - cached.timestamp < intervalMs) {
+      return cached.bars;
+    }
+
+    const fetched = await fetchHistorical(timeframe, HISTORY_LIMIT);
+    const historicalBars = Array.isArray(fetched) ? fetched : [];
+    if (historicalBars.length > 0) {
+      this.historyCache.set(cacheKey, { bars: historicalBars, timestamp: this.now() });
+    }
+    return historicalBars;
+  }
+
+  /**
+   * Aggregate raw ticks ({price, timestamp, volume}) into OHLCV candles
+   */
+  resampleTicks(ticks, intervalMs) {
+    const candles = [];
+    let current = null;
+
+    const sorted = [...ticks]
+      .filter(t => typeof t.price === 'number' && isFinite(t.price) && t.timestamp)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const tick of sorted) {
+      const bucket = Math.floor(tick.timestamp / intervalMs) * intervalMs;
+
+      if (!current || current.timestamp !== bucket) {
+        current = {
+          timestamp: bucket,
+          open: tick.price,
+          high: tick.price,
+          low: tick.price,
+          close: tick.price,
+          volume: 0
+        };
+        candles.push(current);
+      }
+
+      current.high = Math.max(current.high, tick.price);
+      current.low = Math.min(current.low, tick.price);
+      current.close = tick.price;
+      current.volume += tick.volume || 0;
+    }
+
+    return candles;
+  }
+
+  /**
+   * Compute every indicator for a set of bars and score them.
+   * Pure and deterministic - the same bars always give the same result.
+   */
+  analyzeBars(symbol, timeframe, bars) {
+    const closes = bars.map(b => b.close);
+    const currentPrice = closes[closes.length - 1];
+
+    const rsi = this.calculateRSI(closes, 14);
+    const macd = this.calculateMACD(closes, 12, 26, 9);
+    const ema = {
+      ema9: this.calculateEMA(closes, 9),
+      ema21: this.calculateEMA(closes, 21),
+      ema50: closes.length >= 50 ? this.calculateEMA(closes, 50) : null
+    };
+    const bollinger = this.calculateBollingerBands(closes, 20, 2);
+    const stochastic = this.calculateStochastic(bars, 14, 3);
+    const adx = this.calculateADX(bars, 14);
+    const atr = this.calculateATR(bars, 14);
+
+    const scoring = this.scoreIndicators({ currentPrice, rsi, macd, ema, bollinger, stochastic, adx });
+
     return {
       symbol,
       timeframe,
       indicators: {
         rsi: { value: rsi },
-        macd: macd
+        macd: {
+          valueMACD: macd.macd,
+          valueMACDSignal: macd.signal,
+          valueMACDHist: macd.histogram
+        },
+        ema,
+        bollinger,
+        stochastic,
+        adx,
+        atr: { value: atr }
       },
       analysis: {
-        sentiment: sentiment,
-        strength: finalStrength,
-        confidence: Math.min(95, finalStrength * 18),
-        tradingAction: sentiment === 'bullish' ? 'buy' : 'sell',
-        reasoning: [
-          `Enhanced ${timeframe} analysis for ${symbol}`,
-          `${sentiment.toUpperCase()} signal with ${finalStrength.toFixed(1)} strength`,
-          `RSI: ${rsi.toFixed(1)} (${rsi > 70 ? 'Overbought' : rsi < 30 ? 'Oversold' : 'Neutral'})`,
-          `MACD: ${macd.valueMACD > macd.valueMACDSignal ? 'Bullish' : 'Bearish'} crossover`,
-          `Symbol type: ${symbolType}, Timeframe weight: ${timeframeWeight.toFixed(2)}`
-        ]
+        sentiment: scoring.sentiment,
+        strength: scoring.strength,
+        confidence: scoring.confidence,
+        score: scoring.score,
+        tradingAction: scoring.sentiment === 'bullish' ? 'buy' : scoring.sentiment === 'bearish' ? 'sell' : 'hold',
+        reasoning: scoring.reasoning
       },
-      currentPrice: null, // Will be set by Ferrari from real price data
-      timestamp: new Date().toISOString(),
-      quality: 'enhanced_simulation'
+      currentPrice,
+      barCount: bars.length,
+      timestamp: new Date(bars[bars.length - 1].timestamp || Date.now()).toISOString(),
+      quality: 'computed'
     };
   }
 
-  getSymbolType(symbol) {
-    // Classify symbols for more realistic analysis
-    const megaCaps = ['AAPL', 'MSFT', 'GOOGL', 'AMZN', 'NVDA', 'META', 'TSLA'];
-    const memeStocks = ['GME', 'AMC', 'BB', 'WISH', 'CLOV', 'SPCE'];
-    const etfs = ['SPY', 'QQQ', 'IWM', 'VTI', 'ARKK', 'XLK', 'XLF', 'XLE'];
-    
-    if (symbol.includes('/')) return 'crypto';
-    if (megaCaps.includes(symbol)) return 'megacap';
-    if (memeStocks.includes(symbol)) return 'meme';
-    if (etfs.includes(symbol)) return 'etf';
-    return 'standard';
-  }
-
-  getTimeframeWeight(timeframe) {
-    // Different timeframes have different signal reliability
-    const weights = {
-      '1min': 0.8,   // Less reliable, more noise
-      '5min': 0.9,   // Better but still short-term
-      '15min': 1.0,  // Balanced
-      '1hour': 1.1,  // More reliable
-      '1h': 1.1      // Same as 1hour
+  /**
+   * Combine indicator votes into a net score in [-1, 1].
+   * Trend indicators (EMA stack, MACD, ADX/DI) carry the most weight,
+   * oscillators (RSI, Stochastic, Bollinger %B) confirm or flag exhaustion.
+   */
+  scoreIndicators({ currentPrice, rsi, macd, ema, bollinger, stochastic, adx }) {
+    const votes = [];
+    const reasoning = [];
+
+    // EMA stack
+    const { ema9, ema21, ema50 } = ema;
+    const bullishStack = currentPrice > ema9 && ema9 > ema21 && (ema50 === null || ema21 > ema50);
+    const bearishStack = currentPrice < ema9 && ema9 < ema21 && (ema50 === null || ema21 < ema50);
+    votes.push({ weight: 1.5, vote: bullishStack ? 1 : bearishStack ? -1 : 0 });
+    reasoning.push(`EMA stack ${ema50 === null ? '9/21' : '9/21/50'}: ${bullishStack ? 'Bullish' : bearishStack ? 'Bearish' : 'Mixed'}`);
+
+    // MACD
+    const macdVote = macd.histogram > 0 ? 1 : macd.histogram < 0 ? -1 : 0;
+    votes.push({ weight: 1.0, vote: macdVote });
+    reasoning.push(`MACD: ${macdVote > 0 ? 'Bullish' : macdVote < 0 ? 'Bearish' : 'Flat'} (hist ${macd.histogram.toFixed(4)})`);
+
+    // RSI - momentum between 30-70, mean reversion beyond
+    let rsiVote = 0;
+    if (rsi > 70) rsiVote = -0.5;
+    else if (rsi < 30) rsiVote = 0.5;
+    else if (rsi > 55) rsiVote = 1;
+    else if (rsi < 45) rsiVote = -1;
+    votes.push({ weight: 1.0, vote: rsiVote });
+    reasoning.push(`RSI: ${rsi.toFixed(1)} (${rsi > 70 ? 'Overbought' : rsi < 30 ? 'Oversold' : 'Neutral'})`);
+
+    // Stochastic
+    let stochVote = 0;
+    if (stochastic.k > 80) stochVote = -0.5;
+    else if (stochastic.k < 20) stochVote = 0.5;
+    else if (stochastic.k > stochastic.d) stochVote = 1;
+    else if (stochastic.k < stochastic.d) stochVote = -1;
+    votes.push({ weight: 0.5, vote: stochVote });
+    reasoning.push(`Stochastic: %K ${stochastic.k.toFixed(1)} / %D ${stochastic.d.toFixed(1)}`);
+
+    // Bollinger %B
+    let bollingerVote = 0;
+    if (bollinger.percentB > 1) bollingerVote = -0.5;
+    else if (bollinger.percentB < 0) bollingerVote = 0.5;
+    else bollingerVote = (bollinger.percentB - 0.5) * 2;
+    votes.push({ weight: 0.5, vote: bollingerVote });
+    reasoning.push(`Bollinger %B: ${bollinger.percentB.toFixed(2)} (bandwidth ${(bollinger.bandwidth * 100).toFixed(2)}%)`);
+
+    // ADX directional movement
+    const diVote = adx.plusDI > adx.minusDI ? 1 : adx.plusDI < adx.minusDI ? -1 : 0;
+    votes.push({ weight: 1.0, vote: diVote });
+    reasoning.push(`ADX: ${adx.adx.toFixed(1)} (${adx.adx >= 25 ? 'Trending' : 'Ranging'}, ${diVote > 0 ? '+DI > -DI' : diVote < 0 ? '-DI > +DI' : 'DI flat'})`);
+
+    const totalWeight = votes.reduce((sum, v) => sum + v.weight, 0);
+    const score = votes.reduce((sum, v) => sum + v.weight * v.vote, 0) / totalWeight;
+
+    let sentiment = 'neutral';
+    if (score > 0.15) sentiment = 'bullish';
+    else if (score < -0.15) sentiment = 'bearish';
+
+    // ADX scales conviction: strong trends amplify, ranges dampen
+    const trendFactor = Math.max(0.6, Math.min(1.2, adx.adx / 25));
+    const strength = Math.max(0, Math.min(5, 2.5 + 2.5 * Math.abs(score) * trendFactor));
+
+    // Confidence = weighted share of indicators agreeing with the net direction
+    const direction = Math.sign(score);
+    const agreeingWeight = votes
+      .filter(v => direction !== 0 && Math.sign(v.vote) === direction)
+      .reduce((sum, v) => sum + v.weight, 0);
+    const confidence = Math.min(95, Math.round((agreeingWeight / totalWeight) * 100));
+
+    reasoning.unshift(`${sentiment.toUpperCase()} signal with ${strength.toFixed(1)} strength`);
+
+    return { score, sentiment, strength, confidence, reasoning };
+  }
+
+  // Indicator calculations
+
+  emaSeries(values, periods) {
+    if (values.length === 0) return [];
+    const multiplier = 2 / (periods + 1);
+    const series = [values[0]];
+    for (let i = 1; i < values.length; i++) {
+      series.push(values[i] * multiplier + series[i - 1] * (1 - multiplier));
+    }
+    return series;
+  }
+
+  calculateEMA(values, periods) {
+    const series = this.emaSeries(values, periods);
+    return series.length > 0 ? series[series.length - 1] : 0;
+  }
+
+  /**
+   * Wilder's RSI
+   */
+  calculateRSI(closes, periods = 14) {
+    if (closes.length < periods + 1) return 50;
+
+    let avgGain = 0;
+    let avgLoss = 0;
+    for (let i = 1; i <= periods; i++) {
+      const change = closes[i] - closes[i - 1];
+      if (change > 0) avgGain += change;
+      else avgLoss -= change;
+    }
+    avgGain /= periods;
+    avgLoss /= periods;
+
+    for (let i = periods + 1; i < closes.length; i++) {
+      const change = closes[i] - closes[i - 1];
+      avgGain = (avgGain * (periods - 1) + Math.max(change, 0)) / periods;
+      avgLoss = (avgLoss * (periods - 1) + Math.max(-change, 0)) / periods;
+    }
+
+    if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+    const rs = avgGain / avgLoss;
+    return 100 - (100 / (1 + rs));
+  }
+
+  calculateMACD(closes, fast = 12, slow = 26, signalPeriods = 9) {
+    if (closes.length < slow) return { macd: 0, signal: 0, histogram: 0 };
+
+    const fastSeries = this.emaSeries(closes, fast);
+    const slowSeries = this.emaSeries(closes, slow);
+    const macdSeries = fastSeries.map((value, i) => value - slowSeries[i]).slice(slow - 1);
+    const signalSeries = this.emaSeries(macdSeries, signalPeriods);
+
+    const macd = macdSeries[macdSeries.length - 1];
+    const signal = signalSeries[signalSeries.length - 1];
+
+    return { macd, signal, histogram: macd - signal };
+  }
+
+  calculateBollingerBands(closes, periods = 20, stdDev = 2) {
+    if (closes.length < periods) {
+      return { upper: 0, middle: 0, lower: 0, bandwidth: 0, percentB: 0.5 };
+    }
+
+    const recent = closes.slice(-periods);
+    const middle = recent.reduce((a, b) => a + b, 0) / periods;
+    const variance = recent.reduce((a, b) => a + Math.pow(b - middle, 2), 0) / periods;
+    const deviation = Math.sqrt(variance);
+
+    const upper = middle + deviation * stdDev;
+    const lower = middle - deviation * stdDev;
+    const current = closes[closes.length - 1];
+
+    return {
+      upper,
+      middle,
+      lower,
+      bandwidth: middle > 0 ? (upper - lower) / middle : 0,
+      percentB: upper > lower ? (current - lower) / (upper - lower) : 0.5
     };
-    return weights[timeframe] || 1.0;
-  }
-
-  generateRealisticRSI(sentiment, strength) {
-    // Generate RSI that aligns with sentiment and strength
-    let baseRSI = 50; // Neutral starting point
-    
-    if (sentiment === 'bullish') {
-      // Bullish signals tend to have higher RSI
-      baseRSI = 55 + (strength - 3.5) * 8; // 55-71 range for bullish
-    } else {
-      // Bearish signals tend to have lower RSI
-      baseRSI = 45 - (strength - 3.5) * 8; // 29-45 range for bearish
-    }
-    
-    // Add some randomness but keep it realistic
-    baseRSI += (Math.random() - 0.5) * 10;
-    
-    return Math.max(15, Math.min(85, baseRSI));
-  }
-
-  generateRealisticMACD(sentiment, strength) {
-    // Generate MACD that aligns with sentiment
-    const magnitude = (strength - 3.5) * 0.5; // Scale based on strength
-    
-    let macdLine, signalLine;
-    
-    if (sentiment === 'bullish') {
-      macdLine = magnitude + Math.random() * 0.3;
-      signalLine = macdLine - (0.1 + Math.random() * 0.2); // Signal below MACD for bullish
-    } else {
-      macdLine = -magnitude - Math.random() * 0.3;
-      signalLine = macdLine + (0.1 + Math.random() * 0.2); // Signal above MACD for bearish
-    }
-    
-    const histogram = macdLine - signalLine;
-    
+  }
+
+  calculateStochastic(bars, periods = 14, smoothing = 3) {
+    if (bars.length < periods + smoothing - 1) return { k: 50, d: 50 };
+
+    const kValues = [];
+    for (let end = bars.length - smoothing; end < bars.length; end++) {
+      const window = bars.slice(end - periods + 1, end + 1);
+      const highest = Math.max(...window.map(b => b.high));
+      const lowest = Math.min(...window.map(b => b.low));
+      const close = bars[end].close;
+      kValues.push(highest > lowest ? ((close - lowest) / (highest - lowest)) * 100 : 50);
+    }
+
     return {
-      valueMACD: parseFloat(macdLine.toFixed(4)),
-      valueMACDSignal: parseFloat(signalLine.toFixed(4)),
-      valueMACDHist: parseFloat(histogram.toFixed(4))
+      k: kValues[kValues.length - 1],
+      d: kValues.reduce((a, b) => a + b, 0) / kValues.length
     };
   }
 
+  trueRange(current, previous) {
+    return Math.max(
+      current.high - current.low,
+      Math.abs(current.high - previous.close),
+      Math.abs(current.low - previous.close)
+    );
+  }
+
+  /**
+   * Wilder's ATR
+   */
+  calculateATR(bars, periods = 14) {
+    if (bars.length < periods + 1) return 0;
+
+    let atr = 0;
+    for (let i = 1; i <= periods; i++) {
+      atr += this.trueRange(bars[i], bars[i - 1]);
+    }
+    atr /= periods;
+
+    for (let i = periods + 1; i < bars.length; i++) {
+      atr = (atr * (periods - 1) + this.trueRange(bars[i], bars[i - 1])) / periods;
+    }
+
+    return atr;
+  }
+
+  /**
+   * Wilder's ADX with +DI / -DI
+   */
+  calculateADX(bars, periods = 14) {
+    if (bars.length < periods * 2 + 1) return { adx: 0, plusDI: 0, minusDI: 0 };
+
+    let trSum = 0;
+    let plusDMSum = 0;
+    let minusDMSum = 0;
+    const dxValues = [];
+
+    for (let i = 1; i < bars.length; i++) {
+      const upMove = bars[i].high - bars[i - 1].high;
+      const downMove = bars[i - 1].low - bars[i].low;
+      const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+      const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+      const tr = this.trueRange(bars[i], bars[i - 1]);
+
+      if (i <= periods) {
+        trSum += tr;
+        plusDMSum += plusDM;
+        minusDMSum += minusDM;
+        if (i < periods) continue;
+      } else {
+        trSum = trSum - trSum / periods + tr;
+        plusDMSum = plusDMSum - plusDMSum / periods + plusDM;
+        minusDMSum = minusDMSum - minusDMSum / periods + minusDM;
+      }
+
+      const plusDI = trSum > 0 ? (plusDMSum / trSum) * 100 : 0;
+      const minusDI = trSum > 0 ? (minusDMSum / trSum) * 100 : 0;
+      const diSum = plusDI + minusDI;
+      dxValues.push({ dx: diSum > 0 ? (Math.abs(plusDI - minusDI) / diSum) * 100 : 0, plusDI, minusDI });
+    }
+
+    let adx = dxValues.slice(0, periods).reduce((sum, v) => sum + v.dx, 0) / periods;
+    for (let i = periods; i < dxValues.length; i++) {
+      adx = (adx * (periods - 1) + dxValues[i].dx) / periods;
+    }
+
+    const latest = dxValues[dxValues.length - 1];
+    return { adx, plusDI: latest.plusDI, minusDI: latest.minusDI };
+  }
+
   calculateRiskReward(currentPrice, direction) {
     if (direction === 'BUY') {
       const takeProfit = currentPrice * 1.025; // 2.5% profit target
@@ -185,4 +456,5 @@ class TechnicalAnalysisService {
   }
 }
 
+export { TechnicalAnalysisService, TIMEFRAME_MS };
 export default new TechnicalAnalysisService();
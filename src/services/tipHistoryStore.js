@@ -0,0 +1,259 @@
+/**
+ * TIP HISTORY STORE
+ * =================
+ *
+ * Append-only history of every delivered tip in trading_tips/{trackingId}:
+ * ✓ One document per tip, created once and never overwritten
+ * ✓ Status transitions from the outcome tracker:
+ *   active -> hit_tp1 -> hit_tp / stopped / expired / closed
+ * ✓ statusHistory keeps every transition with its time
+ * ✓ Queries behind /api/trading-tips (latest, by symbol / timeframe / status, stats)
+ *
+ * latest_tips/{timeframe} stays the "current tip" feed the app listens to;
+ * this collection is the record. Works on any storage backend (src/storage);
+ * the Firestore composite indexes for the queries below are in firestore.indexes.json.
+ */
+
+import { MemoryDocumentStore } from '../storage/memoryStore.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const TIP_STATUSES = ['active', 'hit_tp1', 'hit_tp', 'stopped', 'expired', 'closed'];
+
+// Allowed next statuses; hit_tp / stopped / expired / closed are final
+const TRANSITIONS = {
+  active: ['hit_tp1', 'hit_tp', 'stopped', 'expired', 'closed'],
+  hit_tp1: ['hit_tp', 'stopped', 'expired', 'closed'],
+  hit_tp: [],
+  stopped: [],
+  expired: [],
+  closed: []
+};
+
+export class TipHistoryStore {
+  /**
+   * @param {Object} options
+   * @param {DocumentStore} options.store - Storage backend (default: in-memory)
+   * @param {Function} options.now - Clock (simulated in backtests)
+   * @param {string} options.collection - Collection name (default trading_tips)
+   */
+  constructor({ store = new MemoryDocumentStore(), now = () => Date.now(), collection = 'trading_tips' } = {}) {
+    this.store = store;
+    this.now = now;
+    this.collection = collection;
+  }
+
+  get backend() {
+    return this.store.backend;
+  }
+
+  /**
+   * Append a newly delivered tip as 'active'
+   * @returns {Promise<boolean>} false when the tip is invalid, already recorded or the write failed
+   */
+  async record(tip) {
+    if (!tip || !tip.trackingId) {
+      console.warn('⚠️ Tip history: tip without trackingId not recorded');
+      return false;
+    }
+
+    const at = new Date(this.now());
+    const document = {
+      ...tip,
+      symbol: tip.symbol ? tip.symbol.toUpperCase() : null,
+      createdAt: this.toDate(tip.createdAt) || at,
+      expiresAt: this.toDate(tip.expiresAt),
+      status: 'active',
+      statusHistory: [{ status: 'active', at }],
+      outcome: null,
+      isFerrariSignal: true
+    };
+
+    try {
+      // create() fails if the document exists - history is never overwritten
+      await this.store.create(this.collection, tip.trackingId, document);
+      console.log(`📚 Tip history: recorded ${document.symbol} ${tip.trackingId}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Tip history: failed to record ${tip.trackingId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Move a tip to a new status; invalid or repeated transitions are ignored
+   * @param {string} trackingId
+   * @param {string} status - One of TIP_STATUSES
+   * @param {Object} details - Extra fields stored on the tip (outcome, resultR, exitPrice...)
+   * @returns {Promise<boolean>} true when the transition was applied
+   */
+  async updateStatus(trackingId, status, details = {}) {
+    if (!TIP_STATUSES.includes(status)) {
+      console.warn(`⚠️ Tip history: unknown status ${status} for ${trackingId}`);
+      return false;
+    }
+
+    const at = new Date(this.now());
+    const apply = current => {
+      if (!current) {
+        console.warn(`⚠️ Tip history: ${trackingId} not found, status ${status} dropped`);
+        return null;
+      }
+      if (!TRANSITIONS[current.status].includes(status)) {
+        console.warn(`⚠️ Tip history: ${trackingId} cannot move ${current.status} -> ${status}`);
+        return null;
+      }
+      return {
+        ...details,
+        status,
+        statusHistory: [...(current.statusHistory || []), { status, at }],
+        updatedAt: at
+      };
+    };
+
+    try {
+      const update = await this.store.update(this.collection, trackingId, apply);
+      if (!update) return false;
+      console.log(`📚 Tip history: ${trackingId} -> ${status}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Tip history: failed to update ${trackingId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * TP1 reached; the tip stays open for TP2
+   */
+  recordTp1(record) {
+    return this.updateStatus(record.trackingId, 'hit_tp1', { tp1HitAt: this.toDate(record.tp1HitAt) });
+  }
+
+  /**
+   * Final status from a resolved outcome-tracker record
+   */
+  recordOutcome(record) {
+    return this.updateStatus(record.trackingId, this.statusForOutcome(record), {
+      outcome: record.status,
+      resultR: record.resultR,
+      exitPrice: record.exitPrice,
+      closeReason: record.closeReason || null,
+      mfeR: record.mfeR,
+      maeR: record.maeR,
+      tp1HitAt: this.toDate(record.tp1HitAt),
+      resolvedAt: this.toDate(record.resolvedAt)
+    });
+  }
+
+  /**
+   * Outcome tracker status -> history status.
+   * A 'won' tip that never reached TP2 ran out of time after TP1.
+   */
+  statusForOutcome(record) {
+    switch (record.status) {
+      case 'won':
+        return record.takeProfit2 && record.exitPrice === record.takeProfit2 ? 'hit_tp' : 'expired';
+      case 'partial':
+      case 'lost':
+        return 'stopped';
+      case 'closed':
+        return 'closed';
+      default:
+        return 'expired';
+    }
+  }
+
+  /**
+   * Latest tips, newest first
+   * @param {Object} filters - { symbol, timeframe, status, limit }
+   */
+  async list({ symbol, timeframe, status, limit = 20 } = {}) {
+    const filters = {
+      symbol: symbol ? symbol.toUpperCase() : null,
+      timeframe: timeframe || null,
+      status: status || null
+    };
+    const max = Math.max(1, Math.min(parseInt(limit, 10) || 20, 100));
+
+    const results = await this.store.query(this.collection, {
+      where: Object.entries(filters).filter(([, value]) => value).map(([field, value]) => [field, '==', value]),
+      orderBy: ['createdAt', 'desc'],
+      limit: max
+    });
+    return results.map(({ id, data }) => this.serialize(id, data));
+  }
+
+  async get(trackingId) {
+    const data = await this.store.get(this.collection, trackingId);
+    return data ? this.serialize(trackingId, data) : null;
+  }
+
+  /**
+   * Signal counts, strength and real results over the last `days` days
+   */
+  async getStats({ days = 30 } = {}) {
+    const now = this.now();
+    const since = new Date(now - days * DAY);
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+
+    const results = await this.store.query(this.collection, { where: [['createdAt', '>=', since]] });
+    const tips = results.map(({ data }) => data);
+
+    const byStatus = Object.fromEntries(TIP_STATUSES.map(status => [status, 0]));
+    let totalStrength = 0, strengthCount = 0, resolved = 0, wins = 0, totalR = 0;
+
+    for (const tip of tips) {
+      byStatus[tip.status] = (byStatus[tip.status] || 0) + 1;
+      if (tip.strength) {
+        totalStrength += tip.strength;
+        strengthCount++;
+      }
+      if (typeof tip.resultR === 'number') {
+        resolved++;
+        totalR += tip.resultR;
+        if (tip.resultR > 0) wins++;
+      }
+    }
+
+    const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+    return {
+      totalSignals: tips.length,
+      todaySignals: tips.filter(tip => tip.createdAt >= today).length,
+      avgStrength: strengthCount > 0 ? round(totalStrength / strengthCount) : 0,
+      [`last${days}Days`]: tips.length,
+      byStatus,
+      resolvedSignals: resolved,
+      successRate: resolved > 0 ? round((wins / resolved) * 100, 1) : 0,
+      avgR: resolved > 0 ? round(totalR / resolved) : 0
+    };
+  }
+
+  /**
+   * Stored document -> JSON-friendly tip (Dates as ISO strings)
+   */
+  serialize(id, data) {
+    const iso = value => {
+      const date = this.toDate(value);
+      return date ? date.toISOString() : null;
+    };
+    return {
+      id,
+      ...data,
+      createdAt: iso(data.createdAt),
+      expiresAt: iso(data.expiresAt),
+      updatedAt: iso(data.updatedAt),
+      tp1HitAt: iso(data.tp1HitAt),
+      resolvedAt: iso(data.resolvedAt),
+      statusHistory: (data.statusHistory || []).map(entry => ({ status: entry.status, at: iso(entry.at) }))
+    };
+  }
+
+  toDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    if (typeof value.toDate === 'function') return value.toDate();
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+}
@@ -1,44 +1,99 @@
 /**
  * TRADINGVIEW WEBHOOK SERVICE
  * ===========================
- * 
+ *
  * Processes real-time alerts from TradingView webhooks and converts them
  * into actionable trading tips for the mobile app.
- * 
+ *
  * Features:
- * ✓ TradingView webhook endpoint handling
- * ✓ Custom Pine Script strategy integration
- * ✓ Real-time signal validation
- * ✓ Automatic tip generation and notification
- * ✓ Multi-timeframe alert support
- * ✓ Signal strength filtering
+ * ✓ TradingView webhook endpoint handling (POST /api/webhooks/tradingview-webhook)
+ * ✓ Authentication: HMAC-SHA256 of the raw body in X-Signature, or the shared
+ *   secret in the payload ("secret": "...") since TradingView cannot set headers
+ * ✓ Replay protection: "timestamp" must be recent and "nonce" unused
+ * ✓ Per-IP rate limiting
+ * ✓ Buy / sell alerts go through the same symbol cooldown, market-hours policy,
+ *   scoring, quality gates, portfolio risk, rate limits, persistence and
+ *   notifications as Ferrari signals; rejections say which (422, 500 when the
+ *   tip could not be saved)
+ * ✓ Alert levels must sit on the right side of the price for the direction
+ * ✓ The alert's "strength" is capped by the engine's own technical read, so an
+ *   alert alone cannot push a setup through minimumStrength
+ * ✓ Exit / close alerts close the matching open tip
+ *
+ * Example TradingView alert message:
+ *   { "ticker": "{{ticker}}", "action": "buy", "price": {{close}}, "timeframe": "short_term",
+ *     "strategy": "breakout_strategy", "timestamp": "{{timenow}}", "nonce": "{{ticker}}-{{timenow}}",
+ *     "secret": "<TRADINGVIEW_WEBHOOK_SECRET>" }
+ * Optional: "stopLoss", "takeProfit", "takeProfit2", "strength" (0-5, capped by the technical read),
+ *   "position" (long / short, for exits)
  */
 
-const express = require('express');
-const crypto = require('crypto');
+import express from 'express';
+import crypto from 'crypto';
+import { TIMEFRAMES } from './userProfileService.js';
 
-class TradingViewWebhookService {
-  constructor() {
+export const DEFAULT_WEBHOOK_CONFIG = {
+  secret: null,                      // TRADINGVIEW_WEBHOOK_SECRET - required, alerts are refused without it
+  signatureHeader: 'x-signature',    // sha256=<hex HMAC of the raw body>
+  maxClockSkewMs: 5 * 60 * 1000,     // Alerts older / newer than this are refused
+  rateLimit: {
+    windowMs: 60 * 1000,
+    maxRequests: 30                  // Per IP per window
+  },
+  // ATR multiples for levels the alert does not set; targets at 2.5R so they can pass the R/R gate
+  timeframeMultipliers: {
+    short_term: { stop: 1.5, target: 3.75 },
+    mid_term: { stop: 2.0, target: 5.0 },
+    long_term: { stop: 3.0, target: 7.5 }
+  },
+  atrFallbackPercent: 2,             // ATR when there are not enough candles: 2% of price
+  baseStrength: 2.5                  // Strength cap without an agreeing technical read
+};
+
+/**
+ * Webhook config from the environment
+ */
+export function webhookConfigFromEnv(env = process.env) {
+  return {
+    ...DEFAULT_WEBHOOK_CONFIG,
+    secret: env.TRADINGVIEW_WEBHOOK_SECRET || null,
+    rateLimit: {
+      ...DEFAULT_WEBHOOK_CONFIG.rateLimit,
+      maxRequests: Number(env.TRADINGVIEW_WEBHOOK_RATE_LIMIT) || DEFAULT_WEBHOOK_CONFIG.rateLimit.maxRequests
+    }
+  };
+}
+
+export class TradingViewWebhookService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getEngine - () => FerrariTradingSystem, or null while it starts
+   * @param {Object} options.config - Overrides for DEFAULT_WEBHOOK_CONFIG
+   * @param {Function} options.now - Clock
+   */
+  constructor({ getEngine = () => null, config = {}, now = () => Date.now() } = {}) {
+    this.getEngine = getEngine;
+    this.config = { ...DEFAULT_WEBHOOK_CONFIG, ...config };
+    this.now = now;
+    this.seenNonces = new Map();   // nonce -> expiry
+    this.requestLog = new Map();   // ip -> request times in the current window
     this.router = express.Router();
     this.setupRoutes();
-    this.validStrategies = [
-      'ema_crossover_strategy',
-      'rsi_oversold_strategy', 
-      'breakout_strategy',
-      'momentum_strategy',
-      'support_resistance_strategy'
-    ];
   }
 
   setupRoutes() {
+    // TradingView posts text/plain when the alert message is not strict JSON
+    this.router.use(express.text({ type: 'text/*', verify: (req, res, buffer) => { req.rawBody = buffer; } }));
+
     // Main webhook endpoint for TradingView alerts
     this.router.post('/tradingview-webhook', this.handleTradingViewAlert.bind(this));
-    
+
     // Test endpoint for webhook validation
     this.router.get('/webhook-test', (req, res) => {
-      res.json({ 
-        status: 'active', 
-        timestamp: new Date().toISOString(),
+      res.json({
+        status: 'active',
+        configured: !!this.config.secret,
+        timestamp: new Date(this.now()).toISOString(),
         message: 'TradingView webhook service is running'
       });
     });
@@ -46,50 +101,59 @@ class TradingViewWebhookService {
 
   async handleTradingViewAlert(req, res) {
     try {
-      console.log('📨 Received TradingView webhook alert');
-      console.log('Headers:', req.headers);
-      console.log('Body:', req.body);
-      
-      // Validate webhook authenticity (optional security measure)
-      if (!this.validateWebhook(req)) {
-        return res.status(401).json({ error: 'Unauthorized webhook' });
+      const limit = this.checkRateLimit(req.ip);
+      if (!limit.allowed) {
+        res.set('Retry-After', String(Math.ceil(limit.retryAfterMs / 1000)));
+        return res.status(429).json({ status: 'error', message: 'Too many webhook requests' });
+      }
+
+      if (!this.config.secret) {
+        console.warn('⚠️ TradingView webhook received but TRADINGVIEW_WEBHOOK_SECRET is not set - refused');
+        return res.status(503).json({ status: 'error', message: 'Webhook not configured' });
       }
-      
+
       // Parse the alert data
       const alertData = this.parseAlertData(req.body);
-      
+
       if (!alertData) {
-        return res.status(400).json({ error: 'Invalid alert data format' });
+        return res.status(400).json({ status: 'error', message: 'Invalid alert data format' });
       }
-      
+
+      // Authenticate before looking at anything else
+      if (!this.authenticate(req, alertData)) {
+        console.warn(`🚫 TradingView webhook rejected: bad signature or secret from ${req.ip}`);
+        return res.status(401).json({ status: 'error', message: 'Unauthorized webhook' });
+      }
+      delete alertData.secret;
+
+      const replay = this.checkReplay(alertData);
+      if (!replay.valid) {
+        console.warn(`🚫 TradingView webhook rejected: ${replay.error}`);
+        return res.status(replay.status).json({ status: 'error', message: replay.error });
+      }
+
       // Validate alert data
       const validation = this.validateAlertData(alertData);
       if (!validation.isValid) {
-        return res.status(400).json({ error: validation.error });
+        return res.status(400).json({ status: 'error', message: validation.error });
       }
-      
-      // Process the alert and generate trading tip
-      const result = await this.processAlert(alertData);
-      
-      if (result.success) {
-        res.json({ 
-          status: 'success', 
-          message: 'Alert processed successfully',
-          tipId: result.tipId,
-          timestamp: new Date().toISOString()
-        });
-      } else {
-        res.status(500).json({ 
-          status: 'error', 
-          message: result.error 
-        });
+
+      const engine = this.getEngine();
+      if (!engine) {
+        return res.status(503).json({ status: 'error', message: 'Ferrari system is initializing' });
       }
-      
+
+      console.log(`📨 TradingView alert: ${alertData.action.toUpperCase()} ${alertData.ticker} @ ${alertData.price} (${alertData.strategy || 'no strategy'})`);
+
+      // Process the alert and generate / close trading tips
+      const result = await this.processAlert(engine, alertData);
+      res.status(result.httpStatus).json({ ...result.body, timestamp: new Date(this.now()).toISOString() });
+
     } catch (error) {
       console.error('❌ Error processing TradingView webhook:', error);
-      res.status(500).json({ 
-        status: 'error', 
-        message: 'Internal server error' 
+      res.status(500).json({
+        status: 'error',
+        message: 'Internal server error'
       });
     }
   }
@@ -97,36 +161,122 @@ class TradingViewWebhookService {
   parseAlertData(body) {
     try {
       // TradingView sends JSON in the body
-      if (typeof body === 'string') {
-        return JSON.parse(body);
-      }
-      return body;
+      const data = typeof body === 'string' ? JSON.parse(body) : body;
+      return data && typeof data === 'object' && !Array.isArray(data) ? { ...data } : null;
     } catch (error) {
-      console.error('❌ Failed to parse alert data:', error);
+      console.error('❌ Failed to parse alert data:', error.message);
       return null;
     }
   }
 
+  /**
+   * HMAC signature of the raw body, or the shared secret inside the payload
+   */
+  authenticate(req, alertData) {
+    const signature = req.get?.(this.config.signatureHeader) || req.headers?.[this.config.signatureHeader];
+    if (signature) {
+      const rawBody = req.rawBody || Buffer.from(typeof req.body === 'string' ? req.body : JSON.stringify(req.body));
+      const expected = crypto.createHmac('sha256', this.config.secret).update(rawBody).digest('hex');
+      return this.safeEqual(signature.replace(/^sha256=/, ''), expected);
+    }
+
+    return typeof alertData.secret === 'string' && this.safeEqual(alertData.secret, this.config.secret);
+  }
+
+  safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+
+  /**
+   * Recent timestamp and a nonce that has not been seen inside the window
+   */
+  checkReplay(alertData) {
+    const now = this.now();
+    const sentAt = this.parseTimestamp(alertData.timestamp);
+
+    if (sentAt === null) {
+      return { valid: false, status: 400, error: 'Missing or invalid timestamp' };
+    }
+    if (Math.abs(now - sentAt) > this.config.maxClockSkewMs) {
+      return { valid: false, status: 401, error: 'Alert timestamp outside the allowed window' };
+    }
+    if (!alertData.nonce) {
+      return { valid: false, status: 400, error: 'Missing nonce' };
+    }
+
+    for (const [nonce, expiresAt] of this.seenNonces) {
+      if (expiresAt <= now) this.seenNonces.delete(nonce);
+    }
+
+    const nonce = String(alertData.nonce);
+    if (this.seenNonces.has(nonce)) {
+      return { valid: false, status: 409, error: 'Duplicate alert (nonce already used)' };
+    }
+
+    // Anything older than the skew window is refused anyway, so nonces only need to live that long
+    this.seenNonces.set(nonce, now + 2 * this.config.maxClockSkewMs);
+    return { valid: true };
+  }
+
+  /**
+   * ISO string, epoch ms or epoch seconds
+   */
+  parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const numeric = Number(value);
+    if (isFinite(numeric)) return numeric < 1e12 ? numeric * 1000 : numeric;
+    const parsed = new Date(value).getTime();
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * Sliding window per IP
+   */
+  checkRateLimit(ip = 'unknown') {
+    const { windowMs, maxRequests } = this.config.rateLimit;
+    const now = this.now();
+    const recent = (this.requestLog.get(ip) || []).filter(time => now - time < windowMs);
+
+    if (recent.length >= maxRequests) {
+      this.requestLog.set(ip, recent);
+      console.warn(`🚦 TradingView webhook rate limit hit for ${ip}`);
+      return { allowed: false, retryAfterMs: windowMs - (now - recent[0]) };
+    }
+
+    recent.push(now);
+    this.requestLog.set(ip, recent);
+
+    // Forget idle IPs so the map does not grow forever
+    if (this.requestLog.size > 1000) {
+      for (const [address, times] of this.requestLog) {
+        if (times.every(time => now - time >= windowMs)) this.requestLog.delete(address);
+      }
+    }
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
   validateAlertData(data) {
     const required = ['ticker', 'action', 'price'];
     const missing = required.filter(field => !data[field]);
-    
+
     if (missing.length > 0) {
       return {
         isValid: false,
         error: `Missing required fields: ${missing.join(', ')}`
       };
     }
-    
+
     // Validate action
     const validActions = ['buy', 'sell', 'exit', 'close'];
-    if (!validActions.includes(data.action.toLowerCase())) {
+    if (!validActions.includes(String(data.action).toLowerCase())) {
       return {
         isValid: false,
         error: `Invalid action: ${data.action}. Must be one of: ${validActions.join(', ')}`
       };
     }
-    
+
     // Validate price
     if (isNaN(parseFloat(data.price)) || parseFloat(data.price) <= 0) {
       return {
@@ -134,207 +284,161 @@ class TradingViewWebhookService {
         error: 'Invalid price value'
       };
     }
-    
+
+    if (data.timeframe && !TIMEFRAMES.includes(data.timeframe)) {
+      return {
+        isValid: false,
+        error: `Invalid timeframe: ${data.timeframe}. Must be one of: ${TIMEFRAMES.join(', ')}`
+      };
+    }
+
+    // Levels set by the alert: stop behind the entry, targets ahead of it
+    const action = String(data.action).toLowerCase();
+    if (action === 'buy' || action === 'sell') {
+      const direction = action === 'sell' ? -1 : 1;
+      const entry = parseFloat(data.price);
+      const sides = { stopLoss: -1, takeProfit: 1, takeProfit2: 1 };
+      for (const [field, side] of Object.entries(sides)) {
+        if (data[field] === undefined || data[field] === null || data[field] === '') continue;
+        const value = parseFloat(data[field]);
+        if (!isFinite(value) || value <= 0 || direction * side * (value - entry) <= 0) {
+          return {
+            isValid: false,
+            error: `Invalid ${field} for a ${action}: ${data[field]} must be ${direction * side > 0 ? 'above' : 'below'} the price ${entry}`
+          };
+        }
+      }
+    }
+
     return { isValid: true };
   }
 
-  validateWebhook(req) {
-    // Optional: Implement webhook signature validation
-    // You can add a secret key validation here for security
-    const userAgent = req.headers['user-agent'];
-    
-    // TradingView webhooks come from specific user agents
-    if (userAgent && userAgent.includes('TradingView')) {
-      return true;
+  /**
+   * @returns {Promise<{ httpStatus: number, body: Object }>}
+   */
+  async processAlert(engine, alertData) {
+    const symbol = String(alertData.ticker).toUpperCase();
+    const action = String(alertData.action).toLowerCase();
+    const price = parseFloat(alertData.price);
+
+    if (action === 'exit' || action === 'close') {
+      const direction = ['long', 'short'].includes(alertData.position) ? alertData.position : null;
+      const closed = engine.closeOpenTips(symbol, price, { direction, reason: `tradingview_${action}` });
+
+      if (closed.length === 0) {
+        console.log(`ℹ️ TradingView ${action} for ${symbol}: no open tip to close`);
+        return { httpStatus: 200, body: { status: 'ignored', message: `No open tip for ${symbol}`, closed: [] } };
+      }
+
+      console.log(`✅ TradingView ${action} closed ${closed.length} tip(s) for ${symbol}`);
+      return {
+        httpStatus: 200,
+        body: {
+          status: 'success',
+          message: `Closed ${closed.length} tip(s)`,
+          closed: closed.map(record => ({ trackingId: record.trackingId, resultR: record.resultR }))
+        }
+      };
     }
-    
-    // For now, allow all webhooks (you can tighten this in production)
-    return true;
-  }
 
-  async processAlert(alertData) {
+    // Indicators from the engine's candles to confirm (or not) the alert
+    const timeframe = alertData.timeframe || 'short_term';
+    let technicalAnalysis = null;
     try {
-      console.log(`🔄 Processing ${alertData.action.toUpperCase()} alert for ${alertData.ticker}`);
-      
-      // Extract and normalize data
-      const symbol = alertData.ticker.toUpperCase();
-      const action = alertData.action.toLowerCase();
-      const price = parseFloat(alertData.price);
-      const strategy = alertData.strategy || 'tradingview_webhook';
-      const timeframe = alertData.timeframe || 'short_term';
-      
-      // Get additional context from technical analysis
-      const technicalAnalysisService = require('./technicalAnalysisService');
-      const tradingTipsService = require('./tradingTipsServiceOptimized');
-      
-      // Perform quick technical analysis to validate the signal
-      const analysis = await technicalAnalysisService.getTechnicalAnalysis(symbol, timeframe);
-      
-      // Create enhanced trading tip from webhook data
-      const tipData = this.createTipFromWebhook(alertData, analysis);
-      
-      // Validate signal strength
-      if (tipData.strength < 2.0) {
-        console.log(`⚠️ Signal strength too low (${tipData.strength}), skipping tip generation`);
-        return { success: false, error: 'Signal strength below threshold' };
-      }
-      
-      // Save the trading tip
-      const tipId = await tradingTipsService.saveLiveTradingTip(tipData, 'tradingview_webhook');
-      
-      if (tipId) {
-        // Send immediate notification
-        await this.sendWebhookNotification(tipData);
-        
-        console.log(`✅ TradingView webhook processed successfully for ${symbol}`);
-        return { success: true, tipId };
-      } else {
-        return { success: false, error: 'Failed to save trading tip' };
-      }
-      
+      technicalAnalysis = await engine.getTechnicalContext(symbol);
     } catch (error) {
-      console.error('❌ Error processing alert:', error);
-      return { success: false, error: error.message };
+      console.warn(`⚠️ No technical context for ${symbol}:`, error.message);
+    }
+
+    const analysis = this.createAnalysisFromAlert({ ...alertData, timeframe }, technicalAnalysis || {});
+    const result = await engine.submitExternalSignal(analysis);
+
+    if (!result.accepted) {
+      console.log(`❌ TradingView alert for ${symbol} not published: ${result.reason}`);
+      // A failed save is ours to retry, not a verdict on the alert
+      return { httpStatus: result.reason === 'save_failed' ? 500 : 422, body: { status: 'rejected', reason: result.reason } };
     }
+
+    console.log(`✅ TradingView webhook processed successfully for ${symbol}`);
+    return { httpStatus: 200, body: { status: 'success', message: 'Alert processed successfully', tipId: result.tip.trackingId } };
   }
 
-  createTipFromWebhook(alertData, technicalAnalysis) {
-    const symbol = alertData.ticker.toUpperCase();
-    const action = alertData.action.toLowerCase();
+  /**
+   * Alert -> the analysis shape Ferrari's quality gates and createPremiumTip expect
+   */
+  createAnalysisFromAlert(alertData, technicalAnalysis) {
+    const symbol = String(alertData.ticker).toUpperCase();
+    const action = String(alertData.action).toLowerCase();
     const entryPrice = parseFloat(alertData.price);
-    
-    // Calculate trading levels
-    const atr = technicalAnalysis.indicators?.atr?.value || (entryPrice * 0.02);
-    const timeframeMultipliers = {
-      'short_term': { stop: 1.5, target: 2.5 },
-      'mid_term': { stop: 2.0, target: 4.0 },
-      'long_term': { stop: 3.0, target: 6.0 }
-    };
-    
     const timeframe = alertData.timeframe || 'short_term';
-    const multiplier = timeframeMultipliers[timeframe];
-    
-    let stopLoss, takeProfit, sentiment;
-    
-    if (action === 'buy') {
-      sentiment = 'bullish';
-      stopLoss = entryPrice - (atr * multiplier.stop);
-      takeProfit = entryPrice + (atr * multiplier.target);
-    } else if (action === 'sell') {
-      sentiment = 'bearish';
-      stopLoss = entryPrice + (atr * multiplier.stop);
-      takeProfit = entryPrice - (atr * multiplier.target);
-    } else {
-      // Exit signals
-      sentiment = 'neutral';
-      stopLoss = entryPrice;
-      takeProfit = entryPrice;
-    }
-    
+    const sentiment = action === 'sell' ? 'bearish' : 'bullish';
+    const direction = sentiment === 'bullish' ? 1 : -1;
+
+    // Calculate trading levels (alert levels win over ATR multiples)
+    const atr = technicalAnalysis.indicators?.atr?.value || entryPrice * (this.config.atrFallbackPercent / 100);
+    const multiplier = this.config.timeframeMultipliers[timeframe];
+    const level = (value, fallback) => (isFinite(parseFloat(value)) && parseFloat(value) > 0 ? parseFloat(value) : fallback);
+
+    const stopLoss = level(alertData.stopLoss, entryPrice - direction * atr * multiplier.stop);
+    const takeProfit = level(alertData.takeProfit, entryPrice + direction * atr * multiplier.target);
+    const takeProfit2 = alertData.takeProfit2 ? level(alertData.takeProfit2, null) : null;
+
     // Calculate risk-reward ratio
     const risk = Math.abs(entryPrice - stopLoss);
     const reward = Math.abs(takeProfit - entryPrice);
-    const riskRewardRatio = risk > 0 ? reward / risk : 1;
-    
-    // Determine signal strength based on various factors
-    let strength = 2.5; // Base strength for webhook signals
-    
-    // Boost strength based on technical analysis agreement
-    if (technicalAnalysis.analysis) {
-      const techSentiment = technicalAnalysis.analysis.sentiment;
-      if ((sentiment === 'bullish' && techSentiment === 'bullish') ||
-          (sentiment === 'bearish' && techSentiment === 'bearish')) {
-        strength += 1.0; // Agreement bonus
-      }
-      
-      // Use technical analysis strength if available
-      if (technicalAnalysis.analysis.strength > 0) {
-        strength = Math.max(strength, technicalAnalysis.analysis.strength);
-      }
-    }
-    
+    const riskRewardRatio = risk > 0 ? Math.round((reward / risk) * 100) / 100 : 0;
+
+    // Technical strength for scoring: the alert's strength, capped by the engine's own
+    // read (its strength when it agrees with the alert, otherwise baseStrength)
+    const technical = technicalAnalysis.analysis;
+    const agrees = technical?.sentiment === sentiment && technical.strength > 0;
+    const cap = agrees ? Math.max(this.config.baseStrength, Math.min(5, technical.strength)) : this.config.baseStrength;
+    const alertStrength = parseFloat(alertData.strength);
+    const strength = isFinite(alertStrength) ? Math.max(0, Math.min(cap, alertStrength)) : cap;
+
     // Create reasoning
     const reasoning = [
       `🚨 TradingView ${alertData.strategy || 'Strategy'} Alert: ${action.toUpperCase()} signal triggered`,
       `Entry at $${entryPrice.toFixed(2)} based on ${timeframe} analysis`,
       `Risk/Reward: 1:${riskRewardRatio.toFixed(2)} | ATR: ${atr.toFixed(2)}`
     ];
-    
+    if (isFinite(alertStrength) && alertStrength > cap) {
+      reasoning.push(`Alert strength ${alertStrength} capped at ${cap} by the ${agrees ? 'technical read' : 'missing technical confirmation'}`);
+    }
+
     // Add technical analysis reasoning if available
     if (technicalAnalysis.analysis?.reasoning) {
       reasoning.push(...technicalAnalysis.analysis.reasoning.slice(0, 2));
     }
-    
+
     return {
       symbol,
-      timeframe,
       sentiment,
-      entryPrice,
-      stopLoss,
-      takeProfit,
-      riskRewardRatio,
       strength,
-      confidence: Math.min(95, strength * 20), // Convert to percentage
+      levels: { entry: entryPrice, stopLoss, takeProfit1: takeProfit, takeProfit2 },
+      riskRewardRatio,
+      atr,
       reasoning,
-      indicators: technicalAnalysis.indicators || {},
       currentPrice: entryPrice,
-      analysis: {
-        sentiment,
-        strength,
-        confidence: Math.min(95, strength * 20),
-        tradingAction: action,
-        entryPrice,
-        stopLoss,
-        takeProfit,
-        riskRewardRatio,
-        reasoning
-      },
-      timestamp: new Date().toISOString(),
-      
+      indicators: technicalAnalysis.indicators || {},
+      timestamp: new Date(this.now()).toISOString(),
+      source: 'tradingview_webhook',
+      requestedTimeframe: timeframe,
+
+      // Attributed per alert strategy next to the engine's own strategies
+      strategies: [{ name: `tradingview:${alertData.strategy || 'unknown'}`, sentiment, strength, weight: 1, share: 1 }],
+      primaryStrategy: `tradingview:${alertData.strategy || 'unknown'}`,
+
       // Webhook specific metadata
       webhookData: {
-        originalAlert: alertData,
         strategy: alertData.strategy || 'unknown',
-        alertTime: alertData.time || new Date().toISOString(),
-        source: 'tradingview_webhook'
+        alertTime: alertData.time || alertData.timestamp || null,
+        nonce: String(alertData.nonce)
       }
     };
   }
 
-  async sendWebhookNotification(tipData) {
-    try {
-      const notificationService = require('./notificationService');
-      
-      const action = tipData.analysis.tradingAction.toUpperCase();
-      const emoji = action === 'BUY' ? '🟢' : action === 'SELL' ? '🔴' : '⚪';
-      
-      const message = {
-        title: `${emoji} TradingView Alert: ${tipData.symbol}`,
-        body: `${action} signal at $${tipData.entryPrice.toFixed(2)} | Target: $${tipData.takeProfit.toFixed(2)}`,
-        data: {
-          symbol: tipData.symbol,
-          action: tipData.analysis.tradingAction,
-          entryPrice: tipData.entryPrice.toString(),
-          takeProfit: tipData.takeProfit.toString(),
-          stopLoss: tipData.stopLoss.toString(),
-          type: 'tradingview-webhook',
-          strategy: tipData.webhookData.strategy,
-          timestamp: tipData.timestamp,
-          priority: 'high'
-        }
-      };
-      
-      await notificationService.sendToAllUsers(message);
-      console.log(`📱 TradingView webhook notification sent for ${tipData.symbol}`);
-      
-    } catch (error) {
-      console.error('❌ Error sending webhook notification:', error);
-    }
-  }
-
   getRouter() {
     return this.router;
   }
 }
-
-module.exports = new TradingViewWebhookService(); 
\ No newline at end of file
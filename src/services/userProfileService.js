@@ -0,0 +1,174 @@
+/**
+ * USER PROFILE SERVICE
+ * ====================
+ *
+ * Who gets which tip. Profiles live in users/{userId} (written by the app):
+ * ✓ deviceTokens        - FCM registration tokens (one per device)
+ * ✓ assetClasses        - ['stocks', 'crypto'] (empty = all)
+ * ✓ symbols             - only these symbols (empty = all)
+ * ✓ timeframes          - short_term / mid_term / long_term (empty = all)
+ * ✓ minimumStrength     - skip tips weaker than this
+ * ✓ quietHours          - { start: '22:00', end: '07:00', timezone: 'America/New_York' }
+ * ✓ vip                 - VIP tier (higher limits, same as rateLimiting.vipUsers)
+ * ✓ accountSize         - per-user position sizing
+ * ✓ notificationsEnabled - false unsubscribes from every tip
+ */
+
+export const ASSET_CLASSES = ['stocks', 'crypto'];
+export const TIMEFRAMES = ['short_term', 'mid_term', 'long_term'];
+
+export const DEFAULT_USER_PROFILE = {
+  deviceTokens: [],
+  assetClasses: [],
+  symbols: [],
+  timeframes: [],
+  minimumStrength: 0,
+  quietHours: null,
+  vip: false,
+  accountSize: null,
+  notificationsEnabled: true
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export class UserProfileService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.users - UserRepository (src/storage)
+   * @param {Function} options.now - Clock (simulated in backtests)
+   */
+  constructor({ users, now = () => Date.now() }) {
+    this.users = users;
+    this.now = now;
+  }
+
+  async getProfile(userId) {
+    const stored = await this.users.get(userId);
+    return stored ? this.normalize({ ...stored, userId }) : null;
+  }
+
+  /**
+   * Validate and store a profile (partial updates keep the other fields)
+   */
+  async saveProfile(userId, updates) {
+    const current = (await this.getProfile(userId)) || { ...DEFAULT_USER_PROFILE, userId };
+    const profile = this.normalize({ ...current, ...updates, userId });
+    this.validate(profile);
+    await this.users.save(userId, profile);
+    return profile;
+  }
+
+  async registerToken(userId, token) {
+    const profile = (await this.getProfile(userId)) || { ...DEFAULT_USER_PROFILE };
+    if (profile.deviceTokens.includes(token)) return profile;
+    return this.saveProfile(userId, { deviceTokens: [...profile.deviceTokens, token] });
+  }
+
+  async removeTokens(userId, tokens) {
+    if (!tokens.length) return;
+    const remaining = await this.users.removeTokens(userId, tokens);
+    console.log(`🧹 Removed ${tokens.length} invalid token(s) for ${userId} (${remaining.length} left)`);
+  }
+
+  /**
+   * Profiles with notifications on and at least one device
+   */
+  async listSubscribers() {
+    const profiles = await this.users.list();
+    return profiles.map(profile => this.normalize(profile))
+      .filter(profile => profile.notificationsEnabled && profile.deviceTokens.length > 0);
+  }
+
+  /**
+   * Does the tip match the user's preferences right now?
+   * @returns {{ eligible: boolean, reason: string|null }}
+   */
+  matchesPreferences(profile, tip, at = this.now()) {
+    const assetClass = this.getAssetClass(tip);
+
+    if (!profile.notificationsEnabled) return { eligible: false, reason: 'notifications off' };
+    if (profile.assetClasses.length > 0 && !profile.assetClasses.includes(assetClass)) {
+      return { eligible: false, reason: `${assetClass} not followed` };
+    }
+    if (profile.symbols.length > 0 && !profile.symbols.includes(tip.symbol)) {
+      return { eligible: false, reason: `${tip.symbol} not followed` };
+    }
+    if (profile.timeframes.length > 0 && !profile.timeframes.includes(tip.timeframe)) {
+      return { eligible: false, reason: `${tip.timeframe} not followed` };
+    }
+    if ((tip.strength || 0) < profile.minimumStrength) {
+      return { eligible: false, reason: `strength below ${profile.minimumStrength}` };
+    }
+    if (this.isQuietHours(profile, at)) {
+      return { eligible: false, reason: 'quiet hours' };
+    }
+    return { eligible: true, reason: null };
+  }
+
+  /**
+   * Quiet hours in the user's time zone; windows may wrap midnight (22:00-07:00)
+   */
+  isQuietHours(profile, at = this.now()) {
+    const quiet = profile.quietHours;
+    if (!quiet || !quiet.start || !quiet.end || quiet.start === quiet.end) return false;
+
+    let local;
+    try {
+      local = new Intl.DateTimeFormat('en-GB', {
+        timeZone: quiet.timezone || 'America/New_York',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).format(new Date(at));
+    } catch (error) {
+      console.warn(`⚠️ Invalid quiet hours time zone for ${profile.userId}: ${quiet.timezone}`);
+      return false;
+    }
+
+    return quiet.start < quiet.end
+      ? local >= quiet.start && local < quiet.end
+      : local >= quiet.start || local < quiet.end;
+  }
+
+  getAssetClass(tip) {
+    return tip.company?.isCrypto || (tip.symbol || '').includes('/') ? 'crypto' : 'stocks';
+  }
+
+  normalize(profile) {
+    const list = value => (Array.isArray(value) ? value.filter(Boolean) : []);
+    return {
+      ...DEFAULT_USER_PROFILE,
+      ...profile,
+      deviceTokens: [...new Set(list(profile.deviceTokens))],
+      assetClasses: list(profile.assetClasses),
+      symbols: list(profile.symbols).map(symbol => String(symbol).toUpperCase()),
+      timeframes: list(profile.timeframes),
+      minimumStrength: Number(profile.minimumStrength) || 0,
+      quietHours: profile.quietHours || null,
+      vip: profile.vip === true,
+      notificationsEnabled: profile.notificationsEnabled !== false
+    };
+  }
+
+  validate(profile) {
+    const unknownAssets = profile.assetClasses.filter(assetClass => !ASSET_CLASSES.includes(assetClass));
+    if (unknownAssets.length > 0) {
+      throw new Error(`Unknown asset class: ${unknownAssets.join(', ')}`);
+    }
+    const unknownTimeframes = profile.timeframes.filter(timeframe => !TIMEFRAMES.includes(timeframe));
+    if (unknownTimeframes.length > 0) {
+      throw new Error(`Unknown timeframe: ${unknownTimeframes.join(', ')}`);
+    }
+    if (profile.minimumStrength < 0 || profile.minimumStrength > 5) {
+      throw new Error('minimumStrength must be between 0 and 5');
+    }
+    const accountSize = profile.accountSize;
+    if (accountSize !== null && !(typeof accountSize === 'number' && isFinite(accountSize) && accountSize > 0)) {
+      throw new Error('accountSize must be a positive number');
+    }
+    const quiet = profile.quietHours;
+    if (quiet && (!TIME_PATTERN.test(quiet.start) || !TIME_PATTERN.test(quiet.end))) {
+      throw new Error('quietHours start / end must be HH:MM');
+    }
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * DOCUMENT STORE
+ * ==============
+ *
+ * Base class for the storage backends behind the repositories (Firestore,
+ * SQLite file, in-memory). Data is modelled the way Firestore models it:
+ * collections of JSON documents keyed by id.
+ * ✓ get / set (optionally merged) / create (fails if present) / add (new id)
+ * ✓ update(collection, id, mutate) - atomic read-modify-write
+ * ✓ query(collection, { where, orderBy, limit }) - equality and range filters
+ *
+ * Dates go in and come out as Date objects on every backend. Merges are
+ * top-level: nested objects are replaced, not merged.
+ *
+ * Backends override every method below.
+ */
+
+import { randomUUID } from 'crypto';
+
+export const QUERY_OPERATORS = ['==', '>', '>=', '<', '<='];
+
+export class DocumentStore {
+  /**
+   * @param {string} backend - Backend name reported in logs and health ('firestore', 'sqlite', 'memory')
+   */
+  constructor(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Document data, null when missing
+   */
+  async get(collection, id) {
+    throw new Error(`${this.backend} store does not implement get()`);
+  }
+
+  /**
+   * Write a document; with { merge: true } only the given top-level fields change
+   */
+  async set(collection, id, data, options = {}) {
+    throw new Error(`${this.backend} store does not implement set()`);
+  }
+
+  /**
+   * Write a new document; rejects when the id already exists
+   */
+  async create(collection, id, data) {
+    throw new Error(`${this.backend} store does not implement create()`);
+  }
+
+  /**
+   * Write a document under a generated id
+   * @returns {Promise<string>} The new id
+   */
+  async add(collection, data) {
+    throw new Error(`${this.backend} store does not implement add()`);
+  }
+
+  /**
+   * Atomic read-modify-write. mutate(current|null) returns the fields to merge,
+   * or null to leave the document untouched.
+   * @returns {Promise<Object|null>} The merged fields, or null when skipped
+   */
+  async update(collection, id, mutate) {
+    throw new Error(`${this.backend} store does not implement update()`);
+  }
+
+  /**
+   * @param {Object} query
+   * @param {Array<Array>} query.where - [field, operator, value] filters (AND)
+   * @param {Array} query.orderBy - [field, 'asc' | 'desc']
+   * @param {number} query.limit
+   * @returns {Promise<Array<{ id: string, data: Object }>>}
+   */
+  async query(collection, query = {}) {
+    throw new Error(`${this.backend} store does not implement query()`);
+  }
+
+  async close() {}
+
+  generateId() {
+    return randomUUID().replace(/-/g, '').slice(0, 20);
+  }
+
+  validateQuery({ where = [], orderBy = null } = {}) {
+    for (const [field, operator] of where) {
+      if (!QUERY_OPERATORS.includes(operator)) {
+        throw new Error(`Unsupported query operator "${operator}" on ${field}`);
+      }
+    }
+    if (orderBy && !['asc', 'desc'].includes(orderBy[1] || 'asc')) {
+      throw new Error(`Unsupported sort direction "${orderBy[1]}"`);
+    }
+  }
+}
+
+/**
+ * Compare two stored values (numbers, strings, Dates); null sorts first
+ */
+export function compareValues(a, b) {
+  const normalize = value => (value instanceof Date ? value.getTime() : value);
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right) return 0;
+  if (left === null || left === undefined) return -1;
+  if (right === null || right === undefined) return 1;
+  return left < right ? -1 : 1;
+}
+
+/**
+ * Drop undefined values (Firestore rejects them) and keep Dates intact
+ */
+export function cleanDocument(value) {
+  if (Array.isArray(value)) return value.filter(item => item !== undefined).map(cleanDocument);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+  const cleaned = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item !== undefined) cleaned[key] = cleanDocument(item);
+  }
+  return cleaned;
+}
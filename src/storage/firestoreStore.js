@@ -0,0 +1,76 @@
+import { DocumentStore, cleanDocument } from './documentStore.js';
+
+/**
+ * Firestore document store - production backend (collections as they exist today)
+ */
+export class FirestoreDocumentStore extends DocumentStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Initialized Firestore instance
+   */
+  constructor({ db }) {
+    super('firestore');
+    if (!db) {
+      throw new Error('Firestore store needs an initialized Firestore instance');
+    }
+    this.db = db;
+  }
+
+  async get(collection, id) {
+    const doc = await this.db.collection(collection).doc(id).get();
+    return doc.exists ? this.fromFirestore(doc.data()) : null;
+  }
+
+  async set(collection, id, data, { merge = false } = {}) {
+    await this.db.collection(collection).doc(id).set(cleanDocument(data), { merge });
+  }
+
+  async create(collection, id, data) {
+    await this.db.collection(collection).doc(id).create(cleanDocument(data));
+  }
+
+  async add(collection, data) {
+    const ref = await this.db.collection(collection).add(cleanDocument(data));
+    return ref.id;
+  }
+
+  async update(collection, id, mutate) {
+    const ref = this.db.collection(collection).doc(id);
+    return this.db.runTransaction(async transaction => {
+      const doc = await transaction.get(ref);
+      const changes = mutate(doc.exists ? this.fromFirestore(doc.data()) : null);
+      if (changes) transaction.set(ref, cleanDocument(changes), { merge: true });
+      return changes || null;
+    });
+  }
+
+  async query(collection, query = {}) {
+    this.validateQuery(query);
+    const { where = [], orderBy = null, limit = null } = query;
+
+    let ref = this.db.collection(collection);
+    for (const [field, operator, value] of where) {
+      ref = ref.where(field, operator, value);
+    }
+    if (orderBy) ref = ref.orderBy(orderBy[0], orderBy[1] || 'asc');
+    if (limit) ref = ref.limit(limit);
+
+    const snapshot = await ref.get();
+    return snapshot.docs.map(doc => ({ id: doc.id, data: this.fromFirestore(doc.data()) }));
+  }
+
+  /**
+   * Firestore Timestamps -> Dates, recursively
+   */
+  fromFirestore(value) {
+    if (Array.isArray(value)) return value.map(item => this.fromFirestore(item));
+    if (!value || typeof value !== 'object' || value instanceof Date) return value;
+    if (typeof value.toDate === 'function') return value.toDate();
+
+    const converted = {};
+    for (const [key, item] of Object.entries(value)) {
+      converted[key] = this.fromFirestore(item);
+    }
+    return converted;
+  }
+}
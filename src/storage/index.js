@@ -0,0 +1,104 @@
+/**
+ * STORAGE
+ * =======
+ *
+ * Repository layer for everything the engine persists, on a pluggable backend:
+ * ✓ firestore - production (default when Firebase is initialized)
+ * ✓ sqlite    - single file, for local runs and CI with real reads and writes
+ * ✓ memory    - tests, backtests, and the default without Firebase
+ *
+ * Selected by STORAGE_BACKEND (firestore | sqlite | memory); the SQLite file is
+ * STORAGE_SQLITE_PATH (default data/ferrari.sqlite).
+ *
+ *   const storage = createStorage({ db });
+ *   await storage.tips.saveLatest(tip);
+ *   await storage.stats.recordGeneratedTip();
+ */
+
+import { MemoryDocumentStore } from './memoryStore.js';
+import { FirestoreDocumentStore } from './firestoreStore.js';
+import { SqliteDocumentStore } from './sqliteStore.js';
+import {
+  TipRepository,
+  StatsRepository,
+  AnalyticsRepository,
+  UserLimitsRepository,
+  UserRepository,
+  OutcomeRepository,
+  StrategyPerformanceRepository,
+  ConfigRepository,
+  EngineStateRepository
+} from './repositories.js';
+
+export const STORAGE_BACKENDS = ['firestore', 'sqlite', 'memory'];
+
+export const DEFAULT_STORAGE_CONFIG = {
+  backend: null,                       // null: firestore when a db is available, otherwise memory
+  sqlitePath: 'data/ferrari.sqlite'
+};
+
+/**
+ * Storage config from the environment
+ */
+export function storageConfigFromEnv(env = process.env) {
+  return {
+    ...DEFAULT_STORAGE_CONFIG,
+    backend: env.STORAGE_BACKEND || DEFAULT_STORAGE_CONFIG.backend,
+    sqlitePath: env.STORAGE_SQLITE_PATH || DEFAULT_STORAGE_CONFIG.sqlitePath
+  };
+}
+
+/**
+ * Build the document store and the repositories on top of it
+ * @param {Object} options
+ * @param {string|null} options.backend - firestore | sqlite | memory
+ * @param {Object|null} options.db - Firestore instance (firestore backend)
+ * @param {string} options.sqlitePath - Database file (sqlite backend)
+ * @param {DocumentStore} options.store - Use an existing store instead
+ * @param {Function} options.now - Clock for stored timestamps
+ */
+export function createStorage(options = {}) {
+  const now = options.now || (() => Date.now());
+  const store = options.store || createDocumentStore(options);
+
+  return {
+    backend: store.backend,
+    store,
+    tips: new TipRepository({ store, now }),
+    stats: new StatsRepository({ store, now }),
+    analytics: new AnalyticsRepository({ store, now }),
+    userLimits: new UserLimitsRepository({ store }),
+    users: new UserRepository({ store, now }),
+    outcomes: new OutcomeRepository({ store, now }),
+    strategyPerformance: new StrategyPerformanceRepository({ store, now }),
+    config: new ConfigRepository({ store, now }),
+    engineState: new EngineStateRepository({ store, now }),
+    close: () => store.close()
+  };
+}
+
+export function createDocumentStore({ backend = null, db = null, sqlitePath = DEFAULT_STORAGE_CONFIG.sqlitePath } = {}) {
+  const selected = backend || (db ? 'firestore' : 'memory');
+
+  if (!STORAGE_BACKENDS.includes(selected)) {
+    throw new Error(`Unknown storage backend "${selected}" (use ${STORAGE_BACKENDS.join(', ')})`);
+  }
+
+  if (selected === 'firestore' && !db) {
+    console.warn('⚠️ STORAGE_BACKEND=firestore but Firebase is not initialized - using in-memory storage');
+    return new MemoryDocumentStore();
+  }
+
+  console.log(`🗄️ Storage backend: ${selected}`);
+  switch (selected) {
+    case 'firestore':
+      return new FirestoreDocumentStore({ db });
+    case 'sqlite':
+      return new SqliteDocumentStore({ filename: sqlitePath });
+    default:
+      return new MemoryDocumentStore();
+  }
+}
+
+export { MemoryDocumentStore, FirestoreDocumentStore, SqliteDocumentStore };
+export { DocumentStore } from './documentStore.js';
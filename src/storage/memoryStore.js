@@ -0,0 +1,89 @@
+import { DocumentStore, compareValues, cleanDocument } from './documentStore.js';
+
+/**
+ * In-memory document store - tests, backtests and local runs without credentials.
+ * Documents are copied on the way in and out, like a real database.
+ */
+export class MemoryDocumentStore extends DocumentStore {
+  constructor() {
+    super('memory');
+    this.collections = new Map(); // collection -> Map(id -> data)
+  }
+
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  async get(collection, id) {
+    return this.read(collection, id);
+  }
+
+  async set(collection, id, data, options = {}) {
+    this.write(collection, id, data, options);
+  }
+
+  async create(collection, id, data) {
+    if (this.getCollection(collection).has(id)) {
+      throw new Error(`Document ${collection}/${id} already exists`);
+    }
+    await this.set(collection, id, data);
+  }
+
+  async add(collection, data) {
+    const id = this.generateId();
+    await this.set(collection, id, data);
+    return id;
+  }
+
+  async update(collection, id, mutate) {
+    // Synchronous read and write - concurrent updates cannot interleave
+    const changes = mutate(this.read(collection, id));
+    if (!changes) return null;
+    this.write(collection, id, changes, { merge: true });
+    return changes;
+  }
+
+  async query(collection, query = {}) {
+    this.validateQuery(query);
+    const { where = [], orderBy = null, limit = null } = query;
+
+    let results = Array.from(this.getCollection(collection).entries())
+      .filter(([, data]) => where.every(([field, operator, value]) => this.matches(data[field], operator, value)))
+      .map(([id, data]) => ({ id, data: structuredClone(data) }));
+
+    if (orderBy) {
+      const [field, direction = 'asc'] = orderBy;
+      const sign = direction === 'desc' ? -1 : 1;
+      results.sort((a, b) => sign * compareValues(a.data[field], b.data[field]));
+    }
+    if (limit) results = results.slice(0, limit);
+    return results;
+  }
+
+  read(collection, id) {
+    const data = this.getCollection(collection).get(id);
+    return data ? structuredClone(data) : null;
+  }
+
+  write(collection, id, data, { merge = false } = {}) {
+    const documents = this.getCollection(collection);
+    const current = merge ? documents.get(id) : null;
+    documents.set(id, structuredClone(cleanDocument({ ...current, ...data })));
+  }
+
+  matches(actual, operator, expected) {
+    if (actual === undefined) return false;
+    const order = compareValues(actual, expected);
+    switch (operator) {
+      case '==': return order === 0;
+      case '>': return order > 0;
+      case '>=': return order >= 0;
+      case '<': return order < 0;
+      case '<=': return order <= 0;
+      default: return false;
+    }
+  }
+}
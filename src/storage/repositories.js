@@ -0,0 +1,276 @@
+/**
+ * Repositories - what the engine persists, independent of the backend.
+ * Each one takes { store, now }: a DocumentStore and a clock (simulated in backtests).
+ */
+
+const toDate = value => (value === null || value === undefined ? null : new Date(value));
+const toMillis = value => (value instanceof Date ? value.getTime() : value ?? null);
+
+/**
+ * latest_tips/{timeframe} - the current tip per timeframe (what the Flutter app reads)
+ */
+export class TipRepository {
+  constructor({ store, now = () => Date.now() }) {
+    this.store = store;
+    this.now = now;
+  }
+
+  async saveLatest(tip) {
+    const at = new Date(this.now());
+    await this.store.set('latest_tips', tip.timeframe, {
+      ...tip,
+      createdAt: at,
+      updatedAt: at,
+      source: 'ferrari_trading_system',
+      isFerrariSignal: true
+    }, { merge: true });
+  }
+
+  getLatest(timeframe) {
+    return this.store.get('latest_tips', timeframe);
+  }
+}
+
+/**
+ * app_stats/global_stats - counters shown in the app
+ */
+export class StatsRepository {
+  constructor({ store, now = () => Date.now() }) {
+    this.store = store;
+    this.now = now;
+  }
+
+  get() {
+    return this.store.get('app_stats', 'global_stats');
+  }
+
+  /**
+   * One more generated tip, plus any display fields (aiAccuracy)
+   */
+  recordGeneratedTip(fields = {}) {
+    return this.store.update('app_stats', 'global_stats', current => ({
+      ...fields,
+      generatedTips: (current?.generatedTips || 0) + 1,
+      lastUpdated: new Date(this.now())
+    }));
+  }
+
+  /**
+   * Keep successRate in line with resolved tips
+   */
+  recordOutcome(outcome) {
+    return this.store.update('app_stats', 'global_stats', current => {
+      const resolvedTips = (current?.resolvedTips || 0) + 1;
+      const winningTips = (current?.winningTips || 0) + (outcome.resultR > 0 ? 1 : 0);
+      return {
+        resolvedTips,
+        winningTips,
+        successRate: Math.round((winningTips / resolvedTips) * 1000) / 10,
+        lastOutcomeAt: new Date(this.now())
+      };
+    });
+  }
+}
+
+/**
+ * notification_analytics - one document per notification sent
+ */
+export class AnalyticsRepository {
+  constructor({ store, now = () => Date.now() }) {
+    this.store = store;
+    this.now = now;
+  }
+
+  log(event) {
+    return this.store.add('notification_analytics', {
+      ...event,
+      timestamp: new Date(this.now()),
+      server_timestamp: Date.now(),
+      source_system: 'ferrari_trading_system'
+    });
+  }
+
+  async list({ limit = 50 } = {}) {
+    const results = await this.store.query('notification_analytics', { orderBy: ['timestamp', 'desc'], limit });
+    return results.map(({ id, data }) => ({ id, ...data }));
+  }
+}
+
+/**
+ * user_limits/{userId} - daily / hourly delivery counters per user
+ */
+export class UserLimitsRepository {
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  get(userId) {
+    return this.store.get('user_limits', userId);
+  }
+
+  save(userId, limits) {
+    return this.store.set('user_limits', userId, { ...limits, userId });
+  }
+}
+
+/**
+ * users/{userId} - profiles: device tokens, delivery preferences, account size
+ */
+export class UserRepository {
+  constructor({ store, now = () => Date.now() }) {
+    this.store = store;
+    this.now = now;
+  }
+
+  get(userId) {
+    return this.store.get('users', userId);
+  }
+
+  save(userId, profile) {
+    return this.store.set('users', userId, { ...profile, userId, updatedAt: new Date(this.now()) }, { merge: true });
+  }
+
+  /**
+   * Every profile: older profiles have no notificationsEnabled field (it defaults to on),
+   * so subscribers are filtered after normalizing, not in the query
+   */
+  async list() {
+    const results = await this.store.query('users');
+    return results.map(({ id, data }) => ({ ...data, userId: data.userId || id }));
+  }
+
+  /**
+   * Drop device tokens FCM reported as invalid
+   * @returns {Promise<Array<string>>} Tokens left on the profile
+   */
+  async removeTokens(userId, tokens) {
+    const changes = await this.store.update('users', userId, current => {
+      if (!current) return null;
+      return {
+        deviceTokens: (current.deviceTokens || []).filter(token => !tokens.includes(token)),
+        updatedAt: new Date(this.now())
+      };
+    });
+    return changes ? changes.deviceTokens : [];
+  }
+}
+
+/**
+ * signal_outcomes/{trackingId} - outcome tracker records (times in ms in memory, Dates when stored)
+ */
+export class OutcomeRepository {
+  constructor({ store, now = () => Date.now() }) {
+    this.store = store;
+    this.now = now;
+  }
+
+  save(record) {
+    return this.store.set('signal_outcomes', record.trackingId, {
+      ...record,
+      createdAt: toDate(record.createdAt),
+      expiresAt: toDate(record.expiresAt),
+      tp1HitAt: toDate(record.tp1HitAt),
+      resolvedAt: toDate(record.resolvedAt),
+      updatedAt: new Date(this.now())
+    }, { merge: true });
+  }
+
+  async listActive() {
+    const results = await this.store.query('signal_outcomes', { where: [['status', '==', 'active']] });
+    return results.map(({ data }) => ({
+      ...data,
+      createdAt: toMillis(data.createdAt),
+      expiresAt: toMillis(data.expiresAt),
+      tp1HitAt: toMillis(data.tp1HitAt),
+      resolvedAt: toMillis(data.resolvedAt)
+    }));
+  }
+}
+
+/**
+ * strategy_performance/{strategy} - signals and resolved results attributed to each strategy
+ */
+export class StrategyPerformanceRepository {
+  constructor({ store, now = () => Date.now() }) {
+    this.store = store;
+    this.now = now;
+  }
+
+  recordSignal(name) {
+    return this.store.update('strategy_performance', name, current => ({
+      name,
+      signals: (current?.signals || 0) + 1,
+      lastSignalAt: new Date(this.now())
+    }));
+  }
+
+  /**
+   * @param {Object} result - { resultR, share } where share is the strategy's part of the signal's weight
+   */
+  recordOutcome(name, { resultR, share = 1 }) {
+    return this.store.update('strategy_performance', name, current => ({
+      name,
+      resolved: (current?.resolved || 0) + 1,
+      wins: (current?.wins || 0) + (resultR > 0 ? 1 : 0),
+      totalR: (current?.totalR || 0) + resultR,
+      attributedR: (current?.attributedR || 0) + resultR * share,
+      lastOutcomeAt: new Date(this.now())
+    }));
+  }
+
+  async list() {
+    const results = await this.store.query('strategy_performance');
+    return results.map(({ id, data }) => ({ ...data, name: data.name || id }));
+  }
+}
+
+/**
+ * runtime_config/overrides - settings changed through the admin API;
+ * config_audit - one document per applied change
+ */
+export class ConfigRepository {
+  constructor({ store, now = () => Date.now() }) {
+    this.store = store;
+    this.now = now;
+  }
+
+  async getOverrides() {
+    const saved = await this.store.get('runtime_config', 'overrides');
+    return saved?.settings || {};
+  }
+
+  saveOverrides(settings) {
+    return this.store.set('runtime_config', 'overrides', { settings, updatedAt: new Date(this.now()) });
+  }
+
+  /**
+   * @param {Object} entry - { actor, reason, source, changes: [{ path, from, to }] }
+   */
+  recordChange(entry) {
+    return this.store.add('config_audit', { ...entry, timestamp: new Date(this.now()) });
+  }
+
+  async listChanges({ limit = 50 } = {}) {
+    const results = await this.store.query('config_audit', { orderBy: ['timestamp', 'desc'], limit });
+    return results.map(({ id, data }) => ({ id, ...data }));
+  }
+}
+
+/**
+ * engine_state/snapshot - daily signal count, cooldowns, user limits and circuit
+ * breakers, checkpointed so a restarted instance carries on where it stopped
+ */
+export class EngineStateRepository {
+  constructor({ store, now = () => Date.now() }) {
+    this.store = store;
+    this.now = now;
+  }
+
+  get() {
+    return this.store.get('engine_state', 'snapshot');
+  }
+
+  save(snapshot) {
+    return this.store.set('engine_state', 'snapshot', { ...snapshot, updatedAt: new Date(this.now()) });
+  }
+}
@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import { DocumentStore, cleanDocument } from './documentStore.js';
+
+// Dates are stored as prefixed ISO strings so they sort and compare in SQL
+const DATE_PREFIX = '$date:';
+const FIELD_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+
+/**
+ * SQLite document store (sql.js, no native build) - one table of JSON documents.
+ * The database lives in memory and is written to `filename` after every change;
+ * without a filename it is a throwaway in-memory database.
+ */
+export class SqliteDocumentStore extends DocumentStore {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.filename - Database file (created on first write)
+   */
+  constructor({ filename = null } = {}) {
+    super('sqlite');
+    this.filename = filename;
+    this.database = null;
+    this.ready = this.open();
+    // Surface open errors on first use, not as an unhandled rejection
+    this.ready.catch(() => {});
+  }
+
+  async open() {
+    const SQL = await initSqlJs();
+    const existing = this.filename && fs.existsSync(this.filename) ? fs.readFileSync(this.filename) : null;
+    this.database = existing ? new SQL.Database(existing) : new SQL.Database();
+    this.database.run(`
+      CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      )
+    `);
+    console.log(`🗄️ SQLite store ready (${this.filename || 'in-memory'})`);
+  }
+
+  async get(collection, id) {
+    await this.ready;
+    return this.read(collection, id);
+  }
+
+  async set(collection, id, data, { merge = false } = {}) {
+    await this.ready;
+    this.write(collection, id, merge ? { ...this.read(collection, id), ...data } : data);
+    this.persist();
+  }
+
+  async create(collection, id, data) {
+    await this.ready;
+    if (this.read(collection, id)) {
+      throw new Error(`Document ${collection}/${id} already exists`);
+    }
+    this.write(collection, id, data);
+    this.persist();
+  }
+
+  async add(collection, data) {
+    const id = this.generateId();
+    await this.create(collection, id, data);
+    return id;
+  }
+
+  async update(collection, id, mutate) {
+    await this.ready;
+    // No await between read and write - atomic on the single JS thread
+    const current = this.read(collection, id);
+    const changes = mutate(current);
+    if (!changes) return null;
+    this.write(collection, id, { ...current, ...changes });
+    this.persist();
+    return changes;
+  }
+
+  async query(collection, query = {}) {
+    this.validateQuery(query);
+    await this.ready;
+    const { where = [], orderBy = null, limit = null } = query;
+
+    const clauses = ['collection = ?'];
+    const params = [collection];
+    for (const [field, operator, value] of where) {
+      clauses.push(`${this.fieldSql(field)} ${operator === '==' ? 'IS' : operator} ?`);
+      params.push(this.encodeValue(value));
+    }
+
+    let sql = `SELECT id, data FROM documents WHERE ${clauses.join(' AND ')}`;
+    if (orderBy) sql += ` ORDER BY ${this.fieldSql(orderBy[0])} ${orderBy[1] === 'desc' ? 'DESC' : 'ASC'}`;
+    if (limit) sql += ` LIMIT ${Math.floor(limit)}`;
+
+    const results = [];
+    const statement = this.database.prepare(sql);
+    try {
+      statement.bind(params);
+      while (statement.step()) {
+        const row = statement.getAsObject();
+        results.push({ id: row.id, data: this.decode(row.data) });
+      }
+    } finally {
+      statement.free();
+    }
+    return results;
+  }
+
+  async close() {
+    await this.ready.catch(() => {});
+    if (this.database) {
+      this.persist();
+      this.database.close();
+      this.database = null;
+    }
+  }
+
+  read(collection, id) {
+    const statement = this.database.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?');
+    try {
+      statement.bind([collection, id]);
+      return statement.step() ? this.decode(statement.getAsObject().data) : null;
+    } finally {
+      statement.free();
+    }
+  }
+
+  write(collection, id, data) {
+    this.database.run(
+      'INSERT OR REPLACE INTO documents (collection, id, data) VALUES (?, ?, ?)',
+      [collection, id, this.encode(cleanDocument(data))]
+    );
+  }
+
+  /**
+   * Write the database file (temp file + rename so a crash never leaves half a file)
+   */
+  persist() {
+    if (!this.filename || !this.database) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+      const temporary = `${this.filename}.tmp`;
+      fs.writeFileSync(temporary, Buffer.from(this.database.export()));
+      fs.renameSync(temporary, this.filename);
+    } catch (error) {
+      console.error(`❌ Failed to write SQLite store ${this.filename}:`, error.message);
+    }
+  }
+
+  fieldSql(field) {
+    if (!FIELD_PATTERN.test(field)) {
+      throw new Error(`Invalid field name "${field}"`);
+    }
+    return `json_extract(data, '$.${field}')`;
+  }
+
+  encode(data) {
+    return JSON.stringify(data, function (key, value) {
+      const raw = this[key];
+      return raw instanceof Date ? DATE_PREFIX + raw.toISOString() : value;
+    });
+  }
+
+  decode(text) {
+    return JSON.parse(text, (key, value) =>
+      typeof value === 'string' && value.startsWith(DATE_PREFIX) ? new Date(value.slice(DATE_PREFIX.length)) : value
+    );
+  }
+
+  encodeValue(value) {
+    if (value instanceof Date) return DATE_PREFIX + value.toISOString();
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value === undefined ? null : value;
+  }
+}
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Backtest Engine Test Script
+ * Replays generated history through the Ferrari pipeline - fully offline
+ */
+
+import assert from 'assert/strict';
+import historicalDataLoader from './src/backtest/historicalDataLoader.js';
+import { BacktestRunner } from './src/backtest/backtestRunner.js';
+import { test, run } from './test_harness.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 2, 2, 0, 0); // Saturday - crypto is never blocked by market hours
+
+function trendingBars(count, start = 100) {
+  const bars = [];
+  let price = start;
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price = price * (1 + 0.004 * Math.sin(i / 40) + 0.002 * Math.sin(i / 3));
+    bars.push({
+      timestamp: START + i * HOUR,
+      open,
+      high: Math.max(open, price) * 1.002,
+      low: Math.min(open, price) * 0.998,
+      close: price,
+      volume: 10000
+    });
+  }
+  return bars;
+}
+
+function flatBar(i, { open = 100, high = 100.5, low = 99.5, close = 100 } = {}) {
+  return { timestamp: START + i * HOUR, open, high, low, close, volume: 1000 };
+}
+
+const longTip = {
+  trackingId: 'test',
+  symbol: 'BTC/USD',
+  entryPrice: 100,
+  stopLoss: 98,
+  takeProfit: 105,
+  takeProfit2: 108,
+  expiresAt: new Date(START + 24 * HOUR)
+};
+
+test('CSV loader parses ISO and epoch timestamps', () => {
+  const csv = [
+    'timestamp,open,high,low,close,volume',
+    '2024-03-01T00:00:00Z,1,2,0.5,1.5,100',
+    '1709254800,1.5,2.5,1,2,200',
+    'bad,row,,,,'
+  ].join('\n');
+  const [dataset] = historicalDataLoader.parseCSV(csv, 'ETH/USD');
+  assert.equal(dataset.symbol, 'ETH/USD');
+  assert.equal(dataset.bars.length, 2);
+  assert.equal(dataset.bars[1].timestamp - dataset.bars[0].timestamp, HOUR);
+  assert.equal(historicalDataLoader.symbolFromFilename('/data/btc-usd.csv'), 'BTC/USD');
+  assert.equal(historicalDataLoader.symbolFromFilename('/data/AAPL.json'), 'AAPL');
+});
+
+test('history never includes unfinished bars', () => {
+  const runner = new BacktestRunner([{ symbol: 'BTC/USD', bars: trendingBars(10) }]);
+  const history = runner.getHistory('BTC/USD', '1hour', 100, START + 5 * HOUR + 30 * 60000);
+  assert.equal(history.length, 5);
+  assert.equal(history[history.length - 1].timestamp, START + 4 * HOUR);
+  assert.deepEqual(runner.getHistory('BTC/USD', '1min', 100, START + 5 * HOUR), []);
+});
+
+test('stop hit before TP1 is a -1R loss', () => {
+  const bars = [flatBar(0), flatBar(1, { low: 97.5, close: 98 })];
+  const runner = new BacktestRunner([{ symbol: 'BTC/USD', bars }]);
+  const trade = runner.resolveTip(longTip, START);
+  assert.equal(trade.outcome, 'stop');
+  assert.equal(trade.resultR, -1);
+});
+
+test('TP1 then breakeven banks half of TP1', () => {
+  const bars = [flatBar(0), flatBar(1, { high: 105.5, close: 104 }), flatBar(2, { low: 99.8, close: 100 })];
+  const runner = new BacktestRunner([{ symbol: 'BTC/USD', bars }]);
+  const trade = runner.resolveTip(longTip, START);
+  assert.equal(trade.outcome, 'tp1');
+  assert.equal(trade.resultR, 1.25);
+});
+
+test('TP2 scales out at both targets', () => {
+  const bars = [flatBar(0), flatBar(1, { high: 105.5, close: 105 }), flatBar(2, { open: 105, high: 108.5, low: 104, close: 108 })];
+  const runner = new BacktestRunner([{ symbol: 'BTC/USD', bars }]);
+  const trade = runner.resolveTip(longTip, START);
+  assert.equal(trade.outcome, 'tp2');
+  assert.equal(trade.resultR, 0.5 * 2.5 + 0.5 * 4);
+});
+
+test('the rest of the emission bar counts, tick by tick', () => {
+  // Emitted on the open tick of a down bar that trades through the stop
+  const bars = [flatBar(0, { open: 100, high: 100.5, low: 97.5, close: 98 }), flatBar(1, { high: 109 })];
+  const runner = new BacktestRunner([{ symbol: 'BTC/USD', bars }]);
+  const trade = runner.resolveTip(longTip, START);
+  assert.equal(trade.outcome, 'stop');
+  assert.equal(trade.exitAt, new Date(START + HOUR / 2).toISOString(), 'the low tick of the emission bar');
+
+  // Up bar: the low tick comes before the high, so TP1 is banked and the stop moves to entry
+  const upBars = [flatBar(0, { open: 99.5, high: 105.5, low: 99, close: 101 }), flatBar(1, { open: 101, high: 101.5, low: 99.9, close: 100 })];
+  const scaled = new BacktestRunner([{ symbol: 'BTC/USD', bars: upBars }]).resolveTip(longTip, START);
+  assert.equal(scaled.outcome, 'tp1');
+  assert.equal(scaled.resultR, 0.5 * 2.5, 'half at TP1, the rest at breakeven');
+});
+
+test('expiry marks the position to market', () => {
+  const bars = Array.from({ length: 30 }, (_, i) => flatBar(i, { close: 101 }));
+  const runner = new BacktestRunner([{ symbol: 'BTC/USD', bars }]);
+  const trade = runner.resolveTip(longTip, START);
+  assert.equal(trade.outcome, 'expired');
+  assert.equal(trade.resultR, 0.5);
+});
+
+test('full replay produces a report', async () => {
+  const runner = new BacktestRunner([{ symbol: 'BTC/USD', bars: trendingBars(200) }]);
+  const report = await runner.run();
+  assert.ok(report.summary.totalSignals > 0, 'expected at least one signal');
+  assert.equal(report.trades.length, report.summary.totalSignals);
+  assert.ok(report.summary.winRate >= 0 && report.summary.winRate <= 100);
+  assert.ok(report.summary.maxDrawdownR >= 0);
+  assert.ok(report.bySymbol['BTC/USD']);
+  for (const trade of report.trades) {
+    assert.ok(new Date(trade.emittedAt).getTime() >= START);
+  }
+});
+
+await run('🏎️ Backtest Engine Test Suite');
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Candidate Pool Test Script
+ * Gated setups collect over a window, the best-ranked one (score, R/R, liquidity,
+ * diversification) is emitted, and the daily budget is paced across the session
+ */
+
+import assert from 'assert/strict';
+import { SignalCandidatePool, DEFAULT_SIGNAL_SELECTION } from './src/services/signalCandidatePool.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { quietly, test, run } from './test_harness.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const OPEN = Date.UTC(2024, 5, 12, 13, 30); // Wednesday 9:30 ET
+const CLOSE = OPEN + 6.5 * HOUR;
+const GATES = { minimumVolume: 1000000, maximumSpread: 0.02 };
+
+function setup(symbol, { finalStrength = 4.5, riskRewardRatio = 3, liquidity = null } = {}) {
+  return {
+    symbol,
+    sentiment: 'bullish',
+    finalStrength,
+    riskRewardRatio,
+    liquidity,
+    reasoning: ['Breakout'],
+    levels: { entry: 100, stopLoss: 100 - 6 / riskRewardRatio, takeProfit1: 106, takeProfit2: 110 }
+  };
+}
+
+function createPool(config = {}, getDiversification = () => 1) {
+  const clock = { value: OPEN };
+  const pool = new SignalCandidatePool({
+    config: { ...DEFAULT_SIGNAL_SELECTION, ...config },
+    getGates: () => GATES,
+    getDiversification,
+    now: () => clock.value
+  });
+  return { clock, pool };
+}
+
+test('rank weighs score, risk/reward, liquidity and diversification', () => {
+  const { pool } = createPool({}, analysis => (analysis.symbol === 'AMD' ? 0 : 1));
+  const deep = setup('AAPL', { finalStrength: 4.5, riskRewardRatio: 3, liquidity: { dollarVolume: 1e8, averageSpread: 0.0002 } });
+  const thin = setup('ROKU', { finalStrength: 4.6, riskRewardRatio: 2.5, liquidity: { dollarVolume: 2e6, averageSpread: 0.01 } });
+
+  assert.deepEqual(pool.rank(deep), {
+    total: 0.869,
+    components: { score: 0.9, riskReward: 0.6, liquidity: 0.995, diversification: 1 }
+  });
+  assert.equal(pool.rank(thin).components.liquidity, 0.325, '2× the volume floor, half the spread budget');
+  assert.equal(pool.rank(setup('MSFT')).components.liquidity, 0.5, 'unmeasured liquidity ranks neutral');
+
+  // A slightly stronger setup in a thin name, or one piling onto open exposure, ranks lower
+  const order = pool.rankAll([thin, setup('AMD', { finalStrength: 4.8 }), deep]).map(({ analysis }) => analysis.symbol);
+  assert.deepEqual(order, ['AAPL', 'ROKU', 'AMD']);
+});
+
+test('candidates collect for the window, the best goes out and the rest wait until stale', async () => {
+  const { clock, pool } = createPool();
+  pool.add(setup('ROKU', { finalStrength: 4.1 }));
+  clock.value += 5 * MINUTE;
+  pool.add(setup('AAPL', { finalStrength: 4.4 }));
+  pool.add(setup('ROKU', { finalStrength: 4.2 }));
+  assert.equal(pool.candidates.size, 2, 'a newer setup replaces the older one for the symbol');
+
+  clock.value = OPEN + 10 * MINUTE;
+  assert.equal(pool.isDue(), false);
+  clock.value = OPEN + 15 * MINUTE;
+  assert.equal(pool.isDue(), true, 'the window opened with the first candidate');
+
+  const best = pool.takeBest();
+  assert.deepEqual([best.analysis.symbol, best.competing], ['AAPL', 2]);
+  assert.equal(pool.isDue(), false, 'the rest start a new window');
+
+  clock.value = OPEN + 36 * MINUTE;
+  assert.equal(await quietly(() => pool.isDue()), false);
+  assert.equal(pool.candidates.size, 0, 'ROKU expired after 30 minutes');
+  assert.equal(pool.windowStartedAt, null);
+});
+
+test('the daily budget is paced across the regular session', () => {
+  const { clock, pool } = createPool();
+  const session = { open: OPEN, close: CLOSE };
+
+  assert.deepEqual(pool.allowance({ used: 0, total: 5, session }), { allowed: 1, canEmit: true, nextAt: OPEN });
+  const held = pool.allowance({ used: 1, total: 5, session });
+  assert.deepEqual([held.allowed, held.canEmit], [1, false], 'one tip at the open, not all five');
+  assert.equal(held.nextAt, OPEN + 78 * MINUTE, 'a fifth of the session later');
+
+  clock.value = held.nextAt;
+  assert.equal(pool.allowance({ used: 1, total: 5, session }).canEmit, true);
+  clock.value = CLOSE - MINUTE;
+  assert.equal(pool.allowance({ used: 4, total: 5, session }).allowed, 5);
+
+  // Off-hours and with pacing disabled only the daily limit applies
+  assert.equal(pool.allowance({ used: 1, total: 5, session: null }).canEmit, true);
+  clock.value = OPEN;
+  pool.config.paceDailyBudget = false;
+  assert.equal(pool.allowance({ used: 4, total: 5, session }).canEmit, true);
+});
+
+test('ferrari pools gated setups and emits the best one when the window closes', async () => {
+  const clock = { value: OPEN + 30 * MINUTE };
+  const system = await quietly(() => new FerrariTradingSystem(null, { clock: { now: () => clock.value } }));
+  const setups = { ROKU: setup('ROKU', { finalStrength: 4.1 }), AAPL: setup('AAPL', { finalStrength: 4.7 }), AMD: setup('AMD', { finalStrength: 3.2 }) };
+  system.performComprehensiveAnalysis = async symbol => ({ ...setups[symbol] });
+  const emitted = [];
+  system.generateSignal = async analysis => emitted.push(analysis);
+  const tick = symbol => {
+    const symbolData = { prices: [], currentPrice: 100 };
+    system.state.priceCache.set(symbol, symbolData);
+    return quietly(() => system.checkTradingOpportunity(symbol, symbolData));
+  };
+
+  await tick('ROKU');
+  clock.value += 5 * MINUTE;
+  await tick('AAPL');
+  await tick('AMD');
+  assert.deepEqual(emitted, [], 'the first setup to clear the gates no longer goes straight out');
+  assert.deepEqual(system.getSystemStats().candidatePool.candidates.map(c => c.symbol), ['AAPL', 'ROKU'], 'AMD failed the gates');
+
+  clock.value = OPEN + 46 * MINUTE;
+  await quietly(() => system.processSignalQueue());
+  assert.deepEqual(emitted.map(analysis => analysis.symbol), ['AAPL']);
+  assert.equal(emitted[0].selection.competing, 2);
+});
+
+test('ferrari holds candidates until the pace allows and ranks selectAndGenerateSignal picks', async () => {
+  const clock = { value: OPEN + 30 * MINUTE };
+  const system = await quietly(() => new FerrariTradingSystem(null, { clock: { now: () => clock.value } }));
+  const emitted = [];
+  system.generateSignal = async analysis => emitted.push(analysis.symbol);
+  system.state.dailySignalCount = 2;
+  for (const symbol of ['AAPL', 'MSFT']) {
+    system.state.priceCache.set(symbol, { prices: [], currentPrice: 100 });
+  }
+
+  system.candidatePool.add(setup('AAPL'));
+  clock.value = OPEN + 50 * MINUTE;
+  await quietly(() => system.flushCandidatePool());
+  assert.deepEqual(emitted, [], '2 of 5 out 50 minutes into the session');
+
+  clock.value = OPEN + 3 * HOUR;
+  system.candidatePool.add(setup('MSFT'));
+  clock.value += 20 * MINUTE;
+  await quietly(() => system.flushCandidatePool());
+  assert.deepEqual(emitted, ['MSFT'], 'AAPL went stale while held');
+
+  // Scheduled selection takes the best-ranked stock, not the first in the watchlist
+  const setups = { AAPL: setup('AAPL', { finalStrength: 4.1 }), MSFT: setup('MSFT', { finalStrength: 4.8 }) };
+  system.config.watchlist = { stocks: ['AAPL', 'MSFT'], crypto: [] };
+  system.analyzeSymbol = async symbol => ({ ...setups[symbol] });
+  await quietly(() => system.selectAndGenerateSignal());
+  assert.deepEqual(emitted, ['MSFT', 'MSFT']);
+});
+
+test('setups that went stale while waiting are dropped, the rest re-priced', async () => {
+  const { pool } = createPool();
+  const waiting = setup('AAPL'); // entry 100, stop 98, TP1 106
+  assert.match(pool.entryCheck(waiting, 97.5).reason, /crossed the stop/);
+  assert.match(pool.entryCheck(waiting, 106.5).reason, /reached TP1/);
+  assert.match(pool.entryCheck(waiting, 100.6).reason, /drifted 0.3R/, 'more than a quarter of the risk');
+  assert.equal(pool.entryCheck(waiting, undefined).reason, 'no current price');
+  assert.deepEqual(pool.entryCheck(waiting, 100.4), { valid: true, reason: null });
+
+  const clock = { value: OPEN + 30 * MINUTE };
+  const system = await quietly(() => new FerrariTradingSystem(null, { clock: { now: () => clock.value } }));
+  const emitted = [];
+  system.generateSignal = async analysis => emitted.push(analysis);
+  system.state.priceCache.set('NVDA', { prices: [], currentPrice: 97 });
+  system.state.priceCache.set('AAPL', { prices: [], currentPrice: 100.2 });
+  system.candidatePool.add(setup('NVDA', { finalStrength: 4.9 }));
+  system.candidatePool.add(setup('AAPL'));
+
+  clock.value += 16 * MINUTE;
+  await quietly(() => system.flushCandidatePool());
+  assert.deepEqual(emitted.map(analysis => analysis.symbol), ['AAPL'], 'NVDA traded through its stop while it waited');
+  assert.equal(emitted[0].levels.entry, 100.2);
+  assert.equal(emitted[0].riskRewardRatio, 2.64, '5.8 / 2.2 from the current price');
+
+  // Ticks flush the pool at most once per signal-engine interval
+  let flushes = 0;
+  system.flushCandidatePool = async () => {
+    flushes++;
+    system.state.lastPoolFlushAt = clock.value;
+  };
+  const symbolData = { prices: [], currentPrice: 100, lastAnalysis: clock.value };
+  for (let i = 0; i < 5; i++) {
+    clock.value += 3000;
+    await quietly(() => system.checkTradingOpportunity('MSFT', symbolData));
+  }
+  assert.equal(flushes, 1, '15s of ticks, 10s after the last flush');
+});
+
+await run('🏆 Candidate Pool Test Suite');
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Candle Aggregator Test Script
+ * Tick-to-candle rollups, late ticks, session boundaries and history seeding
+ */
+
+import assert from 'assert/strict';
+import { CandleAggregator } from './src/services/candleAggregator.js';
+import { test, run } from './test_harness.js';
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2024, 2, 4, 15, 0); // Mon 10:00 New York
+
+test('ticks roll up into OHLCV with VWAP and trade count', () => {
+  const candles = new CandleAggregator();
+  candles.addTick({ symbol: 'AAPL', price: 100, volume: 100, timestamp: T0 });
+  candles.addTick({ symbol: 'AAPL', price: 102, volume: 300, timestamp: T0 + 20000 });
+  candles.addTick({ symbol: 'AAPL', price: 99, volume: 100, timestamp: T0 + 40000 });
+  candles.addTick({ symbol: 'AAPL', price: 101, volume: 100, timestamp: T0 + 4 * MINUTE });
+
+  const oneMinute = candles.getBars('AAPL', '1min');
+  assert.equal(oneMinute.length, 2, 'no bars are synthesized for empty minutes');
+  assert.deepEqual(
+    { open: oneMinute[0].open, high: oneMinute[0].high, low: oneMinute[0].low, close: oneMinute[0].close, volume: oneMinute[0].volume, trades: oneMinute[0].trades },
+    { open: 100, high: 102, low: 99, close: 99, volume: 500, trades: 3 }
+  );
+  assert.equal(oneMinute[0].vwap, (100 * 100 + 102 * 300 + 99 * 100) / 500);
+  assert.equal(oneMinute[0].closed, true);
+  assert.equal(oneMinute[1].closed, false);
+
+  const fiveMinute = candles.getBars('AAPL', '5m');
+  assert.equal(fiveMinute.length, 1);
+  assert.equal(fiveMinute[0].close, 101);
+  assert.equal(fiveMinute[0].trades, 4);
+  assert.equal(candles.getBars('AAPL', '1m', { includeOpen: false }).length, 1);
+});
+
+test('closed bars are announced once', () => {
+  const candles = new CandleAggregator({ resolutions: ['1m'] });
+  const closed = [];
+  candles.on('bar', event => closed.push(event));
+
+  candles.addTick({ symbol: 'AAPL', price: 100, volume: 1, timestamp: T0 });
+  candles.addTick({ symbol: 'AAPL', price: 101, volume: 1, timestamp: T0 + MINUTE });
+  candles.closeElapsed(T0 + 2 * MINUTE);
+  candles.closeElapsed(T0 + 3 * MINUTE);
+
+  assert.deepEqual(closed.map(e => [e.resolution, e.bar.timestamp]), [['1m', T0], ['1m', T0 + MINUTE]]);
+});
+
+test('late ticks amend their bar without moving the close', () => {
+  const candles = new CandleAggregator({ resolutions: ['1m', '1h'], lateTickTolerance: 2 * MINUTE });
+  candles.addTick({ symbol: 'AAPL', price: 100, volume: 10, timestamp: T0 });
+  candles.addTick({ symbol: 'AAPL', price: 101, volume: 10, timestamp: T0 + MINUTE + 5000 });
+
+  assert.equal(candles.addTick({ symbol: 'AAPL', price: 97, volume: 10, timestamp: T0 + 30000 }), true);
+  const [first, second] = candles.getBars('AAPL', '1m');
+  assert.equal(first.low, 97);
+  assert.equal(first.close, 100);
+  assert.equal(second.close, 101);
+  assert.equal(candles.getCurrentBar('AAPL', '1h').close, 101);
+  assert.equal(candles.getCurrentBar('AAPL', '1h').low, 97);
+
+  assert.equal(candles.addTick({ symbol: 'AAPL', price: 90, volume: 10, timestamp: T0 - 5 * MINUTE }), false);
+  assert.equal(candles.stats.lateTicks, 1);
+  assert.equal(candles.stats.droppedTicks, 1);
+});
+
+test('daily bars follow the New York date for stocks and UTC for crypto', () => {
+  const candles = new CandleAggregator({ resolutions: ['1d'] });
+  const evening = Date.UTC(2024, 2, 5, 0, 30); // Mon 19:30 New York, Tue 00:30 UTC
+  const nextMorning = Date.UTC(2024, 2, 5, 14, 30); // Tue 09:30 New York
+
+  for (const symbol of ['AAPL', 'BTC/USD']) {
+    candles.addTick({ symbol, price: 100, volume: 1, timestamp: T0 });
+    candles.addTick({ symbol, price: 101, volume: 1, timestamp: evening });
+    candles.addTick({ symbol, price: 102, volume: 1, timestamp: nextMorning });
+  }
+
+  assert.deepEqual(candles.getBars('AAPL', '1d').map(b => b.timestamp), [Date.UTC(2024, 2, 4, 5), Date.UTC(2024, 2, 5, 5)]);
+  assert.deepEqual(candles.getBars('AAPL', '1d').map(b => b.trades), [2, 1]);
+  assert.deepEqual(candles.getBars('BTC/USD', '1d').map(b => b.trades), [1, 2]);
+
+  // DST starts 2024-03-10: midnight is EST (05:00 UTC), the afternoon is EDT
+  assert.equal(candles.nyDayStart(Date.UTC(2024, 2, 10, 18)), Date.UTC(2024, 2, 10, 5));
+  assert.equal(candles.nyDayStart(Date.UTC(2024, 2, 11, 18)), Date.UTC(2024, 2, 11, 4));
+});
+
+test('bars per resolution are bounded', () => {
+  const candles = new CandleAggregator({ resolutions: ['1m', '5m'], maxBars: { '1m': 10, '5m': 3 } });
+  for (let i = 0; i < 60; i++) {
+    candles.addTick({ symbol: 'ETH/USD', price: 3000 + i, volume: 1, timestamp: T0 + i * MINUTE });
+  }
+  assert.equal(candles.getBars('ETH/USD', '1m').length, 10);
+  assert.equal(candles.getBars('ETH/USD', '5m').length, 3);
+  assert.equal(candles.getBars('ETH/USD', '1m', { limit: 4 })[3].close, 3059);
+});
+
+test('seeded history sits in front of live bars', () => {
+  const candles = new CandleAggregator({ resolutions: ['1h'] });
+  candles.addTick({ symbol: 'AAPL', price: 150, volume: 5, timestamp: T0 + 10 * MINUTE });
+
+  const history = Array.from({ length: 5 }, (_, i) => ({
+    timestamp: T0 - (4 - i) * 60 * MINUTE,
+    open: 140 + i, high: 141 + i, low: 139 + i, close: 140.5 + i, volume: 1000
+  }));
+  assert.equal(candles.seed('AAPL', '1hour', history), 4, 'the overlapping hour stays live');
+
+  const bars = candles.getBars('AAPL', '1hour');
+  assert.equal(bars.length, 5);
+  assert.equal(bars[4].close, 150);
+  assert.equal(bars[0].timestamp, T0 - 4 * 60 * MINUTE);
+  assert.equal(candles.seed('AAPL', '1min', history), 0, 'untracked resolutions are ignored');
+});
+
+await run('🕯️ Candle Aggregator Test Suite');
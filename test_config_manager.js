@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * Config Manager Test Script
+ * Defaults < file < env < runtime layers, schema validation, audited live changes,
+ * hot reload, feed resubscription and the admin API
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import axios from 'axios';
+import { ConfigManager, DEFAULT_RUNTIME_CONFIG, DEFAULT_CONFIG_FILE, envName, validateSettings } from './src/config/configManager.js';
+import { createAdminConfigRouter } from './src/routes/adminConfig.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { createStorage } from './src/storage/index.js';
+import { quietly, test, run } from './test_harness.js';
+
+const TOKEN = 'admin-token';
+const T0 = Date.UTC(2024, 5, 12, 15, 0);
+
+// Storage clock that moves a second per call so audit entries sort by write order
+function ticking() {
+  let time = T0;
+  return () => (time += 1000);
+}
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ferrari-config-'));
+function writeConfig(name, content) {
+  const file = path.join(directory, name);
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return file;
+}
+
+test('defaults < file < env, with the delisted symbols gone', async () => {
+  assert.ok(!DEFAULT_RUNTIME_CONFIG.watchlist.stocks.includes('TWTR'));
+  assert.ok(!DEFAULT_RUNTIME_CONFIG.watchlist.stocks.includes('SPLK'));
+  assert.deepEqual(new ConfigManager({ file: DEFAULT_CONFIG_FILE }).getAll(), DEFAULT_RUNTIME_CONFIG, 'config/ferrari.yaml matches the defaults');
+
+  const file = writeConfig('layers.yaml', 'qualityGates:\n  minimumStrength: 4.2\n  minimumRiskReward: 3\nwatchlist:\n  crypto: [btc/usd, ETH/USD, BTC/USD]\n');
+  assert.equal(envName(['qualityGates', 'minimumRiskReward']), 'FERRARI__QUALITY_GATES__MINIMUM_RISK_REWARD');
+
+  const config = new ConfigManager({ file, env: { FERRARI__QUALITY_GATES__MINIMUM_RISK_REWARD: '2.8', FERRARI__MARKET_TIMING__CRYPTO_ALWAYS_ON: 'false' } });
+  const settings = config.getAll();
+  assert.equal(settings.qualityGates.minimumStrength, 4.2, 'from the file');
+  assert.equal(settings.qualityGates.minimumRiskReward, 2.8, 'env wins over the file');
+  assert.equal(settings.qualityGates.cooldownPeriod, 7200000, 'default for what neither sets');
+  assert.deepEqual(settings.watchlist.crypto, ['BTC/USD', 'ETH/USD'], 'symbols normalized');
+  assert.equal(settings.marketTiming.cryptoAlwaysOn, false);
+});
+
+test('the schema rejects unknown, out-of-range and inconsistent settings', async () => {
+  const { errors } = validateSettings({
+    qualityGates: { minimumStrength: 7, maximumSpread: '2%' },
+    marketTiming: { marketOpen: '9:30am' },
+    watchlist: { stocks: ['AAPL', 'NOT A SYMBOL'] },
+    signalBudget: {}
+  });
+  assert.deepEqual(errors, [
+    'qualityGates.minimumStrength must be between 0 and 5',
+    'qualityGates.maximumSpread must be a number',
+    'marketTiming.marketOpen must be a time "HH:MM"',
+    'watchlist.stocks has invalid symbols: NOT A SYMBOL',
+    'signalBudget is not a known setting'
+  ]);
+
+  const config = new ConfigManager();
+  const skewed = await config.update({ factorWeights: { momentum: 0.5 } });
+  assert.equal(skewed.applied, false);
+  assert.deepEqual(skewed.errors, ['factorWeights must sum to 1 (got 1.25)']);
+  assert.equal((await config.update({ marketTiming: { marketClose: '08:00' } })).applied, false);
+  assert.equal(config.get('factorWeights').momentum, 0.25, 'nothing applied');
+
+  // A bad file is ignored as a whole, a bad env value on its own
+  const broken = writeConfig('broken.json', { qualityGates: { minimumStrength: -1 }, rateLimiting: { maxDailyTips: 8 } });
+  const fallback = await quietly(() => new ConfigManager({ file: broken, env: { FERRARI__RATE_LIMITING__MAX_HOURLY_TIPS: 'lots' } }));
+  assert.deepEqual(fallback.getAll(), DEFAULT_RUNTIME_CONFIG);
+});
+
+test('runtime changes are audited, persisted and restored after a restart', async () => {
+  const storage = await quietly(() => createStorage({ now: ticking() }));
+  const config = new ConfigManager({ repository: storage.config, env: { FERRARI__QUALITY_GATES__MINIMUM_STRENGTH: '4.4' } });
+  const events = [];
+  config.on('change', event => events.push(event));
+
+  const result = await quietly(() => config.update({ qualityGates: { minimumStrength: 4.6 } }, { actor: 'ops', reason: 'too many tips' }));
+  assert.deepEqual(result.changes, [{ path: 'qualityGates.minimumStrength', from: 4.4, to: 4.6 }], 'runtime wins over env');
+  assert.deepEqual(events[0].sections, ['qualityGates']);
+
+  await quietly(() => config.updateWatchlist('stocks', { add: ['crwd'], remove: ['ZOOM'] }, { actor: 'ops' }));
+  assert.ok(config.get('watchlist').stocks.includes('CRWD'));
+  assert.ok(!config.get('watchlist').stocks.includes('ZOOM'));
+
+  const audit = await storage.config.listChanges();
+  assert.equal(audit.length, 2);
+  assert.equal(audit[1].actor, 'ops');
+  assert.equal(audit[1].reason, 'too many tips');
+  assert.equal(audit[1].source, 'runtime');
+
+  const restarted = new ConfigManager({ repository: storage.config });
+  assert.equal(restarted.get('qualityGates').minimumStrength, 4.0);
+  await quietly(() => restarted.restoreOverrides());
+  assert.equal(restarted.get('qualityGates').minimumStrength, 4.6);
+  assert.ok(restarted.get('watchlist').stocks.includes('CRWD'));
+
+  await quietly(() => restarted.resetOverrides(['qualityGates']));
+  assert.equal(restarted.get('qualityGates').minimumStrength, 4.0);
+  assert.ok(restarted.get('watchlist').stocks.includes('CRWD'), 'other sections keep their overrides');
+});
+
+test('file edits reload live and the watcher stops cleanly', async () => {
+  const file = writeConfig('reload.json', { rateLimiting: { maxDailyTips: 5 } });
+  const config = new ConfigManager({ file, watchInterval: 20 });
+  const changes = [];
+  config.on('change', event => changes.push(...event.changes));
+
+  config.watch();
+  writeConfig('reload.json', { rateLimiting: { maxDailyTips: 3 } });
+  fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+  await quietly(async () => {
+    for (let i = 0; i < 100 && changes.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  });
+  config.stop();
+
+  assert.deepEqual(changes, [{ path: 'rateLimiting.maxDailyTips', from: 5, to: 3 }]);
+  assert.equal(config.get('rateLimiting').maxDailyTips, 3);
+});
+
+test('ferrari applies changes live: feeds resubscribe, breaker state and factor weights follow', async () => {
+  const config = new ConfigManager();
+  const institutional = { factorWeights: { ...DEFAULT_RUNTIME_CONFIG.factorWeights } };
+  const system = await quietly(() => new FerrariTradingSystem(null, {
+    clock: { now: () => T0 },
+    configManager: config,
+    institutionalAnalysisService: institutional
+  }));
+  const binance = system.getOrCreateProvider({ provider: 'binance', assetClass: 'crypto' });
+  assert.ok(binance.symbols.has('ALGO/USD'));
+  system.config.circuitBreaker.binance.failures = 2;
+
+  await quietly(() => config.update({
+    watchlist: { crypto: ['BTC/USD', 'ETH/USD', 'SOL/USD'] },
+    qualityGates: { minimumStrength: 4.5 },
+    marketTiming: { marketClose: '15:00' },
+    circuitBreaker: { maxFailures: 3, binance: { timeout: 60000 } },
+    factorWeights: { momentum: 0.35, flow: 0 }
+  }));
+
+  assert.deepEqual([...binance.symbols], ['BTC/USD', 'ETH/USD', 'SOL/USD'], 'subscribed SOL, unsubscribed the rest, socket untouched');
+  assert.equal(system.getTotalSymbols(), 71 + 3);
+  assert.equal(system.config.qualityGates.minimumStrength, 4.5);
+  assert.equal(system.marketCalendar.timing.marketClose, '15:00');
+  assert.deepEqual(system.config.circuitBreaker.binance, { failures: 2, lastFailure: null, isOpen: false, timeout: 60000 });
+  assert.equal(system.config.circuitBreaker.maxFailures, 3);
+  assert.equal(institutional.factorWeights.momentum, 0.35);
+  assert.equal(institutional.factorWeights.flow, 0);
+});
+
+test('admin API needs the token and answers with errors or the applied changes', async () => {
+  const storage = await quietly(() => createStorage({ now: ticking() }));
+  const config = new ConfigManager({ repository: storage.config });
+  const app = express();
+  app.use(express.json());
+  app.use('/closed', createAdminConfigRouter({ getConfigManager: () => config, token: null }));
+  app.use('/api/admin', createAdminConfigRouter({ getConfigManager: () => config, token: TOKEN }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const request = (method, url, { token = TOKEN, data, headers = {} } = {}) => quietly(() => axios({
+    method,
+    url: base + url,
+    data,
+    headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers },
+    validateStatus: () => true
+  }));
+
+  try {
+    assert.equal((await request('get', '/closed/config')).status, 503);
+    assert.equal((await request('get', '/api/admin/config', { token: 'wrong' })).status, 401);
+    assert.equal((await request('get', '/api/admin/config')).data.config.qualityGates.minimumStrength, 4.0);
+
+    const invalid = await request('patch', '/api/admin/config', { data: { qualityGates: { minimumStrength: 9 } } });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.data.errors, ['qualityGates.minimumStrength must be between 0 and 5']);
+
+    const applied = await request('patch', '/api/admin/config', {
+      data: { qualityGates: { minimumStrength: 4.5 } },
+      headers: { 'X-Admin-User': 'alice', 'X-Change-Reason': 'raise the bar' }
+    });
+    assert.equal(applied.status, 200);
+    assert.deepEqual(applied.data.changes, [{ path: 'qualityGates.minimumStrength', from: 4, to: 4.5 }]);
+
+    const watchlist = await request('post', '/api/admin/config/watchlist/stocks', { data: { remove: ['ZOOM'] } });
+    assert.equal(watchlist.data.changes[0].path, 'watchlist.stocks');
+    assert.equal((await request('post', '/api/admin/config/watchlist/bonds', { data: { add: ['X'] } })).status, 400);
+
+    const audit = await request('get', '/api/admin/config/audit');
+    assert.equal(audit.data.count, 2);
+    assert.equal(audit.data.changes[1].actor, 'alice');
+    assert.equal(audit.data.changes[1].reason, 'raise the bar');
+
+    // Failures are logged, not echoed to the client
+    config.repository.listChanges = async () => { throw new Error('sqlite: unable to open /var/lib/ferrari/config.db'); };
+    const broken = await request('get', '/api/admin/config/audit');
+    assert.equal(broken.status, 500);
+    assert.deepEqual(broken.data, { status: 'error', message: 'Internal server error' });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+await run('⚙️ Config Manager Test Suite', { cleanup: () => fs.rmSync(directory, { recursive: true, force: true }) });
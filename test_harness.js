@@ -0,0 +1,64 @@
+/**
+ * Shared harness for the test_*.js suites (run them all with npm test)
+ *
+ *   import { quietly, test, run } from './test_harness.js';
+ *
+ *   test('name', async () => { ... });
+ *   await run('🧪 Example Test Suite', { cleanup: () => server.stop() });
+ *
+ * Each suite stays a plain script: node test_example.js runs it on its own.
+ */
+
+const tests = [];
+
+/**
+ * Run fn with console output silenced (the engine logs heavily)
+ */
+export async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+export function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * Run the registered tests in order; exits with 1 when any failed
+ * @param {string} title - Suite banner
+ * @param {Object} options
+ * @param {Function} options.cleanup - Runs after the tests, pass or fail
+ */
+export async function run(title, { cleanup = null } = {}) {
+  console.log(title);
+  console.log('='.repeat(title.length));
+
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${name}:`, error.message);
+    }
+  }
+
+  if (cleanup) {
+    await cleanup();
+  }
+
+  if (failed > 0) {
+    console.error(`\n❌ ${failed}/${tests.length} tests failed`);
+    process.exit(1);
+  }
+
+  console.log(`\n🏁 All ${tests.length} tests passed`);
+}
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Institutional Analysis Test Script
+ * Real-history input, refusal on short history and computed/defaulted factor flags
+ */
+
+import assert from 'assert/strict';
+import { InstitutionalAnalysisService } from './src/services/institutionalAnalysisService.js';
+import { quietly, test, run } from './test_harness.js';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 2, 4, 0);
+
+function trendBars(count, step = 0.5) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: T0 + i * HOUR,
+    open: 100 + i * step,
+    high: 101 + i * step,
+    low: 99 + i * step,
+    close: 100.5 + i * step,
+    volume: 1000 + (i % 5) * 300
+  }));
+}
+
+test('scores real bars and flags offline factors as defaulted', async () => {
+  const service = new InstitutionalAnalysisService({ offline: true });
+  const analysis = await quietly(() => service.getInstitutionalAnalysis('AAPL', { bars: trendBars(80) }));
+
+  assert.ok(analysis);
+  assert.equal(analysis.barCount, 80);
+  assert.deepEqual(analysis.computedFactors, ['momentum', 'technical', 'flow']);
+  assert.deepEqual(analysis.defaultedFactors, ['sentiment', 'insider', 'fundamental']);
+  assert.equal(analysis.factors.sentiment.status, 'defaulted');
+  assert.equal(analysis.factors.sentiment.reason, 'offline');
+  assert.equal(analysis.factors.momentum.status, 'computed');
+  assert.ok(analysis.factors.momentum.short > 0, 'momentum follows the uptrend');
+  assert.ok(analysis.reasoning.some(line => line.includes('DEFAULTED: sentiment, insider, fundamental')));
+});
+
+test('same bars give the same score', async () => {
+  const service = new InstitutionalAnalysisService({ offline: true });
+  const first = await quietly(() => service.getInstitutionalAnalysis('AAPL', { bars: trendBars(60) }));
+  const second = await quietly(() => service.getInstitutionalAnalysis('AAPL', { bars: trendBars(60) }));
+  assert.equal(first.compositeScore, second.compositeScore);
+});
+
+test('refuses to score when history is insufficient', async () => {
+  const service = new InstitutionalAnalysisService({ offline: true });
+  assert.equal(await quietly(() => service.getInstitutionalAnalysis('AAPL', { bars: trendBars(49) })), null);
+  assert.equal(await quietly(() => service.getInstitutionalAnalysis('AAPL', {})), null);
+  assert.equal(await quietly(() => service.getInstitutionalAnalysis('AAPL', {
+    bars: trendBars(10),
+    fetchHistorical: async () => trendBars(30)
+  })), null);
+});
+
+test('backfills short history through fetchHistorical', async () => {
+  const service = new InstitutionalAnalysisService({ offline: true });
+  const requests = [];
+  const analysis = await quietly(() => service.getInstitutionalAnalysis('BTC/USD', {
+    bars: trendBars(12),
+    fetchHistorical: async (timeframe, limit) => {
+      requests.push([timeframe, limit]);
+      return trendBars(limit);
+    }
+  }));
+
+  assert.deepEqual(requests, [['1hour', 100]]);
+  assert.equal(analysis.barCount, 100);
+});
+
+test('short history factors default to neutral with no confidence', async () => {
+  const service = new InstitutionalAnalysisService({ offline: true });
+  const analysis = await quietly(() => service.performInstitutionalAnalysis('AAPL', trendBars(30), '1h'));
+
+  assert.deepEqual(analysis.defaultedFactors, ['momentum', 'sentiment', 'insider', 'technical', 'fundamental']);
+  assert.deepEqual(analysis.computedFactors, ['flow']);
+  for (const name of ['momentum', 'technical']) {
+    assert.equal(analysis.factors[name].score, 0);
+    assert.equal(analysis.factors[name].confidence, 0);
+    assert.equal(analysis.factors[name].reason, 'insufficient_history');
+  }
+});
+
+await run('🏛️ Institutional Analysis Test Suite');
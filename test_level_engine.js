@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Level Engine Test Script
+ * Stops beyond swings, targets at the next structure, VWAP / prior day / volume profile levels
+ * and a risk/reward gate that can actually reject
+ */
+
+import assert from 'assert/strict';
+import { LevelEngine } from './src/services/levelEngine.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { quietly, test, run } from './test_harness.js';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 5, 12, 15, 0);
+
+/**
+ * Hourly bars from [low, high] pairs; no volume, so only swings count as structure
+ */
+function barsFrom(ranges, volume = 0) {
+  return ranges.map(([low, high], i) => ({
+    timestamp: T0 + i * HOUR,
+    open: (low + high) / 2,
+    high,
+    low,
+    close: (low + high) / 2,
+    volume
+  }));
+}
+
+// Swing highs at 107 and 104, swing low at 98, price back at 100
+const STRUCTURE = barsFrom([
+  [101, 103], [100, 104.5], [101, 107], [100.5, 105], [99.5, 103], [98, 101],
+  [99, 102], [100, 104], [100.5, 103], [99.9, 102], [99.8, 101.5], [99.6, 100.8]
+]);
+
+test('long: stop beyond the swing low, targets at the next swing highs', () => {
+  const engine = new LevelEngine();
+  assert.deepEqual(engine.findSwings(STRUCTURE), { highs: [107, 104], lows: [98] });
+
+  const levels = engine.calculate({ price: 100, atr: 1, direction: 'long', bars: STRUCTURE });
+  assert.equal(levels.stopLoss, 97.75, 'a quarter ATR under 98');
+  assert.equal(levels.takeProfit1, 104);
+  assert.equal(levels.takeProfit2, 107);
+  assert.equal(levels.riskReward, 1.78);
+  assert.deepEqual(levels.structure.stop, { type: 'swing_low', price: 98 });
+  assert.deepEqual(levels.structure.target1, { type: 'swing_high', price: 104 });
+  assert.deepEqual(levels.reasoning, [
+    'Stop $97.75 beyond swing low $98.00',
+    'Target at swing high $104.00',
+    'Structure-based R/R 1:1.78'
+  ]);
+});
+
+test('short: structure too far for a stop falls back to ATR, single target gets a measured move', () => {
+  const levels = new LevelEngine().calculate({ price: 100, atr: 1, direction: 'short', bars: STRUCTURE });
+  assert.equal(levels.stopLoss, 102, 'swing high 104 is more than 3 ATR away');
+  assert.equal(levels.structure.stop.type, 'atr');
+  assert.equal(levels.takeProfit1, 98);
+  assert.equal(levels.takeProfit2, 96);
+  assert.equal(levels.structure.target2.type, 'measured_move');
+  assert.equal(levels.riskReward, 1);
+});
+
+test('VWAP, prior day and volume profile nodes are levels too', () => {
+  const engine = new LevelEngine();
+  assert.equal(engine.calculateVWAP([
+    { high: 11, low: 9, close: 10, volume: 100 },
+    { high: 21, low: 19, close: 20, volume: 300 }
+  ]), 17.5);
+
+  // Most of the volume traded around 100
+  const bars = barsFrom([[99.5, 100.5], [99.6, 100.4], [99.8, 100.2], [102, 104], [105, 106]], 1000);
+  bars[2].volume = 20000;
+  const daily = [
+    { timestamp: T0 - 48 * HOUR, high: 110, low: 95, close: 100, closed: true },
+    { timestamp: T0 - 24 * HOUR, high: 108, low: 97, close: 103, closed: true },
+    { timestamp: T0, high: 106, low: 99.5, close: 105.5, closed: false }
+  ];
+  const levels = engine.findLevels(bars, daily);
+  const byType = type => levels.filter(level => level.type === type).map(level => level.price);
+
+  assert.deepEqual(byType('prior_day_high'), [108], 'the last completed day');
+  assert.deepEqual(byType('prior_day_low'), [97]);
+  assert.deepEqual(byType('prior_day_close'), [103]);
+  assert.equal(byType('vwap').length, 1);
+  const [poc] = byType('volume_poc');
+  assert.ok(Math.abs(poc - 100) < 0.3, `POC near 100, got ${poc}`);
+});
+
+test('no structure: the old 2 / 5 / 8 ATR levels, labeled as such', () => {
+  const levels = new LevelEngine().calculate({ price: 50, atr: 0.5, direction: 'long' });
+  assert.equal(levels.stopLoss, 49);
+  assert.equal(levels.takeProfit1, 52.5);
+  assert.equal(levels.takeProfit2, 54);
+  assert.equal(levels.riskReward, 2.5);
+  assert.equal(levels.structure.target1.type, 'atr');
+  assert.equal(new LevelEngine().calculate({ price: 50, atr: 0, direction: 'long' }), null);
+});
+
+test('ferrari levels come from structure, so the R/R gate can reject', async () => {
+  const system = await quietly(() => new FerrariTradingSystem(null, { clock: { now: () => T0 } }));
+  const analysis = levels => ({ symbol: 'AAPL', sentiment: 'bullish', finalStrength: 4.8, levels });
+
+  const tight = system.calculateDynamicLevels(100, 1, 'bullish', { bars: STRUCTURE });
+  assert.equal(tight.takeProfit1, 104);
+  const rejected = analysis(tight);
+  assert.equal(await quietly(() => system.passesQualityGates(rejected)), false);
+  assert.equal(rejected.riskRewardRatio, 1.78);
+
+  // Room to the next swing high: the same stop now pays
+  const open = STRUCTURE.map(bar => (bar.high === 104 ? { ...bar, high: 108 } : bar));
+  const room = system.calculateDynamicLevels(100, 1, 'bullish', { bars: open });
+  assert.equal(room.takeProfit1, 107);
+  assert.equal(await quietly(() => system.passesQualityGates(analysis(room))), true);
+
+  const tip = await quietly(() => system.createPremiumTip({ ...analysis(room), riskRewardRatio: room.riskReward, reasoning: room.reasoning, atr: 1 }));
+  assert.deepEqual(tip.levelStructure.stop, { type: 'swing_low', price: 98 });
+  assert.ok(tip.reasoning.includes('Target at swing high $107.00'));
+
+  // The tip says which stop applies once TP1 is hit
+  assert.deepEqual([tip.exitPlan.stopAfterTp1, tip.exitPlan.stopAfterTp1Price], ['breakeven', 100]);
+  assert.ok(tip.reasoning.some(line => line.startsWith('🪜 Exit plan: Take 50% at TP1 ($107.00), then move the stop to breakeven ($100.00)')), tip.reasoning.join(' | '));
+});
+
+await run('📐 Level Engine Test Suite');
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Liquidity Test Script
+ * Rolling dollar volume, average spread and depth from trades / quotes, and the
+ * minimumVolume / maximumSpread quality gates built on them
+ */
+
+import assert from 'assert/strict';
+import { LiquidityMonitor } from './src/services/liquidityMonitor.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { quietly, test, run } from './test_harness.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = Date.UTC(2024, 5, 12, 15, 0);
+const GATES = { minimumVolume: 1000000, maximumSpread: 0.02 };
+
+function createMonitor(config = {}) {
+  const clock = { value: T0 };
+  const monitor = new LiquidityMonitor({ config, now: () => clock.value });
+  return { clock, monitor };
+}
+
+test('rolling dollar volume: partial until a full window, expires after it', () => {
+  const { clock, monitor } = createMonitor({ volumeWindowMs: 2 * HOUR });
+  monitor.onTrade({ symbol: 'AAPL', price: 200, volume: 3000, timestamp: T0 });
+  monitor.onTrade({ symbol: 'AAPL', price: 200, volume: 1000, timestamp: T0 + 30 * MINUTE });
+
+  clock.value = T0 + 30 * MINUTE;
+  assert.deepEqual(
+    [monitor.getSnapshot('AAPL').dollarVolume, monitor.getSnapshot('AAPL').volumeSource],
+    [800000, 'trades_partial']
+  );
+  assert.equal(monitor.evaluate('AAPL', GATES).passed, true, '$800K in 30m is ahead of the $250K pace');
+
+  // A partial window behind the pace rejects
+  monitor.onTrade({ symbol: 'THIN', price: 10, volume: 1000, timestamp: T0 });
+  assert.deepEqual(monitor.evaluate('THIN', GATES).failures.slice(0, 1), ['Dollar volume $10K in 30m < $250K pro-rated']);
+
+  // The prior day measures liquidity until the window is full
+  const dailyBars = [{ timestamp: T0 - 24 * HOUR, close: 190, volume: 50000, closed: true }, { timestamp: T0, close: 200, volume: 10, closed: false }];
+  assert.deepEqual(
+    [monitor.getSnapshot('AAPL', { dailyBars }).dollarVolume, monitor.getSnapshot('AAPL', { dailyBars }).volumeSource],
+    [9500000, 'daily_bar']
+  );
+
+  clock.value = T0 + 2 * HOUR + 5 * MINUTE;
+  const full = monitor.evaluate('AAPL', GATES);
+  assert.equal(full.snapshot.volumeSource, 'trades');
+  assert.equal(full.snapshot.dollarVolume, 200000, 'the first trade left the window');
+  assert.deepEqual(full.failures, ['Dollar volume $200K < $1.0M']);
+});
+
+test('average spread and top-of-book depth from quotes; crossed and stale books ignored', () => {
+  const { clock, monitor } = createMonitor({ spreadWindowMs: 15 * MINUTE, maxQuoteAgeMs: 5 * MINUTE });
+  monitor.onQuote({ symbol: 'BTC/USD', bid: 99.9, ask: 100.1, bidSize: 2, askSize: 3, timestamp: T0 - 20 * MINUTE });
+  monitor.onQuote({ symbol: 'BTC/USD', bid: 99.95, ask: 100.05, bidSize: 1, askSize: 1, timestamp: T0 - 2 * MINUTE });
+  monitor.onQuote({ symbol: 'BTC/USD', bid: 99.85, ask: 100.15, bidSize: 10, askSize: 10, timestamp: T0 - MINUTE });
+  monitor.onQuote({ symbol: 'BTC/USD', bid: 101, ask: 100, bidSize: 1, askSize: 1, timestamp: T0 });
+
+  const snapshot = monitor.getSnapshot('BTC/USD');
+  assert.equal(Math.round(snapshot.averageSpread * 1e6) / 1e6, 0.002, 'mean of 0.1% and 0.3%; the 20 minute old quote dropped out');
+  assert.equal(Math.round(snapshot.spread * 1e6) / 1e6, 0.003);
+  assert.equal(snapshot.depth, 2000);
+  assert.equal(snapshot.dollarVolume, null);
+
+  clock.value = T0 + 10 * MINUTE;
+  assert.equal(monitor.getSnapshot('BTC/USD').averageSpread, null, 'stale book');
+  assert.equal(monitor.getSnapshot('BTC/USD').depth, null);
+});
+
+test('gates reject wide spreads and thin books; unknown metrics reject when required, otherwise are unverified', () => {
+  const { monitor } = createMonitor({ minimumDepth: 50000 });
+  monitor.onQuote({ symbol: 'PENNY', bid: 0.97, ask: 1.01, bidSize: 100, askSize: 100, timestamp: T0 });
+  assert.deepEqual(monitor.evaluate('PENNY', GATES).failures, [
+    'Average spread 4.04% > 2.00%',
+    'Top-of-book depth $198 < $50K'
+  ]);
+
+  const unseen = monitor.evaluate('UNSEEN', GATES);
+  assert.equal(unseen.passed, true);
+  assert.deepEqual(unseen.snapshot.unverified, ['no known volume', 'no recent quotes']);
+  assert.equal(monitor.describe(unseen.snapshot), '💧 Liquidity unverified (no known volume, no recent quotes)');
+
+  const strict = createMonitor({ requireVolume: true, requireQuotes: true }).monitor;
+  assert.deepEqual(strict.evaluate('UNSEEN', GATES).failures, ['No known dollar volume', 'No recent quotes']);
+});
+
+test('ferrari feeds subscribe to quotes and route them into the monitor', async () => {
+  const system = await quietly(() => new FerrariTradingSystem(null, { clock: { now: () => T0 } }));
+  const alpaca = system.getOrCreateProvider(system.config.dataFeeds.find(feed => feed.provider === 'alpaca'));
+  const binance = system.getOrCreateProvider(system.config.dataFeeds.find(feed => feed.provider === 'binance'));
+
+  assert.deepEqual(alpaca.channelPayload(['AAPL']), { trades: ['AAPL'], quotes: ['AAPL'] });
+  assert.deepEqual(binance.streamNames(['BTC/USD']), ['btcusdt@trade', 'btcusdt@bookTicker']);
+
+  binance.handleMessage({ u: 1, s: 'BTCUSDT', b: '64000.00', B: '2', a: '64010.00', A: '1.5' });
+  alpaca.handleMessage([{ T: 'q', S: 'AAPL', bp: 199.98, bs: 300, ap: 200.02, as: 200, t: new Date(T0).toISOString() }]);
+  system.updatePrice({ symbol: 'AAPL', price: 200, volume: 500, timestamp: T0 });
+
+  assert.equal(system.liquidity.getSnapshot('BTC/USD').depth, Math.round(64000 * 2 + 64010 * 1.5));
+  const aapl = system.liquidity.getSnapshot('AAPL');
+  assert.equal(Math.round(aapl.averageSpread * 1e4) / 1e4, 0.0002);
+  assert.equal(aapl.dollarVolume, 100000);
+});
+
+test('ferrari quality gates enforce minimumVolume / maximumSpread and the tip reports liquidity', async () => {
+  const system = await quietly(() => new FerrariTradingSystem(null, { clock: { now: () => T0 } }));
+  const analysis = symbol => ({
+    symbol,
+    sentiment: 'bullish',
+    finalStrength: 4.6,
+    reasoning: ['Breakout'],
+    atr: 1,
+    levels: { entry: 100, stopLoss: 98, takeProfit1: 106, takeProfit2: 110 }
+  });
+  // Yesterday plus today's forming bar
+  const dailyBars = volume => [
+    { timestamp: T0 - 24 * HOUR, open: 100, high: 101, low: 99, close: 100, volume },
+    { timestamp: T0, open: 100, high: 100.5, low: 99.5, close: 100, volume: 10 }
+  ];
+
+  system.candles.seed('THIN', '1d', dailyBars(5000));
+  assert.equal(await quietly(() => system.passesQualityGates(analysis('THIN'))), false, '$500K prior day');
+
+  system.candles.seed('WIDE', '1d', dailyBars(50000));
+  system.liquidity.onQuote({ symbol: 'WIDE', bid: 97, ask: 100, bidSize: 100, askSize: 100, timestamp: T0 });
+  assert.equal(await quietly(() => system.passesQualityGates(analysis('WIDE'))), false, '3% spread');
+
+  system.candles.seed('LIQD', '1d', dailyBars(50000));
+  system.liquidity.onQuote({ symbol: 'LIQD', bid: 99.99, ask: 100.01, bidSize: 400, askSize: 600, timestamp: T0 });
+  const passing = analysis('LIQD');
+  assert.equal(await quietly(() => system.passesQualityGates(passing)), true);
+
+  const tip = await quietly(() => system.createPremiumTip(passing));
+  assert.equal(tip.liquidity.dollarVolume, 5000000);
+  assert.ok(tip.reasoning.includes('💧 Liquidity: $5.0M volume (prior day), avg spread 0.02%, top-of-book depth $100K'), tip.reasoning.join(' | '));
+
+  // No quotes on the feed: the tip says the spread was not checked
+  system.candles.seed('NOQT', '1d', dailyBars(50000));
+  const unquoted = analysis('NOQT');
+  assert.equal(await quietly(() => system.passesQualityGates(unquoted)), true);
+  const flagged = await quietly(() => system.createPremiumTip(unquoted));
+  assert.deepEqual(flagged.liquidity.unverified, ['no recent quotes']);
+  assert.ok(flagged.reasoning.includes('💧 Liquidity: $5.0M volume (prior day) - liquidity unverified (no recent quotes)'), flagged.reasoning.join(' | '));
+});
+
+await run('💧 Liquidity Test Suite');
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Market Calendar Test Script
+ * Sessions, holidays, early closes, DST and the Ferrari time checks built on them
+ */
+
+import assert from 'assert/strict';
+import { MarketCalendar } from './src/services/marketCalendar.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { quietly, test, run } from './test_harness.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// New York wall time -> epoch ms (EDT = UTC-4, EST = UTC-5)
+const edt = (date, time) => Date.parse(`${date}T${time}:00-04:00`);
+const est = (date, time) => Date.parse(`${date}T${time}:00-05:00`);
+
+test('sessions across a regular trading day', () => {
+  const calendar = new MarketCalendar();
+  const session = (date, time) => calendar.sessionAt(edt(date, time)).session;
+
+  assert.equal(session('2024-06-12', '03:59'), 'closed');
+  assert.equal(session('2024-06-12', '04:00'), 'pre_market');
+  assert.equal(session('2024-06-12', '09:29'), 'pre_market');
+  assert.equal(session('2024-06-12', '09:30'), 'regular');
+  assert.equal(session('2024-06-12', '15:59'), 'regular');
+  assert.equal(session('2024-06-12', '16:00'), 'after_hours');
+  assert.equal(session('2024-06-12', '20:00'), 'closed');
+
+  const open = calendar.sessionAt(edt('2024-06-12', '11:00'));
+  assert.equal(open.isOpen, true);
+  assert.equal(open.nextClose, edt('2024-06-12', '16:00'));
+  assert.equal(open.nextOpen, edt('2024-06-13', '09:30'));
+});
+
+test('holidays and weekends are closed, next open skips them', () => {
+  const calendar = new MarketCalendar();
+
+  const goodFriday = calendar.sessionAt(edt('2024-03-29', '11:00'));
+  assert.equal(goodFriday.session, 'closed');
+  assert.equal(goodFriday.holiday, 'Good Friday');
+  assert.equal(goodFriday.nextOpen, edt('2024-04-01', '09:30'), 'Friday holiday + weekend -> Monday');
+
+  const observed = calendar.sessionAt(edt('2026-07-03', '10:00'));
+  assert.equal(observed.holiday, 'Independence Day (observed)');
+  assert.equal(calendar.sessionAt(est('2025-01-09', '10:00')).session, 'closed');
+
+  const saturday = calendar.sessionAt(edt('2024-06-15', '11:00'));
+  assert.equal(saturday.session, 'closed');
+  assert.equal(saturday.holiday, null);
+  assert.equal(calendar.isTradingDay('2024-06-17'), true);
+});
+
+test('early closes end the regular session at 1:00 PM', () => {
+  const calendar = new MarketCalendar();
+
+  const blackFriday = calendar.sessionAt(est('2024-11-29', '12:30'));
+  assert.equal(blackFriday.session, 'regular');
+  assert.equal(blackFriday.earlyClose, true);
+  assert.equal(blackFriday.nextClose, est('2024-11-29', '13:00'));
+
+  assert.equal(calendar.sessionAt(est('2024-11-29', '13:30')).session, 'after_hours');
+  assert.equal(calendar.sessionAt(est('2024-11-29', '17:30')).session, 'closed');
+  assert.equal(calendar.sessionAt(est('2024-12-24', '14:00')).nextOpen, est('2024-12-26', '09:30'));
+});
+
+test('session times follow New York daylight saving time', () => {
+  const calendar = new MarketCalendar();
+  // DST starts Sunday 2024-03-10: Friday opens at 14:30 UTC, Monday at 13:30 UTC
+  assert.equal(calendar.nextOpen(Date.UTC(2024, 2, 8, 12)), Date.UTC(2024, 2, 8, 14, 30));
+  assert.equal(calendar.nextOpen(Date.UTC(2024, 2, 8, 16)), Date.UTC(2024, 2, 11, 13, 30));
+  // DST ends Sunday 2024-11-03
+  assert.equal(calendar.nextOpen(Date.UTC(2024, 10, 1, 20)), Date.UTC(2024, 10, 4, 14, 30));
+});
+
+test('session boundaries come from the marketTiming config', () => {
+  const calendar = new MarketCalendar({ timing: { preMarketStart: '07:00', afterHoursEnd: '18:00' } });
+  assert.equal(calendar.sessionAt(edt('2024-06-12', '06:30')).session, 'closed');
+  assert.equal(calendar.sessionAt(edt('2024-06-12', '07:00')).session, 'pre_market');
+  assert.equal(calendar.sessionAt(edt('2024-06-12', '18:30')).session, 'closed');
+});
+
+test('ferrari gates crypto and schedules resets through the calendar', async () => {
+  let now = edt('2024-07-04', '11:00');
+  const system = await quietly(() => new FerrariTradingSystem(null, { clock: { now: () => now } }));
+  let analyzed = 0;
+  system.performComprehensiveAnalysis = async () => { analyzed++; return null; };
+
+  // Independence Day: crypto is analyzed during what would be regular hours
+  assert.equal(system.isMarketHours(), false);
+  await quietly(() => system.checkTradingOpportunity('BTC/USD', { currentPrice: 60000 }));
+  assert.equal(analyzed, 1);
+
+  now = edt('2024-07-05', '11:00');
+  assert.equal(system.isMarketHours(), true);
+  await quietly(() => system.checkTradingOpportunity('BTC/USD', { currentPrice: 60000 }));
+  assert.equal(analyzed, 1, 'crypto skipped during the regular session');
+  assert.equal((await quietly(() => system.getMarketContext())).session, 'regular');
+
+  // Friday after the open -> next reset is Monday 9:35 ET
+  const originalSetTimeout = global.setTimeout;
+  let scheduledDelay = null;
+  global.setTimeout = (fn, delay) => { scheduledDelay = delay; return originalSetTimeout(() => {}, 0); };
+  try {
+    await quietly(() => system.scheduleDailyResetAfterMarketOpen());
+  } finally {
+    global.setTimeout = originalSetTimeout;
+  }
+  assert.equal(scheduledDelay, edt('2024-07-08', '09:35') - now);
+  assert.equal(scheduledDelay > 70 * HOUR, true);
+});
+
+await run('📅 Market Calendar Test Suite');
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Market Data Provider Test Script
+ * Checks adapter normalization and reconnects against a local WebSocket server
+ */
+
+import assert from 'assert/strict';
+import { WebSocketServer } from 'ws';
+import marketDataRegistry, { MarketDataRegistry } from './src/services/marketData/providerRegistry.js';
+import { MarketDataProvider } from './src/services/marketData/marketDataProvider.js';
+import { AlpacaProvider } from './src/services/marketData/alpacaProvider.js';
+import { BinanceProvider } from './src/services/marketData/binanceProvider.js';
+import { FinnhubProvider } from './src/services/marketData/finnhubProvider.js';
+import { quietly, test, run } from './test_harness.js';
+
+function collect(provider, event) {
+  const events = [];
+  provider.on(event, data => events.push(data));
+  return events;
+}
+
+function waitFor(condition, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      if (condition()) {
+        clearInterval(timer);
+        resolve();
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(timer);
+        reject(new Error('timed out waiting for condition'));
+      }
+    }, 10);
+  });
+}
+
+test('binance frames normalize to the tick schema', () => {
+  const provider = new BinanceProvider();
+  const trades = collect(provider, 'trade');
+  const quotes = collect(provider, 'quote');
+  const bars = collect(provider, 'bar');
+
+  provider.handleMessage({ e: 'trade', s: 'BTCUSDT', p: '64000.5', q: '0.25', T: 1709254800123 });
+  provider.handleMessage({ u: 1, s: 'ETHUSDT', b: '3000.1', B: '2', a: '3000.3', A: '1' });
+  provider.handleMessage({ e: 'kline', s: 'BTCUSDT', k: { t: 1709254800000, o: '1', h: '2', l: '0.5', c: '1.5', v: '10', x: false } });
+  provider.handleMessage({ e: 'kline', s: 'BTCUSDT', k: { t: 1709254800000, o: '1', h: '2', l: '0.5', c: '1.5', v: '10', x: true } });
+
+  assert.deepEqual(trades, [{ symbol: 'BTC/USD', price: 64000.5, volume: 0.25, timestamp: 1709254800123, source: 'binance' }]);
+  assert.equal(quotes[0].symbol, 'ETH/USD');
+  assert.equal(quotes[0].ask, 3000.3);
+  assert.equal(bars.length, 1, 'open klines are not bars');
+  assert.equal(provider.toProviderSymbol('BTC/USD'), 'btcusdt');
+});
+
+test('alpaca and finnhub frames normalize to the tick schema', () => {
+  const alpaca = new AlpacaProvider({ apiKey: 'k', secretKey: 's' });
+  const finnhub = new FinnhubProvider({ apiKey: 'k' });
+  const trades = [alpaca, finnhub].map(p => collect(p, 'trade'));
+
+  alpaca.handleMessage([
+    { T: 't', S: 'AAPL', p: 190.12, s: 100, t: '2024-03-01T15:00:00.000Z' },
+    { T: 'q', S: 'AAPL', bp: 190.1, ap: 190.14, bs: 3, as: 4, t: '2024-03-01T15:00:00.000Z' }
+  ]);
+  finnhub.handleMessage({ type: 'trade', data: [{ s: 'MSFT', p: 410.5, v: 20, t: 1709305200000 }] });
+  finnhub.handleMessage({ type: 'ping' });
+
+  assert.deepEqual(trades[0], [{ symbol: 'AAPL', price: 190.12, volume: 100, timestamp: Date.UTC(2024, 2, 1, 15), source: 'alpaca' }]);
+  assert.deepEqual(trades[1], [{ symbol: 'MSFT', price: 410.5, volume: 20, timestamp: 1709305200000, source: 'finnhub' }]);
+  assert.equal(alpaca.health().quotes, 1);
+});
+
+test('providers without credentials stay disabled', async () => {
+  const provider = new FinnhubProvider({ apiKey: '' });
+  assert.equal(await quietly(() => provider.connect()), false);
+  assert.equal(provider.health().status, 'disabled');
+});
+
+test('registry creates built-ins and accepts new feeds', () => {
+  assert.deepEqual(marketDataRegistry.list(), ['alpaca', 'binance', 'finnhub']);
+  assert.ok(marketDataRegistry.create('binance', { symbols: ['BTC/USD'] }) instanceof BinanceProvider);
+
+  class KrakenProvider extends MarketDataProvider {}
+  const registry = new MarketDataRegistry().register('kraken', options => new KrakenProvider('kraken', options));
+  assert.equal(registry.create('kraken').name, 'kraken');
+  assert.throws(() => registry.create('polygon'), /Unknown market data provider/);
+});
+
+test('alpaca subscribes after auth and resubscribes after a reconnect', () => quietly(async () => {
+  const server = new WebSocketServer({ port: 0 });
+  const received = [];
+  let connections = 0;
+
+  server.on('connection', socket => {
+    connections++;
+    socket.on('message', raw => {
+      const msg = JSON.parse(raw.toString());
+      received.push(msg);
+      if (msg.action === 'auth') {
+        socket.send(JSON.stringify([{ T: 'success', msg: 'authenticated' }]));
+      } else if (msg.action === 'subscribe' && connections === 1) {
+        socket.send(JSON.stringify([{ T: 't', S: 'AAPL', p: 190, s: 5, t: '2024-03-01T15:00:00Z' }]));
+        socket.close();
+      }
+    });
+  });
+  await new Promise(resolve => server.on('listening', resolve));
+
+  const provider = new AlpacaProvider({
+    apiKey: 'key',
+    secretKey: 'secret',
+    symbols: ['AAPL', 'MSFT'],
+    url: `ws://127.0.0.1:${server.address().port}`,
+    reconnectDelay: 20
+  });
+  const trades = collect(provider, 'trade');
+
+  try {
+    await provider.connect();
+    await waitFor(() => connections === 2 && received.filter(m => m.action === 'subscribe').length === 2);
+
+    const [auth, subscribe] = received;
+    assert.equal(auth.key, 'key');
+    assert.deepEqual(subscribe.trades, ['AAPL', 'MSFT']);
+    assert.equal(trades.length, 1);
+    assert.ok(provider.health().reconnects >= 1);
+
+    provider.unsubscribe('MSFT');
+    await waitFor(() => received.some(m => m.action === 'unsubscribe'));
+    assert.deepEqual(received.find(m => m.action === 'unsubscribe').trades, ['MSFT']);
+  } finally {
+    provider.disconnect();
+    await new Promise(resolve => server.close(resolve));
+  }
+}));
+
+await run('📡 Market Data Provider Test Suite');
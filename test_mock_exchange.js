@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Exchange Test Script
+ * Runs the Ferrari feeds and REST history calls against the in-process mock exchange
+ */
+
+import assert from 'assert/strict';
+import axios from 'axios';
+import WebSocket from 'ws';
+import { MockExchangeServer } from './src/mock/mockExchangeServer.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { quietly, test, run } from './test_harness.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function waitFor(condition, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      if (condition()) {
+        clearInterval(timer);
+        resolve();
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(timer);
+        reject(new Error('timed out waiting for condition'));
+      }
+    }, 10);
+  });
+}
+
+function withEnv(overrides, fn) {
+  const previous = {};
+  for (const [key, value] of Object.entries(overrides)) {
+    previous[key] = process.env[key];
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  return Promise.resolve(fn()).finally(() => {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+}
+
+const fixtureBars = Array.from({ length: 48 }, (_, i) => ({
+  timestamp: Date.UTC(2024, 2, 4, 0) + i * HOUR,
+  open: 100 + i,
+  high: 101 + i,
+  low: 99 + i,
+  close: 100.5 + i,
+  volume: 1000
+}));
+
+const server = new MockExchangeServer({ port: 0, tickInterval: 20, quiet: true, fixtures: [{ symbol: 'AAPL', bars: fixtureBars }] });
+await server.start();
+
+const mockEnv = {
+  MOCK_EXCHANGE_URL: server.url,
+  ALPACA_API_KEY: 'mock',
+  ALPACA_SECRET_KEY: 'mock',
+  FINNHUB_API_KEY: 'mock'
+};
+
+test('binance klines serve random-walk history', () => withEnv(mockEnv, async () => {
+  const system = await quietly(() => new FerrariTradingSystem(null));
+  const bars = await quietly(() => system.fetchHistoricalOHLCV('BTC/USD', 'crypto', 50, '15min'));
+  assert.equal(bars.length, 50);
+  assert.ok(bars.every((bar, i) => i === 0 || bar.timestamp - bars[i - 1].timestamp === 15 * 60000));
+  assert.ok(bars.every(bar => bar.high >= bar.low && bar.close > 0));
+}));
+
+test('alpaca bars replay fixtures, finnhub candles as fallback', () => withEnv(mockEnv, async () => {
+  const system = await quietly(() => new FerrariTradingSystem(null));
+  const alpacaBars = await quietly(() => system.fetchHistoricalOHLCV('AAPL', 'stock', 10, '1hour'));
+  assert.equal(alpacaBars.length, 10);
+  assert.equal(alpacaBars[9].close, 147.5);
+  assert.equal(alpacaBars[9].timestamp, fixtureBars[47].timestamp);
+
+  await withEnv({ ALPACA_API_KEY: undefined }, async () => {
+    const finnhubBars = await quietly(() => system.fetchHistoricalOHLCV('AAPL', 'stock', 4, '1hour'));
+    assert.deepEqual(finnhubBars.map(bar => bar.close), [144.5, 145.5, 146.5, 147.5]);
+  });
+}));
+
+test('REST endpoints reject bad requests like the real APIs', () => withEnv(mockEnv, async () => {
+  const noAuth = await axios.get(`${server.url}/v2/stocks/AAPL/bars?timeframe=1Hour`, { validateStatus: () => true });
+  assert.equal(noAuth.status, 401);
+  const badInterval = await axios.get(`${server.url}/api/v3/klines?symbol=BTCUSDT&interval=7m`, { validateStatus: () => true });
+  assert.equal(badInterval.status, 400);
+  const ticker = await axios.get(`${server.url}/api/v3/ticker/price?symbol=BTCUSDT`);
+  assert.ok(parseFloat(ticker.data.price) > 0);
+}));
+
+test('alpaca stream refuses subscriptions before auth', async () => {
+  const socket = new WebSocket(`${server.url.replace('http', 'ws')}/alpaca/v2/iex`);
+  const frames = [];
+  socket.on('message', raw => frames.push(...JSON.parse(raw.toString())));
+  await new Promise(resolve => socket.on('open', resolve));
+
+  socket.send(JSON.stringify({ action: 'subscribe', trades: ['AAPL'] }));
+  await waitFor(() => frames.some(f => f.T === 'error'));
+  assert.equal(frames.find(f => f.T === 'error').code, 401);
+  socket.close();
+});
+
+test('all three feeds stream normalized ticks into the system', () => withEnv(mockEnv, () => quietly(async () => {
+  const system = new FerrariTradingSystem(null);
+  system.config.watchlist = { stocks: ['AAPL', 'MSFT'], crypto: ['BTC/USD'] };
+  system.checkTradingOpportunity = async () => {}; // streaming only - analysis is covered elsewhere
+
+  try {
+    await system.initializeDataFeeds();
+    const trades = name => system.state.providers.get(name).health().trades;
+    await waitFor(() => trades('alpaca') > 2 && trades('finnhub') > 2 && trades('binance') > 2);
+
+    assert.ok(system.state.priceCache.get('AAPL').prices.length > 0);
+    assert.ok(system.state.priceCache.get('MSFT').prices.length > 0);
+    assert.ok(system.state.priceCache.get('BTC/USD').currentPrice > 1000);
+    assert.equal(system.state.connectedFeeds.get('binance').status, 'connected');
+    assert.equal(system.getSystemStats().activeFeeds, 3);
+  } finally {
+    await system.shutdown();
+  }
+})));
+
+await run('🧪 Mock Exchange Test Suite', { cleanup: () => server.stop() });
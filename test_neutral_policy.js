@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Neutral Policy Test Script
+ * Neutral reads are suppressed or traded as a labeled VWAP range trade - never a coin flip
+ */
+
+import assert from 'assert/strict';
+import { NeutralPolicy, neutralPolicyFromEnv, DEFAULT_NEUTRAL_POLICY } from './src/services/neutralPolicy.js';
+import { Strategy } from './src/services/strategies/strategy.js';
+import { StrategyEngine } from './src/services/strategies/strategyEngine.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { quietly, test, run } from './test_harness.js';
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2024, 5, 12, 15, 0);
+
+/**
+ * A range around 100: closes alternate 99 / 101, so VWAP is 100 and one deviation is 1
+ */
+function rangeBars(count = 26, intervalMs = 15 * MINUTE) {
+  return Array.from({ length: count }, (_, i) => {
+    const close = i % 2 ? 101 : 99;
+    return { timestamp: T0 - (count - i) * intervalMs, open: close, high: close + 0.5, low: close - 0.5, close, volume: 1000 };
+  });
+}
+
+class NeutralStrategy extends Strategy {
+  constructor() {
+    super('neutral_stub');
+  }
+
+  evaluate() {
+    return this.candidate('neutral', 4.5, ['Flat across timeframes']);
+  }
+}
+
+async function createSystem(neutralPolicy) {
+  const strategyEngine = await quietly(() => new StrategyEngine({ strategies: [new NeutralStrategy()] }));
+  const system = await quietly(() => new FerrariTradingSystem(null, { clock: { now: () => T0 }, strategyEngine }));
+  system.config.neutralPolicy = neutralPolicy;
+  system.neutralPolicy = new NeutralPolicy(neutralPolicy);
+  system.fetchHistoricalOHLCV = async () => [];
+  system.candles.seed('AAPL', '15min', rangeBars());
+  system.candles.seed('AAPL', '1h', rangeBars(20, 60 * MINUTE));
+  return system;
+}
+
+const symbolData = price => ({ prices: [{ price, timestamp: T0 }], priceChangePercent: 0 });
+
+/**
+ * Run fn with Math.random() failing the test if anything calls it
+ */
+async function withoutRandom(fn) {
+  const random = Math.random;
+  Math.random = () => {
+    throw new Error('Math.random() used for a neutral read');
+  };
+  try {
+    return await fn();
+  } finally {
+    Math.random = random;
+  }
+}
+
+test('suppress is the default and comes from NEUTRAL_POLICY', async () => {
+  assert.equal(DEFAULT_NEUTRAL_POLICY.mode, 'suppress');
+  assert.equal(neutralPolicyFromEnv({}).mode, 'suppress');
+  assert.equal(neutralPolicyFromEnv({ NEUTRAL_POLICY: 'mean_reversion' }).mode, 'mean_reversion');
+  assert.equal((await quietly(() => neutralPolicyFromEnv({ NEUTRAL_POLICY: 'coin_flip' }))).mode, 'suppress', 'unknown modes fall back to suppress');
+
+  const policy = new NeutralPolicy();
+  assert.deepEqual(policy.evaluate({ price: 97.5, bars: rangeBars() }), { action: 'suppress', reason: 'neutral_suppressed' });
+});
+
+test('mean reversion trades stretched prices back toward VWAP with band stops', () => {
+  const policy = new NeutralPolicy({ mode: 'mean_reversion' });
+
+  const long = policy.evaluate({ price: 97.5, bars: rangeBars() });
+  assert.equal(long.action, 'trade');
+  assert.equal(long.direction, 'long');
+  assert.deepEqual(long.levels, { entry: 97.5, stopLoss: 97, takeProfit1: 100, takeProfit2: 101 });
+  assert.equal(long.setup.type, 'range_mean_reversion');
+  assert.equal(long.setup.vwap, 100);
+  assert.equal(long.setup.distanceStdDev, -2.5);
+  assert.ok(long.reasoning[0].startsWith('↔️ Range trade (neutral market): LONG'));
+
+  const short = policy.evaluate({ price: 102.2, bars: rangeBars() });
+  assert.equal(short.direction, 'short');
+  assert.deepEqual(short.levels, { entry: 102.2, stopLoss: 103, takeProfit1: 100, takeProfit2: 99 });
+});
+
+test('no trade inside the range, past the outer band or without history', () => {
+  const policy = new NeutralPolicy({ mode: 'mean_reversion' });
+  assert.equal(policy.evaluate({ price: 100.5, bars: rangeBars() }).reason, 'inside_range');
+  assert.equal(policy.evaluate({ price: 96.5, bars: rangeBars() }).reason, 'range_break');
+  assert.equal(policy.evaluate({ price: 97.5, bars: rangeBars(5) }).reason, 'insufficient_history');
+
+  // Bars without volume weigh equally
+  const noVolume = rangeBars().map(bar => ({ ...bar, volume: 0 }));
+  assert.equal(policy.evaluate({ price: 97.5, bars: noVolume }).setup.vwap, 100);
+});
+
+test('ferrari suppresses neutral reads without a coin flip', async () => {
+  const system = await createSystem({ ...DEFAULT_NEUTRAL_POLICY, mode: 'suppress' });
+
+  const analysis = await withoutRandom(() => quietly(() => system.combineTimeframeAnalysis('AAPL', {}, symbolData(97.5))));
+  assert.equal(analysis, null);
+  assert.equal(await quietly(() => system.calculateDynamicLevels(100, 1, 'neutral')), null, 'no random direction left');
+});
+
+test('ferrari range trades are labeled as such on the tip and the notification', async () => {
+  const system = await createSystem({ ...DEFAULT_NEUTRAL_POLICY, mode: 'mean_reversion' });
+
+  const analysis = await withoutRandom(() => quietly(() => system.combineTimeframeAnalysis('AAPL', {}, symbolData(102.2))));
+  assert.equal(analysis.sentiment, 'neutral');
+  assert.equal(analysis.tradeType, 'mean_reversion');
+  assert.equal(analysis.levels.takeProfit1, 100);
+  analysis.riskRewardRatio = 2.75;
+
+  const tip = await quietly(() => system.createPremiumTip(analysis));
+  assert.equal(tip.sentiment, 'bearish', 'the app sees the side of the levels');
+  assert.equal(tip.tradeType, 'mean_reversion');
+  assert.equal(tip.setup.type, 'range_mean_reversion');
+  assert.equal(tip.setup.direction, 'short');
+  assert.ok(tip.reasoning[0].startsWith('↔️ Range trade (neutral market): SHORT'));
+  assert.ok(!tip.reasoning.some(line => line.includes('converted')));
+
+  const message = system.notifications.buildTipMessage(tip);
+  assert.equal(message.notification.title, '↔️ AAPL Range trade (short)');
+  assert.equal(message.data.tradeType, 'mean_reversion');
+});
+
+await run('↔️ Neutral Policy Test Suite');
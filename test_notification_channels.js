@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * Notification Channels Test Script
+ * Telegram / Discord / Slack / email / webhook formatters, retries and the delivery log against local HTTP stubs
+ */
+
+import assert from 'assert/strict';
+import http from 'http';
+import crypto from 'crypto';
+import { NotificationDispatcher, notificationChannelsFromEnv } from './src/services/notifications/notificationDispatcher.js';
+import { createStorage } from './src/storage/index.js';
+import { quietly, test, run } from './test_harness.js';
+
+const tip = {
+  trackingId: 'ferrari_1',
+  symbol: 'AAPL',
+  timeframe: 'short_term',
+  sentiment: 'bullish',
+  strength: 4.2,
+  entryPrice: 190.5,
+  stopLoss: 187.25,
+  takeProfit: 196,
+  takeProfit2: 201.5,
+  riskRewardRatio: 1.7,
+  reasoning: ['RSI 62 with rising momentum', 'Volume 1.8x average', 'Price above VWAP'],
+  company: { name: 'Apple Inc.', logoUrl: 'assets/logos/stocks/AAPL.png', sector: 'Technology', isCrypto: false },
+  createdAt: new Date(Date.UTC(2024, 5, 12, 15, 0))
+};
+
+/**
+ * Local HTTP stub: records requests, answers with the queued statuses (then 200)
+ */
+async function startStub(statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, raw, body: raw ? JSON.parse(raw) : null });
+      const status = statuses.shift() || 200;
+      res.writeHead(status, { 'Content-Type': 'application/json', ...(status === 429 ? { 'Retry-After': '2' } : {}) });
+      res.end(JSON.stringify(status === 200 ? { ok: true, result: { message_id: 7 } } : { ok: false, description: 'stub error' }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return { url, requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+async function createDispatcher(channels, options = {}) {
+  const storage = await quietly(() => createStorage());
+  const delays = [];
+  const dispatcher = await quietly(() => new NotificationDispatcher({
+    channels,
+    analytics: storage.analytics,
+    sleep: async ms => { delays.push(ms); },
+    ...options
+  }));
+  return { dispatcher, storage, delays };
+}
+
+test('every channel type renders symbol, levels, reasoning and the public logo', async () => {
+  const stub = await startStub();
+  try {
+    const common = { publicBaseUrl: 'https://ferrari.example.com/' };
+    const { dispatcher } = await createDispatcher([
+      { type: 'telegram', botToken: 'bot123', chatId: '@desk', apiUrl: stub.url, ...common },
+      { type: 'discord', webhookUrl: `${stub.url}/discord`, ...common },
+      { type: 'slack', webhookUrl: `${stub.url}/slack`, ...common },
+      { type: 'webhook', url: `${stub.url}/hook`, secret: 's3cret', ...common },
+      { type: 'email', apiKey: 'SG.key', from: 'tips@example.com', to: ['desk@example.com'], apiUrl: stub.url, ...common }
+    ]);
+
+    const results = await quietly(() => dispatcher.dispatch(tip));
+    assert.deepEqual(results.map(result => result.status), Array(5).fill('delivered'));
+
+    const byUrl = Object.fromEntries(stub.requests.map(request => [request.url, request]));
+    const logo = 'https://ferrari.example.com/logos/stocks/AAPL.png';
+
+    const telegram = byUrl['/botbot123/sendPhoto'].body;
+    assert.equal(telegram.photo, logo);
+    assert.match(telegram.caption, /<b>AAPL<\/b> LONG/);
+    assert.match(telegram.caption, /<b>Entry:<\/b> \$190\.50/);
+    assert.match(telegram.caption, /• Volume 1\.8x average/);
+
+    const [embed] = byUrl['/discord'].body.embeds;
+    assert.equal(embed.thumbnail.url, logo);
+    assert.deepEqual(embed.fields.find(field => field.name === 'TP2'), { name: 'TP2', value: '$201.50', inline: true });
+    assert.match(embed.description, /RSI 62/);
+
+    const [section] = byUrl['/slack'].body.blocks;
+    assert.equal(section.accessory.image_url, logo);
+    assert.ok(section.fields.some(field => field.text === '*Stop:* $187.25'));
+
+    const hook = byUrl['/hook'];
+    assert.equal(hook.body.tip.symbol, 'AAPL');
+    assert.equal(hook.body.tip.company.logoUrl, logo);
+    const signature = crypto.createHmac('sha256', 's3cret').update(hook.raw).digest('hex');
+    assert.equal(hook.headers['x-ferrari-signature'], `sha256=${signature}`);
+
+    const mail = byUrl['/v3/mail/send'];
+    assert.equal(mail.headers.authorization, 'Bearer SG.key');
+    assert.deepEqual(mail.body.personalizations[0].to, [{ email: 'desk@example.com' }]);
+    assert.match(mail.body.content[1].value, new RegExp(`src="${logo}"`));
+  } finally {
+    await stub.close();
+  }
+});
+
+test('server errors are retried with backoff and the delivery is logged per channel', async () => {
+  const stub = await startStub([500, 503]);
+  try {
+    const { dispatcher, storage, delays } = await createDispatcher([{ type: 'discord', name: 'desk-discord', webhookUrl: stub.url }]);
+
+    const [result] = await quietly(() => dispatcher.dispatch(tip));
+    assert.equal(result.status, 'delivered');
+    assert.equal(result.attempts, 3);
+    assert.equal(stub.requests.length, 3);
+    assert.equal(delays.length, 2);
+    assert.ok(delays[1] > delays[0], 'exponential backoff');
+
+    const [event] = await storage.analytics.list();
+    assert.equal(event.event_type, 'channel_delivery');
+    assert.equal(event.channel, 'desk-discord');
+    assert.equal(event.channel_type, 'discord');
+    assert.equal(event.status, 'delivered');
+    assert.equal(event.attempts, 3);
+    assert.deepEqual(event.tracking_ids, ['ferrari_1']);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('client errors are not retried, 429 honors Retry-After, attempts are capped', async () => {
+  const stub = await startStub([400, 429, 500, 500, 500, 500]);
+  try {
+    const { dispatcher, storage, delays } = await createDispatcher([{ type: 'slack', webhookUrl: stub.url }], { maxAttempts: 3 });
+
+    const [rejected] = await quietly(() => dispatcher.dispatch(tip));
+    assert.equal(rejected.status, 'failed');
+    assert.equal(rejected.attempts, 1);
+    assert.match(rejected.error, /HTTP 400/);
+
+    const [exhausted] = await quietly(() => dispatcher.dispatch(tip));
+    assert.equal(exhausted.status, 'failed');
+    assert.equal(exhausted.attempts, 3);
+    assert.equal(delays[0], 2000, 'Retry-After: 2');
+
+    const events = await storage.analytics.list();
+    assert.deepEqual(events.map(event => event.status), ['failed', 'failed']);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('filters per channel and digest channels send one message on flush', async () => {
+  const stub = await startStub();
+  try {
+    const { dispatcher, storage } = await createDispatcher([
+      { type: 'telegram', name: 'crypto-room', botToken: 'b', chatId: '1', apiUrl: stub.url, assetClasses: ['crypto'] },
+      { type: 'webhook', name: 'strong-only', url: `${stub.url}/hook`, minimumStrength: 4.5 },
+      { type: 'email', apiKey: 'k', from: 'tips@example.com', to: 'desk@example.com', apiUrl: stub.url, digest: true }
+    ]);
+
+    const first = await quietly(() => dispatcher.dispatch(tip));
+    await quietly(() => dispatcher.dispatch({ ...tip, symbol: 'MSFT', trackingId: 'ferrari_2', strength: 4.6 }));
+    assert.deepEqual(first.map(result => `${result.channel}:${result.status}`), ['email:queued']);
+    assert.deepEqual(stub.requests.map(request => request.url), ['/hook'], 'only MSFT passes strong-only, nothing for crypto-room');
+    assert.equal(dispatcher.getStatus().find(channel => channel.name === 'email').queued, 2);
+
+    await quietly(() => dispatcher.stop());
+    const digest = stub.requests.find(request => request.url === '/v3/mail/send').body;
+    assert.match(digest.subject, /2 tips/);
+    assert.match(digest.content[0].value, /AAPL LONG[\s\S]*MSFT LONG/);
+    assert.equal(dispatcher.getStatus().find(channel => channel.name === 'email').queued, 0);
+
+    const [event] = (await storage.analytics.list()).filter(entry => entry.digest);
+    assert.deepEqual(event.symbols, ['AAPL', 'MSFT']);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('channels are configured from the environment without code changes', async () => {
+  const fromJson = notificationChannelsFromEnv({
+    NOTIFICATION_CHANNELS: '[{"type":"discord","webhookUrl":"${HOOK}","minimumStrength":4}]',
+    HOOK: 'http://127.0.0.1:9/hook',
+    PUBLIC_BASE_URL: 'https://ferrari.example.com'
+  });
+  assert.deepEqual(fromJson, [{ publicBaseUrl: 'https://ferrari.example.com', type: 'discord', webhookUrl: 'http://127.0.0.1:9/hook', minimumStrength: 4 }]);
+
+  const fromShorthand = notificationChannelsFromEnv({ SLACK_WEBHOOK_URL: 'http://s', EMAIL_API_KEY: 'k', EMAIL_FROM: 'a@b.c', EMAIL_TO: 'x@y.z' });
+  assert.deepEqual(fromShorthand.map(config => config.type), ['slack', 'email']);
+  assert.equal(fromShorthand[1].digest, true);
+
+  assert.deepEqual(await quietly(() => notificationChannelsFromEnv({ NOTIFICATION_CHANNELS: '{not json' })), []);
+
+  const { dispatcher } = await createDispatcher([
+    { type: 'discord' },
+    { type: 'pager', url: 'http://x' },
+    { type: 'slack', webhookUrl: 'http://s' }
+  ]);
+  assert.deepEqual(dispatcher.getStatus().map(channel => channel.name), ['slack'], 'missing credentials and unknown types are skipped');
+});
+
+await run('📣 Notification Channels Test Suite');
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Notification Service Test Script
+ * Templates, Android / APNs payloads, deep links, analytics and dry-run mode of the shared FCM subsystem
+ */
+
+import assert from 'assert/strict';
+import { NotificationService, NOTIFICATION_TEMPLATES, FCM_PAYLOAD_LIMIT_BYTES } from './src/services/notificationService.js';
+import { PositionSizingService } from './src/services/positionSizingService.js';
+import { createStorage } from './src/storage/index.js';
+import { quietly, test, run } from './test_harness.js';
+
+const T0 = Date.UTC(2024, 5, 12, 15, 0);
+
+const tip = {
+  trackingId: 'ferrari_1',
+  symbol: 'AAPL',
+  timeframe: 'mid_term',
+  sentiment: 'bearish',
+  strength: 4.4,
+  confidence: 82,
+  entryPrice: 190.5,
+  stopLoss: 194,
+  takeProfit: 183,
+  riskRewardRatio: 2.1,
+  reasoning: ['Lower highs on the daily chart'],
+  company: { name: 'Apple Inc.', logoUrl: 'assets/logos/stocks/AAPL.png', sector: 'Technology', isCrypto: false }
+};
+
+function fakeMessaging() {
+  const sent = [];
+  return {
+    sent,
+    sendEachForMulticast: async message => {
+      sent.push(message);
+      return {
+        responses: message.tokens.map(() => ({ success: true })),
+        successCount: message.tokens.length,
+        failureCount: 0
+      };
+    }
+  };
+}
+
+async function createService(options = {}) {
+  const storage = await quietly(() => createStorage({ now: () => T0 }));
+  const service = new NotificationService({ analytics: storage.analytics, now: () => T0, ...options });
+  return { service, storage };
+}
+
+test('tip messages carry the template, platform payloads and deep link', async () => {
+  const { service } = await createService();
+  const message = service.buildTipMessage(tip);
+
+  assert.deepEqual(message.notification, { title: '📉 AAPL Bearish alert', body: 'Entry $190.50' });
+  assert.equal(message.messageId, `ferrari_AAPL_mid_term_${T0}`);
+  assert.equal(message.data.route, '/trading_tip');
+  assert.equal(message.data.target_timeframe, 'mid_term');
+  assert.equal(message.data.click_action, 'FLUTTER_NOTIFICATION_CLICK');
+  assert.equal(message.data.companyLogoUrl, 'assets/logos/stocks/AAPL.png');
+  assert.equal(message.data.takeProfit2, '', 'missing values become empty strings');
+  assert.ok(Object.values(message.data).every(value => typeof value === 'string'), 'FCM data values are strings');
+
+  assert.equal(message.android.notification.channelId, 'trading_tips');
+  assert.equal(message.android.notification.color, '#F44336');
+  assert.equal(message.apns.headers['apns-priority'], '10');
+  assert.equal(message.apns.payload.aps.category, 'TRADING_TIP');
+  assert.equal(message.apns.payload.customData.target_timeframe, 'mid_term');
+
+  assert.throws(() => service.buildTipMessage(tip, { template: 'nope' }), /Unknown notification template/);
+});
+
+test('the same icon for the same sentiment every time', async () => {
+  const { service } = await createService();
+  const titles = new Set(Array.from({ length: 10 }, () => service.buildTipMessage({ ...tip, sentiment: 'bullish' }).notification.title));
+  assert.deepEqual([...titles], ['📈 AAPL Bullish alert']);
+  assert.equal(NOTIFICATION_TEMPLATES.ferrari_signal.render({ symbol: 'ETH/USD' }).title, '⚡ ETH/USD Neutral alert');
+});
+
+test('sendTip multicasts per user with per-user data and logs analytics', async () => {
+  const messaging = fakeMessaging();
+  const { service, storage } = await createService({ messaging });
+  const users = [{ userId: 'alice', deviceTokens: ['a1', 'a2'] }, { userId: 'bob', deviceTokens: ['b1'] }];
+
+  const result = await quietly(() => service.sendTip(tip, users, { userData: async user => ({ greeting: `hi ${user.userId}` }) }));
+  assert.deepEqual(result.delivered.map(user => user.userId), ['alice', 'bob']);
+  assert.equal(result.dryRun, false);
+
+  assert.equal(messaging.sent.length, 2);
+  assert.deepEqual(messaging.sent[0].tokens, ['a1', 'a2']);
+  assert.equal(messaging.sent[1].data.greeting, 'hi bob');
+  assert.ok(messaging.sent[0].android && messaging.sent[0].apns, 'platform blocks are sent with every multicast');
+
+  const [event] = await storage.analytics.list();
+  assert.equal(event.event_type, 'ferrari_signal_sent');
+  assert.equal(event.delivered_users, 2);
+  assert.equal(event.dry_run, false);
+  assert.equal(event.platform_config.target_timeframe, 'mid_term');
+});
+
+test('fully populated tips stay under the FCM payload limit by trimming reasoning', async () => {
+  const messaging = fakeMessaging();
+  const { service } = await createService({ messaging });
+  const sizing = new PositionSizingService();
+  const reasoning = Array.from({ length: 40 }, (_, i) => `📊 Reason ${i + 1}: institutional accumulation above the VWAP with rising relative volume 📈`);
+  const full = {
+    ...tip,
+    takeProfit2: 176,
+    tradeType: 'breakout',
+    timestamp: new Date(T0).toISOString(),
+    source: 'ferrari',
+    reasoning,
+    company: { ...tip.company, business: 'Designs and sells iPhone, Mac, iPad, wearables and services such as the App Store, iCloud and Apple Music.' }
+  };
+  const context = { atr: 2.4, winRate: 55, sampleSize: 40 };
+  const data = { positionSizing: sizing.toPayload(sizing.calculate(full, context)) };
+  const userData = async () => ({ userPositionSizing: sizing.toPayload(sizing.calculate(full, context, [12500])) });
+
+  await quietly(() => service.sendTip(full, [{ userId: 'alice', deviceTokens: ['a1'] }], { data, userData }));
+
+  const [sent] = messaging.sent;
+  const size = Buffer.byteLength(JSON.stringify({ notification: sent.notification, data: sent.data }));
+  assert.ok(size <= FCM_PAYLOAD_LIMIT_BYTES, `${size} bytes`);
+  const kept = JSON.parse(sent.data.reasoning);
+  assert.ok(kept.length > 0 && kept.length < reasoning.length, `${kept.length} reasons kept`);
+  assert.deepEqual(kept, reasoning.slice(0, kept.length), 'the first reasons survive');
+  assert.notEqual(sent.data.userPositionSizing, '');
+
+  assert.equal(service.buildTipMessage(tip).data.reasoning, JSON.stringify(tip.reasoning), 'short reasoning is untouched');
+});
+
+test('dry run builds and logs everything but sends nothing', async () => {
+  const messaging = fakeMessaging();
+  const { service, storage } = await createService({ messaging, config: { dryRun: true } });
+
+  const result = await quietly(() => service.sendTip(tip, [{ userId: 'alice', deviceTokens: ['a1'] }]));
+  assert.equal(result.dryRun, true);
+  assert.equal(messaging.sent.length, 0);
+  const [event] = await storage.analytics.list();
+  assert.equal(event.dry_run, true);
+
+  const { service: noFirebase } = await createService();
+  assert.equal(noFirebase.dryRun, true, 'no messaging means dry run');
+  assert.equal((await quietly(() => noFirebase.sendTestNotification('token'))).dryRun, true);
+});
+
+test('TradingView alerts use their own template through the same service', async () => {
+  const messaging = fakeMessaging();
+  const { service, storage } = await createService({ messaging });
+  const alertTip = { ...tip, symbol: 'MSFT', timeframe: 'short_term', sentiment: 'bullish', entryPrice: 400, takeProfit: 415, source: 'tradingview_webhook' };
+
+  await quietly(() => service.sendTip(alertTip, [{ userId: 'alice', deviceTokens: ['a1'] }], { template: 'tradingview_alert' }));
+
+  const [message] = messaging.sent;
+  assert.equal(message.notification.title, '🟢 TradingView Alert: MSFT');
+  assert.equal(message.notification.body, 'BUY signal at $400.00 | Target: $415.00');
+  assert.equal(message.data.source, 'tradingview_webhook');
+  assert.equal(message.data.target_timeframe, 'short_term');
+  assert.equal((await storage.analytics.list())[0].event_type, 'tradingview_signal_sent');
+});
+
+await run('📱 Notification Service Test Suite');
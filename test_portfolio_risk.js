@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Portfolio Risk Test Script
+ * Net direction, sector, correlation and daily risk limits between the quality gates and signal generation
+ */
+
+import assert from 'assert/strict';
+import { PortfolioRiskManager } from './src/services/portfolioRiskManager.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { quietly, test, run } from './test_harness.js';
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2024, 2, 4, 15, 0);
+
+// 15m candles following a shared (or independent) wave
+function waveBars(phase, { noise = 0, length = 60 } = {}) {
+  return Array.from({ length }, (_, i) => ({
+    timestamp: T0 + i * 15 * MINUTE,
+    close: 100 + Math.sin(i / 3 + phase) * 2 + (noise ? Math.sin(i * noise) : 0)
+  }));
+}
+
+function candidate(symbol, { long = true, strength = 4.6, entry = 100, stopDistance = 2 } = {}) {
+  return {
+    symbol,
+    finalStrength: strength,
+    levels: {
+      entry,
+      stopLoss: long ? entry - stopDistance : entry + stopDistance,
+      takeProfit1: long ? entry + stopDistance * 3 : entry - stopDistance * 3
+    }
+  };
+}
+
+function openTip(symbol, direction = 'long') {
+  return { symbol, direction, entryPrice: 100, stopLoss: direction === 'long' ? 98 : 102 };
+}
+
+test('accepts a signal with no open exposure', () => {
+  const risk = new PortfolioRiskManager();
+  const result = risk.evaluate(candidate('AAPL'), 4.0);
+  assert.equal(result.decision, 'accept');
+  assert.equal(result.strength, 4.6);
+  assert.equal(result.exposure.sector, 'Technology');
+  assert.equal(result.exposure.riskPercent, 2);
+});
+
+test('third open tip in a sector is rejected', () => {
+  const risk = new PortfolioRiskManager({ getOpenTips: () => [openTip('AAPL'), openTip('MSFT')] });
+  const result = risk.evaluate(candidate('GOOGL'), 4.0);
+  assert.equal(result.decision, 'reject');
+  assert.deepEqual(result.breaches.map(b => [b.limit, b.action]), [['sector', 'reject']]);
+
+  assert.equal(risk.evaluate(candidate('XOM'), 4.0).decision, 'accept', 'other sectors are unaffected');
+});
+
+test('correlated same-direction tips are downgraded, hedges are not', () => {
+  const bars = {
+    'BTC/USD': waveBars(0),
+    'ETH/USD': waveBars(0, { noise: 0.7 }),
+    'XOM': waveBars(1.5, { noise: 2.3 })
+  };
+  const tips = [openTip('BTC/USD')];
+  const risk = new PortfolioRiskManager({
+    getBars: symbol => bars[symbol] || [],
+    getOpenTips: () => tips
+  });
+
+  assert.ok(risk.getCorrelation('BTC/USD', 'ETH/USD') > 0.7);
+  const result = risk.evaluate(candidate('ETH/USD'), 4.0);
+  assert.equal(result.decision, 'downgrade');
+  assert.equal(result.strength, 4.1);
+  assert.equal(result.breaches[0].cluster[0].symbol, 'BTC/USD');
+
+  assert.equal(risk.evaluate(candidate('ETH/USD', { strength: 4.2 }), 4.0).decision, 'reject', 'downgrade below the minimum strength rejects');
+  assert.equal(risk.evaluate(candidate('ETH/USD', { long: false }), 4.0).decision, 'accept');
+  assert.equal(risk.getCorrelation('BTC/USD', 'AAPL'), null, 'no shared bars, no correlation');
+});
+
+test('net direction and the daily risk budget are enforced', () => {
+  const tips = [openTip('XOM'), openTip('JPM'), openTip('KO')];
+  let now = T0;
+  const risk = new PortfolioRiskManager({ getOpenTips: () => tips, now: () => now });
+
+  const crowded = risk.evaluate(candidate('PFE'), 4.0);
+  assert.deepEqual(crowded.breaches.map(b => [b.limit, b.action]), [['netDirection', 'downgrade']]);
+  assert.equal(risk.evaluate(candidate('PFE', { long: false }), 4.0).decision, 'accept');
+
+  risk.recordSignal({ entryPrice: 100, stopLoss: 95 });
+  risk.recordSignal({ entryPrice: 100, stopLoss: 95 });
+  const overBudget = risk.evaluate(candidate('PFE', { long: false, stopDistance: 3 }), 4.0);
+  assert.equal(overBudget.decision, 'reject');
+  assert.equal(overBudget.breaches[0].limit, 'dailyRisk');
+
+  now += 24 * 60 * MINUTE;
+  assert.equal(risk.evaluate(candidate('PFE', { long: false, stopDistance: 3 }), 4.0).decision, 'accept', 'budget resets daily');
+});
+
+test('ferrari gates signals on open tips before generating', async () => {
+  const system = await quietly(() => new FerrariTradingSystem(null));
+  await quietly(() => {
+    system.outcomeTracker.register({ trackingId: 't1', symbol: 'AAPL', entryPrice: 100, stopLoss: 98, takeProfit: 106 });
+    system.outcomeTracker.register({ trackingId: 't2', symbol: 'MSFT', entryPrice: 100, stopLoss: 98, takeProfit: 106 });
+  });
+
+  const analysis = { ...candidate('NVDA'), reasoning: [] };
+  assert.equal(await quietly(() => system.passesPortfolioRisk(analysis)), false);
+  assert.equal(analysis.portfolioRisk.decision, 'reject');
+
+  const other = { ...candidate('JPM'), reasoning: [] };
+  assert.equal(await quietly(() => system.passesPortfolioRisk(other)), true);
+});
+
+await run('⚖️ Portfolio Risk Test Suite');
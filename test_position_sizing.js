@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Position Sizing Test Script
+ * Fixed fractional, volatility targeted and capped Kelly sizes on every tip
+ */
+
+import assert from 'assert/strict';
+import { PositionSizingService } from './src/services/positionSizingService.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { UserProfileService } from './src/services/userProfileService.js';
+import { createStorage, MemoryDocumentStore } from './src/storage/index.js';
+import { quietly, test, run } from './test_harness.js';
+
+const tip = { symbol: 'AAPL', entryPrice: 100, stopLoss: 98, riskRewardRatio: 2.5 };
+
+async function userProfiles(users) {
+  const profiles = new UserProfileService({ users: createStorage({ store: new MemoryDocumentStore() }).users });
+  for (const [userId, profile] of Object.entries(users)) {
+    await profiles.saveProfile(userId, profile);
+  }
+  return profiles;
+}
+
+test('fixed fractional and volatility targeted sizes per reference account', () => {
+  const sizing = new PositionSizingService().calculate(tip, { atr: 1.25 });
+
+  assert.equal(sizing.stopDistancePercent, 2);
+  assert.deepEqual(sizing.accounts.map(a => a.accountSize), [10000, 25000, 100000]);
+
+  const [small, medium] = sizing.accounts;
+  assert.deepEqual(small.fixedFractional, { units: 50, notional: 5000, riskAmount: 100, riskPercent: 1, capped: false });
+  assert.equal(medium.fixedFractional.units, 125);
+  assert.equal(small.volatilityTargeted.units, 40, '0.5% of $10k / 1.25 ATR');
+  assert.equal(small.kelly, null);
+  assert.match(sizing.kelly.reason, /needs 20 resolved tips \(have 0\)/);
+});
+
+test('positions are capped at the account size and crypto sizes fractionally', () => {
+  const tight = new PositionSizingService().calculate({ symbol: 'KO', entryPrice: 60, stopLoss: 59.9 }, {});
+  assert.equal(tight.accounts[0].fixedFractional.units, 166);
+  assert.equal(tight.accounts[0].fixedFractional.capped, true);
+  assert.equal(tight.accounts[0].volatilityTargeted, null, 'no ATR, no volatility target');
+
+  const crypto = new PositionSizingService().calculate({ symbol: 'BTC/USD', entryPrice: 60000, stopLoss: 58800 }, {});
+  assert.equal(crypto.accounts[0].fixedFractional.units, 0.083333);
+  assert.equal(new PositionSizingService().calculate({ symbol: 'AAPL', entryPrice: 100, stopLoss: 100 }), null);
+});
+
+test('kelly is fractional, capped and needs an edge', () => {
+  const service = new PositionSizingService();
+
+  const modest = service.getKellyRiskPercent(2.5, { winRate: 40, sampleSize: 30 });
+  assert.equal(modest.fullKellyPercent, 16);
+  assert.equal(modest.riskPercent, 2, 'half Kelly of 16% is capped at 2%');
+
+  const slim = service.getKellyRiskPercent(1.5, { winRate: 41, sampleSize: 30 });
+  assert.equal(slim.riskPercent, 0.83);
+
+  assert.equal(service.getKellyRiskPercent(2.5, { winRate: 25, sampleSize: 30 }).available, false);
+
+  const sizing = service.calculate(tip, { atr: 1.25, winRate: 41, sampleSize: 30 }, [10000]);
+  assert.equal(sizing.accounts[0].kelly.units, 100, '2% cap of $10k over a $2 stop');
+});
+
+test('per-user account sizes come from the user profile', async () => {
+  const service = new PositionSizingService({ userProfiles: await userProfiles({ alice: { accountSize: 5000 }, bob: {} }) });
+  const sizing = await service.sizeForUser('alice', tip, { atr: 1.25 });
+  assert.deepEqual(sizing.accounts.map(a => [a.accountSize, a.fixedFractional.units]), [[5000, 25]]);
+  assert.equal(await service.sizeForUser('bob', tip), null);
+  assert.equal(await service.sizeForUser('carol', tip), null);
+});
+
+test('ferrari tips carry sizing in the document, payload and reasoning', async () => {
+  const system = await quietly(() => new FerrariTradingSystem(null));
+  const created = await quietly(() => system.createPremiumTip({
+    symbol: 'AAPL',
+    sentiment: 'bullish',
+    finalStrength: 4.5,
+    riskRewardRatio: 2.5,
+    atr: 1.25,
+    levels: { entry: 100, stopLoss: 98, takeProfit1: 105, takeProfit2: 108 },
+    reasoning: ['Strong trend'],
+    timeframes: ['1hour']
+  }));
+
+  assert.equal(created.positionSizing.accounts[1].fixedFractional.units, 125);
+  assert.ok(created.reasoning.includes('📐 Fixed fractional: 125 units ($12,500) risking 1% of the account'));
+
+  const payload = system.positionSizing.toPayload(created.positionSizing);
+  assert.deepEqual(payload.accounts[0], { size: 10000, fixed: 50, volatility: 40, kelly: null });
+  assert.ok(JSON.stringify(payload).length < 300, 'compact enough for FCM data');
+});
+
+await run('📐 Position Sizing Test Suite');
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Market Regime Test Script
+ * Benchmark trend, realized volatility percentile and watchlist breadth, the
+ * regime they classify to, and how it moves strength, gates and tip reasoning
+ */
+
+import assert from 'assert/strict';
+import { RegimeService } from './src/services/regimeService.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { quietly, test, run } from './test_harness.js';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 5, 12, 15, 0); // Wednesday 11:00 ET
+
+/**
+ * Hourly bars ending at T0: drift per bar, alternating noise, and a noisier tail
+ */
+function hourlyBars({ count = 130, drift = 0, noise = 0.001, tail = 0, tailNoise = noise }) {
+  const bars = [];
+  let base = 100;
+  for (let i = 0; i < count; i++) {
+    base *= 1 + drift;
+    const wiggle = i >= count - tail ? tailNoise : noise;
+    const close = base * (1 + (i % 2 === 0 ? wiggle : -wiggle));
+    bars.push({ timestamp: T0 - (count - 1 - i) * HOUR, open: close, high: close * 1.001, low: close * 0.999, close, volume: 1000 });
+  }
+  return bars;
+}
+
+function createService(barsBySymbol, { watchlist = {}, liveBars = {} } = {}) {
+  const clock = { value: T0 };
+  const service = new RegimeService({
+    config: { benchmarks: { stocks: ['SPY', 'QQQ'], crypto: ['BTC/USD'] }, minimumBreadthSymbols: 2 },
+    getBars: async symbol => barsBySymbol[symbol] || [],
+    getLiveBars: symbol => liveBars[symbol] || [],
+    getWatchlist: () => watchlist,
+    now: () => clock.value
+  });
+  return { clock, service };
+}
+
+test('benchmarks classify as trending up / down, choppy or high-vol', async () => {
+  const classify = bars => quietly(() => createService({ SPY: bars, QQQ: bars }).service.getRegime('stocks'));
+
+  const up = await classify(hourlyBars({ drift: 0.002 }));
+  assert.equal(up.regime, 'trending_up');
+  assert.ok(up.trendSlope > 0.15 && up.trendSlope < 0.25, `slope ${up.trendSlope}`);
+  assert.equal(up.volatilityPercentile, 50, 'steady volatility sits mid-range');
+  assert.deepEqual(up.benchmarks, ['SPY', 'QQQ']);
+
+  assert.equal((await classify(hourlyBars({ drift: -0.002 }))).regime, 'trending_down');
+  assert.equal((await classify(hourlyBars({ noise: 0.005 }))).regime, 'choppy');
+
+  const spiking = await classify(hourlyBars({ drift: 0.002, tail: 10, tailNoise: 0.02 }));
+  assert.equal(spiking.regime, 'high_vol', 'volatility wins over the trend');
+  assert.equal(spiking.volatilityPercentile, 100);
+
+  const unknown = await classify([]);
+  assert.deepEqual([unknown.regime, unknown.benchmarks], ['unknown', []]);
+});
+
+test('breadth across the watchlist confirms or vetoes a benchmark trend', async () => {
+  const rising = hourlyBars({ drift: 0.002 });
+  const falling = hourlyBars({ count: 30, drift: -0.002 });
+  const watchlist = { stocks: ['AAPL', 'MSFT', 'NVDA', 'AMD'] };
+
+  const narrow = createService({ SPY: rising }, { watchlist, liveBars: { AAPL: rising, MSFT: falling, NVDA: falling, AMD: falling } });
+  const choppy = await quietly(() => narrow.service.getRegime('stocks'));
+  assert.deepEqual([choppy.regime, choppy.breadth], ['choppy', 0.25], 'one in four above its MA');
+
+  const broad = createService({ SPY: rising }, { watchlist, liveBars: { AAPL: rising, MSFT: rising, NVDA: rising, AMD: falling } });
+  assert.equal((await quietly(() => broad.service.getRegime('stocks'))).regime, 'trending_up');
+
+  // Too few symbols with bars: no breadth reading, the benchmarks decide
+  const thin = createService({ SPY: rising }, { watchlist, liveBars: { MSFT: falling } });
+  assert.deepEqual(
+    [(await quietly(() => thin.service.getRegime('stocks'))).breadth, thin.service.cache.get('stocks').regime],
+    [null, 'trending_up']
+  );
+});
+
+test('regimes are cached per asset class until refreshMs', async () => {
+  const bars = { SPY: hourlyBars({ drift: 0.002 }), 'BTC/USD': hourlyBars({ drift: -0.002 }) };
+  const { clock, service } = createService(bars);
+  assert.equal((await quietly(() => service.getRegime('stocks'))).regime, 'trending_up');
+  assert.equal((await quietly(() => service.getRegime('crypto'))).regime, 'trending_down');
+
+  bars.SPY = hourlyBars({ drift: -0.002 });
+  clock.value = T0 + 60 * 1000;
+  assert.equal((await quietly(() => service.getRegime('stocks'))).regime, 'trending_up', 'cached');
+  clock.value = T0 + 5 * 60 * 1000;
+  assert.equal((await quietly(() => service.getRegime('stocks'))).regime, 'trending_down', 'refreshed');
+  assert.deepEqual(Object.keys(service.getStatus()), ['stocks', 'crypto']);
+});
+
+test('ferrari streams the benchmarks but only signals the watchlist', async () => {
+  const system = await quietly(() => new FerrariTradingSystem(null, { clock: { now: () => T0 } }));
+  const alpaca = system.getOrCreateProvider(system.config.dataFeeds.find(feed => feed.provider === 'alpaca'));
+  const binance = system.getOrCreateProvider(system.config.dataFeeds.find(feed => feed.provider === 'binance'));
+  assert.ok(['SPY', 'QQQ', 'IWM', 'AAPL'].every(symbol => alpaca.symbols.has(symbol)));
+  assert.ok(binance.symbols.has('BTC/USD'));
+
+  const analyzed = [];
+  system.checkTradingOpportunity = async symbol => analyzed.push(symbol);
+  for (let i = 0; i < 20; i++) {
+    system.updatePrice({ symbol: 'SPY', price: 540 + i * 0.1, volume: 100, timestamp: T0 + i * 1000 });
+    system.updatePrice({ symbol: 'AAPL', price: 200 + i * 0.1, volume: 100, timestamp: T0 + i * 1000 });
+  }
+  assert.deepEqual([...new Set(analyzed)], ['AAPL']);
+
+  // A benchmark added to and removed from the watchlist keeps streaming
+  const stocks = system.config.watchlist.stocks;
+  await quietly(() => system.updateWatchlist({ stocks: [...stocks, 'SPY'] }));
+  await quietly(() => system.updateWatchlist({ stocks: stocks.filter(symbol => symbol !== 'SPY') }));
+  assert.ok(alpaca.symbols.has('SPY'));
+  assert.ok(system.state.priceCache.has('SPY'));
+});
+
+test('the regime moves strength, gate thresholds and tip reasoning', async () => {
+  const system = await quietly(() => new FerrariTradingSystem(null, { clock: { now: () => T0 } }));
+  for (const symbol of ['SPY', 'QQQ', 'IWM']) {
+    system.candles.seed(symbol, '1h', hourlyBars({ drift: 0.002 }));
+  }
+
+  const context = await quietly(() => system.getMarketContext('AAPL'));
+  assert.deepEqual([context.regime, context.marketTrend, context.volatility], ['trending_up', 'bullish', 'normal']);
+  assert.equal(context.isMarketHours, true);
+
+  const analysis = sentiment => ({
+    symbol: 'AAPL',
+    sentiment,
+    strength: 4.0,
+    priceChangePercent: 0,
+    reasoning: ['Breakout'],
+    atr: 1,
+    levels: { entry: 100, stopLoss: 98, takeProfit1: 106, takeProfit2: 110 },
+    marketContext: context
+  });
+  const strength = candidate => Math.round(system.calculateFinalStrength(candidate) * 100) / 100;
+  assert.equal(strength(analysis('bullish')), 4.5, '+0.3 with the trend, +0.2 market hours');
+  assert.equal(strength(analysis('bearish')), 3.9, '-0.3 against it');
+  assert.equal(strength({ ...analysis('bullish'), tradeType: 'mean_reversion', marketContext: { ...context, regime: 'choppy' } }), 4.4);
+
+  // 4.1 clears the 4.0 bar, not the 4.25 one a high-vol market sets
+  const calm = { ...analysis('bullish'), finalStrength: 4.1 };
+  const stormy = { ...calm, marketContext: { ...context, regime: 'high_vol' } };
+  assert.equal(await quietly(() => system.passesQualityGates(calm)), true);
+  assert.equal(await quietly(() => system.passesQualityGates(stormy)), false);
+  assert.equal(system.config.qualityGates.minimumStrength, 4.0, 'configured gates untouched');
+
+  const tip = await quietly(() => system.createPremiumTip(calm));
+  const line = tip.reasoning.find(reason => reason.startsWith('🧭 Market regime: trending up (SPY/QQQ/IWM MA slope +0.'));
+  assert.ok(line && line.endsWith('volatility 50th pct) - with the trend'), tip.reasoning.join(' | '));
+});
+
+await run('🧭 Market Regime Test Suite');
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Scoring Test Script
+ * Technical, institutional, momentum, regime and session components on one
+ * scale, their weighted breakdown, and the confidence reported on the tip
+ */
+
+import assert from 'assert/strict';
+import { ScoringService } from './src/services/scoringService.js';
+import { RegimeService } from './src/services/regimeService.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { StrategyEngine } from './src/services/strategies/strategyEngine.js';
+import { Strategy } from './src/services/strategies/strategy.js';
+import { quietly, test, run } from './test_harness.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = Date.UTC(2024, 5, 12, 15, 0);
+
+const scoring = new ScoringService({ regime: new RegimeService() });
+const trendingUp = { regime: 'trending_up', marketTrend: 'bullish', volatility: 'normal', volatilityPercentile: 50, trendSlope: 0.1, breadth: null, benchmarks: ['SPY'], isMarketHours: true };
+
+function analysis(overrides = {}) {
+  return {
+    symbol: 'AAPL',
+    sentiment: 'bullish',
+    strength: 3.0,
+    priceChangePercent: 1,
+    institutionalGrade: { compositeScore: 1.2, confidence: 80 },
+    marketContext: trendingUp,
+    reasoning: ['Breakout'],
+    levels: { entry: 100, stopLoss: 98, takeProfit1: 106, takeProfit2: 110 },
+    ...overrides
+  };
+}
+
+const byName = score => Object.fromEntries(score.components.map(component => [component.name, component]));
+
+test('every component reads as direction, conviction and confidence on one scale', () => {
+  const components = byName(scoring.score(analysis()));
+
+  assert.deepEqual(components.technical, { name: 'technical', direction: 'bullish', conviction: 0.6, confidence: 1, alignment: 0.6, weight: 5, contribution: 3 });
+  assert.deepEqual(
+    [components.institutional.direction, components.institutional.conviction, components.institutional.confidence, components.institutional.alignment],
+    ['bullish', 0.6, 0.8, 0.6],
+    'compositeScore 1.2 of 2, 80% factor confidence'
+  );
+  assert.deepEqual([components.momentum.conviction, components.momentum.alignment], [0.5, 0.5], '1% of a 2% full move');
+  assert.deepEqual([components.regime.direction, components.regime.alignment], ['bullish', 1]);
+  assert.deepEqual([components.session.direction, components.session.alignment], ['neutral', 1]);
+
+  // The same readings contradict a bearish signal
+  const bearish = byName(scoring.score(analysis({ sentiment: 'bearish' })));
+  assert.deepEqual([bearish.institutional.alignment, bearish.momentum.alignment, bearish.regime.alignment], [-0.6, -0.5, -1]);
+});
+
+test('the breakdown adds up to the final strength', () => {
+  const score = scoring.score(analysis());
+  const contributions = byName(score);
+  assert.equal(contributions.institutional.contribution, 0.36, '0.75 × 0.8 × 0.6');
+  assert.equal(contributions.momentum.contribution, 0.25);
+  assert.equal(contributions.regime.contribution, 0.3);
+  assert.equal(contributions.session.contribution, 0.2);
+  assert.equal(score.strength, 4.11);
+  assert.equal(Math.round(score.components.reduce((sum, c) => sum + c.contribution, 0) * 100) / 100, 4.11);
+  assert.equal(score.direction, 'bullish');
+
+  // Offline institutional data (no confidence) and an unknown regime move nothing
+  const sparse = byName(scoring.score(analysis({ institutionalGrade: null, marketContext: { regime: 'unknown', isMarketHours: false } })));
+  assert.deepEqual([sparse.institutional.contribution, sparse.regime.contribution, sparse.session.contribution], [0, 0, 0]);
+
+  assert.equal(scoring.score(analysis({ strength: 5 })).strength, 5, 'capped at 5');
+});
+
+test('contradicting evidence lowers strength and confidence but never flips the direction', () => {
+  const against = scoring.score(analysis({ strength: 4.2, priceChangePercent: 0, marketContext: null, institutionalGrade: { compositeScore: -2, confidence: 90 } }));
+  assert.equal(against.direction, 'bullish');
+  assert.equal(against.strength, 3.525, '4.2 - 0.75 × 0.9 × 1');
+  assert.equal(against.corroboration, 0);
+  assert.equal(against.confidence, Math.round((3.525 / 5) * 0.8 * 100));
+
+  const agreeing = scoring.score(analysis({ strength: 4.2 }));
+  assert.equal(agreeing.corroboration, 1);
+  assert.equal(agreeing.confidence, 95, 'capped');
+  assert.equal(scoring.confidence(4.0), 72, 'no supporting evidence either way');
+
+  // Range trades take the side of their levels
+  const range = scoring.score(analysis({ sentiment: 'neutral', tradeType: 'mean_reversion', levels: { entry: 100, stopLoss: 102, takeProfit1: 97 } }));
+  assert.equal(range.direction, 'bearish');
+  assert.equal(byName(range).momentum.alignment, -0.5);
+});
+
+test('institutional scores no longer override the technical read', async () => {
+  const calls = { institutional: 0, scoring: 0 };
+  const system = await quietly(() => new FerrariTradingSystem(null, {
+    clock: { now: () => T0 },
+    technicalAnalysisService: { getTechnicalAnalysis: async () => null },
+    institutionalAnalysisService: {
+      getInstitutionalAnalysis: async () => {
+        calls.institutional++;
+        return { compositeScore: 1.8, confidence: 80, sentiment: 'bullish', reasoning: [] };
+      }
+    }
+  }));
+  system.combineTimeframeAnalysis = async (symbol, analyses, symbolData, context) => ({
+    ...analysis({ symbol, sentiment: 'bearish', strength: 0.6, priceChangePercent: 0 }),
+    ...context
+  });
+  system.getMarketContext = async () => ({ regime: 'unknown', marketTrend: 'unknown', isMarketHours: false });
+  const calculateFinalStrength = system.calculateFinalStrength.bind(system);
+  system.calculateFinalStrength = analysis => {
+    calls.scoring++;
+    return calculateFinalStrength(analysis);
+  };
+
+  const result = await quietly(() => system.performComprehensiveAnalysis('AAPL', { prices: [] }));
+  assert.deepEqual(calls, { institutional: 1, scoring: 1 }, 'one institutional read, scored once');
+  assert.equal(result.sentiment, 'bearish', 'the old override flipped this to bullish');
+  assert.equal(result.strength, 0.6, 'no institutional boost folded into the technical strength');
+  assert.equal(result.finalStrength, 0.06, '0.6 - 0.75 × 0.8 × 0.9');
+  assert.equal(byName(result.score).institutional.alignment, -0.9);
+});
+
+test('live momentum comes from the candles the engine built from its ticks', async () => {
+  const bullish = new (class extends Strategy {
+    evaluate() {
+      return this.candidate('bullish', 3, ['Trend up']);
+    }
+  })('trend');
+  const strategyEngine = await quietly(() => new StrategyEngine({ strategies: [bullish] }));
+  const system = await quietly(() => new FerrariTradingSystem(null, {
+    clock: { now: () => T0 + 3 * HOUR },
+    strategyEngine,
+    technicalAnalysisService: { getTechnicalAnalysis: async () => null },
+    institutionalAnalysisService: { getInstitutionalAnalysis: async () => null }
+  }));
+  system.checkTradingOpportunity = async () => {};
+  system.fetchHistoricalOHLCV = async () => [];
+  system.getMarketContext = async () => trendingUp;
+
+  // 100 → 102 over three hours, one tick every 5 minutes (the feeds send no change %)
+  for (let i = 0; i <= 36; i++) {
+    system.updatePrice({ symbol: 'AAPL', price: 100 + i / 18, volume: 100, timestamp: T0 + i * 5 * MINUTE });
+  }
+  assert.equal(Math.round(system.calculatePriceChange('AAPL', 102) * 100) / 100, 2, 'from the first 1h open, no daily close yet');
+
+  const result = await quietly(() => system.performComprehensiveAnalysis('AAPL', system.state.priceCache.get('AAPL')));
+  assert.ok(result, 'analysis produced');
+  const momentum = byName(result.score).momentum;
+  assert.deepEqual([momentum.direction, momentum.alignment, momentum.contribution], ['bullish', 1, 0.5]);
+
+  // Once a daily candle has closed, momentum is the change since that close
+  system.candles.seed('MSFT', '1d', [
+    { timestamp: T0 - 24 * HOUR, open: 100, high: 101, low: 99, close: 100, volume: 1000 },
+    { timestamp: T0, open: 100, high: 100.5, low: 98.5, close: 99, volume: 10 }
+  ]);
+  assert.equal(system.calculatePriceChange('MSFT', 99), -1);
+  assert.equal(system.calculatePriceChange('NVDA', 100), null, 'no candles, no momentum reading');
+});
+
+test('tips carry the breakdown and a confidence that follows portfolio downgrades', async () => {
+  const system = await quietly(() => new FerrariTradingSystem(null, { clock: { now: () => T0 } }));
+  const signal = analysis();
+  signal.finalStrength = system.calculateFinalStrength(signal);
+  signal.riskRewardRatio = 3;
+
+  const tip = await quietly(() => system.createPremiumTip(signal));
+  assert.equal(tip.strength, signal.finalStrength);
+  assert.equal(tip.confidence, scoring.confidence(signal.finalStrength, 1));
+  assert.deepEqual(tip.scoring.components.map(c => c.name), ['technical', 'institutional', 'momentum', 'regime', 'session']);
+  assert.ok(tip.reasoning.includes('🎯 Score 4.11/5 (82% confidence): technical +3.00, institutional +0.36, momentum +0.25, regime +0.30, session +0.20'), tip.reasoning.join(' | '));
+
+  // Portfolio risk downgraded the signal after scoring
+  signal.finalStrength = 3.5;
+  const downgraded = await quietly(() => system.createPremiumTip(signal));
+  assert.deepEqual([downgraded.scoring.strength, downgraded.scoring.scoredStrength], [3.5, signal.score.strength]);
+  assert.equal(downgraded.confidence, 70);
+});
+
+await run('🎯 Scoring Test Suite');
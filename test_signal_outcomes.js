@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Signal Outcome Tracker Test Script
+ * Feeds ticks to the tracker and checks how tips resolve - no Firebase needed
+ */
+
+import assert from 'assert/strict';
+import { SignalOutcomeTracker } from './src/services/signalOutcomeTracker.js';
+import { quietly, test, run } from './test_harness.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.UTC(2024, 2, 4, 15, 0);
+
+function longTip(overrides = {}) {
+  return {
+    trackingId: 'FER_TEST',
+    symbol: 'AAPL',
+    entryPrice: 100,
+    stopLoss: 98,
+    takeProfit: 105,
+    takeProfit2: 108,
+    createdAt: new Date(START),
+    expiresAt: new Date(START + 24 * HOUR),
+    ...overrides
+  };
+}
+
+function feed(tracker, symbol, prices) {
+  prices.forEach((price, i) => tracker.onPrice(symbol, price, START + (i + 1) * 60000));
+}
+
+test('stop before TP1 is lost at -1R', () => quietly(() => {
+  const tracker = new SignalOutcomeTracker({ now: () => START });
+  const record = tracker.register(longTip());
+  feed(tracker, 'AAPL', [101, 99, 97.9]);
+  assert.equal(record.status, 'lost');
+  assert.equal(record.resultR, -1);
+  assert.equal(record.mfeR, 0.5);
+  assert.equal(tracker.getActiveTips().length, 0);
+}));
+
+test('TP1 then the breakeven stop is partial', () => quietly(() => {
+  const tracker = new SignalOutcomeTracker({ now: () => START });
+  const record = tracker.register(longTip());
+  feed(tracker, 'AAPL', [103, 105.2, 101, 99.9]);
+  assert.equal(record.status, 'partial', 'the stop moved from 98 to entry at TP1');
+  assert.equal(record.exitPrice, 100);
+  assert.equal(record.resultR, 0.5 * 2.5, 'half at TP1, the rest flat');
+  assert.ok(record.tp1HitAt);
+}));
+
+test('TP2 is won', () => quietly(() => {
+  const tracker = new SignalOutcomeTracker({ now: () => START });
+  const record = tracker.register(longTip());
+  feed(tracker, 'AAPL', [104, 106, 108.1]);
+  assert.equal(record.status, 'won');
+  assert.equal(record.exitPrice, 108);
+  assert.equal(record.resultR, 0.5 * 2.5 + 0.5 * 4);
+}));
+
+test('short tips resolve against inverted levels', () => quietly(() => {
+  const tracker = new SignalOutcomeTracker({ now: () => START });
+  const record = tracker.register(longTip({ stopLoss: 102, takeProfit: 95, takeProfit2: 92 }));
+  assert.equal(record.direction, 'short');
+  feed(tracker, 'AAPL', [101, 94.9, 99, 102.5]);
+  assert.equal(record.status, 'partial');
+  assert.equal(record.maeR, -1.25);
+}));
+
+test('ticks for other symbols are ignored', () => quietly(() => {
+  const tracker = new SignalOutcomeTracker({ now: () => START });
+  tracker.register(longTip());
+  feed(tracker, 'MSFT', [50, 500]);
+  assert.equal(tracker.getActiveTips().length, 1);
+}));
+
+test('expiry without TP1 is expired, with TP1 is won', () => quietly(() => {
+  const tracker = new SignalOutcomeTracker({ now: () => START });
+  const plain = tracker.register(longTip({ trackingId: 'A' }));
+  const hit = tracker.register(longTip({ trackingId: 'B', symbol: 'MSFT' }));
+  feed(tracker, 'AAPL', [101]);
+  feed(tracker, 'MSFT', [105.5, 103]);
+
+  tracker.expireStale(START + 25 * HOUR);
+  assert.equal(plain.status, 'expired');
+  assert.equal(plain.resultR, 0.5);
+  assert.equal(plain.resolvedAt, START + 24 * HOUR);
+  assert.equal(hit.status, 'won');
+  assert.equal(hit.resultR, 0.5 * 2.5 + 0.5 * 1.5);
+}));
+
+test('stats and resolved events reflect real results', () => quietly(() => {
+  const tracker = new SignalOutcomeTracker({ now: () => START });
+  const resolved = [];
+  tracker.on('resolved', record => resolved.push(record.trackingId));
+
+  tracker.register(longTip({ trackingId: 'W' }));
+  tracker.register(longTip({ trackingId: 'L', symbol: 'MSFT' }));
+  feed(tracker, 'AAPL', [108]);
+  feed(tracker, 'MSFT', [97]);
+
+  const stats = tracker.getStats();
+  assert.deepEqual(resolved, ['W', 'L']);
+  assert.equal(stats.resolved, 2);
+  assert.equal(stats.winRate, 50);
+  assert.equal(stats.active, 0);
+}));
+
+await run('🎯 Signal Outcome Tracker Test Suite');
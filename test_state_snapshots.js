@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Engine State Snapshot Test Script
+ * Daily signal count, symbol cooldowns, user limits and circuit breakers are
+ * checkpointed, validated and expired on restore, so a restarted instance
+ * behaves like one that never stopped
+ */
+
+import assert from 'assert/strict';
+import { StateSnapshotService, SNAPSHOT_VERSION } from './src/services/stateSnapshotService.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { createStorage, MemoryDocumentStore } from './src/storage/index.js';
+import { quietly, test, run } from './test_harness.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = Date.UTC(2024, 5, 12, 15, 0); // Wednesday 11:00 ET
+const NEXT_MORNING = Date.UTC(2024, 5, 13, 14, 0); // Thursday 10:00 ET
+
+function engineState() {
+  return {
+    dailySignalCount: 3,
+    lastSignalDate: new Date(T0).toDateString(),
+    lastSignalTimestamp: T0 - 10 * MINUTE,
+    signalCooldowns: new Map([['AAPL', T0 + 2 * HOUR], ['BTC/USD', T0 + 30 * MINUTE], ['MSFT', T0 - MINUTE]]),
+    userLimits: new Map([['u1', { dailyCount: 2, hourlyCount: 1, lastSignal: T0 - 10 * MINUTE, lastReset: new Date(T0).toDateString() }]]),
+    circuitBreakers: {
+      alpaca: { failures: 5, lastFailure: T0 - MINUTE, isOpen: true, timeout: 300000 },
+      binance: { failures: 0, lastFailure: null, isOpen: false, timeout: 180000 },
+      maxFailures: 5,
+      resetTime: 600000
+    }
+  };
+}
+
+function createService(state = engineState()) {
+  const clock = { value: T0 };
+  const saved = [];
+  const repository = {
+    stored: null,
+    get: async () => repository.stored,
+    save: async snapshot => {
+      saved.push(snapshot);
+      repository.stored = structuredClone(snapshot);
+    }
+  };
+  const service = new StateSnapshotService({ repository, capture: () => state, config: { debounceMs: 20 }, now: () => clock.value });
+  return { clock, repository, saved, service };
+}
+
+/**
+ * A Ferrari instance on a shared store, at a settable time
+ */
+async function createSystem(store, at) {
+  const clock = { value: at };
+  const system = await quietly(() => new FerrariTradingSystem(null, {
+    clock: { now: () => clock.value },
+    storage: createStorage({ store, now: () => clock.value })
+  }));
+  return { clock, system };
+}
+
+test('snapshots round-trip and expire cooldowns, hourly counts and breakers by time', async () => {
+  const { clock, service } = createService();
+  await service.save();
+
+  const snapshot = service.build();
+  assert.deepEqual(snapshot.cooldowns, [{ symbol: 'AAPL', until: T0 + 2 * HOUR }, { symbol: 'BTC/USD', until: T0 + 30 * MINUTE }], 'expired cooldowns are not written');
+  assert.deepEqual(snapshot.circuitBreakers, {
+    alpaca: { failures: 5, lastFailure: T0 - MINUTE, isOpen: true },
+    binance: { failures: 0, lastFailure: null, isOpen: false }
+  }, 'breaker state only, not its settings');
+
+  clock.value = T0 + 5 * MINUTE;
+  const soon = await service.restore({ breakerResetTime: 600000 });
+  assert.deepEqual(soon.daily, { count: 3, lastSignalDate: new Date(T0).toDateString(), lastSignalTimestamp: T0 - 10 * MINUTE });
+  assert.deepEqual([...soon.cooldowns.keys()], ['AAPL', 'BTC/USD']);
+  assert.equal(soon.userLimits.get('u1').hourlyCount, 1);
+  assert.equal(soon.circuitBreakers.alpaca.isOpen, true);
+
+  clock.value = T0 + 70 * MINUTE;
+  const later = await service.restore({ breakerResetTime: 600000 });
+  assert.deepEqual([...later.cooldowns.keys()], ['AAPL'], 'BTC/USD cooldown ran out');
+  assert.deepEqual([later.userLimits.get('u1').dailyCount, later.userLimits.get('u1').hourlyCount], [2, 0], 'an hourly reset would have run');
+  assert.deepEqual(later.circuitBreakers.alpaca, { failures: 0, lastFailure: T0 - MINUTE, isOpen: false });
+  assert.equal(service.getStatus().restoredFrom, new Date(T0).toISOString());
+});
+
+test('invalid snapshots are rejected and malformed entries dropped', async () => {
+  const { service } = createService();
+  const valid = service.build();
+
+  assert.equal(await quietly(() => service.validate({ ...valid, version: SNAPSHOT_VERSION + 1 })), null, 'unknown version');
+  assert.equal(await quietly(() => service.validate({ ...valid, savedAt: T0 + HOUR })), null, 'from the future');
+  assert.equal(await quietly(() => service.validate({ ...valid, savedAt: 'yesterday' })), null);
+
+  const restored = service.validate({
+    ...valid,
+    savedAt: new Date(T0), // Firestore returns Dates
+    daily: { count: -2, lastSignalTimestamp: T0 + HOUR },
+    cooldowns: [{ symbol: 'AAPL', until: 'soon' }, { until: T0 + HOUR }, { symbol: 'NVDA', until: T0 + HOUR }],
+    userLimits: [{ userId: 'u1', dailyCount: 1.5, hourlyCount: 0 }, { userId: 'u2', dailyCount: 1, hourlyCount: 1 }],
+    circuitBreakers: { alpaca: { failures: 'many', isOpen: true }, finnhub: { failures: 2, lastFailure: T0, isOpen: false } }
+  });
+  assert.equal(restored.savedAt, T0);
+  assert.deepEqual(restored.daily, { count: 0, lastSignalDate: null, lastSignalTimestamp: null });
+  assert.deepEqual([...restored.cooldowns.keys()], ['NVDA']);
+  assert.deepEqual([...restored.userLimits.keys()], ['u2']);
+  assert.deepEqual(restored.userLimits.get('u2'), { dailyCount: 1, hourlyCount: 1, lastSignal: 0, lastReset: null });
+  assert.deepEqual(Object.keys(restored.circuitBreakers), ['finnhub']);
+});
+
+test('changes are checkpointed in one coalesced write and flushed on demand', async () => {
+  const state = engineState();
+  const { saved, service } = createService(state);
+
+  service.schedule();
+  state.dailySignalCount = 4;
+  service.schedule();
+  assert.equal(service.getStatus().checkpointPending, true);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await service.pending;
+  assert.deepEqual(saved.map(snapshot => snapshot.daily.count), [4], 'one write with the latest state');
+
+  service.schedule();
+  state.dailySignalCount = 5;
+  await service.flush();
+  assert.deepEqual(saved.map(snapshot => snapshot.daily.count), [4, 5]);
+  assert.equal(service.getStatus().checkpointPending, false);
+
+  // A failing backend is logged, not thrown
+  const failing = new StateSnapshotService({ repository: { save: async () => { throw new Error('offline'); } }, capture: () => state });
+  await quietly(() => failing.flush());
+  assert.equal(failing.getStatus().lastSavedAt, null);
+});
+
+test('a redeploy keeps the daily count, cooldowns, user limits and open breakers', async () => {
+  const store = new MemoryDocumentStore();
+  const { system: before } = await createSystem(store, T0);
+  const tip = await quietly(() => before.generateSignal({
+    symbol: 'AAPL',
+    sentiment: 'bullish',
+    strength: 4.5,
+    finalStrength: 4.5,
+    riskRewardRatio: 3,
+    priceChangePercent: 1,
+    reasoning: ['Breakout'],
+    levels: { entry: 100, stopLoss: 98, takeProfit1: 106, takeProfit2: 110 }
+  }));
+  assert.ok(tip, 'signal generated');
+  await before.updateUserLimits([{ userId: 'u1' }], tip);
+  for (let i = 0; i < 5; i++) {
+    await quietly(() => before.recordApiFailure('alpaca', new Error('503')));
+  }
+  await quietly(() => before.shutdown());
+
+  const { system: after } = await createSystem(store, T0 + 3 * MINUTE);
+  await quietly(() => after.restoreEngineState());
+  assert.equal(after.state.dailySignalCount, 1);
+  assert.equal(after.isInCooldown('AAPL'), true, 'the symbol that just fired is not re-sent');
+  assert.match(after.signalBlockReason(), /Hourly signal limit: must wait 57/);
+  assert.deepEqual([after.state.userLimits.get('u1').dailyCount, after.state.userLimits.get('u1').hourlyCount], [1, 1]);
+  assert.equal(after.isCircuitBreakerOpen('alpaca'), true);
+  assert.equal(after.getSystemStats().stateSnapshots.restoredFrom, new Date(T0).toISOString());
+
+  // Without a snapshot the limits start fresh
+  const { system: fresh } = await createSystem(new MemoryDocumentStore(), T0);
+  await quietly(() => fresh.restoreEngineState());
+  assert.deepEqual([fresh.state.dailySignalCount, fresh.state.signalCooldowns.size], [0, 0]);
+});
+
+test('a daily reset missed while down runs on restore', async () => {
+  const store = new MemoryDocumentStore();
+  const { system: before } = await createSystem(store, T0);
+  Object.assign(before.state, { dailySignalCount: 5, lastSignalTimestamp: T0 });
+  before.state.signalCooldowns.set('AAPL', T0 + 2 * HOUR);
+  before.state.userLimits.set('u1', { dailyCount: 5, hourlyCount: 2, lastSignal: T0, lastReset: new Date(T0).toDateString() });
+  await quietly(() => before.shutdown());
+
+  // Before Thursday's 9:35 reset the count still stands
+  const { system: early } = await createSystem(store, Date.UTC(2024, 5, 13, 13, 0));
+  await quietly(() => early.restoreEngineState());
+  assert.equal(early.state.dailySignalCount, 5);
+
+  const { system: after } = await createSystem(store, NEXT_MORNING);
+  await quietly(() => after.restoreEngineState());
+  assert.equal(after.state.dailySignalCount, 0, 'Thursday 9:35 reset fell in the gap');
+  assert.equal(after.state.lastSignalDate, new Date(NEXT_MORNING).toDateString());
+  assert.deepEqual([after.state.userLimits.get('u1').dailyCount, after.state.userLimits.get('u1').hourlyCount], [0, 0]);
+  assert.equal(after.isInCooldown('AAPL'), false);
+  assert.equal(after.signalBlockReason(), null);
+});
+
+await run('♻️ Engine State Snapshot Test Suite');
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Test Script
+ * One contract for the memory and SQLite backends, the repositories and the engine running on them
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createStorage,
+  createDocumentStore,
+  storageConfigFromEnv,
+  MemoryDocumentStore,
+  SqliteDocumentStore
+} from './src/storage/index.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { quietly, test, run } from './test_harness.js';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 2, 4, 15, 0);
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ferrari-storage-'));
+
+const backends = {
+  memory: () => new MemoryDocumentStore(),
+  sqlite: () => quietly(() => new SqliteDocumentStore())
+};
+
+for (const [backend, createStore] of Object.entries(backends)) {
+  test(`${backend}: documents round-trip with dates, merges and create conflicts`, async () => {
+    const store = await createStore();
+    await store.set('tips', 'a', { symbol: 'AAPL', createdAt: new Date(T0), levels: { entry: 100 }, note: undefined });
+
+    const saved = await store.get('tips', 'a');
+    assert.equal(saved.createdAt instanceof Date, true);
+    assert.equal(saved.createdAt.getTime(), T0);
+    assert.deepEqual(saved.levels, { entry: 100 });
+    assert.equal('note' in saved, false, 'undefined fields are dropped');
+
+    await store.set('tips', 'a', { strength: 4.5 }, { merge: true });
+    assert.deepEqual(Object.keys(await store.get('tips', 'a')).sort(), ['createdAt', 'levels', 'strength', 'symbol']);
+    await store.set('tips', 'a', { strength: 5 });
+    assert.deepEqual(await store.get('tips', 'a'), { strength: 5 });
+
+    await assert.rejects(() => store.create('tips', 'a', {}), /already exists/);
+    const id = await store.add('tips', { symbol: 'MSFT' });
+    assert.equal((await store.get('tips', id)).symbol, 'MSFT');
+    assert.equal(await store.get('tips', 'missing'), null);
+    await store.close();
+  });
+
+  test(`${backend}: queries filter, order and limit`, async () => {
+    const store = await createStore();
+    const rows = [['a', 'AAPL', 0, true], ['b', 'MSFT', 1, true], ['c', 'AAPL', 2, false], ['d', 'AAPL', 3, true]];
+    for (const [id, symbol, hours, active] of rows) {
+      await store.set('tips', id, { symbol, active, createdAt: new Date(T0 + hours * HOUR), strength: 4 + hours / 10 });
+    }
+
+    const ids = results => results.map(result => result.id);
+    assert.deepEqual(ids(await store.query('tips', { where: [['symbol', '==', 'AAPL']], orderBy: ['createdAt', 'desc'] })), ['d', 'c', 'a']);
+    assert.deepEqual(ids(await store.query('tips', { where: [['createdAt', '>=', new Date(T0 + HOUR)]], orderBy: ['createdAt', 'asc'], limit: 2 })), ['b', 'c']);
+    assert.deepEqual(ids(await store.query('tips', { where: [['active', '==', false]] })), ['c']);
+    assert.deepEqual(ids(await store.query('tips', { where: [['strength', '<', 4.15]], orderBy: ['strength', 'asc'] })), ['a', 'b']);
+    await assert.rejects(() => store.query('tips', { where: [['symbol', 'in', ['AAPL']]] }), /Unsupported query operator/);
+    await store.close();
+  });
+
+  test(`${backend}: concurrent updates do not lose writes`, async () => {
+    const store = await createStore();
+    const increment = () => store.update('stats', 'global', current => ({ count: (current?.count || 0) + 1 }));
+    await Promise.all(Array.from({ length: 10 }, increment));
+    assert.equal((await store.get('stats', 'global')).count, 10);
+    assert.equal(await store.update('stats', 'global', () => null), null, 'mutate can skip');
+    await store.close();
+  });
+}
+
+test('sqlite file survives a reopen', async () => {
+  const filename = path.join(tempDir, 'nested', 'ferrari.sqlite');
+  const first = await quietly(() => new SqliteDocumentStore({ filename }));
+  await first.set('latest_tips', 'short_term', { symbol: 'AAPL', createdAt: new Date(T0) });
+  await first.close();
+  assert.equal(fs.existsSync(filename), true);
+
+  const second = await quietly(() => new SqliteDocumentStore({ filename }));
+  const tip = await second.get('latest_tips', 'short_term');
+  assert.equal(tip.symbol, 'AAPL');
+  assert.equal(tip.createdAt.getTime(), T0);
+  await second.close();
+});
+
+test('backend selection from config and environment', async () => {
+  assert.deepEqual(storageConfigFromEnv({}), { backend: null, sqlitePath: 'data/ferrari.sqlite' });
+  assert.deepEqual(storageConfigFromEnv({ STORAGE_BACKEND: 'sqlite', STORAGE_SQLITE_PATH: '/tmp/x.sqlite' }), { backend: 'sqlite', sqlitePath: '/tmp/x.sqlite' });
+
+  assert.equal((await quietly(() => createDocumentStore())).backend, 'memory');
+  assert.equal((await quietly(() => createDocumentStore({ backend: 'firestore' }))).backend, 'memory', 'no Firebase, no Firestore');
+  assert.equal((await quietly(() => createDocumentStore({ db: { collection() {} } }))).backend, 'firestore');
+  assert.throws(() => createDocumentStore({ backend: 'postgres' }), /Unknown storage backend/);
+});
+
+test('repositories keep stats, analytics and outcomes', async () => {
+  let now = T0;
+  const storage = createStorage({ now: () => now });
+
+  await storage.stats.recordGeneratedTip({ aiAccuracy: 97 });
+  await storage.stats.recordGeneratedTip({ aiAccuracy: 98 });
+  await storage.stats.recordOutcome({ resultR: 2 });
+  await storage.stats.recordOutcome({ resultR: -1 });
+  const stats = await storage.stats.get();
+  assert.equal(stats.generatedTips, 2);
+  assert.equal(stats.aiAccuracy, 98);
+  assert.equal(stats.successRate, 50);
+
+  await storage.analytics.log({ message_id: 'm1' });
+  now += HOUR;
+  await storage.analytics.log({ message_id: 'm2' });
+  assert.deepEqual((await storage.analytics.list()).map(event => event.message_id), ['m2', 'm1']);
+
+  await storage.outcomes.save({ trackingId: 't1', status: 'active', createdAt: T0, expiresAt: T0 + HOUR, tp1HitAt: null });
+  await storage.outcomes.save({ trackingId: 't2', status: 'lost', createdAt: T0, expiresAt: T0 + HOUR });
+  const active = await storage.outcomes.listActive();
+  assert.deepEqual(active.map(record => [record.trackingId, record.createdAt, record.expiresAt]), [['t1', T0, T0 + HOUR]]);
+});
+
+test('the engine saves, reads and restores through a SQLite file', async () => {
+  const sqlitePath = path.join(tempDir, 'engine.sqlite');
+  const clock = { now: () => T0 };
+  const config = { backend: 'sqlite', sqlitePath };
+
+  const first = await quietly(() => new FerrariTradingSystem(null, {
+    clock,
+    storage: createStorage({ ...config, now: clock.now })
+  }));
+  const tip = { trackingId: 'ferrari_1', symbol: 'AAPL', timeframe: 'mid_term', strength: 4.6, entryPrice: 100, stopLoss: 98, takeProfit: 106, createdAt: new Date(T0) };
+
+  await quietly(async () => {
+    assert.deepEqual(await first.saveTip(tip), { success: true });
+    first.outcomeTracker.register(tip);
+    await first.updateUserLimits([{ userId: 'alice' }], tip);
+  });
+  assert.notEqual(await quietly(() => first.determineTimeframe({ finalStrength: 4.6, riskRewardRatio: 3 })), 'mid_term', 'freshest timeframe is not picked');
+  await quietly(() => first.shutdown());
+
+  const second = await quietly(() => new FerrariTradingSystem(null, {
+    clock,
+    storage: createStorage({ ...config, now: clock.now })
+  }));
+  assert.equal((await second.storage.tips.getLatest('mid_term')).symbol, 'AAPL');
+  assert.equal((await second.storage.stats.get()).generatedTips, 1);
+  assert.equal((await second.tipHistory.get('ferrari_1')).status, 'active');
+  assert.equal(await quietly(() => second.outcomeTracker.restoreActiveTips()), 1);
+  assert.equal((await second.loadUserLimits('alice')).dailyCount, 1);
+  await quietly(() => second.shutdown());
+});
+
+await run('🗄️ Storage Test Suite', { cleanup: () => fs.rmSync(tempDir, { recursive: true, force: true }) });
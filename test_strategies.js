@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Strategy Framework Test Script
+ * Config directory loading, the built-in strategies, weighted combination and per-strategy attribution
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StrategyEngine, loadStrategyConfigs, DEFAULT_STRATEGIES_DIR, DEFAULT_STRATEGY_CONFIGS } from './src/services/strategies/strategyEngine.js';
+import { Strategy } from './src/services/strategies/strategy.js';
+import strategyRegistry from './src/services/strategies/strategyRegistry.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { createStorage } from './src/storage/index.js';
+import { quietly, test, run } from './test_harness.js';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 5, 12, 15, 0);
+
+/**
+ * Bars from closes: open at the previous close, one point of range around the body
+ */
+function barsFrom(closes, { volume = 1000 } = {}) {
+  return closes.map((close, i) => {
+    const open = i > 0 ? closes[i - 1] : close;
+    return { timestamp: T0 + i * HOUR, open, high: Math.max(open, close) + 0.5, low: Math.min(open, close) - 0.5, close, volume };
+  });
+}
+
+/**
+ * Evaluate on a growing prefix of the bars and return the first candidate with the bar count
+ */
+function firstSignal(strategy, timeframe, bars) {
+  for (let n = strategy.requiredHistory[timeframe]; n <= bars.length; n++) {
+    const candidate = strategy.evaluate({ symbol: 'AAPL', bars: { [timeframe]: bars.slice(0, n) } });
+    if (candidate) return { candidate, n };
+  }
+  return { candidate: null, n: bars.length };
+}
+
+class FixedStrategy extends Strategy {
+  constructor(options = {}) {
+    super('fixed', options);
+    this.requiredHistory = options.requiredHistory || {};
+  }
+
+  evaluate() {
+    if (this.params.throws) throw new Error('boom');
+    return this.params.sentiment ? this.candidate(this.params.sentiment, this.params.strength, [`${this.name} says ${this.params.sentiment}`]) : null;
+  }
+}
+
+const fixed = (name, sentiment, strength, options = {}) => new FixedStrategy({ name, params: { sentiment, strength }, ...options });
+
+test('strategies load from the config directory, one file each', async () => {
+  const shipped = loadStrategyConfigs(DEFAULT_STRATEGIES_DIR);
+  assert.deepEqual(shipped.map(config => config.strategy).sort(), strategyRegistry.list().sort(), 'a config file per built-in');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'strategies-'));
+  try {
+    fs.writeFileSync(path.join(directory, 'breakout.json'), JSON.stringify({ weight: 0.8, symbols: ['aapl'] }));
+    fs.writeFileSync(path.join(directory, 'rsi.json'), JSON.stringify([
+      { strategy: 'rsi_reversal', enabled: false },
+      { strategy: 'rsi_reversal', name: 'rsi_fast', params: { period: 7 } }
+    ]));
+    fs.writeFileSync(path.join(directory, 'broken.json'), '{ nope');
+    fs.writeFileSync(path.join(directory, 'notes.txt'), 'ignored');
+
+    const configs = await quietly(() => loadStrategyConfigs(directory));
+    assert.deepEqual(configs.map(config => config.name || config.strategy), ['breakout', 'rsi_reversal', 'rsi_fast']);
+
+    const engine = await quietly(() => new StrategyEngine({ strategies: [...configs, { strategy: 'nope' }] }));
+    assert.deepEqual(engine.strategies.map(strategy => strategy.name), ['breakout', 'rsi_reversal', 'rsi_fast'], 'unknown types are skipped');
+    assert.equal(engine.getStrategy('breakout').weight, 0.8);
+    assert.equal(engine.getStrategy('rsi_fast').requiredHistory['15min'], 21);
+    assert.deepEqual(engine.getActiveStrategies('MSFT').map(strategy => strategy.name), ['rsi_fast'], 'symbol filter and enable flag');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  const fallback = await quietly(() => loadStrategyConfigs(path.join(os.tmpdir(), 'no-such-strategies-dir')));
+  assert.deepEqual(fallback, DEFAULT_STRATEGY_CONFIGS);
+});
+
+test('consensus keeps the original multi-timeframe vote', async () => {
+  const consensus = strategyRegistry.create('consensus');
+  const reading = (timeframe, sentiment, strength) => ({ timeframe, analysis: { sentiment, strength } });
+
+  const result = await quietly(() => consensus.evaluate({
+    symbol: 'AAPL',
+    analyses: {
+      '1min': reading('1min', 'bearish', 2),
+      '5min': reading('5min', 'bullish', 4),
+      '15min': { timeframe: '15min', sentiment: 'bullish', strength: 5 },
+      '1hour': null
+    }
+  }));
+  assert.equal(result.sentiment, 'bullish');
+  assert.equal(result.strength, 11 / 3, 'average over every reading');
+  assert.deepEqual(result.timeframes, ['1min', '5min', '15min']);
+  assert.equal(consensus.evaluate({ symbol: 'AAPL', analyses: {} }), null);
+});
+
+test('built-in strategies fire on their setups and stay quiet otherwise', () => {
+  const falling = Array.from({ length: 45 }, (_, i) => 120 - i * 0.5);
+
+  // EMA crossover: a downtrend that turns up
+  const ema = strategyRegistry.create('ema_crossover');
+  const emaBars = barsFrom([...falling, ...Array.from({ length: 15 }, (_, i) => 98 + (i + 1) * 1.5)]);
+  const crossover = firstSignal(ema, '15min', emaBars);
+  assert.equal(crossover.candidate?.sentiment, 'bullish');
+  assert.ok(crossover.n > falling.length, 'not before the turn');
+  assert.equal(ema.evaluate({ bars: { '15min': barsFrom(falling) } }), null, 'no cross in a steady trend');
+
+  // RSI reversal: out of oversold after the selloff
+  const rsi = strategyRegistry.create('rsi_reversal');
+  const reversal = firstSignal(rsi, '15min', barsFrom([...falling, ...Array.from({ length: 10 }, (_, i) => 98 + (i + 1) * 0.6)]));
+  assert.equal(reversal.candidate?.sentiment, 'bullish');
+  assert.ok(reversal.candidate.strength >= 4, 'deep oversold plus an up bar');
+
+  // Breakout: range 99-101, then a close at 103 on triple volume
+  const breakout = strategyRegistry.create('breakout');
+  const range = barsFrom(Array.from({ length: 21 }, (_, i) => (i % 2 ? 100.5 : 99.5)));
+  const breakoutBar = { timestamp: T0 + 21 * HOUR, open: 100.5, high: 103.2, low: 100.4, close: 103, volume: 3000 };
+  const up = breakout.evaluate({ bars: { '1hour': [...range, breakoutBar] } });
+  assert.equal(up.sentiment, 'bullish');
+  assert.equal(up.strength, 4.75, '3.5 + 0.5 for the distance + 0.75 for volume');
+  assert.ok(up.reasoning.some(line => line.includes('Volume 3.0x')));
+  assert.equal(breakout.evaluate({ bars: { '1hour': range } }), null);
+
+  // Support: two swing lows at 95, then a bar that tests 95 and closes up
+  const sr = strategyRegistry.create('support_resistance', { params: { lookback: 20 } });
+  const swingLows = [100, 98, 96, 95, 97, 99, 100, 98, 96, 95, 97, 99, 100, 99, 98, 97.5, 97, 96.5, 96];
+  const swing = swingLows.map((low, i) => ({ timestamp: T0 + i * HOUR, open: low + 1, high: low + 2, low, close: low + 1.5, volume: 1000 }));
+  const bounce = { timestamp: T0 + 19 * HOUR, open: 95.6, high: 97.2, low: 94.9, close: 97, volume: 1000 };
+  const support = sr.evaluate({ bars: { '1hour': [...swing, bounce] } });
+  assert.equal(support.sentiment, 'bullish');
+  assert.equal(support.level, 95);
+  assert.ok(support.reasoning[0].includes('2 touches'));
+  assert.equal(sr.evaluate({ bars: { '1hour': [...swing, { ...bounce, close: 95.5 }] } }), null, 'no close back up');
+  assert.equal(sr.evaluate({ bars: { '1hour': swing.slice(0, 10) } }), null, 'not enough history');
+});
+
+test('candidates combine by weight, with filters, conflicts and broken strategies', async () => {
+  const engine = await quietly(() => new StrategyEngine({
+    strategies: [
+      fixed('trend', 'bullish', 4, { weight: 1 }),
+      fixed('momentum', 'bullish', 5, { weight: 0.5, requiredHistory: { '15min': 40 } }),
+      fixed('fade', 'bearish', 4, { weight: 0.5, requiredHistory: { '15min': 60, '1hour': 20 } }),
+      fixed('crypto_only', 'bearish', 5, { assetClasses: ['crypto'] }),
+      fixed('off', 'bearish', 5, { enabled: false }),
+      fixed('flaky', null, 0, { params: { throws: true } })
+    ]
+  }));
+
+  assert.deepEqual(engine.getRequiredHistory('AAPL', 'stocks'), { '15min': 60, '1hour': 20 });
+
+  const decision = await quietly(() => engine.evaluate({ symbol: 'AAPL', assetClass: 'stocks' }));
+  assert.equal(decision.sentiment, 'bullish');
+  // (4 + 0.5 * 5) / 1.5 = 4.33, less the 2 / 8.5 of the vote that went bearish
+  assert.equal(Math.round(decision.strength * 1000) / 1000, Math.round((6.5 / 1.5) * (1 - 2 / 8.5) * 1000) / 1000);
+  assert.deepEqual(decision.strategies.map(({ name, share }) => ({ name, share })), [
+    { name: 'trend', share: 0.667 },
+    { name: 'momentum', share: 0.333 }
+  ]);
+  assert.equal(decision.primaryStrategy, 'trend');
+  assert.deepEqual(decision.candidates.map(c => c.strategy), ['trend', 'momentum', 'fade']);
+  assert.ok(decision.reasoning.includes('⚠️ Conflicting bearish read from fade'));
+
+  const quiet = await quietly(() => new StrategyEngine({ strategies: [fixed('none', null, 0)] }));
+  assert.equal(quiet.evaluate({ symbol: 'AAPL' }), null);
+});
+
+test('tips carry their strategies and results are attributed to each one', async () => {
+  let now = T0;
+  const storage = await quietly(() => createStorage({ now: () => now }));
+  const strategyEngine = await quietly(() => new StrategyEngine({
+    strategies: [fixed('trend', 'bullish', 4.6), fixed('momentum', 'bullish', 4.6, { weight: 0.5 })],
+    performance: storage.strategyPerformance
+  }));
+  const system = await quietly(() => new FerrariTradingSystem(null, { clock: { now: () => now }, storage, strategyEngine }));
+  system.fetchHistoricalOHLCV = async () => [];
+  system.candles.seed('AAPL', '1h', barsFrom(Array.from({ length: 20 }, () => 100)));
+
+  const analysis = await quietly(() => system.combineTimeframeAnalysis('AAPL', {}, {
+    prices: [{ price: 100, timestamp: now }],
+    priceChangePercent: 0
+  }));
+  assert.equal(analysis.sentiment, 'bullish');
+  assert.equal(analysis.primaryStrategy, 'trend');
+  analysis.riskRewardRatio = 2.5;
+
+  const tip = await quietly(() => system.generateSignal(analysis));
+  assert.equal(tip.strategy, 'trend');
+  assert.deepEqual(tip.strategies.map(s => s.name), ['trend', 'momentum']);
+  assert.ok(tip.reasoning.includes('trend says bullish'));
+
+  await quietly(async () => {
+    now += HOUR;
+    system.outcomeTracker.onPrice('AAPL', tip.stopLoss - 0.01, now);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  });
+
+  const status = Object.fromEntries(system.strategies.getStatus().map(entry => [entry.name, entry.performance]));
+  assert.deepEqual(status.trend, { signals: 1, resolved: 1, wins: 0, winRate: 0, avgR: -1, totalR: -1, attributedR: -0.67 });
+  assert.equal(status.momentum.attributedR, -0.33);
+  assert.deepEqual(system.getSystemStats().strategies.map(entry => entry.name), ['trend', 'momentum']);
+
+  // Persisted per strategy and restored after a restart
+  const restarted = await quietly(() => new StrategyEngine({ strategies: [], performance: storage.strategyPerformance }));
+  assert.equal(await restarted.restorePerformance(), 2);
+  const restored = restarted.getStatus().find(entry => entry.name === 'trend');
+  assert.equal(restored.type, 'external');
+  assert.equal(restored.performance.resolved, 1);
+  assert.equal(restored.performance.totalR, -1);
+});
+
+await run('🧠 Strategy Framework Test Suite');
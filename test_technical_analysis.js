@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Technical Analysis Service Test Script
+ * Runs the indicator engine against fixture candles - no network required
+ */
+
+import assert from 'assert/strict';
+import { TechnicalAnalysisService } from './src/services/technicalAnalysisService.js';
+import { test, run } from './test_harness.js';
+
+const service = new TechnicalAnalysisService();
+
+// Deterministic fixture candles: a drift with a small oscillation on top
+function buildCandles(count, start, drift, { amplitude = 0.4, startTime = Date.UTC(2024, 0, 2, 14, 30) } = {}) {
+  const candles = [];
+  let previousClose = start;
+  for (let i = 0; i < count; i++) {
+    const close = start + drift * i + Math.sin(i / 2) * amplitude;
+    const open = previousClose;
+    candles.push({
+      timestamp: startTime + i * 60000,
+      open,
+      high: Math.max(open, close) + 0.2,
+      low: Math.min(open, close) - 0.2,
+      close,
+      volume: 1000 + (i % 5) * 100
+    });
+    previousClose = close;
+  }
+  return candles;
+}
+
+test('uptrend candles score bullish', () => {
+  const result = service.analyzeBars('AAPL', '1min', buildCandles(80, 100, 0.5));
+  assert.equal(result.analysis.sentiment, 'bullish');
+  assert.ok(result.analysis.strength > 3.5, `strength ${result.analysis.strength}`);
+  assert.ok(result.indicators.ema.ema9 > result.indicators.ema.ema21);
+  assert.ok(result.indicators.macd.valueMACDHist !== 0);
+});
+
+test('downtrend candles score bearish', () => {
+  const result = service.analyzeBars('AAPL', '1min', buildCandles(80, 200, -0.5));
+  assert.equal(result.analysis.sentiment, 'bearish');
+  assert.ok(result.indicators.adx.minusDI > result.indicators.adx.plusDI);
+});
+
+test('analysis is deterministic', () => {
+  const candles = buildCandles(60, 50, 0.1, { amplitude: 1.5 });
+  const first = service.analyzeBars('MSFT', '5min', candles);
+  const second = service.analyzeBars('MSFT', '5min', candles);
+  assert.deepEqual(first, second);
+});
+
+test('indicators stay within their ranges', () => {
+  const { indicators } = service.analyzeBars('TSLA', '15min', buildCandles(60, 80, 0.05, { amplitude: 3 }));
+  assert.ok(indicators.rsi.value >= 0 && indicators.rsi.value <= 100);
+  assert.ok(indicators.stochastic.k >= 0 && indicators.stochastic.k <= 100);
+  assert.ok(indicators.adx.adx >= 0 && indicators.adx.adx <= 100);
+  assert.ok(indicators.bollinger.upper >= indicators.bollinger.lower);
+  assert.ok(indicators.atr.value > 0);
+});
+
+test('RSI of a strictly rising series is 100', () => {
+  const closes = Array.from({ length: 30 }, (_, i) => 10 + i);
+  assert.equal(service.calculateRSI(closes, 14), 100);
+});
+
+test('insufficient bars return null', async () => {
+  const result = await service.getTechnicalAnalysis('AAPL', '1min', { bars: buildCandles(10, 100, 0.1) });
+  assert.equal(result, null);
+});
+
+test('ticks are resampled into candles', async () => {
+  const ticks = [];
+  const start = Date.UTC(2024, 0, 2, 15, 0);
+  for (let minute = 0; minute < 40; minute++) {
+    for (let j = 0; j < 3; j++) {
+      ticks.push({ price: 100 + minute * 0.3 + j * 0.1, timestamp: start + minute * 60000 + j * 1000, volume: 10 });
+    }
+  }
+
+  const candles = service.resampleTicks(ticks, 60000);
+  assert.equal(candles.length, 40);
+  assert.equal(candles[0].open, 100);
+  assert.equal(candles[0].volume, 30);
+
+  const result = await service.getTechnicalAnalysis('AAPL', '1min', { ticks });
+  assert.equal(result.barCount, 40);
+  assert.equal(result.analysis.sentiment, 'bullish');
+});
+
+test('falls back to historical fetch when ticks are too short', async () => {
+  let requested = null;
+  const result = await service.getTechnicalAnalysis('BTC/USD', '1hour', {
+    ticks: [{ price: 100, timestamp: Date.now(), volume: 1 }],
+    fetchHistorical: async (timeframe, limit) => {
+      requested = { timeframe, limit };
+      return buildCandles(limit, 30000, -20, { amplitude: 50 });
+    }
+  });
+  assert.deepEqual(requested, { timeframe: '1hour', limit: 100 });
+  assert.equal(result.analysis.sentiment, 'bearish');
+});
+
+await run('📐 Technical Analysis Service Test Suite');
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * Tip History Test Script
+ * Append-only trading_tips history, status transitions from outcomes and the REST routes that read it
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import express from 'express';
+import { TipHistoryStore } from './src/services/tipHistoryStore.js';
+import { FirestoreDocumentStore } from './src/storage/index.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { createTradingTipsRouter } from './src/routes/tradingTips.js';
+import { quietly, test, run } from './test_harness.js';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 2, 4, 15, 0);
+
+function tip(trackingId, overrides = {}) {
+  return {
+    trackingId,
+    symbol: 'AAPL',
+    timeframe: 'short_term',
+    strength: 4.5,
+    entryPrice: 100,
+    stopLoss: 98,
+    takeProfit: 106,
+    takeProfit2: 110,
+    createdAt: new Date(T0),
+    expiresAt: new Date(T0 + 24 * HOUR),
+    ...overrides
+  };
+}
+
+// Firestore stand-in that records the queries it is asked to run
+function recordingDb() {
+  const queries = [];
+  const created = [];
+  const query = (filters = []) => ({
+    where: (field, op, value) => query([...filters, { field, op, value }]),
+    orderBy: (field, direction) => {
+      queries.push({ filters, orderBy: { field, direction } });
+      return { limit: () => ({ get: async () => ({ docs: [] }) }) };
+    },
+    get: async () => {
+      queries.push({ filters, orderBy: null });
+      return { docs: [] };
+    }
+  });
+  return {
+    queries,
+    created,
+    collection: () => ({
+      ...query(),
+      doc: id => ({ create: async data => created.push({ id, data }) })
+    })
+  };
+}
+
+test('tips are appended once and move through their statuses', async () => {
+  let now = T0;
+  const store = new TipHistoryStore({ now: () => now });
+
+  assert.equal(await quietly(() => store.record(tip('t1'))), true);
+  assert.equal(await quietly(() => store.record(tip('t1', { strength: 5 }))), false, 'history is never overwritten');
+
+  now += HOUR;
+  assert.equal(await quietly(() => store.updateStatus('t1', 'hit_tp1')), true);
+  assert.equal(await quietly(() => store.updateStatus('t1', 'active')), false, 'no going back to active');
+  now += HOUR;
+  assert.equal(await quietly(() => store.updateStatus('t1', 'stopped', { resultR: 1 })), true);
+  assert.equal(await quietly(() => store.updateStatus('t1', 'expired')), false, 'final statuses stay final');
+  assert.equal(await quietly(() => store.updateStatus('missing', 'stopped')), false);
+
+  const saved = await store.get('t1');
+  assert.equal(saved.status, 'stopped');
+  assert.equal(saved.strength, 4.5);
+  assert.equal(saved.resultR, 1);
+  assert.deepEqual(saved.statusHistory, [
+    { status: 'active', at: new Date(T0).toISOString() },
+    { status: 'hit_tp1', at: new Date(T0 + HOUR).toISOString() },
+    { status: 'stopped', at: new Date(T0 + 2 * HOUR).toISOString() }
+  ]);
+});
+
+test('outcome tracker results map to history statuses', () => {
+  const store = new TipHistoryStore();
+  assert.equal(store.statusForOutcome({ status: 'won', exitPrice: 110, takeProfit2: 110 }), 'hit_tp');
+  assert.equal(store.statusForOutcome({ status: 'won', exitPrice: 107, takeProfit2: 110 }), 'expired', 'TP1 then time ran out');
+  assert.equal(store.statusForOutcome({ status: 'partial' }), 'stopped');
+  assert.equal(store.statusForOutcome({ status: 'lost' }), 'stopped');
+  assert.equal(store.statusForOutcome({ status: 'expired' }), 'expired');
+  assert.equal(store.statusForOutcome({ status: 'closed' }), 'closed', 'exit alert');
+});
+
+test('ferrari records delivered tips and follows them to resolution', async () => {
+  let now = T0;
+  const system = await quietly(() => new FerrariTradingSystem(null, { clock: { now: () => now } }));
+
+  await quietly(async () => {
+    const saved = tip('t2');
+    await system.saveTip(saved);
+    system.outcomeTracker.register(saved);
+    now += HOUR;
+    system.outcomeTracker.onPrice('AAPL', 106.5, now);
+    now += HOUR;
+    system.outcomeTracker.onPrice('AAPL', 97.5, now);
+    await new Promise(resolve => setImmediate(resolve));
+  });
+
+  const history = await system.tipHistory.get('t2');
+  assert.deepEqual(history.statusHistory.map(entry => entry.status), ['active', 'hit_tp1', 'stopped']);
+  assert.equal(history.outcome, 'partial');
+  assert.equal(history.resultR, 1.5, 'half at TP1, the rest stopped at breakeven');
+  assert.equal(history.resolvedAt, new Date(T0 + 2 * HOUR).toISOString());
+});
+
+test('firestore writes use create() and every query has a composite index', async () => {
+  const db = recordingDb();
+  const store = new TipHistoryStore({ store: new FirestoreDocumentStore({ db }), now: () => T0 });
+
+  await quietly(() => store.record(tip('t3', { symbol: 'msft' })));
+  assert.equal(db.created[0].id, 't3');
+  assert.equal(db.created[0].data.symbol, 'MSFT');
+  assert.equal(db.created[0].data.createdAt instanceof Date, true);
+
+  await store.list();
+  await store.list({ symbol: 'aapl' });
+  await store.list({ timeframe: 'short_term', status: 'active' });
+  await store.list({ symbol: 'AAPL', timeframe: 'short_term', status: 'stopped' });
+  await store.getStats();
+
+  const { indexes } = JSON.parse(fs.readFileSync('./firestore.indexes.json', 'utf8'));
+  const indexed = indexes.map(index => index.fields.map(f => `${f.fieldPath}:${f.order}`).join(','));
+  for (const { filters, orderBy } of db.queries) {
+    const equality = filters.filter(f => f.op === '==');
+    if (!orderBy || equality.length === 0) continue; // single-field indexes cover these
+    const needed = [...equality.map(f => `${f.field}:ASCENDING`), `${orderBy.field}:DESCENDING`].join(',');
+    assert.ok(indexed.includes(needed), `missing index ${needed}`);
+  }
+  assert.equal(db.queries[1].filters[0].value, 'AAPL');
+});
+
+test('REST routes serve history and stats from the store', async () => {
+  let now = T0 + 2 * HOUR;
+  const store = new TipHistoryStore({ now: () => now });
+  await quietly(async () => {
+    await store.record(tip('a1'));
+    await store.record(tip('a2', { createdAt: new Date(T0 + HOUR), strength: 5.5 }));
+    await store.record(tip('b1', { symbol: 'BTC/USD', timeframe: 'mid_term', createdAt: new Date(T0 - 2 * HOUR) }));
+    await store.recordOutcome({ trackingId: 'a1', status: 'won', exitPrice: 110, takeProfit2: 110, resultR: 4 });
+    await store.recordOutcome({ trackingId: 'b1', status: 'lost', exitPrice: 98, resultR: -1 });
+  });
+
+  let current = null;
+  const app = express();
+  const gates = { minimumStrength: 4, minimumRiskReward: 2.5 };
+  app.use('/api/trading-tips', createTradingTipsRouter(() => current, { getQualityGates: () => gates }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api/trading-tips`;
+  const get = async path => {
+    const response = await fetch(base + path);
+    return { code: response.status, body: await response.json() };
+  };
+
+  try {
+    assert.equal((await get('/')).code, 503, 'not ready until the system exists');
+    current = store;
+
+    const latest = await get('/');
+    assert.deepEqual(latest.body.tips.map(t => t.id), ['a2', 'a1', 'b1']);
+    assert.equal(latest.body.tips[1].status, 'hit_tp');
+
+    const filtered = await get('/?timeframe=mid_term&status=stopped');
+    assert.deepEqual(filtered.body.tips.map(t => t.id), ['b1']);
+
+    const bySymbol = await get('/symbol/aapl?limit=1');
+    assert.equal(bySymbol.body.symbol, 'AAPL');
+    assert.deepEqual(bySymbol.body.tips.map(t => t.id), ['a2']);
+
+    const { stats } = (await get('/stats')).body;
+    assert.equal(stats.totalSignals, 3);
+    assert.equal(stats.avgStrength, 4.83);
+    assert.deepEqual(stats.byStatus, { active: 1, hit_tp1: 0, hit_tp: 1, stopped: 1, expired: 0, closed: 0 });
+    assert.equal(stats.resolvedSignals, 2);
+    assert.equal(stats.successRate, 50);
+    assert.equal(stats.avgR, 1.5);
+    assert.equal(stats.qualityGate, 'Strength ≥4.0, R/R ≥2.5:1');
+
+    // Runtime config changes show up without a restart
+    gates.minimumStrength = 4.5;
+    gates.minimumRiskReward = 3;
+    assert.equal((await get('/stats')).body.stats.qualityGate, 'Strength ≥4.5, R/R ≥3:1');
+
+    const getStats = store.getStats;
+    store.getStats = async () => { throw new Error('SQLITE_CANTOPEN: /var/lib/ferrari/tips.db'); };
+    const failed = await quietly(() => get('/stats'));
+    store.getStats = getStats;
+    assert.equal(failed.code, 500);
+    assert.equal(failed.body.message, 'Internal server error', 'storage details stay in the server log');
+
+    const single = await get('/a1');
+    assert.deepEqual(single.body.tip.statusHistory.map(entry => entry.status), ['active', 'hit_tp']);
+    assert.equal((await get('/nope')).code, 404);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+await run('📚 Tip History Test Suite');
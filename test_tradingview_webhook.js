@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+/**
+ * TradingView Webhook Test Script
+ * Authentication, replay protection, rate limiting and the signal / exit path through the Ferrari engine
+ */
+
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import express from 'express';
+import axios from 'axios';
+import { TradingViewWebhookService, DEFAULT_WEBHOOK_CONFIG } from './src/services/tradingViewWebhookService.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { createStorage } from './src/storage/index.js';
+import { quietly, test, run } from './test_harness.js';
+
+const SECRET = 'tv-secret';
+const MINUTE = 60 * 1000;
+// Wednesday 2024-06-12 11:00 New York
+const T0 = Date.UTC(2024, 5, 12, 15, 0);
+
+/**
+ * Real Ferrari engine on memory storage behind the webhook router, served like ferrari_start.js does
+ */
+async function startServer({ secret = SECRET, rateLimit = DEFAULT_WEBHOOK_CONFIG.rateLimit, technical = agreeing } = {}) {
+  const clock = { value: T0, now: () => clock.value };
+  const storage = await quietly(() => createStorage({ now: clock.now }));
+  const engine = await quietly(() => new FerrariTradingSystem(null, {
+    clock,
+    storage,
+    technicalAnalysisService: { getTechnicalAnalysis: async () => technical }
+  }));
+  const webhooks = new TradingViewWebhookService({ getEngine: () => engine, config: { secret, rateLimit }, now: clock.now });
+
+  const app = express();
+  app.use(express.json({ verify: (req, res, buffer) => { req.rawBody = buffer; } }));
+  app.use('/api/webhooks', webhooks.getRouter());
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  let nonce = 0;
+  const url = `http://127.0.0.1:${server.address().port}/api/webhooks/tradingview-webhook`;
+  const alert = fields => ({ timestamp: new Date(clock.value).toISOString(), nonce: `n${++nonce}`, secret, ...fields });
+  const post = (body, headers = {}) => quietly(() => axios.post(url, body, { headers, validateStatus: () => true }));
+
+  return { clock, engine, webhooks, alert, post, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// The engine's own read of the alerted symbols
+const agreeing = { analysis: { sentiment: 'bullish', strength: 4.4, reasoning: [] }, indicators: {} };
+
+const buy = { ticker: 'aapl', action: 'buy', price: 200, stopLoss: 196, takeProfit: 212, strength: 4.6, strategy: 'breakout_strategy', timeframe: 'mid_term' };
+
+test('alerts need the shared secret or a valid HMAC signature', async () => {
+  const server = await startServer();
+  try {
+    assert.equal((await server.post(server.alert({ ...buy, secret: 'wrong' }))).status, 401);
+
+    const { secret, ...unsigned } = server.alert(buy);
+    const body = JSON.stringify(unsigned);
+    const signature = crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+    assert.equal((await server.post(body, { 'Content-Type': 'application/json', 'X-Signature': 'sha256=deadbeef' })).status, 401);
+
+    const signed = await server.post(body, { 'Content-Type': 'application/json', 'X-Signature': `sha256=${signature}` });
+    assert.equal(signed.status, 200, JSON.stringify(signed.data));
+
+    // TradingView posts text/plain when the message is not strict JSON
+    server.clock.value += 2 * 60 * MINUTE;
+    const text = await server.post(JSON.stringify(server.alert({ ...buy, ticker: 'MSFT', price: 400, stopLoss: 392, takeProfit: 424 })), { 'Content-Type': 'text/plain' });
+    assert.equal(text.status, 200, JSON.stringify(text.data));
+  } finally {
+    await server.close();
+  }
+
+  const unconfigured = await startServer({ secret: null });
+  try {
+    assert.equal((await unconfigured.post(unconfigured.alert(buy))).status, 503, 'no secret configured: refuse everything');
+  } finally {
+    await unconfigured.close();
+  }
+});
+
+test('replayed nonces and stale timestamps are refused', async () => {
+  const server = await startServer();
+  try {
+    const first = server.alert({ ...buy, action: 'exit' });
+    assert.equal((await server.post(first)).status, 200);
+    assert.equal((await server.post(first)).status, 409, 'same nonce again');
+
+    const stale = server.alert({ ...buy, action: 'exit', timestamp: new Date(T0 - 10 * MINUTE).toISOString() });
+    assert.equal((await server.post(stale)).status, 401);
+    assert.equal((await server.post(server.alert({ ...buy, action: 'exit', timestamp: undefined }))).status, 400);
+    assert.equal((await server.post(server.alert({ ...buy, action: 'exit', nonce: undefined }))).status, 400);
+
+    // Epoch seconds ({{time}} style) are accepted too
+    assert.equal((await server.post(server.alert({ ...buy, action: 'exit', timestamp: Math.floor(T0 / 1000) }))).status, 200);
+  } finally {
+    await server.close();
+  }
+});
+
+test('requests are rate limited per IP', async () => {
+  const server = await startServer({ rateLimit: { windowMs: MINUTE, maxRequests: 3 } });
+  try {
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      statuses.push((await server.post(server.alert({ ...buy, action: 'exit' }))).status);
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 429]);
+
+    server.clock.value += MINUTE;
+    assert.equal((await server.post(server.alert({ ...buy, action: 'exit' }))).status, 200, 'window moved on');
+  } finally {
+    await server.close();
+  }
+});
+
+test('accepted alerts go through quality gates, persistence and outcome tracking', async () => {
+  const server = await startServer();
+  try {
+    const weak = await server.post(server.alert({ ...buy, strength: 3 }));
+    assert.equal(weak.status, 422);
+    assert.equal(weak.data.reason, 'quality_gates');
+
+    const poorRR = await server.post(server.alert({ ...buy, takeProfit: 204 }));
+    assert.equal(poorRR.data.reason, 'quality_gates', 'R/R 1:1 is below the gate');
+
+    // Levels on the wrong side of the price would pass the distance-based R/R gate
+    const stopAbove = await server.post(server.alert({ ...buy, stopLoss: 204 }));
+    assert.deepEqual([stopAbove.status, stopAbove.data.message], [400, 'Invalid stopLoss for a buy: 204 must be below the price 200']);
+    assert.equal((await server.post(server.alert({ ...buy, takeProfit2: 190 }))).status, 400);
+    assert.equal((await server.post(server.alert({ ...buy, action: 'sell', stopLoss: 210, takeProfit: 220 }))).status, 400, 'target above a sell');
+
+    const accepted = await server.post(server.alert(buy));
+    assert.equal(accepted.status, 200, JSON.stringify(accepted.data));
+
+    const tip = await server.engine.tipHistory.get(accepted.data.tipId);
+    assert.equal(tip.symbol, 'AAPL');
+    assert.equal(tip.timeframe, 'mid_term', 'alert timeframe is kept');
+    assert.equal(tip.source, 'tradingview_webhook');
+    assert.equal(tip.status, 'active');
+    assert.equal(tip.webhookData.strategy, 'breakout_strategy');
+    assert.equal(tip.strategy, 'tradingview:breakout_strategy', 'attributed per alert strategy');
+    assert.ok(tip.reasoning.some(line => line.includes('TradingView breakout_strategy Alert')));
+    assert.equal(server.engine.outcomeTracker.getActiveTips().length, 1);
+    assert.equal((await server.engine.storage.tips.getLatest('mid_term')).trackingId, accepted.data.tipId, 'also the current mid-term tip');
+
+    // Same hourly spacing as engine signals
+    const tooSoon = await server.post(server.alert({ ...buy, ticker: 'MSFT', price: 400, stopLoss: 392, takeProfit: 424 }));
+    assert.equal(tooSoon.data.reason, 'rate_limited');
+  } finally {
+    await server.close();
+  }
+});
+
+test('exit and close alerts close the matching open tip', async () => {
+  const server = await startServer();
+  try {
+    const { data } = await server.post(server.alert(buy));
+    server.clock.value += 30 * MINUTE;
+
+    const wrongSide = await server.post(server.alert({ ticker: 'AAPL', action: 'close', price: 204, position: 'short' }));
+    assert.equal(wrongSide.data.status, 'ignored');
+
+    const closed = await server.post(server.alert({ ticker: 'AAPL', action: 'exit', price: 204 }));
+    assert.equal(closed.data.status, 'success');
+    assert.deepEqual(closed.data.closed, [{ trackingId: data.tipId, resultR: 1 }]);
+    assert.equal(server.engine.outcomeTracker.getActiveTips().length, 0);
+
+    // Outcome events are written asynchronously
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const tip = await server.engine.tipHistory.get(data.tipId);
+    assert.equal(tip.status, 'closed');
+    assert.equal(tip.exitPrice, 204);
+    assert.equal(tip.closeReason, 'tradingview_exit');
+    assert.equal(server.engine.outcomeTracker.getStats().closed, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('alert strength is one input to scoring, capped by the technical read', async () => {
+  const server = await startServer();
+  try {
+    const accepted = await server.post(server.alert(buy));
+    const tip = await server.engine.tipHistory.get(accepted.data.tipId);
+    assert.equal(tip.scoring.components[0].contribution, 4.4, '4.6 claimed, 4.4 read by the engine');
+    assert.ok(tip.reasoning.includes('Alert strength 4.6 capped at 4.4 by the technical read'), tip.reasoning.join(' | '));
+  } finally {
+    await server.close();
+  }
+
+  // Without an agreeing read the alert cannot carry itself past minimumStrength
+  for (const technical of [null, { analysis: { sentiment: 'bearish', strength: 4.8 }, indicators: {} }]) {
+    const unconfirmed = await startServer({ technical });
+    try {
+      const response = await unconfirmed.post(unconfirmed.alert({ ...buy, strength: 5 }));
+      assert.deepEqual([response.status, response.data.reason], [422, 'quality_gates']);
+    } finally {
+      await unconfirmed.close();
+    }
+  }
+});
+
+test('alerts respect symbol cooldowns and the market session, and say why they were refused', async () => {
+  const server = await startServer();
+  try {
+    assert.equal((await server.post(server.alert(buy))).status, 200);
+
+    // Past the hourly limit, still inside AAPL's two hour cooldown
+    server.clock.value += 61 * MINUTE;
+    const again = await server.post(server.alert(buy));
+    assert.deepEqual([again.status, again.data.reason], [422, 'cooldown']);
+
+    const crypto = await server.post(server.alert({ ticker: 'BTC/USD', action: 'buy', price: 60000, stopLoss: 59000, takeProfit: 63000, strength: 4.6 }));
+    assert.equal(crypto.data.reason, 'stocks_only', 'no crypto signals during the regular session');
+
+    server.clock.value = Date.UTC(2024, 5, 15, 15, 0); // Saturday
+    const weekend = await server.post(server.alert({ ...buy, ticker: 'MSFT', price: 400, stopLoss: 392, takeProfit: 424 }));
+    assert.deepEqual([weekend.status, weekend.data.reason], [422, 'market_closed']);
+  } finally {
+    await server.close();
+  }
+
+  // A storage failure is not a rate limit
+  const failing = await startServer();
+  try {
+    failing.engine.saveTip = async () => ({ success: false, error: 'offline' });
+    const response = await failing.post(failing.alert(buy));
+    assert.deepEqual([response.status, response.data.reason], [500, 'save_failed']);
+  } finally {
+    await failing.close();
+  }
+});
+
+await run('🪝 TradingView Webhook Test Suite');
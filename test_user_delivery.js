@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * User Delivery Test Script
+ * Profiles, preference matching, per-user FCM multicast, invalid-token cleanup and persisted limits
+ */
+
+import assert from 'assert/strict';
+import { UserProfileService } from './src/services/userProfileService.js';
+import { FerrariTradingSystem } from './src/services/ferrariTradingSystem.js';
+import { createStorage } from './src/storage/index.js';
+import { quietly, test, run } from './test_harness.js';
+
+const HOUR = 60 * 60 * 1000;
+// Wednesday 2024-06-12 11:00 New York (15:00 UTC)
+const T0 = Date.UTC(2024, 5, 12, 15, 0);
+
+const tip = {
+  trackingId: 'ferrari_1',
+  symbol: 'AAPL',
+  timeframe: 'short_term',
+  sentiment: 'bullish',
+  strength: 4.2,
+  entryPrice: 100,
+  stopLoss: 98,
+  takeProfit: 105,
+  riskRewardRatio: 2.5,
+  company: { name: 'Apple Inc.', isCrypto: false }
+};
+
+// FCM stand-in: records multicasts, rejects tokens starting with "dead"
+function fakeMessaging() {
+  const sent = [];
+  return {
+    sent,
+    sendEachForMulticast: async message => {
+      sent.push(message);
+      const responses = message.tokens.map(token => (token.startsWith('dead')
+        ? { success: false, error: { code: 'messaging/registration-token-not-registered' } }
+        : { success: true, messageId: `m_${token}` }));
+      const successCount = responses.filter(r => r.success).length;
+      return { responses, successCount, failureCount: responses.length - successCount };
+    }
+  };
+}
+
+async function createSystem(now) {
+  const clock = { now: () => now.value };
+  const storage = await quietly(() => createStorage({ now: clock.now }));
+  const system = await quietly(() => new FerrariTradingSystem(null, { clock, storage }));
+  system.notifications.messaging = fakeMessaging();
+  return system;
+}
+
+test('tips match asset classes, symbols, timeframes and minimum strength', () => {
+  const profiles = new UserProfileService({ users: null, now: () => T0 });
+  const profile = updates => profiles.normalize({ userId: 'u', ...updates });
+
+  assert.equal(profiles.matchesPreferences(profile({}), tip).eligible, true, 'empty preferences follow everything');
+  assert.equal(profiles.matchesPreferences(profile({ assetClasses: ['crypto'] }), tip).reason, 'stocks not followed');
+  assert.equal(profiles.matchesPreferences(profile({ symbols: ['msft'] }), tip).reason, 'AAPL not followed');
+  assert.equal(profiles.matchesPreferences(profile({ symbols: ['aapl'] }), tip).eligible, true);
+  assert.equal(profiles.matchesPreferences(profile({ timeframes: ['long_term'] }), tip).reason, 'short_term not followed');
+  assert.equal(profiles.matchesPreferences(profile({ minimumStrength: 4.5 }), tip).reason, 'strength below 4.5');
+  assert.equal(profiles.matchesPreferences(profile({ notificationsEnabled: false }), tip).reason, 'notifications off');
+  assert.equal(profiles.getAssetClass({ symbol: 'BTC/USD' }), 'crypto');
+});
+
+test('quiet hours follow the user time zone and wrap midnight', () => {
+  const profiles = new UserProfileService({ users: null });
+  const night = { userId: 'u', quietHours: { start: '22:00', end: '07:00', timezone: 'Europe/Berlin' } };
+
+  assert.equal(profiles.isQuietHours(night, Date.UTC(2024, 5, 12, 21, 30)), true, '23:30 in Berlin');
+  assert.equal(profiles.isQuietHours(night, Date.UTC(2024, 5, 12, 4, 30)), true, '06:30 in Berlin');
+  assert.equal(profiles.isQuietHours(night, Date.UTC(2024, 5, 12, 5, 0)), false, '07:00 in Berlin');
+  assert.equal(profiles.isQuietHours({ quietHours: { start: '12:00', end: '13:00' } }, Date.UTC(2024, 5, 12, 16, 30)), true, 'lunch in New York');
+  assert.equal(profiles.isQuietHours({ quietHours: null }, T0), false);
+});
+
+test('profiles are validated and device tokens deduplicated', async () => {
+  const storage = await quietly(() => createStorage());
+  const profiles = new UserProfileService({ users: storage.users, now: () => T0 });
+
+  await profiles.saveProfile('alice', { assetClasses: ['stocks'], symbols: ['aapl'] });
+  await profiles.registerToken('alice', 'token-1');
+  await profiles.registerToken('alice', 'token-1');
+  const saved = await profiles.getProfile('alice');
+  assert.deepEqual(saved.deviceTokens, ['token-1']);
+  assert.deepEqual(saved.symbols, ['AAPL']);
+
+  await assert.rejects(() => profiles.saveProfile('alice', { assetClasses: ['bonds'] }), /Unknown asset class/);
+  await assert.rejects(() => profiles.saveProfile('alice', { quietHours: { start: '25:00', end: '07:00' } }), /HH:MM/);
+  for (const accountSize of [0, -5000, '5000', 'lots', NaN, Infinity]) {
+    await assert.rejects(() => profiles.saveProfile('alice', { accountSize }), /accountSize must be a positive number/);
+  }
+  assert.equal((await profiles.saveProfile('alice', { accountSize: 5000 })).accountSize, 5000);
+  assert.equal((await profiles.saveProfile('alice', { accountSize: null })).accountSize, null, 'clearing the size is allowed');
+  assert.equal((await profiles.listSubscribers()).length, 1);
+});
+
+test('profiles stored without notificationsEnabled are still subscribers', async () => {
+  const storage = await quietly(() => createStorage());
+  const profiles = new UserProfileService({ users: storage.users, now: () => T0 });
+
+  // Written by an older app build that never set the field
+  await storage.users.save('legacy', { deviceTokens: ['legacy-phone'] });
+  await profiles.saveProfile('muted', { deviceTokens: ['muted-phone'], notificationsEnabled: false });
+
+  assert.deepEqual((await profiles.listSubscribers()).map(profile => profile.userId), ['legacy']);
+});
+
+test('ferrari delivers per user, skips non-matching users and drops dead tokens', async () => {
+  const now = { value: T0 };
+  const system = await createSystem(now);
+  await quietly(async () => {
+    await system.userProfiles.saveProfile('alice', { deviceTokens: ['phone', 'dead-tablet'], assetClasses: ['stocks'], accountSize: 5000 });
+    await system.userProfiles.saveProfile('bob', { deviceTokens: ['bob-phone'], assetClasses: ['crypto'] });
+    await system.userProfiles.saveProfile('carol', { deviceTokens: ['carol-phone'], quietHours: { start: '09:00', end: '17:00' } });
+    await system.userProfiles.saveProfile('dave', { deviceTokens: [] });
+  });
+
+  const eligible = await quietly(() => system.getEligibleUsers(tip));
+  assert.deepEqual(eligible.map(user => user.userId), ['alice']);
+
+  const result = await quietly(() => system.sendToEligibleUsers(tip, eligible));
+  assert.deepEqual(result, { delivered: 1, failed: 0 });
+
+  const [message] = system.notifications.messaging.sent;
+  assert.deepEqual(message.tokens, ['phone', 'dead-tablet']);
+  assert.equal(message.topic, undefined, 'no topic broadcast');
+  assert.equal(JSON.parse(message.data.userPositionSizing).accounts[0].fixed, 25, '1% of $5k over a $2 stop');
+
+  assert.deepEqual((await system.userProfiles.getProfile('alice')).deviceTokens, ['phone']);
+  assert.equal((await system.storage.userLimits.get('alice')).dailyCount, 1);
+  const [event] = await system.storage.analytics.list();
+  assert.equal(event.delivered_users, 1);
+  assert.equal(event.removed_tokens, 1);
+});
+
+test('per-user sizing parses account sizes stored outside saveProfile', async () => {
+  const system = await createSystem({ value: T0 });
+  const sized = { ...tip, positionSizing: { atr: 1.25 } };
+  await system.storage.users.save('erin', { deviceTokens: ['erin-phone'], accountSize: '7500' });
+  await system.storage.users.save('frank', { deviceTokens: ['frank-phone'], accountSize: 'lots' });
+
+  const [erin, frank] = await Promise.all(['erin', 'frank'].map(userId => system.userProfiles.getProfile(userId)));
+  const sizing = await quietly(() => system.getUserPositionSizing(erin, sized));
+  assert.deepEqual(sizing.accounts.map(account => [account.accountSize, account.fixedFractional.units]), [[7500, 37]]);
+  assert.equal(await quietly(() => system.getUserPositionSizing(frank, sized)), null);
+});
+
+test('limits persist across restarts and VIP users get more tips', async () => {
+  // Daily limits reset on the server's local date: stay within one local day
+  const now = { value: new Date(2024, 5, 12, 7, 0).getTime() };
+  const system = await createSystem(now);
+  system.config.rateLimiting.vipUsers = ['vera'];
+  await quietly(async () => {
+    await system.userProfiles.saveProfile('sam', { deviceTokens: ['s'] });
+    await system.userProfiles.saveProfile('vera', { deviceTokens: ['v'] });
+    await system.userProfiles.saveProfile('paul', { deviceTokens: ['p'], vip: true });
+  });
+
+  const deliverAll = async () => {
+    now.value += 2 * HOUR;
+    const eligible = await quietly(() => system.getEligibleUsers(tip));
+    await quietly(() => system.sendToEligibleUsers(tip, eligible));
+    return eligible.map(user => user.userId);
+  };
+
+  for (let i = 0; i < 5; i++) await deliverAll();
+  assert.deepEqual((await deliverAll()).sort(), ['paul', 'vera'], 'sam reached the daily limit of 5');
+
+  // Same storage, fresh process: limits come back from storage
+  system.state.userLimits.clear();
+  assert.equal(await quietly(() => system.canUserReceiveSignal('sam', tip)), false);
+  assert.equal((await system.loadUserLimits('paul')).dailyCount, 6);
+
+  // Hourly limit: two tips in the same hour, a priority signal still gets through
+  const fresh = await createSystem({ value: T0 });
+  await quietly(() => fresh.updateUserLimits([{ userId: 'ann' }, { userId: 'ann' }], tip));
+  assert.equal(await quietly(() => fresh.canUserReceiveSignal('ann', tip)), false);
+  assert.equal(await quietly(() => fresh.canUserReceiveSignal('ann', { ...tip, strength: 4.8 })), true);
+});
+
+await run('📬 User Delivery Test Suite');